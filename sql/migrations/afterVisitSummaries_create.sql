@@ -0,0 +1,22 @@
+-- Patient-facing after-visit summaries (see src/utils/afterVisitSummary.js)
+-- encrypted_summary_text / iv decrypt with the patient encounter's AES key, like soapNotes
+-- reading_level / language are not PHI and stay in the clear
+-- soapNote_id: note the summary was generated from (NULL when generated from the transcript alone)
+-- RLS in sql/policies/afterVisitSummaries_RLS.sql
+CREATE TABLE IF NOT EXISTS "afterVisitSummaries" (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  "patientEncounter_id" bigint NOT NULL REFERENCES "patientEncounters" (id) ON DELETE CASCADE,
+  "soapNote_id" bigint REFERENCES "soapNotes" (id) ON DELETE SET NULL,
+  reading_level text NOT NULL CHECK (reading_level IN ('simple', 'standard', 'detailed')),
+  language text NOT NULL DEFAULT 'en',
+  encrypted_summary_text text NOT NULL,
+  iv text NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "afterVisitSummaries_patientEncounter_id_idx"
+ON "afterVisitSummaries" ("patientEncounter_id");
+
+-- Verification query
+-- SELECT id, "patientEncounter_id", "soapNote_id", reading_level, language, created_at FROM "afterVisitSummaries" ORDER BY id DESC LIMIT 10;
@@ -0,0 +1,21 @@
+-- Referral and prior authorization letters (see src/utils/encounterLetters.js)
+-- encrypted_letter_text / iv decrypt with the patient encounter's AES key, like soapNotes
+-- The recipient is part of the encrypted letter text; letter_type is not PHI and stays in the clear
+-- soapNote_id: note the letter was generated from (NULL when generated from the transcript alone)
+-- RLS in sql/policies/encounterLetters_RLS.sql
+CREATE TABLE IF NOT EXISTS "encounterLetters" (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  "patientEncounter_id" bigint NOT NULL REFERENCES "patientEncounters" (id) ON DELETE CASCADE,
+  "soapNote_id" bigint REFERENCES "soapNotes" (id) ON DELETE SET NULL,
+  letter_type text NOT NULL CHECK (letter_type IN ('referral', 'prior_authorization')),
+  encrypted_letter_text text NOT NULL,
+  iv text NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "encounterLetters_patientEncounter_id_idx"
+ON "encounterLetters" ("patientEncounter_id");
+
+-- Verification query
+-- SELECT id, "patientEncounter_id", "soapNote_id", letter_type, created_at FROM "encounterLetters" ORDER BY id DESC LIMIT 10;
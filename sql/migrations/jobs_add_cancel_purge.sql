@@ -0,0 +1,17 @@
+-- Job cancellation and purge support
+-- status: adds 'cancelled' (set by POST /api/jobs/prompt-llm/:jobId/cancel)
+-- purged_at: set by DELETE /api/jobs/prompt-llm/:jobId when transcript/SOAP text are removed
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS purged_at timestamptz;
+
+ALTER TABLE "jobs" DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE "jobs"
+ADD CONSTRAINT jobs_status_check
+CHECK (status IN ('pending', 'transcribing', 'generating', 'complete', 'error', 'cancelled'));
+
+-- Job list endpoint filters by user and orders by created_at
+CREATE INDEX IF NOT EXISTS jobs_user_id_created_at_idx
+ON "jobs" (user_id, created_at DESC);
+
+-- Verification query
+-- SELECT status, count(*), count(purged_at) AS purged FROM "jobs" GROUP BY status;
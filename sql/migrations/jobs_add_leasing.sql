@@ -0,0 +1,27 @@
+-- Durable job queue columns for prompt-llm jobs (see src/fastify/processors/jobQueue.js)
+-- lease_owner: worker id currently processing the job (NULL = not leased)
+-- lease_expires_at: lease deadline, extended by worker heartbeats; expired leases are re-queued
+-- attempt_count: number of times a worker has claimed the job (capped by JOB_MAX_ATTEMPTS)
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS attempt_count integer NOT NULL DEFAULT 0;
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS lease_owner text;
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS lease_expires_at timestamptz;
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS heartbeat_at timestamptz;
+
+-- Workers poll for pending jobs oldest-first and scan for expired leases
+CREATE INDEX IF NOT EXISTS jobs_pending_created_at_idx
+ON "jobs" (created_at)
+WHERE status = 'pending' AND lease_owner IS NULL;
+
+CREATE INDEX IF NOT EXISTS jobs_lease_expires_at_idx
+ON "jobs" (lease_expires_at)
+WHERE lease_owner IS NOT NULL;
+
+-- Verification query
+-- SELECT id, status, attempt_count, lease_owner, lease_expires_at, heartbeat_at FROM "jobs" ORDER BY created_at DESC LIMIT 20;
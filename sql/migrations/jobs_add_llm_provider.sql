@@ -0,0 +1,9 @@
+-- Per-job LLM provider override for SOAP note generation
+-- NULL = deployment default (LLM_PROVIDER env var, falls back to 'openai')
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS llm_provider text;
+
+ALTER TABLE "jobs" DROP CONSTRAINT IF EXISTS jobs_llm_provider_check;
+ALTER TABLE "jobs"
+ADD CONSTRAINT jobs_llm_provider_check
+CHECK (llm_provider IS NULL OR llm_provider IN ('openai', 'azure', 'gemini', 'stub'));
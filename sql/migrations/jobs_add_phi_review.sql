@@ -0,0 +1,8 @@
+-- PHI review of the generated note (see src/utils/phiReview.js): unexpected entities and leftover tokens
+-- JSON, encrypted with the job key like soap_note_text (see jobs_encrypt_payloads.sql)
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS encrypted_phi_review text,
+ADD COLUMN IF NOT EXISTS phi_review_iv text;
+
+-- Verification query
+-- SELECT id, status, encrypted_phi_review IS NOT NULL AS has_phi_review FROM "jobs" WHERE status = 'complete' ORDER BY created_at DESC LIMIT 10;
@@ -0,0 +1,7 @@
+-- Chunk progress while a long recording is transcribed in parts
+-- { "chunks_total": 7, "chunks_done": 3 }; NULL for recordings transcribed in one request
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS progress jsonb;
+
+-- Verification query
+-- SELECT id, status, progress FROM "jobs" WHERE progress IS NOT NULL ORDER BY updated_at DESC LIMIT 10;
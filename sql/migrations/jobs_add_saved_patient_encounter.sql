@@ -0,0 +1,8 @@
+-- Link a prompt-llm job to the patient encounter created from it
+-- (POST /api/jobs/prompt-llm/:jobId/save); NULL = not saved yet, a job can only be saved once
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS saved_patient_encounter_id bigint
+REFERENCES "patientEncounters" (id) ON DELETE SET NULL;
+
+-- Verification query
+-- SELECT id, status, saved_patient_encounter_id FROM "jobs" WHERE saved_patient_encounter_id IS NOT NULL;
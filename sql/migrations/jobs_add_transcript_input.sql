@@ -0,0 +1,24 @@
+-- Prompt-llm jobs started from a transcript instead of a recording (POST /api/jobs/prompt-llm)
+-- input_source: 'recording' (transcribe recording_file_path), 'transcript' (stored transcript, source_transcript_id)
+--   or 'text' (pasted transcript_text); the last two skip transcription
+-- The input transcript is stored encrypted in encrypted_transcript_text / encrypted_transcript_segments at creation
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS input_source text NOT NULL DEFAULT 'recording';
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS source_transcript_id bigint
+REFERENCES "transcripts" (id) ON DELETE SET NULL;
+
+ALTER TABLE "jobs"
+ALTER COLUMN recording_file_path DROP NOT NULL;
+
+ALTER TABLE "jobs" DROP CONSTRAINT IF EXISTS jobs_input_source_check;
+ALTER TABLE "jobs"
+ADD CONSTRAINT jobs_input_source_check
+CHECK (
+  input_source IN ('recording', 'transcript', 'text')
+  AND (input_source <> 'recording' OR recording_file_path IS NOT NULL)
+);
+
+-- Verification query
+-- SELECT id, status, input_source, source_transcript_id, recording_file_path FROM "jobs" WHERE input_source <> 'recording';
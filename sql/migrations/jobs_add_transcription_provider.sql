@@ -0,0 +1,9 @@
+-- Per-job transcription provider, pinned at creation from the request or the user's preference
+-- NULL = deployment default (TRANSCRIPTION_PROVIDER env var, falls back to 'cloudrun')
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS transcription_provider text;
+
+ALTER TABLE "jobs" DROP CONSTRAINT IF EXISTS jobs_transcription_provider_check;
+ALTER TABLE "jobs"
+ADD CONSTRAINT jobs_transcription_provider_check
+CHECK (transcription_provider IS NULL OR transcription_provider IN ('cloudrun', 'openai-whisper', 'azure-whisper', 'fixture'));
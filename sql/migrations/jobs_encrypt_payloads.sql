@@ -0,0 +1,24 @@
+-- Encrypt job PHI at rest (see src/utils/jobEncryption.js)
+-- encrypted_aes_key: per-job AES key, RSA-wrapped (same envelope scheme as patientEncounters)
+-- transcript_text / soap_note_text are no longer written; they stay readable only for legacy rows
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS encrypted_aes_key text;
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS encrypted_transcript_text text;
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS transcript_text_iv text;
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS encrypted_soap_note_text text;
+
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS soap_note_text_iv text;
+
+-- Verification query: legacy rows still holding plaintext PHI
+-- SELECT id, status, created_at FROM "jobs" WHERE transcript_text IS NOT NULL OR soap_note_text IS NOT NULL;
+
+-- Optional: purge legacy plaintext once clients no longer need old results
+-- UPDATE "jobs" SET transcript_text = NULL, soap_note_text = NULL, purged_at = now()
+-- WHERE transcript_text IS NOT NULL OR soap_note_text IS NOT NULL;
@@ -0,0 +1,37 @@
+-- Per-user SOAP note templates (see src/utils/noteTemplates.js)
+-- sections: JSON array of { key, description, required, subsections?: [{ key, description, required }] }
+-- Not PHI, stored unencrypted; RLS in sql/policies/noteTemplates_RLS.sql
+CREATE TABLE IF NOT EXISTS "noteTemplates" (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  name text NOT NULL,
+  specialty text,
+  sections jsonb NOT NULL CHECK (jsonb_typeof(sections) = 'array'),
+  is_default boolean NOT NULL DEFAULT false
+);
+
+CREATE INDEX IF NOT EXISTS "noteTemplates_user_id_idx" ON "noteTemplates" (user_id);
+
+-- At most one default template per user
+-- sql/triggers/noteTemplates_single_default.sql clears the previous default when another is made default
+CREATE UNIQUE INDEX IF NOT EXISTS "noteTemplates_one_default_per_user"
+ON "noteTemplates" (user_id) WHERE is_default;
+
+DROP TRIGGER IF EXISTS update_updated_at ON "noteTemplates";
+CREATE TRIGGER update_updated_at
+BEFORE UPDATE ON "noteTemplates"
+FOR EACH ROW
+EXECUTE PROCEDURE update_updated_at_column();
+
+-- Template a job's SOAP note is generated with
+-- note_template is a snapshot taken at job creation, so editing or deleting the template does not change queued jobs
+-- NULL = built-in default template
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS note_template_id bigint
+REFERENCES "noteTemplates" (id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS note_template jsonb;
+
+-- Verification query
+-- SELECT id, name, specialty, is_default, jsonb_array_length(sections) AS section_count FROM "noteTemplates" ORDER BY id DESC LIMIT 10;
@@ -0,0 +1,27 @@
+-- PHI masking policies, per user or per organization (see src/utils/phiMaskingPolicy.js)
+-- organization_id matches auth app_metadata.organization_id; organization rows are written with the service role
+-- A user's own policy can only add masking to their organization's (the organization policy is a floor)
+-- Not PHI, stored unencrypted; RLS in sql/policies/phiMaskingPolicies_RLS.sql
+CREATE TABLE IF NOT EXISTS "phiMaskingPolicies" (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  user_id uuid UNIQUE REFERENCES auth.users (id) ON DELETE CASCADE,
+  organization_id text UNIQUE,
+  -- NULL = mask every type
+  entity_types text[],
+  thresholds jsonb NOT NULL DEFAULT '{}'::jsonb CHECK (jsonb_typeof(thresholds) = 'object'),
+  allowlist text[] NOT NULL DEFAULT '{}',
+  -- NULL = follow the mask mode (tokens, or shifted dates in surrogate mode)
+  date_handling text CHECK (date_handling IN ('mask', 'shift')),
+  CONSTRAINT "phiMaskingPolicies_one_owner" CHECK ((user_id IS NULL) <> (organization_id IS NULL))
+);
+
+DROP TRIGGER IF EXISTS update_updated_at ON "phiMaskingPolicies";
+CREATE TRIGGER update_updated_at
+BEFORE UPDATE ON "phiMaskingPolicies"
+FOR EACH ROW
+EXECUTE PROCEDURE update_updated_at_column();
+
+-- Verification query
+-- SELECT id, user_id, organization_id, entity_types, thresholds, array_length(allowlist, 1) AS allowlist_terms, date_handling FROM "phiMaskingPolicies" ORDER BY id DESC LIMIT 10;
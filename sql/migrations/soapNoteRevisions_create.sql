@@ -0,0 +1,28 @@
+-- SOAP note revision history (medico-legal audit trail)
+-- One row per saved version of a soapNotes row, written by the soapNote_record_revision trigger
+-- (sql/triggers/soapNote_record_revision.sql) so every write path is captured, including job saves.
+-- encrypted_soapNote_text / iv are copied verbatim from soapNotes and decrypt with the patient encounter's AES key.
+-- source: created (first version), edited (PATCH), restored (copy of restored_from_revision), baseline (backfill below)
+-- Append-only: RLS in sql/policies/soapNoteRevisions_RLS.sql only allows SELECT
+CREATE TABLE IF NOT EXISTS "soapNoteRevisions" (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  "soapNote_id" bigint NOT NULL REFERENCES "soapNotes" (id) ON DELETE CASCADE,
+  revision integer NOT NULL CHECK (revision > 0),
+  user_id uuid REFERENCES auth.users (id) ON DELETE SET NULL, -- author of the revision
+  source text NOT NULL CHECK (source IN ('created', 'edited', 'restored', 'baseline')),
+  restored_from_revision integer,
+  "encrypted_soapNote_text" text NOT NULL,
+  iv text,
+  UNIQUE ("soapNote_id", revision)
+);
+
+-- Existing notes start their history at their current version
+INSERT INTO "soapNoteRevisions" ("soapNote_id", revision, user_id, source, "encrypted_soapNote_text", iv, created_at)
+SELECT id, 1, user_id, 'baseline', "encrypted_soapNote_text", iv, COALESCE(updated_at, created_at)
+FROM "soapNotes"
+WHERE "encrypted_soapNote_text" IS NOT NULL
+ON CONFLICT ("soapNote_id", revision) DO NOTHING;
+
+-- Verification query
+-- SELECT "soapNote_id", revision, source, user_id, restored_from_revision, created_at FROM "soapNoteRevisions" ORDER BY id DESC LIMIT 10;
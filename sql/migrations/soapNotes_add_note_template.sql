@@ -0,0 +1,11 @@
+-- Note template a note was generated with (see src/utils/noteTemplates.js)
+-- note_template is the job's snapshot, so section regeneration keeps the note's layout after the template
+-- is edited, deleted or another template becomes the default
+-- NULL = built-in template, or a note saved before this migration (regeneration uses the user's default template)
+ALTER TABLE "soapNotes"
+ADD COLUMN IF NOT EXISTS note_template_id bigint
+REFERENCES "noteTemplates" (id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS note_template jsonb;
+
+-- Verification query
+-- SELECT id, note_type, note_template_id, note_template->>'name' AS note_template_name FROM "soapNotes" ORDER BY id DESC LIMIT 10;
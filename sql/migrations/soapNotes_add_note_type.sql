@@ -0,0 +1,21 @@
+-- Note type of a generated note (see src/utils/noteTypes.js)
+-- soapNotes stores every note type; rows created before this migration are SOAP notes
+ALTER TABLE "soapNotes"
+ADD COLUMN IF NOT EXISTS note_type text NOT NULL DEFAULT 'soap';
+
+ALTER TABLE "soapNotes" DROP CONSTRAINT IF EXISTS soapNotes_note_type_check;
+ALTER TABLE "soapNotes"
+ADD CONSTRAINT soapNotes_note_type_check
+CHECK (note_type IN ('soap', 'history_and_physical', 'progress', 'procedure', 'discharge_summary'));
+
+-- Note type a prompt-llm job writes, pinned at creation
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS note_type text NOT NULL DEFAULT 'soap';
+
+ALTER TABLE "jobs" DROP CONSTRAINT IF EXISTS jobs_note_type_check;
+ALTER TABLE "jobs"
+ADD CONSTRAINT jobs_note_type_check
+CHECK (note_type IN ('soap', 'history_and_physical', 'progress', 'procedure', 'discharge_summary'));
+
+-- Verification query
+-- SELECT note_type, count(*) FROM "soapNotes" GROUP BY note_type;
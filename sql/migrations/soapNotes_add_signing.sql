@@ -0,0 +1,29 @@
+-- Note signing (POST /api/soap-notes/:id/sign)
+-- A signed note is final: sql/triggers/soapNote_prevent_signed_changes.sql rejects any update or delete,
+-- later changes are appended as addenda (POST /api/soap-notes/:id/addendum)
+-- content_hash: SHA-256 (hex) of the decrypted soapNote_text at signing (see src/utils/soapNoteSignature.js)
+ALTER TABLE "soapNotes"
+ADD COLUMN IF NOT EXISTS signed_at timestamptz,
+ADD COLUMN IF NOT EXISTS signed_by uuid REFERENCES auth.users (id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS content_hash text;
+
+ALTER TABLE "soapNotes" DROP CONSTRAINT IF EXISTS soapNotes_signature_check;
+ALTER TABLE "soapNotes"
+ADD CONSTRAINT soapNotes_signature_check
+CHECK (signed_at IS NULL OR (signed_by IS NOT NULL AND content_hash IS NOT NULL));
+
+-- Addenda to signed notes, encrypted with the patient encounter's AES key like soapNote_text
+-- Append-only: RLS in sql/policies/soapNoteAddenda_RLS.sql has no UPDATE or DELETE policy
+CREATE TABLE IF NOT EXISTS "soapNoteAddenda" (
+  id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  "soapNote_id" bigint NOT NULL REFERENCES "soapNotes" (id) ON DELETE CASCADE,
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id), -- author of the addendum
+  encrypted_addendum_text text NOT NULL,
+  iv text NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "soapNoteAddenda_soapNote_id_idx" ON "soapNoteAddenda" ("soapNote_id");
+
+-- Verification query
+-- SELECT id, note_type, signed_at, signed_by, content_hash, (SELECT count(*) FROM "soapNoteAddenda" a WHERE a."soapNote_id" = n.id) AS addenda FROM "soapNotes" n WHERE signed_at IS NOT NULL;
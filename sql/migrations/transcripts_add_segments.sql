@@ -0,0 +1,13 @@
+-- Diarized, timestamped transcript segments: JSON array of { speaker, start, end, text }
+-- Encrypted with the patient encounter's AES key, with their own IV (transcripts.iv belongs to the transcript text)
+ALTER TABLE "transcripts"
+ADD COLUMN IF NOT EXISTS encrypted_segments text,
+ADD COLUMN IF NOT EXISTS segments_iv text;
+
+-- Job payload copy, encrypted with the job key like transcript_text (see jobs_encrypt_payloads.sql)
+ALTER TABLE "jobs"
+ADD COLUMN IF NOT EXISTS encrypted_transcript_segments text,
+ADD COLUMN IF NOT EXISTS transcript_segments_iv text;
+
+-- Verification query
+-- SELECT id, encrypted_segments IS NOT NULL AS has_segments FROM "transcripts" ORDER BY id DESC LIMIT 10;
@@ -0,0 +1,32 @@
+-- Enable row level security
+-- Summaries are regenerated rather than edited: no UPDATE policy
+ALTER TABLE public."afterVisitSummaries" ENABLE ROW LEVEL SECURITY;
+
+create policy "Users can view their own afterVisitSummaries"
+on public."afterVisitSummaries"
+as PERMISSIVE
+for SELECT
+to authenticated
+using (
+    user_id = (SELECT auth.uid())
+);
+
+create policy "Users can insert their own afterVisitSummaries"
+on public."afterVisitSummaries"
+as PERMISSIVE
+for INSERT
+to authenticated
+with check (
+    user_id = (SELECT auth.uid()) AND
+    user_id IS NOT NULL AND
+    "patientEncounter_id" IN (
+        SELECT id FROM public."patientEncounters" WHERE user_id = (SELECT auth.uid())
+    )
+);
+
+create policy "Users can delete their own afterVisitSummaries"
+on public."afterVisitSummaries"
+as PERMISSIVE
+for DELETE
+to authenticated
+using (user_id = (SELECT auth.uid()));
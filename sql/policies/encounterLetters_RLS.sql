@@ -0,0 +1,32 @@
+-- Enable row level security
+-- Letters are regenerated rather than edited: no UPDATE policy
+ALTER TABLE public."encounterLetters" ENABLE ROW LEVEL SECURITY;
+
+create policy "Users can view their own encounterLetters"
+on public."encounterLetters"
+as PERMISSIVE
+for SELECT
+to authenticated
+using (
+    user_id = (SELECT auth.uid())
+);
+
+create policy "Users can insert their own encounterLetters"
+on public."encounterLetters"
+as PERMISSIVE
+for INSERT
+to authenticated
+with check (
+    user_id = (SELECT auth.uid()) AND
+    user_id IS NOT NULL AND
+    "patientEncounter_id" IN (
+        SELECT id FROM public."patientEncounters" WHERE user_id = (SELECT auth.uid())
+    )
+);
+
+create policy "Users can delete their own encounterLetters"
+on public."encounterLetters"
+as PERMISSIVE
+for DELETE
+to authenticated
+using (user_id = (SELECT auth.uid()));
@@ -1,7 +1,13 @@
 ALTER TABLE "jobs" ENABLE ROW LEVEL SECURITY;
 
-CREATE POLICY "users_read_own_jobs" ON "jobs"
-  FOR SELECT USING (auth.uid() = user_id);
+-- The former "service_role_all" policy (FOR ALL USING (true)) applied to every role,
+-- letting any signed-in user read and modify every job. The service role bypasses RLS,
+-- so the backend needs no policy at all.
+DROP POLICY IF EXISTS "service_role_all" ON "jobs";
+DROP POLICY IF EXISTS "users_read_own_jobs" ON "jobs";
 
-CREATE POLICY "service_role_all" ON "jobs"
-  FOR ALL USING (true);
\ No newline at end of file
+-- Users may read their own jobs only (payloads are encrypted; writes go through the API)
+CREATE POLICY "users_read_own_jobs" ON "jobs"
+  FOR SELECT
+  TO authenticated
+  USING (user_id = (SELECT auth.uid()));
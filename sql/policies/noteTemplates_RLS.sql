@@ -0,0 +1,43 @@
+-- Enable row level security
+ALTER TABLE public."noteTemplates" ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own note templates
+create policy "Users can view their own note templates"
+on public."noteTemplates"
+as PERMISSIVE
+for SELECT
+to authenticated
+using (
+    user_id = (SELECT auth.uid())
+);
+
+-- Users can insert their own note templates
+create policy "Users can insert their own note templates"
+on public."noteTemplates"
+as PERMISSIVE
+for INSERT
+to authenticated
+with check (
+    user_id = (SELECT auth.uid()) AND
+    user_id IS NOT NULL
+);
+
+-- Users can update their own note templates
+create policy "Users can update their own note templates"
+on public."noteTemplates"
+as PERMISSIVE
+for UPDATE
+to authenticated
+using (user_id = (SELECT auth.uid()))
+with check (
+    user_id = (SELECT auth.uid()) AND
+    user_id IS NOT NULL
+);
+
+-- Users can delete their own note templates
+create policy "Users can delete their own note templates"
+on public."noteTemplates"
+as PERMISSIVE
+for DELETE
+to authenticated
+using (user_id = (SELECT auth.uid()));
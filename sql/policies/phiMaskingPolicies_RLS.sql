@@ -0,0 +1,47 @@
+-- Enable row level security
+ALTER TABLE public."phiMaskingPolicies" ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own masking policy and their organization's (merged with theirs as a floor
+-- when masking, so they can read it but only the service role can change it)
+create policy "Users can view their own and their organization's masking policy"
+on public."phiMaskingPolicies"
+as PERMISSIVE
+for SELECT
+to authenticated
+using (
+    user_id = (SELECT auth.uid()) OR
+    organization_id = (SELECT auth.jwt() -> 'app_metadata' ->> 'organization_id')
+);
+
+-- Users can insert their own masking policy (organization policies: service role only)
+create policy "Users can insert their own masking policy"
+on public."phiMaskingPolicies"
+as PERMISSIVE
+for INSERT
+to authenticated
+with check (
+    user_id = (SELECT auth.uid()) AND
+    user_id IS NOT NULL AND
+    organization_id IS NULL
+);
+
+-- Users can update their own masking policy
+create policy "Users can update their own masking policy"
+on public."phiMaskingPolicies"
+as PERMISSIVE
+for UPDATE
+to authenticated
+using (user_id = (SELECT auth.uid()))
+with check (
+    user_id = (SELECT auth.uid()) AND
+    user_id IS NOT NULL AND
+    organization_id IS NULL
+);
+
+-- Users can delete their own masking policy
+create policy "Users can delete their own masking policy"
+on public."phiMaskingPolicies"
+as PERMISSIVE
+for DELETE
+to authenticated
+using (user_id = (SELECT auth.uid()));
@@ -0,0 +1,29 @@
+-- Enable row level security
+-- Addenda are append-only: no UPDATE or DELETE policies
+ALTER TABLE public."soapNoteAddenda" ENABLE ROW LEVEL SECURITY;
+
+-- Users can view addenda of their own SOAP notes
+create policy "Users can view addenda of their own soapNotes"
+on public."soapNoteAddenda"
+as PERMISSIVE
+for SELECT
+to authenticated
+using (
+    "soapNote_id" IN (
+        SELECT id FROM public."soapNotes" WHERE user_id = (SELECT auth.uid())
+    )
+);
+
+-- Users can add addenda to their own signed SOAP notes
+create policy "Users can insert addenda to their own signed soapNotes"
+on public."soapNoteAddenda"
+as PERMISSIVE
+for INSERT
+to authenticated
+with check (
+    user_id = (SELECT auth.uid()) AND
+    user_id IS NOT NULL AND
+    "soapNote_id" IN (
+        SELECT id FROM public."soapNotes" WHERE user_id = (SELECT auth.uid()) AND signed_at IS NOT NULL
+    )
+);
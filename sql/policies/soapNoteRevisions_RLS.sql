@@ -0,0 +1,16 @@
+-- Enable row level security
+-- Revisions are written by the soapNote_record_revision trigger (SECURITY DEFINER) and are never
+-- updated or deleted by users; rows go away only with their SOAP note (ON DELETE CASCADE)
+ALTER TABLE public."soapNoteRevisions" ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the revisions of their own SOAP notes
+create policy "Users can view revisions of their own soapNotes"
+on public."soapNoteRevisions"
+as PERMISSIVE
+for SELECT
+to authenticated
+using (
+    "soapNote_id" IN (
+        SELECT id FROM public."soapNotes" WHERE user_id = (SELECT auth.uid())
+    )
+);
@@ -0,0 +1,48 @@
+-- One default note template per user, switched atomically
+-- Making a template the default clears is_default on the user's other templates in the same statement
+-- (before the row is written, so the "noteTemplates_one_default_per_user" unique index never sees two defaults
+-- and a failed insert or update leaves the previous default in place)
+
+-- Drop the existing trigger if it exists
+DROP TRIGGER IF EXISTS noteTemplates_single_default ON "noteTemplates";
+
+-- Create trigger function to clear the previous default
+CREATE OR REPLACE FUNCTION notetemplates_single_default()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.is_default AND (TG_OP = 'INSERT' OR NOT OLD.is_default) THEN
+        UPDATE "noteTemplates"
+        SET is_default = false
+        WHERE user_id = NEW.user_id
+          AND is_default
+          AND id IS DISTINCT FROM NEW.id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Create the trigger on noteTemplates table
+CREATE TRIGGER noteTemplates_single_default
+    BEFORE INSERT OR UPDATE OF is_default ON "noteTemplates"
+    FOR EACH ROW
+    EXECUTE FUNCTION notetemplates_single_default();
+
+
+
+-- ===== VERIFICATION QUERIES =====
+
+-- Check if trigger exists on noteTemplates
+SELECT 
+    trigger_name,
+    event_manipulation AS event_name,
+    action_timing,
+    action_statement
+FROM information_schema.triggers 
+WHERE trigger_name = 'notetemplates_single_default'
+  AND event_object_table = 'noteTemplates';
+
+-- Users with more than one default (should return no rows)
+-- SELECT user_id, count(*) FROM "noteTemplates" WHERE is_default GROUP BY user_id HAVING count(*) > 1;
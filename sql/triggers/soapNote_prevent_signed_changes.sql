@@ -0,0 +1,91 @@
+-- Drop the existing triggers if they exist
+DROP TRIGGER IF EXISTS prevent_signed_soapnotes_changes ON "soapNotes";
+DROP TRIGGER IF EXISTS prevent_soapnote_addenda_changes ON "soapNoteAddenda";
+
+-- Create trigger function to lock signed SOAP notes
+-- Raised with SQLSTATE 55000 (object_not_in_prerequisite_state); the API maps it to 409
+CREATE OR REPLACE FUNCTION prevent_signed_soapnotes_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Signed notes cannot be deleted, directly or through their patient encounter
+    IF TG_OP = 'DELETE' THEN
+        IF OLD.signed_at IS NOT NULL THEN
+            RAISE EXCEPTION 'Cannot delete signed SOAP note %', OLD.id
+                USING ERRCODE = '55000';
+        END IF;
+        RETURN OLD;
+    END IF;
+
+    -- Signed notes cannot be changed at all (including unsigning)
+    IF OLD.signed_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Cannot change signed SOAP note %; add an addendum instead', OLD.id
+            USING ERRCODE = '55000';
+    END IF;
+
+    -- Signing must not change the content the hash was computed over
+    IF NEW.signed_at IS NOT NULL AND (
+        OLD."encrypted_soapNote_text" IS DISTINCT FROM NEW."encrypted_soapNote_text" OR
+        OLD.iv IS DISTINCT FROM NEW.iv
+    ) THEN
+        RAISE EXCEPTION 'Cannot change SOAP note % content while signing', OLD.id
+            USING ERRCODE = '55000';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Create trigger function to keep addenda append-only
+CREATE OR REPLACE FUNCTION prevent_soapnote_addenda_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NOT EXISTS (
+            SELECT 1 FROM "soapNotes" WHERE id = NEW."soapNote_id" AND signed_at IS NOT NULL
+        ) THEN
+            RAISE EXCEPTION 'Addenda can only be added to signed SOAP notes (SOAP note %)', NEW."soapNote_id"
+                USING ERRCODE = '55000';
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'Cannot % SOAP note addendum %', lower(TG_OP), OLD.id
+        USING ERRCODE = '55000';
+END;
+$$;
+
+-- Create the triggers
+CREATE TRIGGER prevent_signed_soapnotes_changes
+    BEFORE UPDATE OR DELETE ON "soapNotes"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_signed_soapnotes_changes();
+
+CREATE TRIGGER prevent_soapnote_addenda_changes
+    BEFORE INSERT OR UPDATE OR DELETE ON "soapNoteAddenda"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_soapnote_addenda_changes();
+
+
+
+-- ===== VERIFICATION QUERIES =====
+
+-- Check if the trigger functions exist
+SELECT
+    routine_name,
+    routine_type
+FROM information_schema.routines
+WHERE routine_name IN ('prevent_signed_soapnotes_changes', 'prevent_soapnote_addenda_changes')
+    AND routine_schema = 'public';
+
+-- Check if the triggers exist
+SELECT
+    trigger_name,
+    event_object_table,
+    event_manipulation AS event_name,
+    action_timing
+FROM information_schema.triggers
+WHERE trigger_name IN ('prevent_signed_soapnotes_changes', 'prevent_soapnote_addenda_changes');
@@ -0,0 +1,81 @@
+-- Drop the existing trigger if it exists
+DROP TRIGGER IF EXISTS soapnotes_record_revision ON "soapNotes";
+
+-- Create trigger function that appends a soapNoteRevisions row for every saved version of a note
+-- Author is the requesting user (auth.uid()), or the note owner for service role writes (job saves)
+-- A restore copies a revision's ciphertext and iv verbatim; IVs are random per encryption,
+-- so an identical ciphertext/iv pair marks the new revision as restored from that one
+CREATE OR REPLACE FUNCTION soapnotes_record_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    next_revision integer;
+    restored_from integer;
+    revision_source text;
+BEGIN
+    IF NEW."encrypted_soapNote_text" IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+       AND OLD."encrypted_soapNote_text" IS NOT DISTINCT FROM NEW."encrypted_soapNote_text"
+       AND OLD.iv IS NOT DISTINCT FROM NEW.iv THEN
+        RETURN NEW;
+    END IF;
+
+    -- Concurrent updates of the same note are serialized by the soapNotes row lock
+    SELECT COALESCE(MAX(revision), 0) + 1 INTO next_revision
+    FROM "soapNoteRevisions"
+    WHERE "soapNote_id" = NEW.id;
+
+    SELECT revision INTO restored_from
+    FROM "soapNoteRevisions"
+    WHERE "soapNote_id" = NEW.id
+      AND "encrypted_soapNote_text" = NEW."encrypted_soapNote_text"
+      AND iv IS NOT DISTINCT FROM NEW.iv
+    ORDER BY revision DESC
+    LIMIT 1;
+
+    IF restored_from IS NOT NULL THEN
+        revision_source := 'restored';
+    ELSIF TG_OP = 'INSERT' THEN
+        revision_source := 'created';
+    ELSE
+        revision_source := 'edited';
+    END IF;
+
+    INSERT INTO "soapNoteRevisions" ("soapNote_id", revision, user_id, source, restored_from_revision, "encrypted_soapNote_text", iv)
+    VALUES (NEW.id, next_revision, COALESCE(auth.uid(), NEW.user_id), revision_source, restored_from, NEW."encrypted_soapNote_text", NEW.iv);
+
+    RETURN NEW;
+END;
+$$;
+
+-- Create the trigger on soapNotes table
+CREATE TRIGGER soapnotes_record_revision
+    AFTER INSERT OR UPDATE OF "encrypted_soapNote_text", iv ON "soapNotes"
+    FOR EACH ROW
+    EXECUTE FUNCTION soapnotes_record_revision();
+
+
+
+-- ===== VERIFICATION QUERIES =====
+
+-- Check if trigger exists on soapNotes
+SELECT
+    trigger_name,
+    event_manipulation AS event_name,
+    action_timing,
+    action_statement
+FROM information_schema.triggers
+WHERE trigger_name = 'soapnotes_record_revision'
+  AND event_object_table = 'soapNotes';
+
+-- Latest revisions
+SELECT "soapNote_id", revision, source, restored_from_revision, user_id, created_at
+FROM "soapNoteRevisions"
+ORDER BY id DESC
+LIMIT 10;
@@ -3,4 +3,5 @@ export { recordingSchema } from '@/src/app/schemas/recording';
 export { transcriptSchema } from '@/src/app/schemas/transcript';
 export { patientEncounterSchema } from '@/src/app/schemas/patientEncounter';
 export { dotPhraseSchema } from '@/src/app/schemas/dotPhrase';
+export { noteTemplateSchema } from '@/src/app/schemas/noteTemplate';
 // Add more schemas as needed
\ No newline at end of file
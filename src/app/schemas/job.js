@@ -6,13 +6,40 @@
  */
 
 import { z } from 'zod';
+import { LLM_PROVIDER_NAMES } from '../../utils/llmProviders.js';
+import { TRANSCRIPTION_PROVIDER_NAMES } from '../../utils/transcriptionProviders.js';
+import { NOTE_TYPE_NAMES } from '../../utils/noteTypes.js';
 
 // Job status enum
-export const jobStatusEnum = z.enum(['pending', 'transcribing', 'generating', 'complete', 'error']);
+export const jobStatusEnum = z.enum(['pending', 'transcribing', 'generating', 'complete', 'error', 'cancelled']);
 
-// Job creation request (what client sends)
+// Statuses where the job is queued or being processed (can still be cancelled)
+export const JOB_ACTIVE_STATUSES = ['pending', 'transcribing', 'generating'];
+
+// Final statuses, the processor never moves a job out of these
+export const JOB_TERMINAL_STATUSES = ['complete', 'error', 'cancelled'];
+
+// LLM provider enum (null in DB = deployment default)
+export const llmProviderEnum = z.enum(LLM_PROVIDER_NAMES);
+
+// Transcription provider enum (null in DB = deployment default)
+export const transcriptionProviderEnum = z.enum(TRANSCRIPTION_PROVIDER_NAMES);
+
+// Note type enum (see noteTypes.js)
+export const noteTypeEnum = z.enum(NOTE_TYPE_NAMES);
+
+// Where the job's transcript comes from ('recording' is transcribed, the others skip transcription)
+export const jobInputSourceEnum = z.enum(['recording', 'transcript', 'text']);
+
+// Job creation request (what client sends): one of recording_file_path, transcript_id, transcript_text
 export const jobCreateRequestSchema = z.object({
-  recording_file_path: z.string().min(1, 'Recording file path is required'),
+  recording_file_path: z.string().min(1, 'Recording file path is required').optional(),
+  transcript_id: z.number().int().positive().optional(),
+  transcript_text: z.string().min(1, 'Transcript text is required').optional(),
+  llm_provider: llmProviderEnum.optional(),
+  transcription_provider: transcriptionProviderEnum.optional(),
+  note_type: noteTypeEnum.optional(),
+  note_template_id: z.number().int().positive().optional(),
 });
 
 // Job response (what API returns)
@@ -23,9 +50,21 @@ export const jobResponseSchema = z.object({
   user_id: z.string().uuid(),
   status: jobStatusEnum,
   error_message: z.string().nullable().optional(),
-  recording_file_path: z.string(),
+  recording_file_path: z.string().nullable(),
+  input_source: jobInputSourceEnum.optional(),
+  source_transcript_id: z.number().int().nullable().optional(), // Stored transcript the job was started from
+  llm_provider: llmProviderEnum.nullable().optional(),
+  transcription_provider: transcriptionProviderEnum.nullable().optional(),
+  note_type: noteTypeEnum.optional(),
+  note_template_id: z.number().int().nullable().optional(), // Template the SOAP note was generated with (null = built-in)
   transcript_text: z.string().nullable().optional(),
   soap_note_text: z.string().nullable().optional(), // Stored as JSON string in DB
+  progress: z.object({ // Chunk progress while a long recording is transcribed
+    chunks_total: z.number().int(),
+    chunks_done: z.number().int(),
+  }).nullable().optional(),
+  purged_at: z.string().datetime().nullable().optional(), // Set when transcript/SOAP text were deleted
+  saved_patient_encounter_id: z.number().int().nullable().optional(), // Set by POST /api/jobs/prompt-llm/:jobId/save
 });
 
 // Update job request (for backend internal use)
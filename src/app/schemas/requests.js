@@ -62,5 +62,7 @@ export const transcriptForDatabaseSchema = z.object({
   patientEncounter_id: z.number().int().optional(),
   encrypted_transcript_text: z.string().nullable(),
   iv: z.string().nullable().optional(),
+  encrypted_segments: z.string().nullable().optional(),
+  segments_iv: z.string().nullable().optional(),
   user_id: z.string().regex(uuidRegex, 'Invalid UUID').optional(),
 });
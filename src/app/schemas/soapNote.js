@@ -10,4 +10,7 @@ export const soapNoteSchema = z.object({
   patientEncounter_id: z.number().int().optional(), // int8 in SQL, optional for auto-increment
   encrypted_soapNote_text: z.string().nullable(),
   iv: z.string().nullable().optional(),
+  note_type: z.string().optional(), // soap, history_and_physical, progress, procedure, discharge_summary
+  note_template_id: z.number().int().nullable().optional(), // template the note was generated with
+  note_template: z.record(z.string(), z.any()).nullable().optional(), // snapshot of that template
 });
\ No newline at end of file
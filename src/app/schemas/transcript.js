@@ -10,4 +10,6 @@ export const transcriptSchema = z.object({
   recording_id: z.number().int().optional(),
   encrypted_transcript_text: z.string().nullable(),
   iv: z.string().nullable().optional(),
+  encrypted_segments: z.string().nullable().optional(), // JSON array of { speaker, start, end, text }
+  segments_iv: z.string().nullable().optional(),
 });
\ No newline at end of file
@@ -0,0 +1,364 @@
+/**
+ * After-Visit Summaries Controller
+ * Generates, reads, exports and deletes patient-facing after-visit summaries
+ * Summaries are generated from the encounter's transcript and latest SOAP note
+ * (mask_phi -> LLM -> unmask_phi) and stored encrypted with the encounter's AES key
+ * See afterVisitSummary.js for the stored format
+ */
+import { getSupabaseClient } from '../../utils/supabase.js';
+import * as encryptionUtils from '../../utils/encryptionUtils.js';
+import { getLatestSoapNoteForPatientEncounter, getPatientEncounterTranscriptForPrompt } from '../../utils/patientEncounterUtils.js';
+import { mask_phi, unmask_phi } from '../../utils/maskPhiHelper.js';
+import { buildMaskingDocument, splitMaskingDocument } from '../../utils/maskingDocument.js';
+import { generateJson } from '../../utils/llmProviders.js';
+import { getAfterVisitSummaryPrompt } from '../../utils/gptRequestBodies.js';
+import { cleanRawText } from '../../utils/cleanRawText.js';
+import { DEFAULT_NOTE_TYPE } from '../../utils/noteTypes.js';
+import { renderNoteExport } from '../../utils/soapNoteExport.js';
+import {
+  DEFAULT_READING_LEVEL,
+  buildSummaryExport,
+  formatNoteForSummary,
+  isPdfRenderable,
+  resolveSummaryLanguage,
+  toStoredSummary,
+} from '../../utils/afterVisitSummary.js';
+
+const afterVisitSummaryTable = 'afterVisitSummaries';
+// Summary metadata returned by the list endpoint (no summary text)
+const SUMMARY_COLUMNS = 'id, created_at, user_id, patientEncounter_id, soapNote_id, reading_level, language';
+
+/**
+ * Helper: Validates bigint ID format
+ */
+function isValidBigInt(id) {
+  if (!id) return false;
+  try {
+    const parsed = BigInt(id);
+    return parsed > 0n;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper: Decrypts and parses summary_text for a summary row
+ * Expects summary to have patientEncounter.encrypted_aes_key joined
+ * Returns { success, error, summary }
+ */
+async function decryptSummaryText(summary) {
+  const encryptedAESKey = summary.patientEncounter?.encrypted_aes_key || null;
+  const decryptFieldResult = await encryptionUtils.decryptField(summary, 'summary_text', encryptedAESKey);
+  if (!decryptFieldResult.success) {
+    console.error('Failed to decrypt after-visit summary:', summary.id, '. Error:', decryptFieldResult.error);
+    return { success: false, error: decryptFieldResult.error };
+  }
+
+  try {
+    summary.summary_text = JSON.parse(summary.summary_text);
+  } catch (parseError) {
+    console.error('Failed to parse after-visit summary:', summary.id, '. Error:', parseError);
+    return { success: false, error: 'After-visit summary text could not be parsed' };
+  }
+
+  delete summary.patientEncounter;
+  return { success: true, summary };
+}
+
+/**
+ * Generate an after-visit summary for a patient encounter
+ * POST /api/after-visit-summaries
+ * Body: { patientEncounter_id, reading_level?, language?, llm_provider? }
+ * Uses the encounter's transcript and latest SOAP note (if any); both are masked together with mask_phi,
+ * the LLM writes the summary, and the unmasked result is stored encrypted.
+ */
+export async function generateAfterVisitSummary(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { patientEncounter_id, reading_level = DEFAULT_READING_LEVEL, language, llm_provider } = request.body;
+
+    let summaryLanguage;
+    try {
+      summaryLanguage = resolveSummaryLanguage(language);
+    } catch (err) {
+      return reply.status(err.status || 400).send({ error: err.message });
+    }
+
+    // Transcript (RLS limits the encounter to its owner)
+    const transcriptResult = await getPatientEncounterTranscriptForPrompt(supabase, patientEncounter_id);
+    if (!transcriptResult.success) {
+      return reply.status(transcriptResult.statusCode || 500).send({ error: transcriptResult.error });
+    }
+    const { encounter, promptTranscript, speakerLabelled, aes_key } = transcriptResult;
+
+    const soapNoteResult = await getLatestSoapNoteForPatientEncounter(supabase, patientEncounter_id, aes_key);
+    if (!soapNoteResult.success) {
+      return reply.status(soapNoteResult.statusCode || 500).send({ error: soapNoteResult.error });
+    }
+    const { soapNote } = soapNoteResult;
+    const noteText = soapNote ? formatNoteForSummary(soapNote.soapNote_text, soapNote.note_type || DEFAULT_NOTE_TYPE) : '';
+
+    // Mask transcript and note together so they share one token map
+    let masked;
+    let tokens;
+    let surrogates;
+    try {
+      const maskResult = await mask_phi(buildMaskingDocument({ transcript: promptTranscript, note: noteText }), undefined, { seed: encounter.encrypted_aes_key });
+      masked = splitMaskingDocument(maskResult.masked_transcript, ['transcript', 'note']);
+      tokens = maskResult.tokens || {};
+      surrogates = maskResult.surrogates;
+    } catch (maskError) {
+      console.error('PHI masking failed for after-visit summary, encounter:', patientEncounter_id, '. Error:', maskError);
+      return reply.status(502).send({ error: `PHI masking failed: ${maskError.message}` });
+    }
+
+    const prompt = getAfterVisitSummaryPrompt(masked.transcript, {
+      noteText: masked.note,
+      readingLevel: reading_level,
+      languageName: summaryLanguage.name,
+      speakerLabelled,
+    });
+
+    let summary;
+    try {
+      const raw = await generateJson(prompt, { provider: llm_provider });
+      if (!raw) {
+        throw new Error('Empty response from LLM provider');
+      }
+      const rawString = cleanRawText(typeof raw === 'string' ? raw : JSON.stringify(raw));
+      const { unmasked_transcript: unmaskedString } = unmask_phi(rawString, tokens, { surrogates });
+      summary = toStoredSummary(JSON.parse(unmaskedString));
+    } catch (llmError) {
+      console.error('LLM after-visit summary failed for encounter:', patientEncounter_id, '. Error:', llmError);
+      return reply.status(502).send({ error: `After-visit summary generation failed: ${llmError.message}` });
+    }
+
+    // Encrypt with the encounter's key, like soapNotes
+    const encryptResult = encryptionUtils.encryptField(
+      { summary_text: JSON.stringify(summary) },
+      'summary_text',
+      encounter.encrypted_aes_key
+    );
+    if (!encryptResult.success) {
+      return reply.status(500).send({ error: 'Failed to encrypt after-visit summary' });
+    }
+
+    const { data: created, error: insertError } = await supabase
+      .from(afterVisitSummaryTable)
+      .insert({
+        user_id: user.id,
+        patientEncounter_id,
+        soapNote_id: soapNote?.id ?? null,
+        reading_level,
+        language: summaryLanguage.code,
+        encrypted_summary_text: encryptResult.value,
+        iv: encryptResult.iv,
+      })
+      .select(SUMMARY_COLUMNS)
+      .single();
+
+    if (insertError) {
+      console.error('Insert error:', insertError);
+      return reply.status(500).send({ error: insertError.message });
+    }
+
+    return reply.status(201).send({ ...created, summary_text: summary });
+  } catch (error) {
+    console.error('Error generating after-visit summary:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * List after-visit summaries (metadata only, newest first)
+ * GET /api/after-visit-summaries?patientEncounter_id=
+ */
+export async function getAllAfterVisitSummaries(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { patientEncounter_id } = request.query;
+
+    let query = supabase
+      .from(afterVisitSummaryTable)
+      .select(SUMMARY_COLUMNS)
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false });
+    if (patientEncounter_id) {
+      query = query.eq('patientEncounter_id', patientEncounter_id);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return reply.status(500).send({ error: error.message });
+    }
+
+    return reply.status(200).send(data);
+  } catch (error) {
+    console.error('Error fetching after-visit summaries:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Helper: Fetch and decrypt a single summary with its encounter's key and date
+ * Returns { success, data, error, status }
+ */
+async function fetchAfterVisitSummary(supabase, userId, id) {
+  const { data: summary, error } = await supabase
+    .from(afterVisitSummaryTable)
+    .select(`
+      *,
+      patientEncounter:patientEncounter_id (
+        encrypted_aes_key,
+        created_at
+      )
+    `)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !summary) {
+    return { success: false, data: null, error: 'After-visit summary not found', status: 404 };
+  }
+
+  const encounterDate = summary.patientEncounter?.created_at;
+  const decryptResult = await decryptSummaryText(summary);
+  if (!decryptResult.success) {
+    return { success: false, data: null, error: decryptResult.error, status: 500 };
+  }
+  return { success: true, data: { summary: decryptResult.summary, encounterDate }, error: null };
+}
+
+/**
+ * Get a single after-visit summary
+ * GET /api/after-visit-summaries/:id
+ */
+export async function getAfterVisitSummary(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid after-visit summary ID format' });
+    }
+
+    const result = await fetchAfterVisitSummary(supabase, user.id, id);
+    if (!result.success) {
+      return reply.status(result.status).send({ error: result.error });
+    }
+
+    return reply.status(200).send(result.data.summary);
+  } catch (error) {
+    console.error('Error fetching after-visit summary:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Download an after-visit summary as PDF, DOCX, plain text or Markdown
+ * GET /api/after-visit-summaries/:id/export?format=pdf|docx|txt|md
+ * PDF uses the built-in Latin fonts; summaries in other scripts get a 422 and can use the other formats
+ */
+export async function exportAfterVisitSummaryHandler(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+    const { format } = request.query;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid after-visit summary ID format' });
+    }
+
+    const result = await fetchAfterVisitSummary(supabase, user.id, id);
+    if (!result.success) {
+      return reply.status(result.status).send({ error: result.error });
+    }
+
+    const model = buildSummaryExport(result.data.summary.summary_text, { encounterDate: result.data.encounterDate });
+    if (format === 'pdf' && !isPdfRenderable(model)) {
+      return reply.status(422).send({ error: 'PDF export supports Latin-script languages only; use docx, txt or md' });
+    }
+    const file = await renderNoteExport(model, format);
+
+    // No patient name in the filename: downloads end up in browser history and shared folders
+    return reply
+      .status(200)
+      .header('Content-Type', file.contentType)
+      .header('Content-Disposition', `attachment; filename="after-visit-summary-${id}.${file.extension}"`)
+      .header('Cache-Control', 'no-store')
+      .send(file.body);
+  } catch (error) {
+    console.error('Error exporting after-visit summary:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Delete an after-visit summary
+ * DELETE /api/after-visit-summaries/:id
+ */
+export async function deleteAfterVisitSummary(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid after-visit summary ID format' });
+    }
+
+    // Delete summary and return the deleted metadata (RLS policy ensures user can only delete their own)
+    const { data, error: deleteError } = await supabase
+      .from(afterVisitSummaryTable)
+      .delete()
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select(SUMMARY_COLUMNS)
+      .single();
+
+    if (deleteError) {
+      if (deleteError.code === 'PGRST116') {
+        return reply.status(404).send({ error: 'After-visit summary not found' });
+      }
+      console.error('Delete error:', deleteError);
+      return reply.status(500).send({ error: deleteError.message });
+    }
+
+    return reply.status(200).send({ success: true, data });
+  } catch (error) {
+    console.error('Error deleting after-visit summary:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
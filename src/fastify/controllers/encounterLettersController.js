@@ -0,0 +1,354 @@
+/**
+ * Encounter Letters Controller
+ * Generates, reads, exports and deletes referral and prior authorization letters for a patient encounter
+ * Letter bodies are generated from the encounter's transcript and latest SOAP note
+ * (mask_phi -> LLM -> unmask_phi) and stored encrypted with the encounter's AES key
+ * See encounterLetters.js for the letter types and stored format
+ */
+import { getSupabaseClient } from '../../utils/supabase.js';
+import * as encryptionUtils from '../../utils/encryptionUtils.js';
+import { getLatestSoapNoteForPatientEncounter, getPatientEncounterTranscriptForPrompt } from '../../utils/patientEncounterUtils.js';
+import { mask_phi, unmask_phi } from '../../utils/maskPhiHelper.js';
+import { buildMaskingDocument, splitMaskingDocument } from '../../utils/maskingDocument.js';
+import { generateJson } from '../../utils/llmProviders.js';
+import { getEncounterLetterPrompt } from '../../utils/gptRequestBodies.js';
+import { cleanRawText } from '../../utils/cleanRawText.js';
+import { DEFAULT_NOTE_TYPE } from '../../utils/noteTypes.js';
+import { renderNoteExport } from '../../utils/soapNoteExport.js';
+import { buildLetterExport, formatNoteForLetter, toStoredLetter } from '../../utils/encounterLetters.js';
+
+const encounterLetterTable = 'encounterLetters';
+// Letter metadata returned by the list endpoint (no letter text)
+const LETTER_COLUMNS = 'id, created_at, user_id, patientEncounter_id, soapNote_id, letter_type';
+const MASKING_PARTS = ['transcript', 'note', 'requested_service', 'instructions'];
+
+/**
+ * Helper: Validates bigint ID format
+ */
+function isValidBigInt(id) {
+  if (!id) return false;
+  try {
+    const parsed = BigInt(id);
+    return parsed > 0n;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper: Fetch and decrypt a single letter of a patient encounter
+ * Returns { success, data, error, status }
+ */
+async function fetchEncounterLetter(supabase, userId, patientEncounterId, letterId) {
+  const { data: letter, error } = await supabase
+    .from(encounterLetterTable)
+    .select(`
+      *,
+      patientEncounter:patientEncounter_id (
+        encrypted_aes_key
+      )
+    `)
+    .eq('id', letterId)
+    .eq('patientEncounter_id', patientEncounterId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !letter) {
+    return { success: false, data: null, error: 'Letter not found', status: 404 };
+  }
+
+  const encryptedAESKey = letter.patientEncounter?.encrypted_aes_key || null;
+  const decryptFieldResult = await encryptionUtils.decryptField(letter, 'letter_text', encryptedAESKey);
+  if (!decryptFieldResult.success) {
+    console.error('Failed to decrypt letter:', letter.id, '. Error:', decryptFieldResult.error);
+    return { success: false, data: null, error: decryptFieldResult.error, status: 500 };
+  }
+
+  try {
+    letter.letter_text = JSON.parse(letter.letter_text);
+  } catch (parseError) {
+    console.error('Failed to parse letter:', letter.id, '. Error:', parseError);
+    return { success: false, data: null, error: 'Letter text could not be parsed', status: 500 };
+  }
+
+  delete letter.patientEncounter;
+  return { success: true, data: letter, error: null };
+}
+
+/**
+ * Generate a referral or prior authorization letter for a patient encounter
+ * POST /api/patient-encounters/:id/letters
+ * Body: { letter_type, recipient, requested_service?, instructions?, llm_provider? }
+ * The transcript, the latest SOAP note's assessment / plan (if any), the requested service and the
+ * instructions are masked together with mask_phi; the LLM writes the letter body and the unmasked
+ * letter, with the recipient block and checked ICD-10 codes added, is stored encrypted.
+ * Flagged codes are not put in the letter; letter_text.omitted_codes lists them for review.
+ */
+export async function generateEncounterLetter(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id: patientEncounterId } = request.params;
+    const { letter_type, recipient, requested_service, instructions, llm_provider } = request.body;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(patientEncounterId)) {
+      return reply.status(400).send({ error: 'Invalid patient encounter ID format' });
+    }
+
+    // Transcript (RLS limits the encounter to its owner)
+    const transcriptResult = await getPatientEncounterTranscriptForPrompt(supabase, patientEncounterId);
+    if (!transcriptResult.success) {
+      return reply.status(transcriptResult.statusCode || 500).send({ error: transcriptResult.error });
+    }
+    const { encounter, promptTranscript, speakerLabelled, aes_key } = transcriptResult;
+
+    const soapNoteResult = await getLatestSoapNoteForPatientEncounter(supabase, patientEncounterId, aes_key);
+    if (!soapNoteResult.success) {
+      return reply.status(soapNoteResult.statusCode || 500).send({ error: soapNoteResult.error });
+    }
+    const { soapNote } = soapNoteResult;
+    const { noteText, icd10Codes, cptCodes, omittedCodes } = soapNote
+      ? formatNoteForLetter(soapNote.soapNote_text, soapNote.note_type || DEFAULT_NOTE_TYPE)
+      : { noteText: '', icd10Codes: [], cptCodes: [], omittedCodes: [] };
+
+    // Mask everything the LLM sees together so it shares one token map
+    let masked;
+    let tokens;
+    let surrogates;
+    try {
+      const maskResult = await mask_phi(buildMaskingDocument({
+        transcript: promptTranscript,
+        note: noteText,
+        requested_service,
+        instructions,
+      }), undefined, { seed: encounter.encrypted_aes_key });
+      masked = splitMaskingDocument(maskResult.masked_transcript, MASKING_PARTS);
+      tokens = maskResult.tokens || {};
+      surrogates = maskResult.surrogates;
+    } catch (maskError) {
+      console.error('PHI masking failed for letter, encounter:', patientEncounterId, '. Error:', maskError);
+      return reply.status(502).send({ error: `PHI masking failed: ${maskError.message}` });
+    }
+
+    const prompt = getEncounterLetterPrompt(masked.transcript, {
+      letterType: letter_type,
+      noteText: masked.note,
+      icd10Codes,
+      cptCodes: letter_type === 'prior_authorization' ? cptCodes : [],
+      recipientSpecialty: recipient.specialty,
+      requestedService: masked.requested_service,
+      instructions: masked.instructions,
+      speakerLabelled,
+    });
+
+    let letter;
+    try {
+      const raw = await generateJson(prompt, { provider: llm_provider });
+      if (!raw) {
+        throw new Error('Empty response from LLM provider');
+      }
+      const rawString = cleanRawText(typeof raw === 'string' ? raw : JSON.stringify(raw));
+      const { unmasked_transcript: unmaskedString } = unmask_phi(rawString, tokens, { surrogates });
+      letter = toStoredLetter(JSON.parse(unmaskedString), { letterType: letter_type, recipient, icd10Codes, cptCodes, omittedCodes });
+    } catch (llmError) {
+      console.error('LLM letter generation failed for encounter:', patientEncounterId, '. Error:', llmError);
+      return reply.status(502).send({ error: `Letter generation failed: ${llmError.message}` });
+    }
+
+    // Encrypt with the encounter's key, like soapNotes
+    const encryptResult = encryptionUtils.encryptField(
+      { letter_text: JSON.stringify(letter) },
+      'letter_text',
+      encounter.encrypted_aes_key
+    );
+    if (!encryptResult.success) {
+      return reply.status(500).send({ error: 'Failed to encrypt letter' });
+    }
+
+    const { data: created, error: insertError } = await supabase
+      .from(encounterLetterTable)
+      .insert({
+        user_id: user.id,
+        patientEncounter_id: encounter.id,
+        soapNote_id: soapNote?.id ?? null,
+        letter_type,
+        encrypted_letter_text: encryptResult.value,
+        iv: encryptResult.iv,
+      })
+      .select(LETTER_COLUMNS)
+      .single();
+
+    if (insertError) {
+      console.error('Insert error:', insertError);
+      return reply.status(500).send({ error: insertError.message });
+    }
+
+    return reply.status(201).send({ ...created, letter_text: letter });
+  } catch (error) {
+    console.error('Error generating letter:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * List the letters of a patient encounter (metadata only, newest first)
+ * GET /api/patient-encounters/:id/letters
+ */
+export async function getAllEncounterLetters(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id: patientEncounterId } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(patientEncounterId)) {
+      return reply.status(400).send({ error: 'Invalid patient encounter ID format' });
+    }
+
+    const { data, error } = await supabase
+      .from(encounterLetterTable)
+      .select(LETTER_COLUMNS)
+      .eq('patientEncounter_id', patientEncounterId)
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return reply.status(500).send({ error: error.message });
+    }
+
+    return reply.status(200).send(data);
+  } catch (error) {
+    console.error('Error fetching letters:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Get a single letter
+ * GET /api/patient-encounters/:id/letters/:letterId
+ */
+export async function getEncounterLetter(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id: patientEncounterId, letterId } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(patientEncounterId) || !isValidBigInt(letterId)) {
+      return reply.status(400).send({ error: 'Invalid patient encounter or letter ID format' });
+    }
+
+    const result = await fetchEncounterLetter(supabase, user.id, patientEncounterId, letterId);
+    if (!result.success) {
+      return reply.status(result.status).send({ error: result.error });
+    }
+
+    return reply.status(200).send(result.data);
+  } catch (error) {
+    console.error('Error fetching letter:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Download a letter as PDF, DOCX, plain text or Markdown
+ * GET /api/patient-encounters/:id/letters/:letterId/export?format=pdf|docx|txt|md
+ */
+export async function exportEncounterLetterHandler(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id: patientEncounterId, letterId } = request.params;
+    const { format } = request.query;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(patientEncounterId) || !isValidBigInt(letterId)) {
+      return reply.status(400).send({ error: 'Invalid patient encounter or letter ID format' });
+    }
+
+    const result = await fetchEncounterLetter(supabase, user.id, patientEncounterId, letterId);
+    if (!result.success) {
+      return reply.status(result.status).send({ error: result.error });
+    }
+
+    const letter = result.data;
+    const file = await renderNoteExport(buildLetterExport(letter.letter_text, { createdAt: letter.created_at }), format);
+
+    // No patient or recipient name in the filename: downloads end up in browser history and shared folders
+    return reply
+      .status(200)
+      .header('Content-Type', file.contentType)
+      .header('Content-Disposition', `attachment; filename="${letter.letter_type.replace(/_/g, '-')}-letter-${letterId}.${file.extension}"`)
+      .header('Cache-Control', 'no-store')
+      .send(file.body);
+  } catch (error) {
+    console.error('Error exporting letter:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Delete a letter
+ * DELETE /api/patient-encounters/:id/letters/:letterId
+ */
+export async function deleteEncounterLetter(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id: patientEncounterId, letterId } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(patientEncounterId) || !isValidBigInt(letterId)) {
+      return reply.status(400).send({ error: 'Invalid patient encounter or letter ID format' });
+    }
+
+    // Delete letter and return the deleted metadata (RLS policy ensures user can only delete their own)
+    const { data, error: deleteError } = await supabase
+      .from(encounterLetterTable)
+      .delete()
+      .eq('id', letterId)
+      .eq('patientEncounter_id', patientEncounterId)
+      .eq('user_id', user.id)
+      .select(LETTER_COLUMNS)
+      .single();
+
+    if (deleteError) {
+      if (deleteError.code === 'PGRST116') {
+        return reply.status(404).send({ error: 'Letter not found' });
+      }
+      console.error('Delete error:', deleteError);
+      return reply.status(500).send({ error: deleteError.message });
+    }
+
+    return reply.status(200).send({ success: true, data });
+  } catch (error) {
+    console.error('Error deleting letter:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
@@ -2,27 +2,218 @@
  * Job Controller
  * 
  * Handles job creation and status polling for SOAP note generation
- * - POST /api/jobs/prompt-llm - Create job, spawn async processor
+ * - POST /api/jobs/prompt-llm - Create job, queued for the job worker (jobQueue.js)
+ * - GET /api/jobs/prompt-llm - List jobs (status/date filters, pagination)
  * - GET /api/jobs/prompt-llm/:jobId - Poll job status and results
+ * - GET /api/jobs/prompt-llm/:jobId/events - Stream job status changes (SSE)
+ * - POST /api/jobs/prompt-llm/:jobId/cancel - Cancel a queued or running job
+ * - DELETE /api/jobs/prompt-llm/:jobId - Purge stored transcript and SOAP note text
+ * - POST /api/jobs/prompt-llm/:jobId/save - Save a completed job as a patient encounter
  */
 
 import { supabaseAdmin } from '../../utils/supabaseAdmin.js';
-import { promptLlmProcessor } from '../processors/promptLlmProcessor.js';
+import { getSupabaseClient } from '../../utils/supabase.js';
+import { notifyJobWorker } from '../processors/jobQueue.js';
 import parseSoapNotes from '../../utils/parseSoapNotes.js';
+import { structureBilling } from '../../utils/billingCodes.js';
+import { onJobUpdated, emitJobUpdated } from '../../utils/jobEvents.js';
+import { writeSseHeaders, sendSseEvent, sendSseKeepAlive } from '../../utils/sseHelper.js';
+import { JOB_ACTIVE_STATUSES, JOB_TERMINAL_STATUSES } from '../../app/schemas/job.js';
+import { createJobEncryptionKey, decryptJobFields, encryptJobFields } from '../../utils/jobEncryption.js';
+import { toStoredSoapNote } from '../../utils/soapNoteFormat.js';
+import { getUserTranscriptionProvider, resolveTranscriptionProviderName } from '../../utils/transcriptionProviders.js';
+import { createPatientEncounterBundle, rollbackPatientEncounterBundle } from './patientEncountersController.js';
+import { getNoteTemplateForUser } from './noteTemplatesController.js';
+import { getDecryptedTranscriptForUser } from './transcriptsController.js';
+import { DEFAULT_NOTE_TYPE } from '../../utils/noteTypes.js';
+
+// Plaintext transcript_text/soap_note_text are only populated on rows created before encryption
+const JOB_SELECT = 'id, status, encrypted_aes_key, encrypted_transcript_text, transcript_text_iv, encrypted_soap_note_text, soap_note_text_iv, encrypted_transcript_segments, transcript_segments_iv, encrypted_phi_review, phi_review_iv, transcript_text, soap_note_text, error_message, progress, purged_at, saved_patient_encounter_id, note_type, note_template_id, input_source, created_at, updated_at';
+
+// List view: metadata only, no PHI
+const JOB_LIST_SELECT = 'id, status, input_source, source_transcript_id, recording_file_path, llm_provider, transcription_provider, note_type, note_template_id, error_message, attempt_count, progress, purged_at, saved_patient_encounter_id, created_at, updated_at';
+
+const JOB_STATUS_MESSAGES = {
+  pending: 'Job queued...',
+  transcribing: 'Transcribing audio and masking PHI...',
+  generating: 'Creating SOAP note and billing suggestion...',
+  complete: 'SOAP note and billing suggestion created successfully!',
+  error: 'Job failed',
+  cancelled: 'Job cancelled',
+};
+
+// SSE stream tuning: DB poll fallback (worker may be another process), keep-alive, max stream lifetime
+const JOB_EVENTS_POLL_MS = 2000;
+const JOB_EVENTS_KEEPALIVE_MS = 15000;
+const JOB_EVENTS_MAX_STREAM_MS = 10 * 60 * 1000;
+
+/**
+ * Helper: Build the client-facing job payload
+ * Shared by the poll and SSE endpoints so both return the same shape.
+ * This is the only place job PHI is decrypted.
+ *
+ * @param {Object} jobRow - Job row (JOB_SELECT columns, still encrypted)
+ * @param {boolean} includeResult - Include parsed SOAP note when complete
+ * @returns {Object}
+ */
+function buildJobResponse(jobRow, includeResult) {
+  const job = { ...jobRow };
+  const decryptResult = decryptJobFields(job);
+
+  // Build base response (always include)
+  const response = {
+    id: job.id,
+    status: job.status,
+  };
+
+  // Add transcript and error if available
+  if (job.transcript_text) {
+    response.transcript_text = job.transcript_text;
+  }
+  if (job.transcript_segments) {
+    response.transcript_segments = JSON.parse(job.transcript_segments);
+  }
+  if (job.error_message) {
+    response.error_message = job.error_message;
+  }
+  if (job.progress) {
+    response.progress = job.progress;
+  }
+  if (job.purged_at) {
+    response.purged_at = job.purged_at;
+  }
+  if (job.saved_patient_encounter_id) {
+    response.saved_patient_encounter_id = job.saved_patient_encounter_id;
+  }
+  if (job.note_type) {
+    response.note_type = job.note_type;
+  }
+  if (job.note_template_id) {
+    response.note_template_id = job.note_template_id;
+  }
+  if (job.input_source) {
+    response.input_source = job.input_source;
+  }
+  if (!decryptResult.success) {
+    response.decrypt_error = decryptResult.error;
+  }
+
+  // If includeResult requested and job is complete, parse and return SOAP note
+  if (includeResult && job.status === 'complete' && job.soap_note_text) {
+    try {
+      const parsed = parseSoapNotes({ soap_note_text: job.soap_note_text });
+      response.soap_note = parsed.soap_note_text;
+    } catch (err) {
+      console.error('[buildJobResponse] Failed to parse SOAP note:', err);
+      response.soap_note_parse_error = err.message;
+    }
+
+    // Structured billing codes checked against the code tables
+    if (response.soap_note?.billing) {
+      try {
+        response.billing_codes = structureBilling(response.soap_note.billing);
+      } catch (err) {
+        console.error('[buildJobResponse] Failed to check billing codes:', err);
+      }
+    }
+
+    // PHI review of the generated note (jobs completed before the review have none)
+    if (job.phi_review) {
+      response.phi_review = JSON.parse(job.phi_review);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Helper: SSE event id for a job state (updated_at in ms, monotonic per job)
+ */
+function getJobEventId(job) {
+  return Date.parse(job.updated_at);
+}
 
 /**
  * POST /api/jobs/prompt-llm
  * 
  * Create a new SOAP note generation job
- * Immediately returns jobId, processes asynchronously in background
+ * Immediately returns jobId; the job worker leases and processes it in the background
+ * Jobs started from transcript_id or transcript_text store the transcript (encrypted) on the job at creation,
+ * and the worker skips transcription.
  * 
- * @param {Object} request - Fastify request with { recording_file_path }
+ * @param {Object} request - Fastify request with { recording_file_path | transcript_id | transcript_text, llm_provider?, transcription_provider?, note_type?, note_template_id? }
  * @param {Object} reply - Fastify reply
  */
 export async function createPromptLlmJobHandler(request, reply) {
   try {
-    const { recording_file_path } = request.body;
+    const { recording_file_path, transcript_id, transcript_text, llm_provider, transcription_provider, note_type, note_template_id } = request.body;
     const userId = request.user.id;
+    const noteType = note_type || DEFAULT_NOTE_TYPE;
+    const userSupabase = getSupabaseClient(request.headers.authorization);
+
+    let inputSource = 'recording';
+    if (transcript_id !== undefined) {
+      inputSource = 'transcript';
+    } else if (transcript_text !== undefined) {
+      inputSource = 'text';
+    }
+
+    // Pin the user's preferred provider at creation; the worker has no auth user to read it from
+    const transcriptionProvider = inputSource === 'recording'
+      ? transcription_provider || getUserTranscriptionProvider(request.user)
+      : null;
+    if (transcriptionProvider) {
+      try {
+        resolveTranscriptionProviderName(transcriptionProvider);
+      } catch (err) {
+        return reply.status(400).send({ error: err.message });
+      }
+    }
+
+    // Pin the note template as well, so later edits to the template do not change a queued job
+    // Other note types have a fixed layout (see noteTypes.js)
+    let noteTemplate = null;
+    if (noteType === 'soap') {
+      const templateResult = await getNoteTemplateForUser(userId, note_template_id, userSupabase);
+      if (!templateResult.success) {
+        return reply.status(templateResult.status || 500).send({ error: templateResult.error });
+      }
+      noteTemplate = templateResult.data;
+    }
+
+    // Input transcript for jobs that skip transcription (stored transcripts are read as the user, RLS applies)
+    let inputTranscript = null;
+    if (inputSource === 'transcript') {
+      const transcriptResult = await getDecryptedTranscriptForUser(userId, transcript_id, userSupabase);
+      if (!transcriptResult.success) {
+        return reply.status(transcriptResult.status || 500).send({ error: transcriptResult.error });
+      }
+      if (!transcriptResult.data.transcript_text) {
+        return reply.status(422).send({ error: 'Transcript has no text' });
+      }
+      inputTranscript = {
+        transcript_text: transcriptResult.data.transcript_text,
+        segments: transcriptResult.data.segments || [],
+      };
+    } else if (inputSource === 'text') {
+      inputTranscript = { transcript_text, segments: [] };
+    }
+
+    // Per-job AES key, used by the processor to encrypt transcript and SOAP note text
+    let encryptedAesKey;
+    let inputTranscriptFields = {};
+    try {
+      encryptedAesKey = createJobEncryptionKey();
+      if (inputTranscript) {
+        inputTranscriptFields = encryptJobFields({
+          transcript_text: inputTranscript.transcript_text,
+          transcript_segments: inputTranscript.segments.length > 0 ? JSON.stringify(inputTranscript.segments) : null,
+        }, encryptedAesKey);
+      }
+    } catch (err) {
+      console.error('[createPromptLlmJobHandler] Failed to encrypt job payload:', err);
+      return reply.status(500).send({ error: 'Failed to create job' });
+    }
 
     // Create job record in database
     const supabase = supabaseAdmin();
@@ -30,10 +221,19 @@ export async function createPromptLlmJobHandler(request, reply) {
       .from('jobs')
       .insert({
         user_id: userId,
-        recording_file_path,
+        recording_file_path: recording_file_path ?? null,
+        input_source: inputSource,
+        source_transcript_id: transcript_id ?? null,
+        ...inputTranscriptFields,
+        llm_provider: llm_provider || null,
+        transcription_provider: transcriptionProvider,
+        note_type: noteType,
+        note_template_id: noteTemplate?.id ?? null,
+        note_template: noteTemplate,
+        encrypted_aes_key: encryptedAesKey,
         status: 'pending',
       })
-      .select()
+      .select('id, status')
       .single();
 
     if (createError) {
@@ -41,13 +241,8 @@ export async function createPromptLlmJobHandler(request, reply) {
       return reply.status(500).send({ error: 'Failed to create job' });
     }
 
-    // Spawn async processor (fire and forget)
-    const authorizationHeader = request.headers.authorization;
-    setImmediate(() => {
-      promptLlmProcessor(job.id, userId, authorizationHeader).catch((err) => {
-        console.error(`[promptLlmProcessor] Unhandled error for job ${job.id}:`, err);
-      });
-    });
+    // Job is durable in the table; wake the worker so it is picked up without waiting for the next poll
+    notifyJobWorker();
 
     // Return immediately with jobId and status
     return reply.status(202).send({
@@ -79,7 +274,7 @@ export async function getPromptLlmJobStatusHandler(request, reply) {
     const supabase = supabaseAdmin();
     const { data: job, error: queryError } = await supabase
       .from('jobs')
-      .select('id, status, transcript_text, soap_note_text, error_message, created_at, updated_at')
+      .select(JOB_SELECT)
       .eq('id', jobId)
       .eq('user_id', userId)
       .single();
@@ -89,34 +284,426 @@ export async function getPromptLlmJobStatusHandler(request, reply) {
       return reply.status(404).send({ error: 'Job not found' });
     }
 
-    // Build base response (always include)
-    const response = {
-      id: job.id,
-      status: job.status,
-    };
+    return reply.status(200).send(buildJobResponse(job, includeResult));
+  } catch (error) {
+    console.error('[getPromptLlmJobStatusHandler] Error:', error);
+    return reply.status(500).send({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /api/jobs/prompt-llm/:jobId/events
+ * 
+ * Stream job status changes as Server-Sent Events
+ * Each event is { status, message, data } where data is the same payload as the poll endpoint
+ * (transcript_text as soon as it exists, soap_note once complete). Event ids are the job's
+ * updated_at in ms; reconnecting with Last-Event-ID (header or ?lastEventId=) only replays newer states.
+ * The stream ends after complete/error/cancelled; 204 if the client already has the final event.
+ * 
+ * @param {Object} request - Fastify request with { jobId }, optional Last-Event-ID header
+ * @param {Object} reply - Fastify reply
+ */
+export async function streamPromptLlmJobEventsHandler(request, reply) {
+  const { jobId } = request.params;
+  const userId = request.user.id;
+  const supabase = supabaseAdmin();
+
+  const fetchJob = () => supabase
+    .from('jobs')
+    .select(JOB_SELECT)
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .single();
+
+  let initialJob;
+  try {
+    const { data: job, error: queryError } = await fetchJob();
+    if (queryError || !job) {
+      console.error('[streamPromptLlmJobEventsHandler] Job not found:', jobId, queryError);
+      return reply.status(404).send({ error: 'Job not found' });
+    }
+    initialJob = job;
+  } catch (error) {
+    console.error('[streamPromptLlmJobEventsHandler] Error:', error);
+    return reply.status(500).send({ error: 'Internal server error' });
+  }
+
+  const lastEventId = Number.parseInt(request.query.lastEventId ?? request.headers['last-event-id'], 10);
+  let lastSentId = Number.isFinite(lastEventId) ? lastEventId : null;
+
+  // Client already received the final state: 204 tells EventSource not to reconnect
+  if (JOB_TERMINAL_STATUSES.includes(initialJob.status) && lastSentId !== null && getJobEventId(initialJob) <= lastSentId) {
+    return reply.status(204).send();
+  }
+
+  // Take over the raw response for streaming
+  reply.hijack();
+  writeSseHeaders(reply);
+
+  let lastSentState = null;
+  let closed = false;
+  let refreshing = false;
+  let refreshQueued = false;
 
-    // Add transcript and error if available
-    if (job.transcript_text) {
-      response.transcript_text = job.transcript_text;
+  const timers = [];
+  let deadline = null;
+  let unsubscribe = () => {};
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    timers.forEach(clearInterval);
+    clearTimeout(deadline);
+    unsubscribe();
+    reply.raw.end();
+  };
+
+  const publish = (job) => {
+    const eventId = getJobEventId(job);
+    // Skip states the client already has, and unchanged rows (e.g. a worker claiming the job)
+    const hasTranscript = Boolean(job.encrypted_transcript_text || job.transcript_text);
+    const state = `${job.status}:${hasTranscript}:${job.progress?.chunks_done ?? ''}:${job.error_message || ''}`;
+    if ((lastSentId !== null && eventId <= lastSentId) || state === lastSentState) return;
+
+    lastSentId = eventId;
+    lastSentState = state;
+    let message = job.status === 'error' && job.error_message ? job.error_message : JOB_STATUS_MESSAGES[job.status];
+    if (job.status === 'transcribing' && job.progress) {
+      message = `Transcribing audio (${job.progress.chunks_done}/${job.progress.chunks_total} parts)...`;
     }
-    if (job.error_message) {
-      response.error_message = job.error_message;
+    sendSseEvent(reply, job.status, message || job.status, buildJobResponse(job, true), { id: eventId });
+
+    if (JOB_TERMINAL_STATUSES.includes(job.status)) {
+      close();
     }
+  };
 
-    // If includeResult requested and job is complete, parse and return SOAP note
-    if (includeResult && job.status === 'complete' && job.soap_note_text) {
-      try {
-        const parsed = parseSoapNotes({ soap_note_text: job.soap_note_text });
-        response.soap_note = parsed.soap_note_text;
-      } catch (err) {
-        console.error('[getPromptLlmJobStatusHandler] Failed to parse SOAP note:', err);
-        response.soap_note_parse_error = err.message;
+  const refresh = async () => {
+    if (closed) return;
+    if (refreshing) {
+      refreshQueued = true;
+      return;
+    }
+    refreshing = true;
+    try {
+      const { data: job, error } = await fetchJob();
+      if (error || !job) {
+        console.error('[streamPromptLlmJobEventsHandler] Failed to refresh job:', jobId, error);
+      } else if (!closed) {
+        publish(job);
+      }
+    } catch (error) {
+      console.error('[streamPromptLlmJobEventsHandler] Refresh error:', error);
+    } finally {
+      refreshing = false;
+      if (refreshQueued) {
+        refreshQueued = false;
+        refresh();
       }
     }
+  };
 
-    return reply.status(200).send(response);
+  // Client disconnected
+  reply.raw.on('close', close);
+  unsubscribe = onJobUpdated(jobId, refresh);
+  timers.push(setInterval(refresh, JOB_EVENTS_POLL_MS));
+  timers.push(setInterval(() => {
+    if (!closed) sendSseKeepAlive(reply);
+  }, JOB_EVENTS_KEEPALIVE_MS));
+  // Bounded lifetime; EventSource reconnects with Last-Event-ID
+  deadline = setTimeout(close, JOB_EVENTS_MAX_STREAM_MS);
+
+  publish(initialJob);
+}
+
+/**
+ * GET /api/jobs/prompt-llm
+ * 
+ * List the user's jobs, newest first
+ * Query params: status (comma-separated), created_after, created_before, limit (default 50), offset (default 0)
+ * Returns job metadata only; use GET /api/jobs/prompt-llm/:jobId for transcript/SOAP note.
+ * Total matching count is returned in the X-Total-Count header.
+ * 
+ * @param {Object} request - Fastify request with validated query
+ * @param {Object} reply - Fastify reply
+ */
+export async function listPromptLlmJobsHandler(request, reply) {
+  try {
+    const userId = request.user.id;
+    const { status, created_after, created_before, limit = 50, offset = 0 } = request.query;
+
+    const supabase = supabaseAdmin();
+    let query = supabase
+      .from('jobs')
+      .select(JOB_LIST_SELECT, { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (status && status.length > 0) {
+      query = query.in('status', status);
+    }
+    if (created_after) {
+      query = query.gte('created_at', created_after);
+    }
+    if (created_before) {
+      query = query.lt('created_at', created_before);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('[listPromptLlmJobsHandler] Database error:', error);
+      return reply.status(500).send({ error: 'Failed to list jobs' });
+    }
+
+    reply.header('X-Total-Count', String(count ?? data.length));
+    return reply.status(200).send(data);
   } catch (error) {
-    console.error('[getPromptLlmJobStatusHandler] Error:', error);
+    console.error('[listPromptLlmJobsHandler] Error:', error);
+    return reply.status(500).send({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /api/jobs/prompt-llm/:jobId/cancel
+ * 
+ * Cancel a queued or running job
+ * The processor checks for cancellation between steps and never overwrites a cancelled job,
+ * so a step already in flight (e.g. the LLM call) finishes but its result is discarded.
+ * 
+ * @param {Object} request - Fastify request with { jobId }
+ * @param {Object} reply - Fastify reply
+ */
+export async function cancelPromptLlmJobHandler(request, reply) {
+  try {
+    const { jobId } = request.params;
+    const userId = request.user.id;
+
+    const supabase = supabaseAdmin();
+    const { data: cancelled, error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: 'cancelled',
+        error_message: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .in('status', JOB_ACTIVE_STATUSES)
+      .select('id, status, updated_at')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('[cancelPromptLlmJobHandler] Database error:', updateError);
+      return reply.status(500).send({ error: 'Failed to cancel job' });
+    }
+
+    if (!cancelled) {
+      // Either the job does not exist or it already finished
+      const { data: job } = await supabase
+        .from('jobs')
+        .select('id, status')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (!job) {
+        return reply.status(404).send({ error: 'Job not found' });
+      }
+      return reply.status(409).send({ error: `Job is already ${job.status}`, status: job.status });
+    }
+
+    emitJobUpdated(jobId);
+    console.log(`[cancelPromptLlmJobHandler] Job ${jobId} cancelled by user ${userId}`);
+    return reply.status(200).send(cancelled);
+  } catch (error) {
+    console.error('[cancelPromptLlmJobHandler] Error:', error);
+    return reply.status(500).send({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * DELETE /api/jobs/prompt-llm/:jobId
+ * 
+ * Purge a job's stored transcript and SOAP note text (the job row is kept for history)
+ * A job that is still queued or running is cancelled first so the processor cannot write them back.
+ * 
+ * @param {Object} request - Fastify request with { jobId }
+ * @param {Object} reply - Fastify reply
+ */
+export async function deletePromptLlmJobHandler(request, reply) {
+  try {
+    const { jobId } = request.params;
+    const userId = request.user.id;
+
+    const supabase = supabaseAdmin();
+    const { data: job, error: queryError } = await supabase
+      .from('jobs')
+      .select('id, status')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (queryError) {
+      console.error('[deletePromptLlmJobHandler] Database error:', queryError);
+      return reply.status(500).send({ error: 'Failed to delete job' });
+    }
+    if (!job) {
+      return reply.status(404).send({ error: 'Job not found' });
+    }
+
+    // Cancel first (conditional, so a job that just finished keeps its status)
+    if (JOB_ACTIVE_STATUSES.includes(job.status)) {
+      const { error: cancelError } = await supabase
+        .from('jobs')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .in('status', JOB_ACTIVE_STATUSES);
+
+      if (cancelError) {
+        console.error('[deletePromptLlmJobHandler] Failed to cancel job:', cancelError);
+        return reply.status(500).send({ error: 'Failed to delete job' });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const { data: purged, error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        ...encryptJobFields({ transcript_text: null, soap_note_text: null, transcript_segments: null, phi_review: null }),
+        purged_at: now,
+        updated_at: now,
+      })
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .select('id, status, purged_at')
+      .single();
+
+    if (updateError) {
+      console.error('[deletePromptLlmJobHandler] Database error:', updateError);
+      return reply.status(500).send({ error: 'Failed to delete job' });
+    }
+
+    emitJobUpdated(jobId);
+    console.log(`[deletePromptLlmJobHandler] Purged job ${jobId} for user ${userId}`);
+    return reply.status(200).send(purged);
+  } catch (error) {
+    console.error('[deletePromptLlmJobHandler] Error:', error);
+    return reply.status(500).send({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /api/jobs/prompt-llm/:jobId/save
+ * 
+ * Save a completed job as a patient encounter bundle (encounter, recording, transcript, SOAP note)
+ * using the job's stored results, so the client does not re-send the transcript.
+ * Uses the same encryption and rollback as POST /api/patient-encounters/complete.
+ * A job can only be saved once; the encounter id is recorded on the job.
+ * 
+ * @param {Object} request - Fastify request with { jobId } and body { name }
+ * @param {Object} reply - Fastify reply
+ */
+export async function savePromptLlmJobHandler(request, reply) {
+  try {
+    const { jobId } = request.params;
+    const { name } = request.body;
+    const userId = request.user.id;
+
+    const admin = supabaseAdmin();
+    const { data: job, error: queryError } = await admin
+      .from('jobs')
+      .select(`${JOB_SELECT}, recording_file_path, note_template`)
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (queryError) {
+      console.error('[savePromptLlmJobHandler] Database error:', queryError);
+      return reply.status(500).send({ error: 'Failed to load job' });
+    }
+    if (!job) {
+      return reply.status(404).send({ error: 'Job not found' });
+    }
+    if (job.saved_patient_encounter_id) {
+      return reply.status(409).send({
+        error: 'Job has already been saved',
+        patientEncounter_id: job.saved_patient_encounter_id,
+      });
+    }
+    if (job.status !== 'complete') {
+      return reply.status(409).send({ error: `Job is ${job.status}, only complete jobs can be saved`, status: job.status });
+    }
+    if (job.purged_at) {
+      return reply.status(410).send({ error: 'Job results were deleted' });
+    }
+
+    const decryptResult = decryptJobFields(job);
+    if (!decryptResult.success) {
+      return reply.status(500).send({ error: decryptResult.error });
+    }
+    if (!job.transcript_text || !job.soap_note_text) {
+      return reply.status(409).send({ error: 'Job has no stored transcript or SOAP note' });
+    }
+
+    let soapNote_text;
+    try {
+      soapNote_text = toStoredSoapNote(JSON.parse(job.soap_note_text), { noteType: job.note_type || DEFAULT_NOTE_TYPE });
+    } catch (err) {
+      console.error('[savePromptLlmJobHandler] Failed to convert SOAP note:', err);
+      return reply.status(500).send({ error: 'Failed to read job SOAP note' });
+    }
+
+    // Create the bundle as the user (RLS applies), rolled back on failure
+    const supabase = getSupabaseClient(request.headers.authorization);
+    let bundle;
+    try {
+      bundle = await createPatientEncounterBundle(supabase, userId, {
+        patientEncounter: { name },
+        recording: { recording_file_path: job.recording_file_path },
+        transcript: {
+          transcript_text: job.transcript_text,
+          segments: job.transcript_segments ? JSON.parse(job.transcript_segments) : [],
+        },
+        soapNote_text,
+        note_type: job.note_type || DEFAULT_NOTE_TYPE,
+        note_template_id: job.note_template_id ?? null,
+        note_template: job.note_template ?? null,
+      });
+    } catch (error) {
+      const errorMessage = error.message || 'Failed to save job';
+      if (errorMessage.includes('unique')) {
+        return reply.status(400).send({
+          error: 'Patient Encounter with this name already exists. Please use a different name.',
+        });
+      }
+      return reply.status(500).send({ error: errorMessage });
+    }
+
+    // Link the job to the encounter; if a concurrent save won, undo this bundle
+    const { data: linked, error: linkError } = await admin
+      .from('jobs')
+      .update({
+        saved_patient_encounter_id: bundle.patientEncounter.id,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', jobId)
+      .is('saved_patient_encounter_id', null)
+      .select('id')
+      .maybeSingle();
+
+    if (linkError || !linked) {
+      console.error('[savePromptLlmJobHandler] Failed to link job to encounter, rolling back:', linkError);
+      await rollbackPatientEncounterBundle(supabase, bundle);
+      return linkError
+        ? reply.status(500).send({ error: 'Failed to save job' })
+        : reply.status(409).send({ error: 'Job has already been saved' });
+    }
+
+    console.log(`[savePromptLlmJobHandler] Job ${jobId} saved as patient encounter ${bundle.patientEncounter.id}`);
+    return reply.status(201).send(bundle);
+  } catch (error) {
+    console.error('[savePromptLlmJobHandler] Error:', error);
     return reply.status(500).send({ error: 'Internal server error' });
   }
 }
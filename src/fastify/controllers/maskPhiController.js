@@ -2,17 +2,106 @@
  * AWS PHI Masking Controller
  * 
  * Fastify request handlers for PHI masking/unmasking operations.
- * Uses AWS Comprehend Medical for PHI detection.
+ * Uses AWS Comprehend Medical for PHI detection by default; see phiDetectors.js for the other detectors.
+ * Also manages the user's stored masking policy (see phiMaskingPolicy.js); policies are not PHI and are
+ * stored unencrypted. Organization policies are written by an admin with the service role.
  */
 
 import { mask_phi, unmask_phi } from '../../utils/maskPhiHelper.js';
 import { authenticateRequest } from '../../utils/authenticateRequest.js';
+import { getSupabaseClient } from '../../utils/supabase.js';
+import { getUserOrganizationId, mergePhiMaskingPolicies, toPhiMaskingPolicy } from '../../utils/phiMaskingPolicy.js';
+
+const phiMaskingPoliciesTable = 'phiMaskingPolicies';
+
+/**
+ * Helper: Organization of a user, reading the auth user when only the id is known (job workers)
+ * Returns { organizationId, error }
+ */
+async function resolveUserOrganizationId(user, supabaseClient) {
+  if (user.app_metadata) {
+    return { organizationId: getUserOrganizationId(user), error: null };
+  }
+  const { data, error } = await supabaseClient.auth.admin.getUserById(user.id);
+  if (error) {
+    return { organizationId: null, error };
+  }
+  return { organizationId: getUserOrganizationId(data?.user), error: null };
+}
+
+/**
+ * Gets the masking policy that applies to a user, for use by other modules (transcription, jobs).
+ * The user's own policy merged with their organization's, which acts as a floor (see mergePhiMaskingPolicies);
+ * null when neither exists (mask every type at the threshold).
+ * @param {Object} user - Supabase auth user ({ id, app_metadata }); with only { id }, app_metadata is read
+ *   from auth, which needs the service role client
+ * @param {object} supabaseClient - Supabase client instance (user-scoped, or service role for internal callers)
+ * @param {Object} [options]
+ * @param {Object|null} [options.policyOverride] - Per-request policy used instead of the user's stored one
+ *   (null: none); the organization policy still applies
+ * @returns {Promise<{success: boolean, data: Object|null, error: string|null, status?: number}>}
+ *   data is a policy { scope, entity_types, thresholds, allowlist, date_handling, organization_policy? } or null
+ */
+export async function getPhiMaskingPolicyForUser(user, supabaseClient, { policyOverride } = {}) {
+  try {
+    let userPolicy = null;
+    if (policyOverride !== undefined) {
+      userPolicy = policyOverride && { scope: 'request', ...policyOverride };
+    } else {
+      const { data: userPolicyRow, error } = await supabaseClient
+        .from(phiMaskingPoliciesTable)
+        .select('*')
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+      if (error) {
+        console.error('[getPhiMaskingPolicyForUser] Database error:', error);
+        return { success: false, data: null, error: error.message, status: 500 };
+      }
+      userPolicy = userPolicyRow ? toPhiMaskingPolicy(userPolicyRow) : null;
+    }
+
+    const { organizationId, error: userError } = await resolveUserOrganizationId(user, supabaseClient);
+    if (userError) {
+      console.error('[getPhiMaskingPolicyForUser] Auth user lookup error:', userError);
+      return { success: false, data: null, error: userError.message, status: 500 };
+    }
+    if (!organizationId) {
+      return { success: true, data: userPolicy, error: null };
+    }
+
+    const { data: organizationPolicy, error: organizationError } = await supabaseClient
+      .from(phiMaskingPoliciesTable)
+      .select('*')
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (organizationError) {
+      console.error('[getPhiMaskingPolicyForUser] Database error:', organizationError);
+      return { success: false, data: null, error: organizationError.message, status: 500 };
+    }
+    return {
+      success: true,
+      data: mergePhiMaskingPolicies(organizationPolicy ? toPhiMaskingPolicy(organizationPolicy) : null, userPolicy),
+      error: null,
+    };
+  } catch (err) {
+    console.error('[getPhiMaskingPolicyForUser] Unexpected error:', err);
+    return { success: false, data: null, error: 'Failed to fetch PHI masking policy', status: 500 };
+  }
+}
 
 /**
  * POST /api/aws/mask-phi
  * 
  * Masks PHI (Protected Health Information) in a medical transcript.
- * Replaces PHI with tokens in format {{TYPE_ID}}.
+ * Replaces PHI with tokens in format {{TYPE_ID}}; the same text of the same type shares one token.
+ * Returns a per-type summary (masked entities, distinct tokens, skipped entities).
+ * Optional body.provider picks the PHI detector (comprehend, local or ensemble).
+ * Optional body.mode 'surrogate' replaces PHI with consistent fake values instead (body.seed keeps
+ * them the same across calls); send the returned surrogates to unmask-phi.
+ * The caller's stored masking policy is applied; body.policy overrides it for this call (null: no policy).
+ * Their organization's policy applies either way.
  * 
  * Requires authentication.
  * 
@@ -28,10 +117,19 @@ export async function maskPhiHandler(request, reply) {
     }
 
     // Request body is already validated by route
-    const { text, maskThreshold } = request.body;
+    const { text, maskThreshold, provider, mode, seed } = request.body;
+
+    // Request policy (null: none), else the stored user policy; merged with the organization policy
+    const policyResult = await getPhiMaskingPolicyForUser(user, getSupabaseClient(request.headers.authorization), {
+      policyOverride: request.body.policy,
+    });
+    if (!policyResult.success) {
+      return reply.status(policyResult.status || 500).send({ error: policyResult.error });
+    }
+    const policy = policyResult.data;
 
     // Mask PHI
-    const result = await mask_phi(text, maskThreshold);
+    const result = await mask_phi(text, maskThreshold, { provider, mode, seed, policy });
     
     console.log('[maskPhiHandler] Result tokens:', JSON.stringify(result.tokens).substring(0, 200));
     
@@ -40,6 +138,11 @@ export async function maskPhiHandler(request, reply) {
       maskedText: result.masked_transcript,
       entities: result.phi_entities,
       tokens: result.tokens,
+      summary: result.phi_summary,
+      provider: result.provider,
+      mode: result.mode,
+      surrogates: result.surrogates,
+      policy: result.policy,
     });
   } catch (error) {
     console.error('[maskPhiHandler] Error:', error);
@@ -51,7 +154,8 @@ export async function maskPhiHandler(request, reply) {
  * POST /api/aws/unmask-phi
  * 
  * Unmasks PHI tokens ({{TYPE_ID}}) using provided entity data.
- * Restores original PHI text in the transcript.
+ * Restores original PHI text in the transcript (and surrogates, when body.surrogates is given).
+ * Tokens left in the text or reformatted by the LLM are reported in warnings.
  * 
  * Requires authentication.
  * 
@@ -67,14 +171,15 @@ export async function unmaskPhiHandler(request, reply) {
     }
 
     // Request body is already validated by route
-    const { text, tokens } = request.body;
+    const { text, tokens, surrogates } = request.body;
 
     // Unmask PHI
-    const result = unmask_phi(text, tokens);
+    const result = unmask_phi(text, tokens, { surrogates });
 
     // Reformat response to match API schema
     return reply.status(200).send({
       unmaskedText: result.unmasked_transcript,
+      warnings: result.warnings,
     });
   } catch (error) {
     console.error('[unmaskPhiHandler] Error:', error);
@@ -82,4 +187,114 @@ export async function unmaskPhiHandler(request, reply) {
   }
 }
 
+/**
+ * GET /api/aws/mask-phi/policy
+ *
+ * Returns the masking policy applied to the user's masking calls (their own merged with their
+ * organization's, see getPhiMaskingPolicyForUser). policy is null when neither exists.
+ *
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ */
+export async function getMaskPhiPolicyHandler(request, reply) {
+  try {
+    const user = request.user;
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const policyResult = await getPhiMaskingPolicyForUser(user, getSupabaseClient(request.headers.authorization));
+    if (!policyResult.success) {
+      return reply.status(policyResult.status || 500).send({ error: policyResult.error });
+    }
+
+    return reply.status(200).send({ policy: policyResult.data });
+  } catch (error) {
+    console.error('[getMaskPhiPolicyHandler] Error:', error);
+    return reply.status(500).send({ error: error.message || 'Failed to fetch PHI masking policy' });
+  }
+}
+
+/**
+ * PUT /api/aws/mask-phi/policy
+ *
+ * Creates or replaces the user's own masking policy (their organization's policy still applies on top).
+ * Body: { entity_types?, thresholds?, allowlist?, date_handling? } (omitted fields take their defaults)
+ *
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ */
+export async function putMaskPhiPolicyHandler(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    // Request body is already validated by route
+    const { entity_types, thresholds, allowlist, date_handling } = request.body;
+
+    const { data, error } = await supabase
+      .from(phiMaskingPoliciesTable)
+      .upsert({
+        user_id: user.id,
+        entity_types: entity_types ?? null,
+        thresholds,
+        allowlist,
+        date_handling: date_handling ?? null,
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[putMaskPhiPolicyHandler] Upsert error:', error);
+      return reply.status(500).send({ error: error.message });
+    }
+
+    return reply.status(200).send({ policy: toPhiMaskingPolicy(data) });
+  } catch (error) {
+    console.error('[putMaskPhiPolicyHandler] Error:', error);
+    return reply.status(500).send({ error: error.message || 'Failed to save PHI masking policy' });
+  }
+}
+
+/**
+ * DELETE /api/aws/mask-phi/policy
+ *
+ * Deletes the user's own masking policy; only their organization's policy (if any) applies then.
+ *
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ */
+export async function deleteMaskPhiPolicyHandler(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { data, error } = await supabase
+      .from(phiMaskingPoliciesTable)
+      .delete()
+      .eq('user_id', user.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return reply.status(404).send({ error: 'PHI masking policy not found' });
+      }
+      console.error('[deleteMaskPhiPolicyHandler] Delete error:', error);
+      return reply.status(500).send({ error: error.message });
+    }
+
+    return reply.status(200).send({ success: true, policy: toPhiMaskingPolicy(data) });
+  } catch (error) {
+    console.error('[deleteMaskPhiPolicyHandler] Error:', error);
+    return reply.status(500).send({ error: error.message || 'Failed to delete PHI masking policy' });
+  }
+}
+
 export { mask_phi, unmask_phi };
@@ -0,0 +1,311 @@
+/**
+ * Note Templates Controller
+ * Handles CRUD for a user's SOAP note templates (sections, subsections, descriptions, required flags)
+ * Templates are not PHI and are stored unencrypted; RLS limits rows to their owner
+ * Setting is_default clears the previous default in the same statement (sql/triggers/noteTemplates_single_default.sql)
+ * See noteTemplates.js for the template shape
+ */
+import { getSupabaseClient } from '../../utils/supabase.js';
+import { buildSoapNoteSchema, toNoteTemplateSnapshot } from '../../utils/noteTemplates.js';
+
+const noteTemplatesTable = 'noteTemplates';
+
+/**
+ * Helper: Validates bigint ID format
+ */
+function isValidBigInt(id) {
+  if (!id) return false;
+  try {
+    const parsed = BigInt(id);
+    return parsed > 0n;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Columns PATCH /api/note-templates/:id may change
+const updatableNoteTemplateFields = ['name', 'specialty', 'sections', 'is_default'];
+
+/**
+ * Gets the note template to generate a note with, for use by other modules (prompt-llm, jobs).
+ * Requested template, else the user's default template, else null (built-in default template).
+ * @param {string} userId - The user ID.
+ * @param {number|string|null} noteTemplateId - Requested template ID (optional).
+ * @param {object} supabaseClient - Supabase client instance.
+ * @returns {Promise<{success: boolean, data: Object|null, error: string|null, status?: number}>}
+ *   data is a template snapshot { id, name, specialty, sections } or null for the built-in template
+ */
+export async function getNoteTemplateForUser(userId, noteTemplateId, supabaseClient) {
+  try {
+    if (noteTemplateId !== undefined && noteTemplateId !== null) {
+      if (!isValidBigInt(noteTemplateId)) {
+        return { success: false, data: null, error: 'Invalid note template ID format', status: 400 };
+      }
+
+      const { data, error } = await supabaseClient
+        .from(noteTemplatesTable)
+        .select('*')
+        .eq('id', noteTemplateId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('[getNoteTemplateForUser] Database error:', error);
+        return { success: false, data: null, error: error.message, status: 500 };
+      }
+      if (!data) {
+        return { success: false, data: null, error: 'Note template not found', status: 404 };
+      }
+      return { success: true, data: toNoteTemplateSnapshot(data), error: null };
+    }
+
+    const { data, error } = await supabaseClient
+      .from(noteTemplatesTable)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('is_default', true)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[getNoteTemplateForUser] Database error:', error);
+      return { success: false, data: null, error: error.message, status: 500 };
+    }
+    return { success: true, data: data ? toNoteTemplateSnapshot(data) : null, error: null };
+  } catch (err) {
+    console.error('[getNoteTemplateForUser] Unexpected error:', err);
+    return { success: false, data: null, error: 'Failed to fetch note template', status: 500 };
+  }
+}
+
+/**
+ * Get all note templates for the authenticated user
+ * GET /api/note-templates
+ * Query params: specialty (optional, exact match)
+ */
+export async function getAllNoteTemplates(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let query = supabase
+      .from(noteTemplatesTable)
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false });
+
+    if (request.query?.specialty) {
+      query = query.eq('specialty', request.query.specialty);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching note templates:', error);
+      return reply.status(500).send({ error: error.message });
+    }
+
+    return reply.status(200).send(data);
+  } catch (error) {
+    console.error('Error fetching note templates:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Get a single note template by ID
+ * GET /api/note-templates/:id
+ */
+export async function getNoteTemplate(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid note template ID format' });
+    }
+
+    const { data, error } = await supabase
+      .from(noteTemplatesTable)
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (error || !data) {
+      return reply.status(404).send({ error: 'Note template not found' });
+    }
+
+    return reply.status(200).send(data);
+  } catch (error) {
+    console.error('Error fetching note template:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Get the soap_note JSON schema the LLM is given for a note template
+ * GET /api/note-templates/:id/schema
+ */
+export async function getNoteTemplateSchema(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const result = await getNoteTemplateForUser(user.id, request.params.id, supabase);
+    if (!result.success) {
+      return reply.status(result.status || 500).send({ error: result.error });
+    }
+
+    return reply.status(200).send({ schema: buildSoapNoteSchema(result.data) });
+  } catch (error) {
+    console.error('Error building note template schema:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Create a new note template
+ * POST /api/note-templates
+ * Body: { name, specialty?, sections, is_default? }
+ */
+export async function createNoteTemplate(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { name, specialty, sections, is_default } = request.body;
+
+    const { data, error: insertError } = await supabase
+      .from(noteTemplatesTable)
+      .insert({
+        user_id: user.id,
+        name,
+        specialty: specialty ?? null,
+        sections,
+        is_default: Boolean(is_default),
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Insert error:', insertError);
+      return reply.status(500).send({ error: insertError.message });
+    }
+
+    return reply.status(201).send(data);
+  } catch (error) {
+    console.error('Error creating note template:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Update a note template
+ * PATCH /api/note-templates/:id
+ * Body: any of { name, specialty, sections, is_default }
+ * Jobs already created keep the template they were created with
+ */
+export async function updateNoteTemplate(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid note template ID format' });
+    }
+
+    const updates = {};
+    for (const key of updatableNoteTemplateFields) {
+      if (request.body[key] !== undefined) {
+        updates[key] = request.body[key];
+      }
+    }
+
+    const { data, error: updateError } = await supabase
+      .from(noteTemplatesTable)
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === 'PGRST116') {
+        return reply.status(404).send({ error: 'Note template not found' });
+      }
+      console.error('Update error:', updateError);
+      return reply.status(500).send({ error: updateError.message });
+    }
+
+    return reply.status(200).send(data);
+  } catch (error) {
+    console.error('Error updating note template:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Delete a note template
+ * DELETE /api/note-templates/:id
+ */
+export async function deleteNoteTemplate(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid note template ID format' });
+    }
+
+    const { data, error: deleteError } = await supabase
+      .from(noteTemplatesTable)
+      .delete()
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select()
+      .single();
+
+    if (deleteError) {
+      if (deleteError.code === 'PGRST116') {
+        return reply.status(404).send({ error: 'Note template not found' });
+      }
+      console.error('Delete error:', deleteError);
+      return reply.status(500).send({ error: deleteError.message });
+    }
+
+    return reply.status(200).send({ success: true, data });
+  } catch (error) {
+    console.error('Error deleting note template:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
@@ -6,6 +6,12 @@
 import { getSupabaseClient } from '../../utils/supabase.js';
 import * as encryptionUtils from '../../utils/encryptionUtils.js';
 import { getPatientEncounterWithDecryptedKey } from '../../utils/patientEncounterUtils.js';
+import { encryptTranscriptSegments, decryptTranscriptSegments } from '../../utils/transcriptSegments.js';
+import { DEFAULT_NOTE_TYPE } from '../../utils/noteTypes.js';
+import parseSoapNotes from '../../utils/parseSoapNotes.js';
+import { buildEncounterFhirBundle } from '../../utils/fhirBundle.js';
+import { SIGNED_NOTE_LOCKED_CODE } from '../../utils/soapNoteSignature.js';
+import { fhirBundleSchema } from '../schemas/fhir.js';
 
 const patientEncounterTable = 'patientEncounters';
 const recordingTable = 'recordings';
@@ -322,6 +328,10 @@ export async function deletePatientEncounter(request, reply) {
       if (error.code === 'PGRST116') {
         return reply.status(404).send({ error: 'Encounter not found' });
       }
+      // Cascade hit a signed SOAP note (prevent_signed_soapnotes_changes trigger)
+      if (error.code === SIGNED_NOTE_LOCKED_CODE) {
+        return reply.status(409).send({ error: 'Patient encounters with signed SOAP notes cannot be deleted' });
+      }
       return reply.status(500).send({ error: error.message });
     }
 
@@ -332,6 +342,183 @@ export async function deletePatientEncounter(request, reply) {
   }
 }
 
+/**
+ * Load a complete patient encounter with all linked data, decrypted
+ * Shared by GET /api/patient-encounters/complete/:id and GET /api/patient-encounters/:id/fhir
+ *
+ * @param {Object} supabase - User-scoped Supabase client
+ * @param {string} userId - Authenticated user id
+ * @param {number} encounterId - Patient encounter id
+ * @param {Object} [options]
+ * @param {boolean} [options.refreshRecordingUrl=true] - Create a new recording signed URL when missing or expired
+ * @returns {Promise<{ success: boolean, data?: { patientEncounter, recording, transcript, soapNotes }, error?: string, status?: number }>}
+ */
+export async function loadCompletePatientEncounter(supabase, userId, encounterId, { refreshRecordingUrl = true } = {}) {
+  // Step 0: Fetch patient encounter
+  const { data: encounterData, error: encounterError } = await supabase
+    .from(patientEncounterTable)
+    .select('*')
+    .eq('id', encounterId)
+    .eq('user_id', userId)
+    .single();
+
+  if (encounterError) {
+    if (encounterError.code === 'PGRST116') {
+      return { success: false, error: 'Encounter not found', status: 404 };
+    }
+    return { success: false, error: encounterError.message, status: 500 };
+  }
+
+  // Decrypt AES key for this encounter
+  const aes_key = encryptionUtils.decryptAESKey(encounterData.encrypted_aes_key);
+
+  // Decrypt encounter name
+  if (encounterData.encrypted_name) {
+    encounterData.name = encryptionUtils.decryptText(
+      encounterData.encrypted_name,
+      aes_key,
+      encounterData.iv
+    );
+    delete encounterData.encrypted_name;
+  }
+  delete encounterData.encrypted_aes_key;
+  delete encounterData.iv;
+
+  // Step 1: Fetch recording linked to encounter
+  console.log('Step 1: Fetching recording linked to encounterId:', encounterId);
+  const { data: recordingData, error: recordingError } = await supabase
+    .from('recordings')
+    .select('*')
+    .eq('patientEncounter_id', encounterId)
+    .single();
+
+  let recording = null;
+  if (recordingError && recordingError.code !== 'PGRST116') {
+    console.error('Recording query error:', recordingError);
+    return { success: false, error: recordingError.message, status: 500 };
+  } else if (recordingData) {
+    recording = recordingData;
+    delete recording.iv;
+  } else if (recordingError?.code === 'PGRST116') {
+    console.warn('No recording found for encounterId:', encounterId, 'RLS may have filtered the result or no recording linked');
+  }
+
+  // Step 1.5: Generate/refresh signed URL if needed
+  if (refreshRecordingUrl && recording && recording.recording_file_path) {
+    const needNewSignedUrl = !recording.recording_file_signed_url || 
+                             new Date(recording.recording_file_signed_url_expiry) < new Date();
+    
+    if (needNewSignedUrl) {
+      console.log('Step 1.5: Generating signed URL for recording file');
+      
+      // Normalize path: strip optional bucket prefix and any leading slash
+      let normalizedPath = recording.recording_file_path;
+      if (normalizedPath.startsWith('audio-files/')) {
+        normalizedPath = normalizedPath.replace(/^audio-files\//, '');
+      }
+      if (normalizedPath.startsWith('/')) normalizedPath = normalizedPath.slice(1);
+      
+      console.log('Creating signed URL for recording file:', normalizedPath);
+      const expirySeconds = 60 * 60; // 1 hour
+      
+      const { data: signedUrlData, error: signedError } = await supabase.storage
+        .from('audio-files')
+        .createSignedUrl(normalizedPath, expirySeconds);
+      
+      if (signedError) {
+        console.error('Signed URL error:', signedError);
+        return { success: false, error: 'Failed to create signed URL: ' + signedError.message, status: 500 };
+      }
+      
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + expirySeconds * 1000).toISOString();
+      
+      recording.recording_file_signed_url = signedUrlData.signedUrl;
+      recording.recording_file_signed_url_expiry = expiresAt;
+      
+      // Update recording row in database
+      const { data: updateData, error: updateError } = await supabase
+        .from('recordings')
+        .update({
+          recording_file_signed_url: recording.recording_file_signed_url,
+          recording_file_signed_url_expiry: recording.recording_file_signed_url_expiry
+        })
+        .eq('id', recording.id)
+        .select()
+        .single();
+      
+      if (updateError) {
+        console.error('Error updating recording\'s file signed URL:', updateError.message);
+        return { success: false, error: updateError.message, status: 500 };
+      }
+    }
+  }
+
+  // Step 2: Fetch transcript for recording
+  let transcript = null;
+  if (recording) {
+    console.log('Step 2: Fetching transcript for recording_id:', recording.id);
+    const { data: transcriptData, error: transcriptError } = await supabase
+      .from('transcripts')
+      .select('*')
+      .eq('recording_id', recording.id)
+      .single();
+
+    if (transcriptError && transcriptError.code !== 'PGRST116') {
+      return { success: false, error: transcriptError.message, status: 500 };
+    } else if (transcriptData) {
+      // Decrypt transcript text
+      if (transcriptData.encrypted_transcript_text) {
+        transcriptData.transcript_text = encryptionUtils.decryptText(
+          transcriptData.encrypted_transcript_text,
+          aes_key,
+          transcriptData.iv
+        );
+        delete transcriptData.encrypted_transcript_text;
+      }
+      delete transcriptData.iv;
+      decryptTranscriptSegments(transcriptData, aes_key);
+      transcript = transcriptData;
+    }
+  }
+
+  // Step 3: Fetch SOAP notes for encounter
+  console.log('Step 3: Fetching SOAP notes for encounterId:', encounterId);
+  const { data: soapNotes, error: soapError } = await supabase
+    .from('soapNotes')
+    .select('*')
+    .eq('patientEncounter_id', encounterId);
+
+  let notes = [];
+  if (soapError && soapError.code !== 'PGRST116') {
+    return { success: false, error: soapError.message, status: 500 };
+  } else if (soapNotes && Array.isArray(soapNotes)) {
+    // Decrypt SOAP note texts
+    for (const note of soapNotes) {
+      if (note.encrypted_soapNote_text) {
+        note.soapNote_text = encryptionUtils.decryptText(
+          note.encrypted_soapNote_text,
+          aes_key,
+          note.iv
+        );
+        delete note.encrypted_soapNote_text;
+      }
+      delete note.iv;
+      notes.push(note);
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      patientEncounter: encounterData,
+      recording: recording || null,
+      transcript: transcript || null,
+      soapNotes: notes,
+    },
+  };
+}
+
 /**
  * Get a complete patient encounter bundle
  * GET /api/patient-encounters/complete/:id
@@ -360,211 +547,120 @@ export async function getCompletePatientEncounter(request, reply) {
       return reply.status(400).send({ error: 'Invalid ID format - must be a numeric ID' });
     }
 
-    const encounterId = parseInt(id);
-
-    // Step 0: Fetch patient encounter
-    const { data: encounterData, error: encounterError } = await supabase
-      .from(patientEncounterTable)
-      .select('*')
-      .eq('id', encounterId)
-      .eq('user_id', user.id)
-      .single();
-
-    if (encounterError) {
-      if (encounterError.code === 'PGRST116') {
-        return reply.status(404).send({ error: 'Encounter not found' });
-      }
-      return reply.status(500).send({ error: encounterError.message });
+    const result = await loadCompletePatientEncounter(supabase, user.id, parseInt(id));
+    if (!result.success) {
+      return reply.status(result.status).send({ error: result.error });
     }
 
-    // Decrypt AES key for this encounter
-    const aes_key = encryptionUtils.decryptAESKey(encounterData.encrypted_aes_key);
+    // Return complete bundle
+    return reply.status(200).send(result.data);
+  } catch (error) {
+    console.error('Error fetching complete patient encounter:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
 
-    // Decrypt encounter name
-    if (encounterData.encrypted_name) {
-      encounterData.name = encryptionUtils.decryptText(
-        encounterData.encrypted_name,
-        aes_key,
-        encounterData.iv
-      );
-      delete encounterData.encrypted_name;
+/**
+ * Export a patient encounter as a FHIR R4 Bundle
+ * GET /api/patient-encounters/:id/fhir
+ *
+ * Builds the Bundle (Encounter, Composition per note, Condition per ICD-10 code,
+ * ChargeItem per CPT code) from the complete encounter and checks it against the
+ * FHIR resource shapes before sending.
+ */
+export async function getPatientEncounterFhir(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
     }
-    delete encounterData.encrypted_aes_key;
-    delete encounterData.iv;
 
-    // Step 1: Fetch recording linked to encounter
-    console.log('Step 1: Fetching recording linked to encounterId:', encounterId);
-    const { data: recordingData, error: recordingError } = await supabase
-      .from('recordings')
-      .select('*')
-      .eq('patientEncounter_id', encounterId)
-      .single();
+    const { id } = request.params;
 
-    let recording = null;
-    if (recordingError && recordingError.code !== 'PGRST116') {
-      console.error('Recording query error:', recordingError);
-      return reply.status(500).send({ error: recordingError.message });
-    } else if (recordingData) {
-      recording = recordingData;
-      delete recording.iv;
-    } else if (recordingError?.code === 'PGRST116') {
-      console.warn('No recording found for encounterId:', encounterId, 'RLS may have filtered the result or no recording linked');
+    // Validate ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid ID format - must be a numeric ID' });
     }
 
-    // Step 1.5: Generate/refresh signed URL if needed
-    if (recording && recording.recording_file_path) {
-      const needNewSignedUrl = !recording.recording_file_signed_url || 
-                               new Date(recording.recording_file_signed_url_expiry) < new Date();
-      
-      if (needNewSignedUrl) {
-        console.log('Step 1.5: Generating signed URL for recording file');
-        
-        // Normalize path: strip optional bucket prefix and any leading slash
-        let normalizedPath = recording.recording_file_path;
-        if (normalizedPath.startsWith('audio-files/')) {
-          normalizedPath = normalizedPath.replace(/^audio-files\//, '');
-        }
-        if (normalizedPath.startsWith('/')) normalizedPath = normalizedPath.slice(1);
-        
-        console.log('Creating signed URL for recording file:', normalizedPath);
-        const expirySeconds = 60 * 60; // 1 hour
-        
-        const { data: signedUrlData, error: signedError } = await supabase.storage
-          .from('audio-files')
-          .createSignedUrl(normalizedPath, expirySeconds);
-        
-        if (signedError) {
-          console.error('Signed URL error:', signedError);
-          return reply.status(500).send({ error: 'Failed to create signed URL: ' + signedError.message });
-        }
-        
-        const now = new Date();
-        const expiresAt = new Date(now.getTime() + expirySeconds * 1000).toISOString();
-        
-        recording.recording_file_signed_url = signedUrlData.signedUrl;
-        recording.recording_file_signed_url_expiry = expiresAt;
-        
-        // Update recording row in database
-        const { data: updateData, error: updateError } = await supabase
-          .from('recordings')
-          .update({
-            recording_file_signed_url: recording.recording_file_signed_url,
-            recording_file_signed_url_expiry: recording.recording_file_signed_url_expiry
-          })
-          .eq('id', recording.id)
-          .select()
-          .single();
-        
-        if (updateError) {
-          console.error('Error updating recording\'s file signed URL:', updateError.message);
-          return reply.status(500).send({ error: updateError.message });
-        }
-      }
+    const result = await loadCompletePatientEncounter(supabase, user.id, parseInt(id), { refreshRecordingUrl: false });
+    if (!result.success) {
+      return reply.status(result.status).send({ error: result.error });
     }
 
-    // Step 2: Fetch transcript for recording
-    let transcript = null;
-    if (recording) {
-      console.log('Step 2: Fetching transcript for recording_id:', recording.id);
-      const { data: transcriptData, error: transcriptError } = await supabase
-        .from('transcripts')
-        .select('*')
-        .eq('recording_id', recording.id)
-        .single();
-
-      if (transcriptError && transcriptError.code !== 'PGRST116') {
-        return reply.status(500).send({ error: transcriptError.message });
-      } else if (transcriptData) {
-        // Decrypt transcript text
-        if (transcriptData.encrypted_transcript_text) {
-          transcriptData.transcript_text = encryptionUtils.decryptText(
-            transcriptData.encrypted_transcript_text,
-            aes_key,
-            transcriptData.iv
-          );
-          delete transcriptData.encrypted_transcript_text;
-        }
-        delete transcriptData.iv;
-        transcript = transcriptData;
-      }
-    }
+    // soapNote_text is stored as JSON text
+    const soapNotes = parseSoapNotes(result.data.soapNotes);
+    const bundle = buildEncounterFhirBundle({ patientEncounter: result.data.patientEncounter, soapNotes });
 
-    // Step 3: Fetch SOAP notes for encounter
-    console.log('Step 3: Fetching SOAP notes for encounterId:', encounterId);
-    const { data: soapNotes, error: soapError } = await supabase
-      .from('soapNotes')
-      .select('*')
-      .eq('patientEncounter_id', encounterId);
-
-    let notes = [];
-    if (soapError && soapError.code !== 'PGRST116') {
-      return reply.status(500).send({ error: soapError.message });
-    } else if (soapNotes && Array.isArray(soapNotes)) {
-      // Decrypt SOAP note texts
-      for (const note of soapNotes) {
-        if (note.encrypted_soapNote_text) {
-          note.soapNote_text = encryptionUtils.decryptText(
-            note.encrypted_soapNote_text,
-            aes_key,
-            note.iv
-          );
-          delete note.encrypted_soapNote_text;
-        }
-        delete note.iv;
-        notes.push(note);
-      }
+    const parseResult = fhirBundleSchema.safeParse(bundle);
+    if (!parseResult.success) {
+      console.error('Generated FHIR bundle is invalid for encounter:', id, parseResult.error.issues);
+      return reply.status(500).send({ error: 'Failed to build a valid FHIR bundle' });
     }
 
-    // Return complete bundle
-    return reply.status(200).send({
-      patientEncounter: encounterData,
-      recording: recording || null,
-      transcript: transcript || null,
-      soapNotes: notes,
-    });
+    return reply.status(200).type('application/fhir+json').send(bundle);
   } catch (error) {
-    console.error('Error fetching complete patient encounter:', error);
+    console.error('Error exporting patient encounter as FHIR:', error);
     return reply.status(500).send({ error: error.message });
   }
 }
 
 /**
- * Create a complete patient encounter bundle
- * POST /api/patient-encounters/complete
- * 
- * Creates a patient encounter with linked recording, transcript, and SOAP notes
- * Handles encryption, validation, and atomic transaction with rollback on failure
- * 
- * Request body: {
- *   patientEncounter: { name, recording_file_path, ... },
- *   recording: { recording_file_path, ... },
- *   transcript: { transcript_text, ... },
- *   soapNote_text: { soapNote: { subjective, objective, assessment, plan }, billingSuggestion }
- * }
+ * Roll back a partially created patient encounter bundle
+ * Deletes created records in reverse order (ACID rollback for createPatientEncounterBundle)
+ *
+ * @param {Object} supabase - Supabase client used to create the records
+ * @param {Object} created - { patientEncounter, recording, transcript, soapNote } rows created so far
  */
-export async function completePatientEncounter(request, reply) {
+export async function rollbackPatientEncounterBundle(supabase, created) {
+  const { patientEncounter, recording, transcript, soapNote } = created;
+
+  // Delete SOAP note first
+  if (soapNote && soapNote.id) {
+    console.log('Rolling back SOAP note:', soapNote.id);
+    await supabase.from('soapNotes').delete().eq('id', soapNote.id);
+  }
+
+  // Delete transcript
+  if (transcript && transcript.id) {
+    console.log('Rolling back transcript:', transcript.id);
+    await supabase.from('transcripts').delete().eq('id', transcript.id);
+  }
+
+  // Delete recording
+  if (recording && recording.id) {
+    console.log('Rolling back recording:', recording.id);
+    await supabase.from('recordings').delete().eq('id', recording.id);
+  }
+
+  // Delete patient encounter (cascade should delete linked records, but this is a safety measure)
+  if (patientEncounter && patientEncounter.id) {
+    console.log('Rolling back patient encounter:', patientEncounter.id);
+    await supabase.from(patientEncounterTable).delete().eq('id', patientEncounter.id);
+  }
+
+  console.error('Rollback complete');
+}
+
+/**
+ * Create a patient encounter with its recording, transcript and SOAP note
+ * Shared by POST /api/patient-encounters/complete and POST /api/jobs/prompt-llm/:jobId/save
+ * Encrypts everything with a new encounter key; on any failure the created rows are rolled back and the error rethrown.
+ *
+ * @param {Object} supabase - User-scoped Supabase client
+ * @param {string} userId - Authenticated user id
+ * @param {Object} bundle - { patientEncounter: { name }, recording: { recording_file_path }, transcript: { transcript_text, segments? }, soapNote_text, note_type?, note_template_id?, note_template? }
+ *   note_template_id / note_template: template the note was generated with (job snapshot)
+ * @returns {Promise<Object>} - { patientEncounter, recording, transcript, soapNote } decrypted, matching the GET response format
+ */
+export async function createPatientEncounterBundle(supabase, userId, { patientEncounter, recording, transcript, soapNote_text, note_type = DEFAULT_NOTE_TYPE, note_template_id = null, note_template = null }) {
   let patientEncounterData = null;
   let recordingData = null;
   let transcriptData = null;
   let soapNoteData = null;
 
   try {
-    const supabase = getSupabaseClient(request.headers.authorization);
-    const user = request.user;
-
-    if (!user) {
-      return reply.status(401).send({ error: 'Unauthorized' });
-    }
-
-    const { patientEncounter, recording, transcript, soapNote_text } = request.body;
-
-    // Step 1: Validate all required objects are present
-    if (!patientEncounter || !recording || !transcript || !soapNote_text) {
-      return reply.status(400).send({
-        error: 'Missing required fields: patientEncounter, recording, transcript, soapNote_text',
-      });
-    }
-
     // Step 2: Generate encryption keys for patient encounter
     const { aesKey, iv: encounterIV } = encryptionUtils.generateAESKeyAndIV();
 
@@ -573,7 +669,7 @@ export async function completePatientEncounter(request, reply) {
     // Signed URL fields are NOT stored - they're generated on demand via getRecording()
     const patientEncounterObj = {
       name: patientEncounter.name,
-      user_id: user.id,
+      user_id: userId,
       iv: encounterIV,
       encrypted_aes_key: encryptionUtils.encryptAESKey(aesKey),
     };
@@ -608,7 +704,7 @@ export async function completePatientEncounter(request, reply) {
     const recordingObj = {
       patientEncounter_id: encounterId,
       recording_file_path: recording.recording_file_path,
-      user_id: user.id,
+      user_id: userId,
       iv: recordingIV,
     };
 
@@ -633,8 +729,9 @@ export async function completePatientEncounter(request, reply) {
       encrypted_transcript_text: transcript.transcript_text
         ? encryptionUtils.encryptText(transcript.transcript_text, aesKey, transcriptIV)
         : null,
-      user_id: user.id,
+      user_id: userId,
       iv: transcriptIV,
+      ...encryptTranscriptSegments(transcript.segments, aesKey),
     };
 
     console.log('Inserting transcript with encrypted text');
@@ -659,8 +756,11 @@ export async function completePatientEncounter(request, reply) {
       encrypted_soapNote_text: soapNote_text
         ? encryptionUtils.encryptText(JSON.stringify(soapNote_text), aesKey, soapNoteIV)
         : null,
-      user_id: user.id,
+      user_id: userId,
       iv: soapNoteIV,
+      note_type,
+      note_template_id,
+      note_template,
     };
 
     console.log('Inserting SOAP note with encrypted text');
@@ -702,6 +802,7 @@ export async function completePatientEncounter(request, reply) {
       delete transcriptData.encrypted_transcript_text;
     }
     delete transcriptData.iv;
+    decryptTranscriptSegments(transcriptData, aes_key);
 
     // Decrypt SOAP note text
     if (soapNoteData.encrypted_soapNote_text) {
@@ -717,45 +818,70 @@ export async function completePatientEncounter(request, reply) {
     // Remove encryption key and IV from recording if present
     delete recordingData.iv;
 
-    // Success: Return the created bundle
-    return reply.status(201).send({
+    return {
       patientEncounter: patientEncounterData,
       recording: recordingData,
       transcript: transcriptData,
       soapNote: soapNoteData,
-    });
+    };
   } catch (error) {
     // ACID rollback: Delete all created records in reverse order
-    console.error('Error in completePatientEncounter, rolling back:', error.message);
+    console.error('Error in createPatientEncounterBundle, rolling back:', error.message);
+    await rollbackPatientEncounterBundle(supabase, {
+      patientEncounter: patientEncounterData,
+      recording: recordingData,
+      transcript: transcriptData,
+      soapNote: soapNoteData,
+    });
+    throw error;
+  }
+}
 
+/**
+ * Create a complete patient encounter bundle
+ * POST /api/patient-encounters/complete
+ * 
+ * Creates a patient encounter with linked recording, transcript, and SOAP notes
+ * Handles encryption, validation, and atomic transaction with rollback on failure
+ * 
+ * Request body: {
+ *   patientEncounter: { name, recording_file_path, ... },
+ *   recording: { recording_file_path, ... },
+ *   transcript: { transcript_text, ... },
+ *   soapNote_text: { soapNote: { subjective, objective, assessment, plan }, billingSuggestion },
+ *   note_type?: 'soap' (default) or another note type from noteTypes.js
+ * }
+ */
+export async function completePatientEncounter(request, reply) {
+  try {
     const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
 
-    // Delete SOAP note first
-    if (soapNoteData && soapNoteData.id) {
-      console.log('Rolling back SOAP note:', soapNoteData.id);
-      await supabase.from('soapNotes').delete().eq('id', soapNoteData.id);
-    }
-
-    // Delete transcript
-    if (transcriptData && transcriptData.id) {
-      console.log('Rolling back transcript:', transcriptData.id);
-      await supabase.from('transcripts').delete().eq('id', transcriptData.id);
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
     }
 
-    // Delete recording
-    if (recordingData && recordingData.id) {
-      console.log('Rolling back recording:', recordingData.id);
-      await supabase.from('recordings').delete().eq('id', recordingData.id);
-    }
+    const { patientEncounter, recording, transcript, soapNote_text, note_type } = request.body;
 
-    // Delete patient encounter (cascade should delete linked records, but this is a safety measure)
-    if (patientEncounterData && patientEncounterData.id) {
-      console.log('Rolling back patient encounter:', patientEncounterData.id);
-      await supabase.from(patientEncounterTable).delete().eq('id', patientEncounterData.id);
+    // Step 1: Validate all required objects are present
+    if (!patientEncounter || !recording || !transcript || !soapNote_text) {
+      return reply.status(400).send({
+        error: 'Missing required fields: patientEncounter, recording, transcript, soapNote_text',
+      });
     }
 
-    console.error('Rollback complete');
+    // Steps 2-8: Create, encrypt and return the bundle (rolled back on failure)
+    const bundle = await createPatientEncounterBundle(supabase, user.id, {
+      patientEncounter,
+      recording,
+      transcript,
+      soapNote_text,
+      note_type,
+    });
 
+    // Success: Return the created bundle
+    return reply.status(201).send(bundle);
+  } catch (error) {
     // Return error response
     const errorMessage = error.message || 'Failed to create complete patient encounter';
     if (errorMessage.includes('unique')) {
@@ -839,11 +965,14 @@ export async function updatePatientEncounterTranscript(request, reply) {
     }
 
     // Step 5: Update existing transcript with new encrypted text and IV
+    // Segments are cleared: they describe the old text, and prompts prefer them over transcript_text
     const { data: updateResult, error: updateError } = await supabase
       .from(transcriptTable)
       .update({
         encrypted_transcript_text: transcript.encrypted_transcript_text,
         iv: transcript.iv,
+        encrypted_segments: null,
+        segments_iv: null,
         updated_at: new Date().toISOString(),
       })
       .eq('id', existingTranscript.id)
@@ -938,9 +1067,12 @@ export async function updatePatientEncounterWithTranscript(request, reply) {
       return reply.status(500).send({ error: 'Failed to query transcript: ' + fetchTranscriptError.message });
     }
 
+    // Stale segments are cleared, as in updatePatientEncounterTranscript
     const transcriptUpdate = {
       encrypted_transcript_text: transcript.encrypted_transcript_text,
       iv: transcript.iv,
+      encrypted_segments: null,
+      segments_iv: null,
       updated_at: new Date().toISOString(),
     };
 
@@ -5,7 +5,7 @@
  * - Audio transcription via Cloud Run (GCP)
  * - Dot phrase expansion
  * - PHI masking (AWS)
- * - SOAP note and billing generation (OpenAI)
+ * - SOAP note and billing generation (configured LLM provider)
  * - PHI unmasking
  * 
  * Uses Server-Sent Events (SSE) for real-time progress streaming.
@@ -13,265 +13,26 @@
 
 import { getSupabaseClient } from '../../utils/supabase.js';
 import { authenticateRequest } from '../../utils/authenticateRequest.js';
-import * as gptRequestBodies from '../../utils/gptRequestBodies.js';
+import { getSoapNoteAndBillingPrompt } from '../../utils/gptRequestBodies.js';
+import { generateJson } from '../../utils/llmProviders.js';
 import { unmask_phi } from '../../utils/maskPhiHelper.js';
 import { transcribe_expand_mask } from './transcribeController.js';
-import { getAzureOpenAIConfig } from '../../utils/azureOpenaiConfig.js';
-
-/**
- * Helper: Clean raw text from LLMs to normalize problematic characters for EHR systems
- */
-function cleanRawText(s) {
-    if (!s || typeof s !== 'string') return s;
-    // Replace common bullet characters with a dash
-    s = s.replace(/\u2022|\u2023|\u25E6|\u2043/g, '-');
-    // Replace various ellipsis and similar with standard ellipsis
-    s = s.replace(/[\u2026\u22EF\u22EE]/g, '...');
-    // Normalize non-breaking spaces to regular space
-    s = s.replace(/\u00A0/g, ' ');
-    // Replace en-dash (–) with hyphen-minus (-)
-    s = s.replace(/–/g, '-');
-    // Replace em-dash (—) with hyphen-minus (-)
-    s = s.replace(/—/g, '-');
-    // Replace comparison operators with text equivalents
-    s = s.replace(/≤/g, '<=');
-    s = s.replace(/≥/g, '>=');
-    // Replace multiplication symbol (×) with standard x
-    s = s.replace(/×/g, 'x');
-    // Replace common fractions with text equivalents
-    // Replace plus-minus symbol (±) with text equivalent
-    s = s.replace(/±/g, '+/-');
-    
-    s = s.replace(/½/g, '1/2');
-    s = s.replace(/⅓/g, '1/3');
-    s = s.replace(/⅔/g, '2/3');
-    s = s.replace(/¼/g, '1/4');
-    s = s.replace(/¾/g, '3/4');
-    s = s.replace(/⅕/g, '1/5');
-    s = s.replace(/⅖/g, '2/5');
-    s = s.replace(/⅗/g, '3/5');
-    s = s.replace(/⅘/g, '4/5');
-    s = s.replace(/⅙/g, '1/6');
-    s = s.replace(/⅚/g, '5/6');
-    // Replace superscript numbers with power notation (e.g., 2² → 2^2)
-    s = s.replace(/⁰/g, '^0');
-    s = s.replace(/¹/g, '^1');
-    s = s.replace(/²/g, '^2');
-    s = s.replace(/³/g, '^3');
-    s = s.replace(/⁴/g, '^4');
-    s = s.replace(/⁵/g, '^5');
-    s = s.replace(/⁶/g, '^6');
-    s = s.replace(/⁷/g, '^7');
-    s = s.replace(/⁸/g, '^8');
-    s = s.replace(/⁹/g, '^9');
-    // Replace arrows with text equivalents
-    s = s.replace(/→/g, '->');
-    s = s.replace(/←/g, '<-');
-    s = s.replace(/↑/g, 'increase');
-    s = s.replace(/↓/g, 'decrease');
-    // Replace tilde (~) with "approximately"
-    s = s.replace(/~/g, 'approximately');
-    // Replace approximate equals (≈) with tilde (~)
-    s = s.replace(/≈/g, '~');
-    // Replace infinity symbol (∞) with "infinity"
-    s = s.replace(/∞/g, 'infinity');
-    // Remove control characters except common whitespace (tab, newline, carriage)
-    s = s.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-    // Collapse multiple consecutive hyphens to a single one
-    s = s.replace(/-{2,}/g, '-');
-    // Trim excessive whitespace
-    s = s.replace(/\s{2,}/g, ' ').trim();
-    return s;
-}
+import { sendSseEvent, sendSseError } from '../../utils/sseHelper.js';
+import { validateSoapAndBilling as validateSoapNoteAgainstTemplate } from '../../utils/soapNoteValidator.js';
+import { cleanRawText } from '../../utils/cleanRawText.js';
+import { getNoteTemplateForUser } from './noteTemplatesController.js';
+import { DEFAULT_NOTE_TYPE, getNoteTypeTemplate } from '../../utils/noteTypes.js';
 
 /**
  * Basic runtime validator for the expected soap_and_billing JSON schema.
+ * Sections follow the note template (see soapNoteValidator.js); billing is required here.
  */
-function validateSoapAndBilling(obj) {
-    if (!obj || typeof obj !== 'object') throw new Error('Response is not an object');
-    if (!obj.soap_note || typeof obj.soap_note !== 'object') throw new Error('Missing soap_note object');
+function validateSoapAndBilling(obj, template) {
+    validateSoapNoteAgainstTemplate(obj, template);
     if (!obj.billing || typeof obj.billing !== 'object') throw new Error('Missing billing object');
-
-    const s = obj.soap_note;
-    if (!s.subjective || typeof s.subjective !== 'object') throw new Error('Missing subjective object');
-    if (!s.objective || typeof s.objective !== 'object') throw new Error('Missing objective object');
-    if (typeof s.assessment !== 'string') throw new Error('assessment must be a string');
-    if (typeof s.plan !== 'string') throw new Error('plan must be a string');
-
-    // Check subjective required keys
-    const subjReq = ["Chief complaint", "HPI", "History", "ROS", "Medications", "Allergies"];
-    for (const k of subjReq) {
-        if (!(k in s.subjective)) throw new Error(`subjective missing required key: ${k}`);
-        if (typeof s.subjective[k] !== 'string') throw new Error(`subjective.${k} must be a string`);
-    }
-
-    // Objective required keys
-    const objReq = ["HEENT", "General", "Cardiovascular", "Musculoskeletal", "Other"];
-    for (const k of objReq) {
-        if (!(k in s.objective)) throw new Error(`objective missing required key: ${k}`);
-        if (typeof s.objective[k] !== 'string') throw new Error(`objective.${k} must be a string`);
-    }
-
-    // Billing checks
-    const b = obj.billing;
-    if (!Array.isArray(b.icd10_codes)) throw new Error('billing.icd10_codes must be an array');
-    // if (b.icd10_codes.length < 1) throw new Error('billing.icd10_codes must contain at least one code');
-    if (typeof b.billing_code !== 'string') throw new Error('billing.billing_code must be a string');
-    if (typeof b.additional_inquiries !== 'string') throw new Error('billing.additional_inquiries must be a string');
-
-    // Limit check
-    if (b.icd10_codes.length > 10) throw new Error('billing.icd10_codes has too many entries');
-
     return true;
 }
 
-/**
- * Handle OpenAI GPT API request for SOAP note generation
- */
-async function gptAPIReq(reqBody) {
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    const openaiApiUrl = process.env.OPENAI_API_URL || "https://api.openai.com/v1/chat/completions";
-    if (!openaiApiKey) {
-        throw new Error('OpenAI API key not configured');
-    }
-
-    console.log(`[gptAPIReq] Using OpenAI model: ${reqBody.model}`);
-    console.log(`[gptAPIReq] API URL: ${openaiApiUrl}`);
-    console.log(`[gptAPIReq] Making request to OpenAI...`);
-
-    const response = await fetch(openaiApiUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${openaiApiKey}`,
-        },
-        body: JSON.stringify(reqBody)
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenAI API error: ${errorText}`);
-    }
-
-    const openaiData = await response.json();
-
-    if (!openaiData.choices || !openaiData.choices[0]?.message) {
-        throw new Error('Invalid response from OpenAI API');
-    }
-
-    // Log token usage
-    if (openaiData.usage) {
-        console.log(`[gptAPIReq] Prompt tokens: ${openaiData.usage.prompt_tokens}`);
-        console.log(`[gptAPIReq] Completion tokens: ${openaiData.usage.completion_tokens}`);
-        console.log(`[gptAPIReq] Total tokens: ${openaiData.usage.total_tokens}`);
-    }
-
-    console.log('[gptAPIReq] Successfully received response from OpenAI');
-    // Return the content of the first message
-    return openaiData.choices[0].message.content;
-}
-
-/**
- * Handle Azure OpenAI GPT API request for SOAP note generation
- * 
- * Uses Azure OpenAI SDK with endpoint and api-key authentication.
- * Falls back to OpenAI if Azure credentials are not configured.
- * 
- * @param {Object} reqBody - Request body with messages, model, etc.
- * @returns {Promise<string>} - LLM response content
- * @throws {Error} - If API call fails
- */
-async function azureGptAPIReq(reqBody) {
-    // Check if Azure OpenAI is configured
-    const azureEndpoint = process.env.AZURE_OPENAI_ENDPOINT;
-    const azureApiKey = process.env.AZURE_OPENAI_KEY;
-    
-    if (!azureEndpoint || !azureApiKey) {
-        throw new Error('Missing Azure OpenAI environment variables. Configure AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_KEY to use Azure OpenAI.');
-    }
-
-    try {
-        // Dynamically import AzureOpenAI to avoid hard dependency
-        const { AzureOpenAI } = await import('openai');
-        
-        // Get Azure config from environment
-        const azureConfig = getAzureOpenAIConfig();
-        
-        console.log(`[azureGptAPIReq] Using Azure deployment: ${azureConfig.deploymentName}`);
-        
-        // Initialize Azure OpenAI client
-        const client = new AzureOpenAI({
-            apiVersion: azureConfig.apiVersion,
-            apiKey: azureApiKey,
-            baseURL: `${azureEndpoint}/openai/deployments/${azureConfig.deploymentName}`,
-            defaultQuery: { 'api-version': azureConfig.apiVersion },
-            defaultHeaders: { 'api-key': azureApiKey },
-        });
-
-        console.log(`[azureGptAPIReq] Making request to Azure OpenAI...`);
-
-        // Make the chat completion request
-        const response = await client.chat.completions.create({
-            messages: reqBody.messages,
-            model: azureConfig.deploymentName,
-            max_completion_tokens: reqBody.max_completion_tokens || reqBody.max_tokens,
-            temperature: reqBody.temperature,
-            top_p: reqBody.top_p,
-            response_format: reqBody.response_format,
-        });
-
-        if (!response.choices || !response.choices[0]?.message) {
-            throw new Error('Invalid response from Azure OpenAI API');
-        }
-
-        // Log token usage
-        if (response.usage) {
-            console.log(`[azureGptAPIReq] Prompt tokens: ${response.usage.prompt_tokens}`);
-            console.log(`[azureGptAPIReq] Completion tokens: ${response.usage.completion_tokens}`);
-            console.log(`[azureGptAPIReq] Total tokens: ${response.usage.total_tokens}`);
-        }
-
-        console.log('[azureGptAPIReq] Successfully received response from Azure OpenAI');
-        return response.choices[0].message.content;
-    } catch (error) {
-        console.error('[azureGptAPIReq] Error:', error.message);
-        throw error;
-    }
-}
-
-/**
- * Helper: Send SSE event to client
- */
-function sendSseEvent(reply, status, message, data = null) {
-    const event = { status, message };
-    if (data) {
-        event.data = data;
-    }
-    reply.raw.write(`data: ${JSON.stringify(event)}\n\n`);
-}
-
-/**
- * Helper: Send SSE error to client
- * Sets appropriate HTTP status code (400 for validation, 500 for server errors)
- */
-function sendSseError(reply, message, statusCode = 400) {
-    const event = { status: 'error', message };
-    
-    // Only call writeHead if not already sent
-    if (!reply.raw.headersSent) {
-        reply.raw.writeHead(statusCode, {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type',
-        });
-    }
-    
-    reply.raw.write(`data: ${JSON.stringify(event)}\n\n`);
-    reply.raw.end();
-}
-
 /**
  * POST /api/prompt-llm
  * 
@@ -280,7 +41,7 @@ function sendSseError(reply, message, statusCode = 400) {
  * 
  * Requires authentication.
  * 
- * @param {Object} request - Fastify request object with { recording_file_path }
+ * @param {Object} request - Fastify request object with { recording_file_path, llm_provider?, transcription_provider?, note_type?, note_template_id? }
  * @param {Object} reply - Fastify reply object
  */
 export async function promptLlmHandler(request, reply) {
@@ -288,7 +49,19 @@ export async function promptLlmHandler(request, reply) {
 
     try {
         // Extract recording path (Fastify schema validation ensures this exists)
-        const { recording_file_path } = request.body;
+        const { recording_file_path, llm_provider, transcription_provider, note_type, note_template_id } = request.body;
+        const supabase = getSupabaseClient(request.headers.authorization);
+        const noteType = note_type || DEFAULT_NOTE_TYPE;
+
+        // SOAP notes: requested template, else the user's default template, else the built-in SOAP template
+        let noteTemplate = null;
+        if (noteType === 'soap') {
+            const templateResult = await getNoteTemplateForUser(request.user.id, note_template_id, supabase);
+            if (!templateResult.success) {
+                return reply.status(templateResult.status || 500).send({ error: templateResult.error });
+            }
+            noteTemplate = templateResult.data;
+        }
 
         // Set up SSE headers after validation passes (validation is done by Fastify schema)
         reply.raw.writeHead(200, {
@@ -304,8 +77,7 @@ export async function promptLlmHandler(request, reply) {
 
         // Download audio file from Supabase Storage
         sendSseEvent(reply, 'downloading', 'Downloading audio file from Supabase Storage...');
-        
-        const supabase = getSupabaseClient(request.headers.authorization);
+
         const expirySeconds = 60 * 60;
         const { data: signedUrlData, error: signedError } = await supabase.storage
             .from('audio-files')
@@ -326,7 +98,14 @@ export async function promptLlmHandler(request, reply) {
         console.log("[promptLlmHandler] Transcription start time:", new Date(transcribeStartTime).toISOString());
         
         try {
-            transcriptResult = await transcribe_expand_mask({ recording_file_signed_url, req: request });
+            transcriptResult = await transcribe_expand_mask({
+                recording_file_signed_url,
+                req: request,
+                transcriptionProvider: transcription_provider,
+                onTranscriptionProgress: async (progress) => {
+                    sendSseEvent(reply, 'transcribe and mask', `Transcribing audio (${progress.chunks_done}/${progress.chunks_total} parts)...`, progress);
+                },
+            });
         } catch (error) {
             console.error('[promptLlmHandler] transcribe_expand_mask error:', error?.message || error);
             console.error(error?.stack || error);
@@ -342,29 +121,34 @@ export async function promptLlmHandler(request, reply) {
         const transcript = transcriptResult.expandedTranscript; // Clean transcript with dot phrase expansions for user
         const maskedTranscript = transcriptResult.maskResult.masked_transcript; // Masked LLM-notated version for processing
         const tokens = transcriptResult.maskResult.tokens; // AWS Comprehend Medical token mapping for unmasking
+        const surrogates = transcriptResult.maskResult.surrogates; // Surrogate mapping (surrogate mode only)
         const transcribeEndTime = Date.now();
         
         console.log('[promptLlmHandler] Transcription Result:', JSON.stringify(transcriptResult, null, 2));
         console.log('[promptLlmHandler] Transcription time:', (transcribeEndTime - transcribeStartTime) / 1000, 's');
 
         // Send transcription complete with transcript
-        sendSseEvent(reply, 'transcription complete', 'Transcription complete!', { transcript });
+        sendSseEvent(reply, 'transcription complete', 'Transcription complete!', { transcript, segments: transcriptResult.segments || [] });
 
         // Create SOAP Note and Billing Suggestion
         sendSseEvent(reply, 'creating soap note', 'Creating SOAP note and billing suggestion...');
 
-        const soapNoteAndBillingReqBody = gptRequestBodies.getSoapNoteAndBillingRequestBody(maskedTranscript);
+        const soapNoteAndBillingPrompt = getSoapNoteAndBillingPrompt(maskedTranscript, {
+            speakerLabelled: transcriptResult.speakerLabelled,
+            template: noteTemplate,
+            noteType,
+        });
         let soapNoteAndBillingResultRaw;
         
         try {
-            soapNoteAndBillingResultRaw = await gptAPIReq(soapNoteAndBillingReqBody);
+            soapNoteAndBillingResultRaw = await generateJson(soapNoteAndBillingPrompt, { provider: llm_provider });
         } catch (error) {
-            console.error('[promptLlmHandler] GPT API error:', error);
+            console.error('[promptLlmHandler] LLM API error:', error);
             return sendSseError(reply, `SOAP Note processing failed: ${error.message}`);
         }
 
         if (!soapNoteAndBillingResultRaw) {
-            console.error('[promptLlmHandler] Empty response from OpenAI API');
+            console.error('[promptLlmHandler] Empty response from LLM provider');
             return sendSseError(reply, 'Failed to create SOAP note and billing suggestion. Empty response from LLM.');
         }
 
@@ -395,11 +179,14 @@ export async function promptLlmHandler(request, reply) {
         rawString = cleanRawText(rawString);
         let unmaskRes;
         try {
-            unmaskRes = unmask_phi(rawString, tokens);
+            unmaskRes = unmask_phi(rawString, tokens, { surrogates });
         } catch (err) {
             console.error('[promptLlmHandler] Failed to unmask PHI tokens:', err);
             return sendSseError(reply, `Failed to unmask PHI tokens: ${err.message}`);
         }
+        if (unmaskRes.warnings?.length > 0) {
+            console.warn('[promptLlmHandler] Unmask warnings:', unmaskRes.warnings);
+        }
 
         const unmaskedString = (unmaskRes && typeof unmaskRes === 'object' && unmaskRes.unmasked_transcript)
             ? unmaskRes.unmasked_transcript
@@ -416,7 +203,7 @@ export async function promptLlmHandler(request, reply) {
 
         // Validate SOAP and Billing structure
         try {
-            validateSoapAndBilling(soapNoteAndBillingResult);
+            validateSoapAndBilling(soapNoteAndBillingResult, getNoteTypeTemplate(noteType, noteTemplate));
         } catch (err) {
             console.error('[promptLlmHandler] SOAP and Billing validation failed:', err);
             return sendSseError(reply, `SOAP note validation failed: ${err.message}`);
@@ -5,9 +5,30 @@
 import { getSupabaseClient } from '../../utils/supabase.js';
 import * as encryptionUtils from '../../utils/encryptionUtils.js';
 import parseSoapNotes from '../../utils/parseSoapNotes.js';
+import { DEFAULT_NOTE_TYPE, getNoteTypeTemplate } from '../../utils/noteTypes.js';
+import { exportSoapNote } from '../../utils/soapNoteExport.js';
+import { parseBillingSuggestion } from '../../utils/soapNoteFormat.js';
+import { structureBilling } from '../../utils/billingCodes.js';
+import { diffSoapNoteTexts } from '../../utils/soapNoteDiff.js';
+import { SIGNED_NOTE_LOCKED_CODE, computeContentHash, verifyContentHash } from '../../utils/soapNoteSignature.js';
+import { getPatientEncounterTranscriptForPrompt } from '../../utils/patientEncounterUtils.js';
+import { mask_phi, unmask_phi } from '../../utils/maskPhiHelper.js';
+import { generateJson } from '../../utils/llmProviders.js';
+import { getSectionRegenerationPrompt } from '../../utils/gptRequestBodies.js';
+import { cleanRawText } from '../../utils/cleanRawText.js';
+import { applySectionText, resolveSectionPath } from '../../utils/soapNoteRegeneration.js';
+import { buildMaskingDocument, splitMaskingDocument } from '../../utils/maskingDocument.js';
+import { reviewNotePhi } from '../../utils/phiReview.js';
+import { getNoteTemplateForUser } from './noteTemplatesController.js';
 
 const soapNoteTable = 'soapNotes';
+const soapNoteRevisionTable = 'soapNoteRevisions';
+const soapNoteAddendumTable = 'soapNoteAddenda';
+const SIGNED_NOTE_ERROR = 'Signed SOAP notes cannot be changed; add an addendum instead';
+// Revision metadata returned by the list endpoint (no note text)
+const REVISION_COLUMNS = 'id, revision, user_id, source, restored_from_revision, created_at';
 const BATCH_SIZE = 10; // Decrypt SOAP notes in batches for performance
+const MAX_PHI_REVIEW_NOTES = 50; // Notes scanned per PHI review request
 
 /**
  * Helper: Validates bigint ID format
@@ -53,6 +74,32 @@ async function decryptSoapNoteText(soapNote) {
   return { success: true, soapNote };
 }
 
+/**
+ * Helper: Fetches and decrypts the addenda of a SOAP note, oldest first
+ * Returns { success, data, error }
+ */
+async function fetchSoapNoteAddenda(supabase, soapNoteId, encryptedAESKey) {
+  const { data, error } = await supabase
+    .from(soapNoteAddendumTable)
+    .select('*')
+    .eq('soapNote_id', soapNoteId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching SOAP note addenda:', error);
+    return { success: false, data: null, error: error.message };
+  }
+
+  for (const addendum of data) {
+    const decryptFieldResult = await encryptionUtils.decryptField(addendum, 'addendum_text', encryptedAESKey);
+    if (!decryptFieldResult.success) {
+      console.error('Failed to decrypt SOAP note addendum:', addendum.id, '. Error:', decryptFieldResult.error);
+      return { success: false, data: null, error: decryptFieldResult.error };
+    }
+  }
+  return { success: true, data, error: null };
+}
+
 /**
  * Get all SOAP notes for the authenticated user (with pagination and batched decryption)
  * GET /api/soap-notes
@@ -159,12 +206,36 @@ export async function getSoapNote(request, reply) {
       return reply.status(404).send({ error: 'SOAP note not found' });
     }
 
+    // decryptSoapNoteText removes the joined encounter, keep the key for the addenda
+    const encryptedAESKey = soapNote.patientEncounter?.encrypted_aes_key || null;
+
     // Decrypt soapNote_text
     const decryptResult = await decryptSoapNoteText(soapNote);
     if (!decryptResult.success) {
       return reply.status(400).send({ error: decryptResult.error });
     }
 
+    // Signed notes: addenda and whether the text still matches the hash recorded at signing
+    soapNote.addenda = [];
+    if (soapNote.signed_at) {
+      soapNote.content_hash_valid = verifyContentHash(soapNote.soapNote_text, soapNote.content_hash);
+      const addendaResult = await fetchSoapNoteAddenda(supabase, soapNote.id, encryptedAESKey);
+      if (!addendaResult.success) {
+        return reply.status(500).send({ error: addendaResult.error });
+      }
+      soapNote.addenda = addendaResult.data;
+    }
+
+    // Structured billing codes checked against the code tables (soapNote_text is returned as stored)
+    const { soapNote_text: soapNoteText } = parseSoapNotes({ soapNote_text: soapNote.soapNote_text });
+    if (soapNoteText && typeof soapNoteText === 'object' && !soapNoteText.error) {
+      try {
+        soapNote.billing_codes = structureBilling(parseBillingSuggestion(soapNoteText.billingSuggestion));
+      } catch (err) {
+        console.error('Failed to check billing codes for SOAP note:', soapNote.id, '. Error:', err);
+      }
+    }
+
     return reply.status(200).send(decryptResult.soapNote);
   } catch (error) {
     console.error('Error fetching SOAP note:', error);
@@ -172,10 +243,96 @@ export async function getSoapNote(request, reply) {
   }
 }
 
+/**
+ * Export a SOAP note as a file with section headings, billing and encounter metadata
+ * GET /api/soap-notes/:id/export
+ * Query params: format (pdf | docx | txt | md, validated by the route)
+ */
+export async function exportSoapNoteHandler(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+    const { format } = request.query;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid SOAP note ID format' });
+    }
+
+    // Fetch SOAP note with the patientEncounter fields needed for the key and metadata
+    const { data: soapNote, error } = await supabase
+      .from(soapNoteTable)
+      .select(`
+        *,
+        patientEncounter:patientEncounter_id (
+          encrypted_aes_key,
+          encrypted_name,
+          iv,
+          created_at
+        )
+      `)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (error || !soapNote) {
+      return reply.status(404).send({ error: 'SOAP note not found' });
+    }
+
+    // decryptSoapNoteText removes the joined encounter, keep it for the metadata
+    const encounter = soapNote.patientEncounter || {};
+    let encounterName = null;
+    try {
+      if (encounter.encrypted_name) {
+        const aesKey = encryptionUtils.decryptAESKey(encounter.encrypted_aes_key);
+        encounterName = encryptionUtils.decryptText(encounter.encrypted_name, aesKey, encounter.iv);
+      }
+    } catch (decryptError) {
+      console.error('Failed to decrypt patient encounter name for SOAP note:', soapNote.id, '. Error:', decryptError);
+      return reply.status(500).send({ error: 'Failed to decrypt patient encounter' });
+    }
+
+    const decryptResult = await decryptSoapNoteText(soapNote);
+    if (!decryptResult.success) {
+      return reply.status(400).send({ error: decryptResult.error });
+    }
+    // soapNote_text is stored as JSON text
+    parseSoapNotes(soapNote);
+    if (!soapNote.soapNote_text || typeof soapNote.soapNote_text !== 'object' || soapNote.soapNote_text.error) {
+      return reply.status(422).send({ error: 'SOAP note text could not be parsed for export' });
+    }
+
+    const file = await exportSoapNote(soapNote.soapNote_text, {
+      noteType: soapNote.note_type || DEFAULT_NOTE_TYPE,
+      encounterName,
+      encounterDate: encounter.created_at,
+      noteUpdatedAt: soapNote.updated_at || soapNote.created_at,
+      signedAt: soapNote.signed_at,
+    }, format);
+
+    // No patient name in the filename: downloads end up in browser history and shared folders
+    return reply
+      .status(200)
+      .header('Content-Type', file.contentType)
+      .header('Content-Disposition', `attachment; filename="note-${soapNote.id}.${file.extension}"`)
+      .header('Cache-Control', 'no-store')
+      .send(file.body);
+  } catch (error) {
+    console.error('Error exporting SOAP note:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
 /**
  * Create a new SOAP note
  * POST /api/soap-notes
- * Body: { patientEncounter_id, soapNote_text }
+ * Body: { patientEncounter_id, soapNote_text, note_type? }
  */
 export async function createSoapNote(request, reply) {
   try {
@@ -186,7 +343,7 @@ export async function createSoapNote(request, reply) {
       return reply.status(401).send({ error: 'Unauthorized' });
     }
 
-    const { patientEncounter_id, soapNote_text } = request.body;
+    const { patientEncounter_id, soapNote_text, note_type } = request.body;
 
     // Verify user owns the patientEncounter
     const { data: encounter, error: encounterError } = await supabase
@@ -230,6 +387,7 @@ export async function createSoapNote(request, reply) {
         patientEncounter_id,
         encrypted_soapNote_text: encryptedText,
         iv,
+        note_type: note_type || DEFAULT_NOTE_TYPE,
       })
       .select()
       .single();
@@ -288,6 +446,10 @@ export async function updateSoapNote(request, reply) {
       return reply.status(404).send({ error: 'SOAP note not found' });
     }
 
+    if (soapNote.signed_at) {
+      return reply.status(409).send({ error: SIGNED_NOTE_ERROR });
+    }
+
     // Encrypt the updated soapNote_text
     // Convert object to JSON string for encryption
     const encryptedAESKey = soapNote.patientEncounter?.encrypted_aes_key;
@@ -321,6 +483,10 @@ export async function updateSoapNote(request, reply) {
       .single();
 
     if (updateError) {
+      // Signed between the fetch and the update (lock trigger)
+      if (updateError.code === SIGNED_NOTE_LOCKED_CODE) {
+        return reply.status(409).send({ error: SIGNED_NOTE_ERROR });
+      }
       console.error('Update error:', updateError);
       return reply.status(500).send({ error: updateError.message });
     }
@@ -334,6 +500,747 @@ export async function updateSoapNote(request, reply) {
   }
 }
 
+/**
+ * Regenerate one section of a SOAP note from its stored transcript
+ * POST /api/soap-notes/:id/regenerate
+ * Body: { section, instructions?, llm_provider? }
+ * The transcript, current section text and instructions are masked with mask_phi, the LLM writes
+ * just that section, and the unmasked result is saved like a PATCH (recorded as a new revision).
+ */
+export async function regenerateSoapNoteSection(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid SOAP note ID format' });
+    }
+
+    const { section, instructions = '', llm_provider } = request.body;
+
+    // Fetch SOAP note with patientEncounter to get AES key
+    const { data: soapNote, error: fetchError } = await supabase
+      .from(soapNoteTable)
+      .select(`
+        *,
+        patientEncounter:patientEncounter_id (
+          encrypted_aes_key
+        )
+      `)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (fetchError || !soapNote) {
+      return reply.status(404).send({ error: 'SOAP note not found' });
+    }
+
+    if (soapNote.signed_at) {
+      return reply.status(409).send({ error: SIGNED_NOTE_ERROR });
+    }
+
+    const encryptedAESKey = soapNote.patientEncounter?.encrypted_aes_key;
+    const decryptResult = await decryptSoapNoteText(soapNote);
+    if (!decryptResult.success) {
+      return reply.status(400).send({ error: decryptResult.error });
+    }
+    // soapNote_text is stored as JSON text
+    parseSoapNotes(soapNote);
+    if (!soapNote.soapNote_text || typeof soapNote.soapNote_text !== 'object' || soapNote.soapNote_text.error) {
+      return reply.status(422).send({ error: 'SOAP note text could not be parsed' });
+    }
+    const storedText = soapNote.soapNote_text;
+
+    // Section layout: the template snapshot the note was generated with, else its template by id; SOAP notes
+    // without either (built-in template, or saved before templates were stored on notes) use the user's default
+    const noteType = soapNote.note_type || DEFAULT_NOTE_TYPE;
+    let noteTemplate = soapNote.note_template ?? null;
+    if (!noteTemplate && noteType === 'soap') {
+      const templateResult = await getNoteTemplateForUser(user.id, soapNote.note_template_id ?? null, supabase);
+      if (!templateResult.success) {
+        return reply.status(templateResult.status || 500).send({ error: templateResult.error });
+      }
+      noteTemplate = templateResult.data;
+    }
+
+    let target;
+    try {
+      target = resolveSectionPath(section, storedText.soapNote, getNoteTypeTemplate(noteType, noteTemplate));
+    } catch (err) {
+      return reply.status(err.status || 400).send({ error: err.message });
+    }
+
+    // Stored transcript of the note's patient encounter
+    const transcriptResult = await getPatientEncounterTranscriptForPrompt(supabase, soapNote.patientEncounter_id);
+    if (!transcriptResult.success) {
+      return reply.status(transcriptResult.statusCode || 500).send({ error: transcriptResult.error });
+    }
+    const { promptTranscript, speakerLabelled } = transcriptResult;
+
+    // Mask transcript, current text and instructions together so they share one token map
+    let masked;
+    let tokens;
+    let surrogates;
+    try {
+      const maskResult = await mask_phi(buildMaskingDocument({
+        transcript: promptTranscript,
+        current_text: target.currentText,
+        instructions,
+      }), undefined, { seed: encryptedAESKey });
+      masked = splitMaskingDocument(maskResult.masked_transcript, ['transcript', 'current_text', 'instructions']);
+      tokens = maskResult.tokens || {};
+      surrogates = maskResult.surrogates;
+    } catch (maskError) {
+      console.error('PHI masking failed for SOAP note regeneration:', soapNote.id, '. Error:', maskError);
+      return reply.status(502).send({ error: `PHI masking failed: ${maskError.message}` });
+    }
+
+    const prompt = getSectionRegenerationPrompt(masked.transcript, {
+      sectionPath: target.path,
+      field: target.field,
+      currentText: masked.current_text,
+      instructions: masked.instructions,
+      speakerLabelled,
+      noteType,
+    });
+
+    let regenerated;
+    try {
+      const raw = await generateJson(prompt, { provider: llm_provider });
+      if (!raw) {
+        throw new Error('Empty response from LLM provider');
+      }
+      const rawString = cleanRawText(typeof raw === 'string' ? raw : JSON.stringify(raw));
+      const { unmasked_transcript: unmaskedString } = unmask_phi(rawString, tokens, { surrogates });
+      regenerated = JSON.parse(unmaskedString).section;
+      if (regenerated === undefined || regenerated === null) {
+        throw new Error('LLM response is missing the section');
+      }
+    } catch (llmError) {
+      console.error('LLM section regeneration failed for SOAP note:', soapNote.id, '. Error:', llmError);
+      return reply.status(502).send({ error: `Section regeneration failed: ${llmError.message}` });
+    }
+
+    const soapNote_text = {
+      ...storedText,
+      soapNote: applySectionText(storedText.soapNote, target, regenerated),
+    };
+
+    // Encrypt and save like PATCH /api/soap-notes/:id; the revision trigger records the change
+    const encryptResult = encryptionUtils.encryptField(
+      { soapNote_text: JSON.stringify(soapNote_text) },
+      'soapNote_text',
+      encryptedAESKey
+    );
+    if (!encryptResult.success) {
+      return reply.status(500).send({ error: 'Failed to encrypt SOAP note text' });
+    }
+
+    const { data: updatedSoapNote, error: updateError } = await supabase
+      .from(soapNoteTable)
+      .update({
+        encrypted_soapNote_text: encryptResult.value,
+        iv: encryptResult.iv,
+      })
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === SIGNED_NOTE_LOCKED_CODE) {
+        return reply.status(409).send({ error: SIGNED_NOTE_ERROR });
+      }
+      console.error('Update error:', updateError);
+      return reply.status(500).send({ error: updateError.message });
+    }
+
+    // Return decrypted SOAP note in response, with the regenerated section
+    delete updatedSoapNote.encrypted_soapNote_text;
+    delete updatedSoapNote.iv;
+    updatedSoapNote.soapNote_text = soapNote_text;
+    updatedSoapNote.regenerated_section = target.path;
+    return reply.status(200).send(updatedSoapNote);
+  } catch (error) {
+    console.error('Error regenerating SOAP note section:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Helper: Known PHI of a patient encounter, detected in its stored transcript
+ * Stored notes keep no masking tokens, so the transcript's entities stand in for them.
+ * An encounter without a transcript has no known entities.
+ * Returns { success, entities, transcript, error }
+ */
+async function getEncounterKnownPhi(supabase, patientEncounterId, provider) {
+  const transcriptResult = await getPatientEncounterTranscriptForPrompt(supabase, patientEncounterId);
+  if (!transcriptResult.success) {
+    return { success: true, entities: [], transcript: '', error: null };
+  }
+  try {
+    const maskResult = await mask_phi(transcriptResult.promptTranscript, undefined, { provider, mode: 'token' });
+    return { success: true, entities: maskResult.phi_entities, transcript: transcriptResult.promptTranscript, error: null };
+  } catch (error) {
+    console.error('PHI detection failed for patient encounter transcript:', patientEncounterId, '. Error:', error);
+    return { success: false, entities: [], transcript: '', error: `PHI detection failed: ${error.message}` };
+  }
+}
+
+/**
+ * Scan stored SOAP notes for PHI that is not in their encounter's transcript, and for leftover tokens
+ * POST /api/soap-notes/phi-review
+ * Body: { soapNote_ids } or { patientEncounter_id }, optional provider
+ * Returns one entry per note: { soapNote_id, patientEncounter_id, phi_review } (see phiReview.js),
+ * or { soapNote_id, error } for notes that are missing or could not be reviewed. Nothing is stored.
+ */
+export async function reviewSoapNotesPhi(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { soapNote_ids, patientEncounter_id, provider } = request.body;
+
+    let query = supabase
+      .from(soapNoteTable)
+      .select(`
+        id,
+        patientEncounter_id,
+        encrypted_soapNote_text,
+        iv,
+        patientEncounter:patientEncounter_id (
+          encrypted_aes_key
+        )
+      `)
+      .eq('user_id', user.id);
+    query = soapNote_ids
+      ? query.in('id', soapNote_ids)
+      : query.eq('patientEncounter_id', patientEncounter_id);
+
+    const { data: soapNotes, error: fetchError } = await query
+      .order('id', { ascending: true })
+      .limit(MAX_PHI_REVIEW_NOTES);
+
+    if (fetchError) {
+      console.error('Error fetching SOAP notes for PHI review:', fetchError);
+      return reply.status(500).send({ error: fetchError.message });
+    }
+
+    // Known entities are detected once per encounter
+    const knownPhiByEncounter = new Map();
+    const results = [];
+    for (const soapNote of soapNotes) {
+      const entry = { soapNote_id: soapNote.id, patientEncounter_id: soapNote.patientEncounter_id };
+
+      const decryptResult = await decryptSoapNoteText(soapNote);
+      if (!decryptResult.success) {
+        results.push({ ...entry, error: decryptResult.error });
+        continue;
+      }
+      // soapNote_text is stored as JSON text; unparseable notes are reviewed as plain text
+      const rawText = soapNote.soapNote_text;
+      parseSoapNotes(soapNote);
+      const note = soapNote.soapNote_text && typeof soapNote.soapNote_text === 'object' && !soapNote.soapNote_text.error
+        ? soapNote.soapNote_text
+        : rawText;
+
+      if (!knownPhiByEncounter.has(soapNote.patientEncounter_id)) {
+        knownPhiByEncounter.set(soapNote.patientEncounter_id, await getEncounterKnownPhi(supabase, soapNote.patientEncounter_id, provider));
+      }
+      const knownPhi = knownPhiByEncounter.get(soapNote.patientEncounter_id);
+      if (!knownPhi.success) {
+        results.push({ ...entry, error: knownPhi.error });
+        continue;
+      }
+
+      try {
+        const phi_review = await reviewNotePhi(note, { knownEntities: knownPhi.entities, sourceText: knownPhi.transcript, provider });
+        results.push({ ...entry, phi_review });
+      } catch (error) {
+        console.error('PHI review failed for SOAP note:', soapNote.id, '. Error:', error);
+        results.push({ ...entry, error: `PHI review failed: ${error.message}` });
+      }
+    }
+
+    // Requested notes that do not exist (or belong to someone else)
+    const found = new Set(soapNotes.map((soapNote) => soapNote.id));
+    for (const soapNoteId of soapNote_ids || []) {
+      if (!found.has(soapNoteId)) {
+        results.push({ soapNote_id: soapNoteId, error: 'SOAP note not found' });
+      }
+    }
+
+    return reply.status(200).send({ success: true, data: results });
+  } catch (error) {
+    console.error('Error reviewing SOAP notes for PHI:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Sign a SOAP note, locking it against further edits
+ * POST /api/soap-notes/:id/sign
+ * Records signer, time and a SHA-256 hash of the note text; the lock itself is
+ * enforced by the prevent_signed_soapnotes_changes trigger.
+ */
+export async function signSoapNote(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid SOAP note ID format' });
+    }
+
+    // Fetch SOAP note with patientEncounter to get AES key
+    const { data: soapNote, error: fetchError } = await supabase
+      .from(soapNoteTable)
+      .select(`
+        *,
+        patientEncounter:patientEncounter_id (
+          encrypted_aes_key
+        )
+      `)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (fetchError || !soapNote) {
+      return reply.status(404).send({ error: 'SOAP note not found' });
+    }
+
+    if (soapNote.signed_at) {
+      return reply.status(409).send({ error: 'SOAP note is already signed' });
+    }
+    if (!soapNote.encrypted_soapNote_text) {
+      return reply.status(422).send({ error: 'SOAP note has no text to sign' });
+    }
+
+    // Every edit re-encrypts with a new IV, so matching it below guards against signing a stale version
+    const signedIv = soapNote.iv;
+    const decryptResult = await decryptSoapNoteText(soapNote);
+    if (!decryptResult.success) {
+      return reply.status(400).send({ error: decryptResult.error });
+    }
+    const soapNoteText = soapNote.soapNote_text;
+
+    let signQuery = supabase
+      .from(soapNoteTable)
+      .update({
+        signed_at: new Date().toISOString(),
+        signed_by: user.id,
+        content_hash: computeContentHash(soapNoteText),
+      })
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .is('signed_at', null);
+    // Legacy rows have no IV; eq('iv', null) would never match them
+    signQuery = signedIv === null || signedIv === undefined ? signQuery.is('iv', null) : signQuery.eq('iv', signedIv);
+
+    const { data: signedSoapNote, error: updateError } = await signQuery
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === 'PGRST116' || updateError.code === SIGNED_NOTE_LOCKED_CODE) {
+        return reply.status(409).send({ error: 'SOAP note changed while signing; reload and try again' });
+      }
+      console.error('Sign error:', updateError);
+      return reply.status(500).send({ error: updateError.message });
+    }
+
+    // Return decrypted SOAP note in response
+    delete signedSoapNote.encrypted_soapNote_text;
+    delete signedSoapNote.iv;
+    signedSoapNote.soapNote_text = soapNoteText;
+    return reply.status(200).send(signedSoapNote);
+  } catch (error) {
+    console.error('Error signing SOAP note:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Append an addendum to a signed SOAP note
+ * POST /api/soap-notes/:id/addendum
+ * Body: { addendum_text }
+ */
+export async function addSoapNoteAddendum(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const { id } = request.params;
+
+    // Validate bigint ID format
+    if (!isValidBigInt(id)) {
+      return reply.status(400).send({ error: 'Invalid SOAP note ID format' });
+    }
+
+    const { addendum_text } = request.body;
+
+    // Fetch SOAP note with patientEncounter to get AES key
+    const { data: soapNote, error: fetchError } = await supabase
+      .from(soapNoteTable)
+      .select(`
+        id,
+        signed_at,
+        patientEncounter:patientEncounter_id (
+          encrypted_aes_key
+        )
+      `)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (fetchError || !soapNote) {
+      return reply.status(404).send({ error: 'SOAP note not found' });
+    }
+
+    if (!soapNote.signed_at) {
+      return reply.status(409).send({ error: 'Only signed SOAP notes take addenda; edit the note instead' });
+    }
+
+    // Encrypt addendum_text using patientEncounter's AES key
+    const encryptResult = encryptionUtils.encryptField(
+      { addendum_text },
+      'addendum_text',
+      soapNote.patientEncounter?.encrypted_aes_key
+    );
+    if (!encryptResult.success) {
+      return reply.status(500).send({ error: 'Failed to encrypt addendum text' });
+    }
+
+    const { data: addendum, error: insertError } = await supabase
+      .from(soapNoteAddendumTable)
+      .insert({
+        soapNote_id: soapNote.id,
+        user_id: user.id,
+        encrypted_addendum_text: encryptResult.value,
+        iv: encryptResult.iv,
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Insert error:', insertError);
+      return reply.status(500).send({ error: insertError.message });
+    }
+
+    // Return decrypted addendum in response
+    delete addendum.encrypted_addendum_text;
+    delete addendum.iv;
+    addendum.addendum_text = addendum_text;
+    return reply.status(201).send(addendum);
+  } catch (error) {
+    console.error('Error adding SOAP note addendum:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Helper: Fetches a SOAP note the user owns with its patientEncounter AES key
+ * Returns { success, data, error, status }
+ */
+async function fetchSoapNoteForRevisions(supabase, userId, id) {
+  if (!isValidBigInt(id)) {
+    return { success: false, data: null, error: 'Invalid SOAP note ID format', status: 400 };
+  }
+
+  const { data, error } = await supabase
+    .from(soapNoteTable)
+    .select(`
+      id,
+      note_type,
+      encrypted_soapNote_text,
+      iv,
+      signed_at,
+      patientEncounter:patientEncounter_id (
+        encrypted_aes_key
+      )
+    `)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !data) {
+    return { success: false, data: null, error: 'SOAP note not found', status: 404 };
+  }
+  return { success: true, data, error: null, status: 200 };
+}
+
+/**
+ * Helper: Fetches one revision of a SOAP note, including its encrypted text
+ * Returns { success, data, error, status }
+ */
+async function fetchSoapNoteRevision(supabase, soapNoteId, revision) {
+  if (!isValidBigInt(revision)) {
+    return { success: false, data: null, error: 'Invalid revision number', status: 400 };
+  }
+
+  const { data, error } = await supabase
+    .from(soapNoteRevisionTable)
+    .select(`${REVISION_COLUMNS}, encrypted_soapNote_text, iv`)
+    .eq('soapNote_id', soapNoteId)
+    .eq('revision', revision)
+    .single();
+
+  if (error || !data) {
+    return { success: false, data: null, error: `Revision ${revision} not found`, status: 404 };
+  }
+  return { success: true, data, error: null, status: 200 };
+}
+
+/**
+ * Helper: Decrypts soapNote_text of a revision in place (left as stored JSON text)
+ * Returns { success, error, revision }
+ */
+async function decryptRevisionText(revision, encryptedAESKey) {
+  const decryptFieldResult = await encryptionUtils.decryptField(revision, 'soapNote_text', encryptedAESKey || null);
+  if (!decryptFieldResult.success) {
+    console.error('Failed to decrypt SOAP note revision:', revision.id, '. Error:', decryptFieldResult.error);
+    return { success: false, error: decryptFieldResult.error };
+  }
+  return { success: true, revision };
+}
+
+/**
+ * List the revisions of a SOAP note, oldest first (metadata only)
+ * GET /api/soap-notes/:id/revisions
+ */
+export async function listSoapNoteRevisions(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const soapNoteResult = await fetchSoapNoteForRevisions(supabase, user.id, request.params.id);
+    if (!soapNoteResult.success) {
+      return reply.status(soapNoteResult.status).send({ error: soapNoteResult.error });
+    }
+
+    const { data, error } = await supabase
+      .from(soapNoteRevisionTable)
+      .select(REVISION_COLUMNS)
+      .eq('soapNote_id', soapNoteResult.data.id)
+      .order('revision', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching SOAP note revisions:', error);
+      return reply.status(500).send({ error: error.message });
+    }
+
+    return reply.status(200).send(data);
+  } catch (error) {
+    console.error('Error fetching SOAP note revisions:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Get one revision of a SOAP note with its decrypted text
+ * GET /api/soap-notes/:id/revisions/:revision
+ * soapNote_text is returned as stored, like GET /api/soap-notes/:id
+ */
+export async function getSoapNoteRevision(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const soapNoteResult = await fetchSoapNoteForRevisions(supabase, user.id, request.params.id);
+    if (!soapNoteResult.success) {
+      return reply.status(soapNoteResult.status).send({ error: soapNoteResult.error });
+    }
+
+    const revisionResult = await fetchSoapNoteRevision(supabase, soapNoteResult.data.id, request.params.revision);
+    if (!revisionResult.success) {
+      return reply.status(revisionResult.status).send({ error: revisionResult.error });
+    }
+
+    const decryptResult = await decryptRevisionText(revisionResult.data, soapNoteResult.data.patientEncounter?.encrypted_aes_key);
+    if (!decryptResult.success) {
+      return reply.status(400).send({ error: decryptResult.error });
+    }
+
+    return reply.status(200).send({ soapNote_id: soapNoteResult.data.id, ...decryptResult.revision });
+  } catch (error) {
+    console.error('Error fetching SOAP note revision:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Diff two revisions of a SOAP note section by section
+ * GET /api/soap-notes/:id/revisions/diff
+ * Query params: from (revision number), to (revision number, default latest; validated by the route)
+ */
+export async function diffSoapNoteRevisions(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const soapNoteResult = await fetchSoapNoteForRevisions(supabase, user.id, request.params.id);
+    if (!soapNoteResult.success) {
+      return reply.status(soapNoteResult.status).send({ error: soapNoteResult.error });
+    }
+    const soapNote = soapNoteResult.data;
+
+    let { from, to } = request.query;
+    if (to === undefined) {
+      const { data: latest, error: latestError } = await supabase
+        .from(soapNoteRevisionTable)
+        .select('revision')
+        .eq('soapNote_id', soapNote.id)
+        .order('revision', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (latestError) {
+        console.error('Error fetching latest SOAP note revision:', latestError);
+        return reply.status(500).send({ error: latestError.message });
+      }
+      if (!latest) {
+        return reply.status(404).send({ error: 'SOAP note has no revisions' });
+      }
+      to = latest.revision;
+    }
+
+    const texts = [];
+    const revisions = [];
+    for (const revisionNumber of [from, to]) {
+      const revisionResult = await fetchSoapNoteRevision(supabase, soapNote.id, revisionNumber);
+      if (!revisionResult.success) {
+        return reply.status(revisionResult.status).send({ error: revisionResult.error });
+      }
+
+      const decryptResult = await decryptRevisionText(revisionResult.data, soapNote.patientEncounter?.encrypted_aes_key);
+      if (!decryptResult.success) {
+        return reply.status(400).send({ error: decryptResult.error });
+      }
+
+      // soapNote_text is stored as JSON text
+      const { soapNote_text: parsed, ...metadata } = parseSoapNotes(decryptResult.revision);
+      if (!parsed || typeof parsed !== 'object' || parsed.error) {
+        return reply.status(422).send({ error: `Revision ${revisionNumber} could not be parsed for comparison` });
+      }
+      texts.push(parsed);
+      revisions.push(metadata);
+    }
+
+    return reply.status(200).send({
+      soapNote_id: soapNote.id,
+      from: revisions[0],
+      to: revisions[1],
+      ...diffSoapNoteTexts(texts[0], texts[1], soapNote.note_type || DEFAULT_NOTE_TYPE),
+    });
+  } catch (error) {
+    console.error('Error comparing SOAP note revisions:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
+/**
+ * Restore a prior revision of a SOAP note
+ * POST /api/soap-notes/:id/revisions/:revision/restore
+ * The revision's ciphertext is copied as-is; the revision trigger records the restore
+ * as a new revision (source 'restored'), so history is never rewritten.
+ */
+export async function restoreSoapNoteRevision(request, reply) {
+  try {
+    const supabase = getSupabaseClient(request.headers.authorization);
+    const user = request.user;
+
+    if (!user) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+
+    const soapNoteResult = await fetchSoapNoteForRevisions(supabase, user.id, request.params.id);
+    if (!soapNoteResult.success) {
+      return reply.status(soapNoteResult.status).send({ error: soapNoteResult.error });
+    }
+    const soapNote = soapNoteResult.data;
+
+    if (soapNote.signed_at) {
+      return reply.status(409).send({ error: SIGNED_NOTE_ERROR });
+    }
+
+    const revisionResult = await fetchSoapNoteRevision(supabase, soapNote.id, request.params.revision);
+    if (!revisionResult.success) {
+      return reply.status(revisionResult.status).send({ error: revisionResult.error });
+    }
+    const revision = revisionResult.data;
+
+    if (revision.encrypted_soapNote_text === soapNote.encrypted_soapNote_text && revision.iv === soapNote.iv) {
+      return reply.status(409).send({ error: `Revision ${revision.revision} is already the current version` });
+    }
+
+    const { data: updatedSoapNote, error: updateError } = await supabase
+      .from(soapNoteTable)
+      .update({
+        encrypted_soapNote_text: revision.encrypted_soapNote_text,
+        iv: revision.iv,
+      })
+      .eq('id', soapNote.id)
+      .eq('user_id', user.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === SIGNED_NOTE_LOCKED_CODE) {
+        return reply.status(409).send({ error: SIGNED_NOTE_ERROR });
+      }
+      console.error('Restore error:', updateError);
+      return reply.status(500).send({ error: updateError.message });
+    }
+
+    // Return decrypted SOAP note in response, like PATCH /api/soap-notes/:id
+    updatedSoapNote.patientEncounter = soapNote.patientEncounter;
+    const decryptResult = await decryptSoapNoteText(updatedSoapNote);
+    if (!decryptResult.success) {
+      return reply.status(400).send({ error: decryptResult.error });
+    }
+    parseSoapNotes(updatedSoapNote);
+    updatedSoapNote.restored_from_revision = revision.revision;
+    return reply.status(200).send(updatedSoapNote);
+  } catch (error) {
+    console.error('Error restoring SOAP note revision:', error);
+    return reply.status(500).send({ error: error.message });
+  }
+}
+
 /**
  * Delete a SOAP note
  * DELETE /api/soap-notes/:id
@@ -367,6 +1274,9 @@ export async function deleteSoapNote(request, reply) {
       if (deleteError.code === 'PGRST116') {
         return reply.status(404).send({ error: 'SOAP note not found' });
       }
+      if (deleteError.code === SIGNED_NOTE_LOCKED_CODE) {
+        return reply.status(409).send({ error: 'Signed SOAP notes cannot be deleted' });
+      }
       console.error('Delete error:', deleteError);
       return reply.status(500).send({ error: deleteError.message });
     }
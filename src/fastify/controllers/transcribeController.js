@@ -2,16 +2,23 @@
  * GCP Transcription Controller
  * 
  * Fastify handlers for the complete transcription pipeline:
- * - Audio transcription via Cloud Run
+ * - Audio transcription via the configured transcription provider (Cloud Run, Whisper, fixture)
  * - Dot phrase expansion (Aho-Corasick algorithm)
- * - PHI masking (AWS integration)
+ * - PHI masking (AWS integration), with the user's stored masking policy
  */
 
-import { transcribe_recording } from '../../utils/transcribeHelper.js';
+import {
+  transcribeRecording,
+  getUserTranscriptionProvider,
+  resolveTranscriptionProviderName,
+} from '../../utils/transcriptionProviders.js';
 import { mask_phi } from '../../utils/maskPhiHelper.js';
 import { authenticateRequest } from '../../utils/authenticateRequest.js';
 import { getAllDotPhrasesForUser } from './dotPhrasesController.js';
+import { getPhiMaskingPolicyForUser } from './maskPhiController.js';
 import { getSupabaseClient } from '../../utils/supabase.js';
+import { supabaseAdmin } from '../../utils/supabaseAdmin.js';
+import { normalizeTranscriptSegments, formatSegmentsForPrompt, hasSpeakerLabels } from '../../utils/transcriptSegments.js';
 
 /**
  * Expands dot phrases in text using Aho-Corasick algorithm for efficient multi-pattern matching.
@@ -421,14 +428,29 @@ function removeOverlappingMatches(matches) {
  * 
  * @param {object} opts
  * @param {string} opts.recording_file_signed_url - signed url to recording
- * @param {Object} opts.req - Fastify request object for authentication
+ * @param {Object} [opts.req] - Fastify request object for authentication
+ * @param {Object} [opts.user] - Already-verified user for internal callers without a request (e.g. job worker).
+ *   Dot phrases are then read with the service role client, scoped to user.id.
+ * @param {string} [opts.transcriptionProvider] - Transcription provider for this call.
+ *   Omitted uses the user's user_metadata.transcription_provider, then the TRANSCRIPTION_PROVIDER default.
+ * @param {Function} [opts.onTranscriptionProgress] - async ({ chunks_total, chunks_done }) => void, called while long
+ *   recordings are transcribed in chunks; throwing stops the transcription
  * @param {boolean} [opts.enableDotPhraseExpansion=true] - whether to perform dot phrase expansion
- * @returns {Promise<{ cloudRunData: any, dotPhrasesData: any, expandedTranscript: string, maskResult: any }>}
+ * @param {Object} [opts.maskOptions] - mask_phi options ({ provider, mode, seed, policy }); without a policy
+ *   the user's stored masking policy is applied (their own, else their organization's)
+ * When the provider returns diarized segments, the text sent for masking (and on to the LLM) is the
+ * speaker-labelled transcript ("[0:12] Clinician: ..."), so the model knows who said what; speakerLabelled
+ * is false when the segments carry no speakers (e.g. Whisper) and the plain text is masked instead.
+ * @returns {Promise<{ cloudRunData: any, dotPhrasesData: any, expandedTranscript: string, segments: Array, speakerLabelled: boolean, maskResult: any, transcriptionProvider: string }>}
  */
 export async function transcribe_expand_mask({ 
   recording_file_signed_url, 
   req,
-  enableDotPhraseExpansion = true 
+  user: trustedUser,
+  transcriptionProvider,
+  onTranscriptionProgress,
+  enableDotPhraseExpansion = true,
+  maskOptions = {}
 } = {}) {
   if (!recording_file_signed_url || typeof recording_file_signed_url !== 'string') {
     const e = new Error('recording_file_signed_url is required');
@@ -436,34 +458,45 @@ export async function transcribe_expand_mask({
     throw e;
   }
 
-  // Require req parameter
-  if (!req) {
+  // Require req parameter (or a trusted user from an internal caller)
+  if (!req && !trustedUser?.id) {
     const e = new Error('req is required');
     e.status = 400;
     throw e;
   }
 
   // Authenticate user
-  const { user, error: authError } = await authenticateRequest(req);
-  if (authError || !user) {
-    const e = new Error('Authentication failed');
-    e.status = 401;
-    throw e;
+  let user = trustedUser;
+  let dotPhrasesClient = null; // also reads the masking policy
+  if (trustedUser?.id) {
+    dotPhrasesClient = supabaseAdmin();
+  } else {
+    const { user: authUser, error: authError } = await authenticateRequest(req);
+    if (authError || !authUser) {
+      const e = new Error('Authentication failed');
+      e.status = 401;
+      throw e;
+    }
+    user = authUser;
+    dotPhrasesClient = getSupabaseClient(req.headers.authorization);
   }
 
+  // Request override -> user preference -> deployment default
+  const provider = resolveTranscriptionProviderName(transcriptionProvider || getUserTranscriptionProvider(user));
+
   console.log('Step 1: Starting parallel transcription and dot phrase fetching');
   
   // 1) Run transcription and dot phrase fetching in parallel
   const [transcriptionResult, dotPhrasesResult] = await Promise.allSettled([
-    transcribe_recording({ recording_file_signed_url, user }),
-    enableDotPhraseExpansion ? getAllDotPhrasesForUser(user.id, getSupabaseClient(req.headers.authorization)) : Promise.resolve({ success: true, data: [], error: null })
+    transcribeRecording({ recording_file_signed_url, provider, onProgress: onTranscriptionProgress }),
+    enableDotPhraseExpansion ? getAllDotPhrasesForUser(user.id, dotPhrasesClient) : Promise.resolve({ success: true, data: [], error: null })
   ]);
 
   // 2) Handle transcription result
   let cloudRunData;
   if (transcriptionResult.status === 'rejected') {
     const err = transcriptionResult.reason;
-    console.error('transcribe_recording error:', err?.message || err);
+    console.error('transcribeRecording error:', err?.message || err);
     console.error(err?.stack || err);
 
     const e = new Error(err?.message || 'Transcription failed');
@@ -487,10 +520,90 @@ export async function transcribe_expand_mask({
 
   console.log('Step 2: Transcription completed, processing dot phrases');
 
+  const policyMaskOptions = await withStoredMaskingPolicy(maskOptions, user, dotPhrasesClient);
+  const expandMaskResult = await expandAndMaskTranscript(originalTranscript, cloudRunData?.segments, dotPhrasesResult, enableDotPhraseExpansion, policyMaskOptions);
+
+  // Return structured result for callers
+  return { cloudRunData, ...expandMaskResult, transcriptionProvider: provider };
+}
+
+/**
+ * Expand dot phrases and mask PHI in a transcript that already exists (no audio).
+ * Used by prompt-llm jobs started from a stored or pasted transcript.
+ *
+ * @param {object} opts
+ * @param {string} opts.transcript - Transcript text
+ * @param {Array} [opts.segments] - Diarized segments (see transcriptSegments.js); the speaker-labelled text is masked when present
+ * @param {Object} opts.user - Already-verified user; dot phrases are read with the service role client, scoped to user.id
+ * @param {boolean} [opts.enableDotPhraseExpansion=true] - whether to perform dot phrase expansion
+ * @param {Object} [opts.maskOptions] - mask_phi options ({ provider, mode, seed, policy }); without a policy
+ *   the user's stored masking policy is applied
+ * @returns {Promise<{ dotPhrasesData: any, expandedTranscript: string, segments: Array, speakerLabelled: boolean, maskResult: any }>}
+ */
+export async function expand_mask({ transcript, segments = [], user, enableDotPhraseExpansion = true, maskOptions = {} } = {}) {
+  if (!transcript || typeof transcript !== 'string') {
+    const e = new Error('transcript is required');
+    e.status = 400;
+    throw e;
+  }
+  if (!user?.id) {
+    const e = new Error('user is required');
+    e.status = 400;
+    throw e;
+  }
+
+  console.log('Step 1: Fetching dot phrases for existing transcript');
+  const [dotPhrasesResult] = await Promise.allSettled([
+    enableDotPhraseExpansion ? getAllDotPhrasesForUser(user.id, supabaseAdmin()) : Promise.resolve({ success: true, data: [], error: null })
+  ]);
+
+  const policyMaskOptions = await withStoredMaskingPolicy(maskOptions, user, supabaseAdmin());
+  return expandAndMaskTranscript(transcript, segments, dotPhrasesResult, enableDotPhraseExpansion, policyMaskOptions);
+}
+
+/**
+ * Helper: Add the user's stored masking policy to mask_phi options, unless the caller set one (null: no policy).
+ * If the policy cannot be read, masking goes ahead without it (every type is masked).
+ *
+ * @param {Object} maskOptions - mask_phi options
+ * @param {Object} user - Authenticated user
+ * @param {Object} supabaseClient - User-scoped client, or the service role client for trusted users
+ * @returns {Promise<Object>} - mask_phi options with policy
+ */
+async function withStoredMaskingPolicy(maskOptions, user, supabaseClient) {
+  if (maskOptions.policy !== undefined) return maskOptions;
+
+  const policyResult = await getPhiMaskingPolicyForUser(user, supabaseClient);
+  if (!policyResult.success) {
+    console.warn('Warning: Failed to fetch PHI masking policy, masking every PHI type:', policyResult.error);
+    return maskOptions;
+  }
+  if (policyResult.data) {
+    console.log(`Applying ${policyResult.data.scope} PHI masking policy`);
+  }
+  return { ...maskOptions, policy: policyResult.data };
+}
+
+/**
+ * Helper: Dot phrase expansion and PHI masking shared by transcribe_expand_mask and expand_mask
+ *
+ * @param {string} originalTranscript - Transcript text
+ * @param {Array} rawSegments - Diarized segments from the provider (normalized here)
+ * @param {PromiseSettledResult} dotPhrasesResult - Settled getAllDotPhrasesForUser result
+ * @param {boolean} enableDotPhraseExpansion
+ * @param {Object} [maskOptions] - mask_phi options ({ provider, mode, seed, policy })
+ * @returns {Promise<{ dotPhrasesData: any, expandedTranscript: string, segments: Array, speakerLabelled: boolean, maskResult: any }>}
+ */
+async function expandAndMaskTranscript(originalTranscript, rawSegments, dotPhrasesResult, enableDotPhraseExpansion, maskOptions = {}) {
+  // Diarized segments (empty when the provider has none); speaker-labelled only when they carry speakers
+  let segments = normalizeTranscriptSegments(rawSegments);
+  const speakerLabelled = hasSpeakerLabels(segments);
+  const llmSourceText = speakerLabelled ? formatSegmentsForPrompt(segments) : originalTranscript;
+
   // 4) Handle dot phrases result
   let dotPhrasesData = [];
   let expandedTranscript = originalTranscript; // Clean version for user
-  let llmNotatedText = originalTranscript; // Notated version for LLM/masking
+  let llmNotatedText = llmSourceText; // Notated version for LLM/masking
 
   if (enableDotPhraseExpansion) {
     if (dotPhrasesResult.status === 'rejected') {
@@ -503,7 +616,10 @@ export async function transcribe_expand_mask({
         console.log(`Step 3: Expanding dot phrases (${dotPhrasesData.length} available)`);
         const expansionResult = expandDotPhrases(originalTranscript, dotPhrasesData);
         expandedTranscript = expansionResult.expanded;
-        llmNotatedText = expansionResult.llm_notated;
+        llmNotatedText = speakerLabelled
+          ? expandDotPhrases(llmSourceText, dotPhrasesData).llm_notated
+          : expansionResult.llm_notated;
+        segments = segments.map((segment) => ({ ...segment, text: expandDotPhrases(segment.text, dotPhrasesData).expanded }));
       } else {
         console.warn('Warning: Dot phrases fetch returned error, skipping expansion:', dotPhrasesResponse.error);
         dotPhrasesData = [];
@@ -518,7 +634,7 @@ export async function transcribe_expand_mask({
   // 5) Mask PHI on the LLM-notated text (with dot phrase emphasis)
   let maskResult;
   try {
-    maskResult = await mask_phi(llmNotatedText);
+    maskResult = await mask_phi(llmNotatedText, undefined, maskOptions);
   } catch (err) {
     // Log full error + stack before wrapping/propagating
     console.error('mask_phi error:', err?.message || err);
@@ -545,12 +661,11 @@ export async function transcribe_expand_mask({
     // attempt to normalize to JSON body if available
     if (typeof maskResult.json === 'function') {
       const body = await maskResult.json();
-      return { cloudRunData, dotPhrasesData, expandedTranscript, maskResult: body };
+      return { dotPhrasesData, expandedTranscript, segments, speakerLabelled, maskResult: body };
     }
   }
 
-  // Return structured result for callers
-  return { cloudRunData, dotPhrasesData, expandedTranscript, maskResult };
+  return { dotPhrasesData, expandedTranscript, segments, speakerLabelled, maskResult };
 }
 
 /**
@@ -564,7 +679,7 @@ export async function transcribe_and_mask(recording_file_signed_url) {
   }
 
   // This version does not require a request object
-  const cloudRunData = await transcribe_recording({ recording_file_signed_url });
+  const cloudRunData = await transcribeRecording({ recording_file_signed_url });
   const maskResult = await mask_phi(cloudRunData?.transcript || '');
 
   return { cloudRunData, maskResult };
@@ -578,7 +693,7 @@ export async function transcribe_and_mask(recording_file_signed_url) {
 export async function handler(request, reply) {
   const startTime = Date.now();
   try {
-    const { recording_file_signed_url, enableDotPhraseExpansion = true } = request.body || {};
+    const { recording_file_signed_url, transcription_provider, enableDotPhraseExpansion = true } = request.body || {};
     
     console.log(`[transcribeController.handler] Starting transcription for: ${recording_file_signed_url?.substring(0, 200)}...`);
     console.log(`[transcribeController.handler] User: ${request.user?.id}`);
@@ -587,6 +702,7 @@ export async function handler(request, reply) {
     const result = await transcribe_expand_mask({ 
       recording_file_signed_url, 
       req: request,
+      transcriptionProvider: transcription_provider,
       enableDotPhraseExpansion
     });
     
@@ -5,12 +5,13 @@
 import { getSupabaseClient } from '../../utils/supabase.js';
 import * as encryptionUtils from '../../utils/encryptionUtils.js';
 import { transcriptUpdateRequestSchema } from '../schemas/requests.js';
+import { encryptTranscriptSegments, decryptTranscriptSegments } from '../../utils/transcriptSegments.js';
 
 const transcriptTable = 'transcripts';
 const BATCH_SIZE = 10; // Decrypt transcripts in batches of 10
 
 /**
- * Helper: Encrypts transcript_text for a transcript object
+ * Helper: Encrypts transcript_text (and segments, if any) for a transcript object
  * Fetches the encrypted AES key via recording_id -> patientEncounter
  * Returns { success, error, transcript }
  */
@@ -53,11 +54,27 @@ async function encryptTranscriptText(supabase, transcript) {
     };
   }
 
+  // Encrypt diarized segments with their own IV
+  if (transcript.segments !== undefined) {
+    try {
+      const aesKey = transcript.segments?.length ? encryptionUtils.decryptAESKey(encryptedAESKey) : null;
+      Object.assign(transcript, encryptTranscriptSegments(transcript.segments, aesKey));
+      delete transcript.segments;
+    } catch (err) {
+      console.error('Failed to encrypt transcript segments:', err);
+      return {
+        success: false,
+        error: 'Failed to encrypt transcript segments',
+        transcript: null,
+      };
+    }
+  }
+
   return { success: true, error: null, transcript };
 }
 
 /**
- * Helper: Decrypts transcript_text for a transcript object
+ * Helper: Decrypts transcript_text and segments for a transcript object
  * Expects transcript to have recording.patientEncounter.encrypted_aes_key joined
  * Returns { success, error, transcript }
  */
@@ -74,11 +91,64 @@ async function decryptTranscriptText(transcript) {
     return { success: false, error: decryptFieldResult.error };
   }
 
+  // Decrypt diarized segments (rows without segments get [])
+  try {
+    const aesKey = transcript.encrypted_segments ? encryptionUtils.decryptAESKey(encryptedAESKey) : null;
+    decryptTranscriptSegments(transcript, aesKey);
+  } catch (err) {
+    console.error('Failed to decrypt transcript segments:', transcript.id, '. Error:', err);
+    return { success: false, error: 'Failed to decrypt transcript segments' };
+  }
+
   // Clean up joined fields
   delete transcript.recording;
   return { success: true, transcript };
 }
 
+/**
+ * Gets a decrypted transcript, for use by other modules (prompt-llm jobs started from a stored transcript).
+ * @param {string} userId - The user ID.
+ * @param {number|string} transcriptId - Transcript ID.
+ * @param {object} supabaseClient - Supabase client instance.
+ * @returns {Promise<{success: boolean, data: Object|null, error: string|null, status?: number}>}
+ *   data is the transcript row with transcript_text and segments decrypted
+ */
+export async function getDecryptedTranscriptForUser(userId, transcriptId, supabaseClient) {
+  try {
+    const { data, error } = await supabaseClient
+      .from(transcriptTable)
+      .select(`
+        *,
+        recording:recording_id (
+          id,
+          patientEncounter:patientEncounter_id (
+            encrypted_aes_key
+          )
+        )
+      `)
+      .eq('id', transcriptId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[getDecryptedTranscriptForUser] Database error:', error);
+      return { success: false, data: null, error: error.message, status: 500 };
+    }
+    if (!data) {
+      return { success: false, data: null, error: 'Transcript not found', status: 404 };
+    }
+
+    const decryptionResult = await decryptTranscriptText(data);
+    if (!decryptionResult.success) {
+      return { success: false, data: null, error: decryptionResult.error, status: 500 };
+    }
+    return { success: true, data: decryptionResult.transcript, error: null };
+  } catch (error) {
+    console.error('[getDecryptedTranscriptForUser] Error:', error);
+    return { success: false, data: null, error: error.message, status: 500 };
+  }
+}
+
 /**
  * Get all transcripts for authenticated user (with batched decryption)
  * GET /api/transcripts
@@ -231,8 +301,9 @@ export async function createTranscript(request, reply) {
 }
 
 /**
- * Update a transcript - DISABLED
+ * Update a transcript
  * PATCH /api/transcripts/:id
+ * Replaces the text and clears the diarized segments, which no longer match it
  */
 export async function updateTranscript(request, reply) {
   try {
@@ -287,10 +358,12 @@ export async function updateTranscript(request, reply) {
       return reply.status(400).send({ error: encryptionResult.error });
     }
 
-    // Prepare update object
+    // Prepare update object (segments no longer match the edited text)
     const updateData = {
       encrypted_transcript_text: transcriptToEncrypt.encrypted_transcript_text,
       iv: transcriptToEncrypt.iv,
+      encrypted_segments: null,
+      segments_iv: null,
       updated_at: new Date().toISOString(),
     };
 
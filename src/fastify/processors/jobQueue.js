@@ -0,0 +1,364 @@
+/**
+ * Prompt LLM Job Queue
+ *
+ * Durable worker for prompt-llm jobs, backed by the `jobs` table
+ * - Claims pending jobs with a lease (lease_owner + lease_expires_at)
+ * - Heartbeats leases while a job runs; a lost lease stops the job at the next checkpoint
+ * - Re-queues jobs whose lease expired (worker crash / deploy), up to JOB_MAX_ATTEMPTS
+ * - Caps concurrency per process, per user and globally (across workers)
+ *
+ * Started by server.js, woken by jobController when a job is created.
+ * Every state change is a conditional update, so several server instances can share one table.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { supabaseAdmin } from '../../utils/supabaseAdmin.js';
+import { promptLlmProcessor } from './promptLlmProcessor.js';
+import { emitJobUpdated } from '../../utils/jobEvents.js';
+import { JOB_ACTIVE_STATUSES } from '../../app/schemas/job.js';
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Worker configuration (env overrides)
+ * @private
+ */
+function getQueueConfig() {
+  return {
+    workerConcurrency: readIntEnv('JOB_WORKER_CONCURRENCY', 2),
+    globalConcurrency: readIntEnv('JOB_GLOBAL_CONCURRENCY', 10),
+    userConcurrency: readIntEnv('JOB_USER_CONCURRENCY', 2),
+    leaseMs: readIntEnv('JOB_LEASE_MS', 60000),
+    heartbeatMs: readIntEnv('JOB_HEARTBEAT_MS', 20000),
+    pollIntervalMs: readIntEnv('JOB_POLL_INTERVAL_MS', 2000),
+    maxAttempts: readIntEnv('JOB_MAX_ATTEMPTS', 3),
+  };
+}
+
+// Module-level worker state (one worker per process)
+const worker = {
+  id: null,
+  config: null,
+  pollTimer: null,
+  polling: false,
+  stopping: false,
+  active: new Map(), // jobId -> { lease, heartbeatTimer, attemptCount }
+};
+
+function leaseDeadline(config) {
+  return new Date(Date.now() + config.leaseMs).toISOString();
+}
+
+/**
+ * Re-queue jobs whose lease expired, or fail them once attempts are exhausted
+ * Also picks up jobs left mid-pipeline without a lease (created before leasing existed)
+ *
+ * @private
+ */
+async function requeueStaleJobs() {
+  const supabase = supabaseAdmin();
+  const now = new Date().toISOString();
+  const legacyStaleBefore = new Date(Date.now() - worker.config.leaseMs).toISOString();
+
+  const [expired, legacy] = await Promise.all([
+    supabase
+      .from('jobs')
+      .select('id, attempt_count, lease_owner')
+      .in('status', JOB_ACTIVE_STATUSES)
+      .not('lease_owner', 'is', null)
+      .lt('lease_expires_at', now)
+      .limit(50),
+    supabase
+      .from('jobs')
+      .select('id, attempt_count, lease_owner')
+      .in('status', ['transcribing', 'generating'])
+      .is('lease_owner', null)
+      .lt('updated_at', legacyStaleBefore)
+      .limit(50),
+  ]);
+
+  if (expired.error || legacy.error) {
+    console.error('[jobQueue] Failed to scan for stale jobs:', expired.error || legacy.error);
+    return;
+  }
+
+  for (const job of [...expired.data, ...legacy.data]) {
+    const exhausted = job.attempt_count >= worker.config.maxAttempts;
+    const updates = exhausted
+      ? { status: 'error', error_message: `Job abandoned after ${job.attempt_count} attempts (worker lease expired)` }
+      : { status: 'pending' };
+
+    let query = supabase
+      .from('jobs')
+      .update({ ...updates, lease_owner: null, lease_expires_at: null, updated_at: now })
+      .eq('id', job.id)
+      .eq('attempt_count', job.attempt_count);
+    query = job.lease_owner
+      ? query.eq('lease_owner', job.lease_owner).lt('lease_expires_at', now)
+      : query.is('lease_owner', null).in('status', ['transcribing', 'generating']);
+
+    const { data, error } = await query.select('id');
+    if (error) {
+      console.error(`[jobQueue] Failed to re-queue stale job ${job.id}:`, error);
+    } else if (data.length > 0) {
+      emitJobUpdated(job.id);
+      console.warn(`[jobQueue] Stale job ${job.id} (lease ${job.lease_owner || 'none'}) ${exhausted ? 'failed' : 're-queued'} after ${job.attempt_count} attempts`);
+    }
+  }
+}
+
+/**
+ * Count jobs currently holding a live lease, optionally for one user
+ *
+ * @private
+ * @returns {Promise<number|null>} - Count, or null if the query failed
+ */
+async function countLeasedJobs(userId = null) {
+  const supabase = supabaseAdmin();
+  let query = supabase
+    .from('jobs')
+    .select('id', { count: 'exact', head: true })
+    .not('lease_owner', 'is', null)
+    .gt('lease_expires_at', new Date().toISOString());
+  if (userId) query = query.eq('user_id', userId);
+
+  const { count, error } = await query;
+  if (error) {
+    console.error('[jobQueue] Failed to count leased jobs:', error);
+    return null;
+  }
+  return count || 0;
+}
+
+/**
+ * Try to claim a pending job for this worker
+ * attempt_count doubles as a version number so only one worker wins the update
+ *
+ * @private
+ * @returns {Promise<object|null>} - Claimed job row, or null if another worker got it first
+ */
+async function claimJob(job) {
+  const supabase = supabaseAdmin();
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({
+      lease_owner: worker.id,
+      lease_expires_at: leaseDeadline(worker.config),
+      heartbeat_at: now,
+      attempt_count: job.attempt_count + 1,
+      updated_at: now,
+    })
+    .eq('id', job.id)
+    .eq('status', 'pending')
+    .eq('attempt_count', job.attempt_count)
+    .is('lease_owner', null)
+    .select('id, user_id, attempt_count')
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[jobQueue] Failed to claim job ${job.id}:`, error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Extend the lease of a running job; marks the lease lost if another worker took it over
+ *
+ * @private
+ */
+async function heartbeat(jobId, lease) {
+  if (lease.lost) return;
+  const supabase = supabaseAdmin();
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({ lease_expires_at: leaseDeadline(worker.config), heartbeat_at: now })
+    .eq('id', jobId)
+    .eq('lease_owner', lease.workerId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    // Transient failure: keep running, the lease is still valid until it expires
+    console.error(`[jobQueue] Heartbeat failed for job ${jobId}:`, error);
+    return;
+  }
+  if (!data) {
+    lease.lost = true;
+    console.warn(`[jobQueue] Lease lost for job ${jobId}, it will stop at the next checkpoint`);
+  }
+}
+
+/**
+ * Release the lease once the processor is done with a job
+ *
+ * @private
+ * @param {object} [updates] - Extra columns (e.g. status: 'pending' when handing the job back)
+ */
+async function releaseLease(jobId, lease, updates = {}) {
+  const supabase = supabaseAdmin();
+  let query = supabase
+    .from('jobs')
+    .update({ ...updates, lease_owner: null, lease_expires_at: null })
+    .eq('id', jobId)
+    .eq('lease_owner', lease.workerId);
+  // Never move a job that already finished back to another status
+  if (updates.status) query = query.in('status', JOB_ACTIVE_STATUSES);
+
+  const { error } = await query;
+
+  if (error) {
+    console.error(`[jobQueue] Failed to release lease for job ${jobId}:`, error);
+  } else if (updates.status) {
+    emitJobUpdated(jobId);
+  }
+}
+
+/**
+ * Run a claimed job with a heartbeat until the processor settles
+ *
+ * @private
+ */
+function runJob(job) {
+  const lease = { workerId: worker.id, lost: false };
+  const heartbeatTimer = setInterval(() => {
+    heartbeat(job.id, lease).catch((err) => console.error(`[jobQueue] Heartbeat error for job ${job.id}:`, err));
+  }, worker.config.heartbeatMs);
+
+  worker.active.set(job.id, { lease, heartbeatTimer, attemptCount: job.attempt_count });
+  console.log(`[jobQueue] Worker ${worker.id} running job ${job.id} (attempt ${job.attempt_count}/${worker.config.maxAttempts})`);
+
+  promptLlmProcessor(job.id, job.user_id, { lease })
+    .catch((err) => {
+      console.error(`[jobQueue] Unhandled error for job ${job.id}:`, err);
+    })
+    .finally(async () => {
+      clearInterval(heartbeatTimer);
+      worker.active.delete(job.id);
+      if (!lease.lost) {
+        await releaseLease(job.id, lease);
+      }
+      notifyJobWorker();
+    });
+}
+
+/**
+ * One polling pass: recover stale jobs, then claim as many pending jobs as the caps allow
+ *
+ * @private
+ */
+async function pollOnce() {
+  if (worker.polling || worker.stopping) return;
+  worker.polling = true;
+
+  try {
+    await requeueStaleJobs();
+
+    const localSlots = worker.config.workerConcurrency - worker.active.size;
+    if (localSlots <= 0) return;
+
+    const leasedCount = await countLeasedJobs();
+    if (leasedCount === null) return;
+    let slots = Math.min(localSlots, worker.config.globalConcurrency - leasedCount);
+    if (slots <= 0) return;
+
+    const supabase = supabaseAdmin();
+    const { data: candidates, error } = await supabase
+      .from('jobs')
+      .select('id, user_id, attempt_count')
+      .eq('status', 'pending')
+      .is('lease_owner', null)
+      .order('created_at', { ascending: true })
+      .limit(20);
+
+    if (error) {
+      console.error('[jobQueue] Failed to fetch pending jobs:', error);
+      return;
+    }
+
+    const userRunning = new Map();
+    for (const candidate of candidates) {
+      if (slots <= 0 || worker.stopping) break;
+
+      if (!userRunning.has(candidate.user_id)) {
+        userRunning.set(candidate.user_id, await countLeasedJobs(candidate.user_id));
+      }
+      const running = userRunning.get(candidate.user_id);
+      if (running === null || running >= worker.config.userConcurrency) continue;
+
+      const claimed = await claimJob(candidate);
+      if (!claimed) continue;
+
+      userRunning.set(candidate.user_id, running + 1);
+      slots--;
+      runJob(claimed);
+    }
+  } catch (error) {
+    console.error('[jobQueue] Poll failed:', error);
+  } finally {
+    worker.polling = false;
+  }
+}
+
+/**
+ * Start the job worker for this process (idempotent)
+ *
+ * @returns {string} - Worker id used as lease_owner
+ */
+export function startJobWorker() {
+  if (worker.pollTimer) return worker.id;
+
+  worker.id = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+  worker.config = getQueueConfig();
+  worker.stopping = false;
+  worker.pollTimer = setInterval(() => {
+    pollOnce();
+  }, worker.config.pollIntervalMs);
+
+  console.log(`[jobQueue] Worker ${worker.id} started (concurrency ${worker.config.workerConcurrency}, per-user ${worker.config.userConcurrency}, global ${worker.config.globalConcurrency})`);
+  notifyJobWorker();
+  return worker.id;
+}
+
+/**
+ * Wake the worker to look for new jobs without waiting for the next poll
+ * No-op when the worker is not running in this process
+ */
+export function notifyJobWorker() {
+  if (!worker.pollTimer || worker.stopping) return;
+  setImmediate(() => {
+    pollOnce();
+  });
+}
+
+/**
+ * Stop the worker and hand in-flight jobs back to the queue
+ * Jobs go back to 'pending' without consuming an attempt so another instance resumes them.
+ */
+export async function stopJobWorker() {
+  if (!worker.pollTimer) return;
+
+  worker.stopping = true;
+  clearInterval(worker.pollTimer);
+  worker.pollTimer = null;
+
+  const inFlight = [...worker.active.entries()];
+  await Promise.all(inFlight.map(async ([jobId, { lease, heartbeatTimer, attemptCount }]) => {
+    clearInterval(heartbeatTimer);
+    lease.lost = true;
+    await releaseLease(jobId, lease, {
+      status: 'pending',
+      attempt_count: Math.max(0, attemptCount - 1),
+      updated_at: new Date().toISOString(),
+    });
+  }));
+  worker.active.clear();
+
+  console.log(`[jobQueue] Worker ${worker.id} stopped (${inFlight.length} in-flight jobs re-queued)`);
+}
@@ -2,179 +2,282 @@
  * Prompt LLM Processor
  * 
  * Async worker for SOAP note generation pipeline
- * - Transcription (GCP Cloud Run)
+ * - Transcription (configured transcription provider; long recordings in chunks, progress stored on the job);
+ *   skipped for jobs started from a stored or pasted transcript (input_source 'transcript' / 'text')
+ * - Dot phrase expansion
  * - PHI masking (AWS Comprehend Medical)
- * - SOAP note generation (OpenAI/Azure OpenAI)
+ * - Note generation (configured LLM provider, see llmProviders.js): the job's note type (SOAP by default, see noteTypes.js) and note template
  * - PHI unmasking
+ * - PHI review of the note (unexpected entities, leftover tokens), stored as the job's phi_review
  * 
- * Called by jobController, runs in background
- * Updates job status in database at each step
+ * Run by the job queue worker (jobQueue.js) under a lease
+ * Updates job status in database at each step; each step is retried with backoff
+ * Transcript and SOAP note are stored encrypted with the job's key (see jobEncryption.js)
  */
 
 import { supabaseAdmin } from '../../utils/supabaseAdmin.js';
-import { getSupabaseClient } from '../../utils/supabase.js';
-import * as gptRequestBodies from '../../utils/gptRequestBodies.js';
+import { getSoapNoteAndBillingPrompt } from '../../utils/gptRequestBodies.js';
+import { validateSoapAndBilling } from '../../utils/soapNoteValidator.js';
+import { cleanRawText } from '../../utils/cleanRawText.js';
+import { DEFAULT_NOTE_TYPE, getNoteTypeTemplate } from '../../utils/noteTypes.js';
+import { generateJson, resolveLlmProviderName } from '../../utils/llmProviders.js';
 import { unmask_phi } from '../../utils/maskPhiHelper.js';
-import { transcribe_expand_mask } from '../controllers/transcribeController.js';
-import { getAzureOpenAIConfig } from '../../utils/azureOpenaiConfig.js';
-import parseSoapNotes from '../../utils/parseSoapNotes.js';
+import { reviewNotePhi } from '../../utils/phiReview.js';
+import { transcribe_expand_mask, expand_mask } from '../controllers/transcribeController.js';
+import { withRetry, isRetryableError } from '../../utils/retryHelper.js';
+import { emitJobUpdated } from '../../utils/jobEvents.js';
+import { JOB_ACTIVE_STATUSES } from '../../app/schemas/job.js';
+import { createJobEncryptionKey, decryptJobFields, encryptJobFields } from '../../utils/jobEncryption.js';
 
 /**
- * Helper: Clean raw text from LLMs to normalize problematic characters for EHR systems
+ * Helper: Error thrown when the job must stop (lease lost or job cancelled)
+ * The processor leaves the job row alone when it sees one of these
  */
-function cleanRawText(s) {
-  if (!s || typeof s !== 'string') return s;
-  s = s.replace(/\u2022|\u2023|\u25E6|\u2043/g, '-');
-  s = s.replace(/[\u2026\u22EF\u22EE]/g, '...');
-  s = s.replace(/\u00A0/g, ' ');
-  s = s.replace(/–/g, '-');
-  s = s.replace(/—/g, '-');
-  s = s.replace(/≤/g, '<=');
-  s = s.replace(/≥/g, '>=');
-  s = s.replace(/×/g, 'x');
-  s = s.replace(/±/g, '+/-');
-  s = s.replace(/½/g, '1/2');
-  s = s.replace(/⅓/g, '1/3');
-  s = s.replace(/⅔/g, '2/3');
-  s = s.replace(/¼/g, '1/4');
-  s = s.replace(/¾/g, '3/4');
-  s = s.replace(/⅕/g, '1/5');
-  s = s.replace(/⅖/g, '2/5');
-  s = s.replace(/⅗/g, '3/5');
-  s = s.replace(/⅘/g, '4/5');
-  s = s.replace(/⅙/g, '1/6');
-  s = s.replace(/⅚/g, '5/6');
-  s = s.replace(/⁰/g, '^0');
-  s = s.replace(/¹/g, '^1');
-  s = s.replace(/²/g, '^2');
-  s = s.replace(/³/g, '^3');
-  s = s.replace(/⁴/g, '^4');
-  s = s.replace(/⁵/g, '^5');
-  s = s.replace(/⁶/g, '^6');
-  s = s.replace(/⁷/g, '^7');
-  s = s.replace(/⁸/g, '^8');
-  s = s.replace(/⁹/g, '^9');
-  s = s.replace(/→/g, '->');
-  s = s.replace(/←/g, '<-');
-  s = s.replace(/↑/g, 'increase');
-  s = s.replace(/↓/g, 'decrease');
-  s = s.replace(/~/g, 'approximately');
-  s = s.replace(/≈/g, '~');
-  s = s.replace(/∞/g, 'infinity');
-  s = s.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-  s = s.replace(/-{2,}/g, '-');
-  s = s.replace(/\s{2,}/g, ' ').trim();
-  return s;
+function jobStoppedError(jobId, reason) {
+  const e = new Error(reason === 'cancelled' ? `Job ${jobId} was cancelled` : `Lease lost for job ${jobId}`);
+  e.jobStopped = true;
+  e.cancelled = reason === 'cancelled';
+  e.leaseLost = reason === 'lease';
+  return e;
+}
+
+/**
+ * Helper: Checkpoint between steps
+ * Stops processing if the job was cancelled or the lease was lost (heartbeat failed or job re-queued elsewhere)
+ */
+async function assertJobActive(jobId, lease) {
+  if (lease?.lost) {
+    throw jobStoppedError(jobId, 'lease');
+  }
+
+  const supabase = supabaseAdmin();
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('status, lease_owner')
+    .eq('id', jobId)
+    .single();
+
+  if (error || !job) {
+    // Transient read failure: let the next conditional write decide
+    console.error(`[assertJobActive] Failed to read job ${jobId}:`, error);
+    return;
+  }
+  if (job.status === 'cancelled') {
+    throw jobStoppedError(jobId, 'cancelled');
+  }
+  if (lease && job.lease_owner !== lease.workerId) {
+    lease.lost = true;
+    throw jobStoppedError(jobId, 'lease');
+  }
 }
 
 /**
  * Helper: Update job status in database
+ * Only applies while the job is still active (not cancelled/finished) and,
+ * with a lease, while this worker still owns the job
  */
-async function updateJobStatus(jobId, status, updates = {}) {
+async function updateJobStatus(jobId, status, updates = {}, lease = null) {
   const supabase = supabaseAdmin();
-  const { error } = await supabase
+  let query = supabase
     .from('jobs')
     .update({
       status,
       ...updates,
       updated_at: new Date().toISOString(),
     })
-    .eq('id', jobId);
+    .eq('id', jobId)
+    .in('status', JOB_ACTIVE_STATUSES);
+  if (lease) {
+    query = query.eq('lease_owner', lease.workerId);
+  }
+
+  const { data, error } = await query.select('id');
 
   if (error) {
     console.error(`[updateJobStatus] Failed to update job ${jobId}:`, error);
+    return;
   }
+  if (data.length === 0) {
+    // Find out why the write was rejected (cancelled vs lease lost)
+    await assertJobActive(jobId, lease);
+    throw jobStoppedError(jobId, lease ? 'lease' : 'cancelled');
+  }
+  emitJobUpdated(jobId);
 }
 
 /**
- * Helper: OpenAI API request
+ * Helper: Run one pipeline step with retries and backoff (JOB_STEP_MAX_RETRIES, JOB_STEP_RETRY_BASE_MS)
  */
-async function gptAPIReq(reqBody) {
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  const openaiApiUrl = process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
-  
-  if (!openaiApiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
-
-  console.log(`[gptAPIReq] Using OpenAI model: ${reqBody.model}`);
-  const response = await fetch(openaiApiUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${openaiApiKey}`,
+function runStep(jobId, stepName, lease, operation) {
+  const retries = Number.parseInt(process.env.JOB_STEP_MAX_RETRIES ?? '3', 10);
+  const baseDelayMs = Number.parseInt(process.env.JOB_STEP_RETRY_BASE_MS ?? '2000', 10);
+
+  return withRetry(async () => {
+    await assertJobActive(jobId, lease);
+    return operation();
+  }, {
+    retries: Number.isFinite(retries) ? retries : 3,
+    baseDelayMs: Number.isFinite(baseDelayMs) ? baseDelayMs : 2000,
+    shouldRetry: (error) => !error.jobStopped && isRetryableError(error),
+    onRetry: (error, attempt, delayMs) => {
+      console.warn(`[promptLlmProcessor] ${jobId}: ${stepName} failed (attempt ${attempt}), retrying in ${delayMs}ms: ${error.message}`);
     },
-    body: JSON.stringify(reqBody),
   });
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API error: ${errorText}`);
-  }
+/**
+ * Helper: Transcribe the job's recording, then expand dot phrases and mask PHI
+ * Returns the transcribe_expand_mask result
+ */
+async function transcribeJobRecording(jobId, userId, job, keyUpdate, lease, maskOptions) {
+  const supabase = supabaseAdmin();
 
-  const openaiData = await response.json();
-  if (!openaiData.choices || !openaiData.choices[0]?.message) {
-    throw new Error('Invalid response from OpenAI API');
-  }
+  // Update status to transcribing (progress is reset in case this is a retry)
+  await updateJobStatus(jobId, 'transcribing', {
+    progress: null,
+    ...keyUpdate,
+  }, lease);
+  console.log(`[promptLlmProcessor] ${jobId}: Started transcription`);
+
+  // Get signed URL for recording (use service key client for internal operations)
+  const signedUrlData = await runStep(jobId, 'Signed URL', lease, async () => {
+    const { data, error: signedError } = await supabase.storage
+      .from('audio-files')
+      .createSignedUrl(job.recording_file_path, 60 * 60);
+
+    if (signedError) {
+      throw new Error(`Failed to create signed URL: ${signedError.message}`);
+    }
+    return data;
+  });
+
+  // Chunk progress for long recordings; writes are chained so they land in order
+  let progressUpdate = Promise.resolve();
+  const reportTranscriptionProgress = (progress) => {
+    progressUpdate = progressUpdate.then(() => updateJobStatus(jobId, 'transcribing', { progress }, lease));
+    return progressUpdate;
+  };
+
+  // Transcribe, expand, and mask
+  const transcribeStartTime = Date.now();
+  const transcriptResult = await runStep(jobId, 'Transcription', lease, async () => {
+    let result;
+    try {
+      // Job owner is already known, so no user token is needed (worker may run long after the request);
+      // their organization (for its masking policy) is read from auth by the service role client
+      result = await transcribe_expand_mask({
+        recording_file_signed_url: signedUrlData.signedUrl,
+        user: { id: userId },
+        transcriptionProvider: job.transcription_provider,
+        onTranscriptionProgress: reportTranscriptionProgress,
+        maskOptions,
+      });
+    } catch (error) {
+      // Cancelled or lease lost while reporting chunk progress
+      if (error?.jobStopped || error?.cause?.jobStopped) {
+        throw error.jobStopped ? error : error.cause;
+      }
+      const e = new Error(`Transcription failed: ${error?.message || 'Unknown error'}`);
+      if (error?.status) e.status = error.status;
+      throw e;
+    }
+
+    // Validate transcription result
+    if (
+      !result ||
+      !result.cloudRunData?.transcript ||
+      !result.maskResult?.masked_transcript ||
+      !result.maskResult?.phi_entities
+    ) {
+      throw new Error('Transcription result missing expected properties');
+    }
+    return result;
+  });
 
-  return openaiData.choices[0].message.content;
+  console.log(`[promptLlmProcessor] ${jobId}: Transcription complete (${(Date.now() - transcribeStartTime) / 1000}s)`);
+  return transcriptResult;
 }
 
 /**
- * Helper: Azure OpenAI API request
+ * Helper: Expand dot phrases and mask PHI in the transcript stored on the job at creation (no transcription)
+ * Returns the expand_mask result
  */
-async function azureGptAPIReq(reqBody) {
-  const azureEndpoint = process.env.AZURE_OPENAI_ENDPOINT;
-  const azureApiKey = process.env.AZURE_OPENAI_KEY;
-  
-  if (!azureEndpoint || !azureApiKey) {
-    throw new Error('Missing Azure OpenAI environment variables');
+async function maskJobTranscript(jobId, userId, job, lease, maskOptions) {
+  // Progress is reset in case this is a retry
+  await updateJobStatus(jobId, 'generating', { progress: null }, lease);
+  console.log(`[promptLlmProcessor] ${jobId}: Using ${job.input_source} input, skipping transcription`);
+
+  const input = { ...job };
+  const decryptResult = decryptJobFields(input);
+  if (!decryptResult.success) {
+    throw new Error(`Failed to decrypt job transcript: ${decryptResult.error}`);
+  }
+  if (!input.transcript_text) {
+    throw new Error('Job has no input transcript');
   }
 
-  const { AzureOpenAI } = await import('openai');
-  const azureConfig = getAzureOpenAIConfig();
-  
-  const client = new AzureOpenAI({
-    apiVersion: azureConfig.apiVersion,
-    apiKey: azureApiKey,
-    baseURL: `${azureEndpoint}/openai/deployments/${azureConfig.deploymentName}`,
-    defaultQuery: { 'api-version': azureConfig.apiVersion },
-    defaultHeaders: { 'api-key': azureApiKey },
-  });
+  return runStep(jobId, 'PHI masking', lease, async () => {
+    let result;
+    try {
+      result = await expand_mask({
+        transcript: input.transcript_text,
+        segments: input.transcript_segments ? JSON.parse(input.transcript_segments) : [],
+        user: { id: userId },
+        maskOptions,
+      });
+    } catch (error) {
+      const e = new Error(`PHI masking failed: ${error?.message || 'Unknown error'}`);
+      if (error?.status) e.status = error.status;
+      throw e;
+    }
 
-  const response = await client.chat.completions.create({
-    messages: reqBody.messages,
-    model: azureConfig.deploymentName,
-    max_completion_tokens: reqBody.max_completion_tokens || reqBody.max_tokens,
-    temperature: reqBody.temperature,
-    top_p: reqBody.top_p,
-    response_format: reqBody.response_format,
+    if (!result?.maskResult?.masked_transcript || !result.maskResult?.phi_entities) {
+      throw new Error('Masking result missing expected properties');
+    }
+    return result;
   });
+}
 
-  if (!response.choices || !response.choices[0]?.message) {
-    throw new Error('Invalid response from Azure OpenAI API');
+/**
+ * Helper: PHI review of the generated note against the entities masked for the job
+ * A failed review does not fail the job; it is reported with status 'error'.
+ */
+async function reviewJobNote(jobId, note, maskResult, transcript) {
+  try {
+    const review = await reviewNotePhi(note, {
+      knownEntities: maskResult.phi_entities,
+      sourceText: transcript,
+      provider: maskResult.provider,
+      maskThreshold: maskResult.mask_threshold,
+    });
+    if (review.status === 'flagged') {
+      console.warn(`[promptLlmProcessor] ${jobId}: PHI review flagged ${review.unexpected_entities.length} unexpected entities, ${review.leftover_tokens.length} leftover tokens`);
+    }
+    return review;
+  } catch (error) {
+    console.warn(`[promptLlmProcessor] ${jobId}: PHI review failed, ${error.message}`);
+    return { status: 'error', error: error.message, reviewed_at: new Date().toISOString() };
   }
-
-  return response.choices[0].message.content;
 }
 
 /**
  * Main async processor for SOAP note generation
  * 
  * @param {string} jobId - Job UUID
- * @param {string} userId - User UUID
- * @param {string} authorizationHeader - User's JWT token from initial request (e.g., 'Bearer ...')
+ * @param {string} userId - User UUID (job owner)
+ * @param {object} [options]
+ * @param {object} [options.lease] - { workerId, lost } lease held by the job queue worker
  */
-export async function promptLlmProcessor(jobId, userId, authorizationHeader) {
+export async function promptLlmProcessor(jobId, userId, { lease = null } = {}) {
   const startTime = Date.now();
   console.log(`[promptLlmProcessor] Starting job ${jobId} for user ${userId}`);
 
   try {
-    // Get job record to retrieve recording path
+    // Get job record to retrieve its input (recording path or encrypted transcript)
     const supabase = supabaseAdmin();
     const { data: job, error: getError } = await supabase
       .from('jobs')
-      .select('recording_file_path')
+      .select('recording_file_path, input_source, llm_provider, transcription_provider, note_type, note_template, encrypted_aes_key, encrypted_transcript_text, transcript_text_iv, encrypted_transcript_segments, transcript_segments_iv')
       .eq('id', jobId)
       .single();
 
@@ -182,113 +285,104 @@ export async function promptLlmProcessor(jobId, userId, authorizationHeader) {
       throw new Error(`Failed to retrieve job: ${getError?.message}`);
     }
 
-    const { recording_file_path } = job;
-
-    // Step 1: Update status to transcribing
-    await updateJobStatus(jobId, 'transcribing');
-    console.log(`[promptLlmProcessor] ${jobId}: Started transcription`);
+    const llmProvider = resolveLlmProviderName(job.llm_provider);
 
-    // Get signed URL for recording (use service key client for internal operations)
-    const { data: signedUrlData, error: signedError } = await supabase.storage
-      .from('audio-files')
-      .createSignedUrl(recording_file_path, 60 * 60);
-
-    if (signedError) {
-      throw new Error(`Failed to create signed URL: ${signedError.message}`);
-    }
-
-    // Transcribe, expand, and mask
-    let transcriptResult;
-    const transcribeStartTime = Date.now();
-    try {
-      // Use the authorization header from job creation for authenticated access
-      const internalRequest = {
-        headers: {
-          authorization: authorizationHeader,
-        },
-      };
-      transcriptResult = await transcribe_expand_mask({
-        recording_file_signed_url: signedUrlData.signedUrl,
-        req: internalRequest,
-      });
-    } catch (error) {
-      throw new Error(`Transcription failed: ${error?.message || 'Unknown error'}`);
-    }
+    // Jobs queued before payload encryption have no key yet (always recording jobs)
+    const encryptedAesKey = job.encrypted_aes_key || createJobEncryptionKey();
 
-    // Validate transcription result
-    if (
-      !transcriptResult ||
-      !transcriptResult.cloudRunData?.transcript ||
-      !transcriptResult.maskResult?.masked_transcript ||
-      !transcriptResult.maskResult?.phi_entities
-    ) {
-      throw new Error('Transcription result missing expected properties');
-    }
+    // Step 1: Transcribe the recording, or expand and mask the job's input transcript
+    // (surrogate mode: the job key seeds the surrogates, so a retry masks the same way)
+    const keyUpdate = job.encrypted_aes_key ? {} : { encrypted_aes_key: encryptedAesKey };
+    const maskOptions = { seed: encryptedAesKey };
+    const transcriptResult = (job.input_source || 'recording') === 'recording'
+      ? await transcribeJobRecording(jobId, userId, job, keyUpdate, lease, maskOptions)
+      : await maskJobTranscript(jobId, userId, job, lease, maskOptions);
 
     const transcript = transcriptResult.expandedTranscript;
+    const segments = transcriptResult.segments || [];
     const maskedTranscript = transcriptResult.maskResult.masked_transcript;
     const tokens = transcriptResult.maskResult.tokens;
-    const transcribeEndTime = Date.now();
-
-    console.log(`[promptLlmProcessor] ${jobId}: Transcription complete (${(transcribeEndTime - transcribeStartTime) / 1000}s)`);
+    const surrogates = transcriptResult.maskResult.surrogates;
 
     // Step 2: Update status to generating with transcript
-    await updateJobStatus(jobId, 'generating', {
+    await updateJobStatus(jobId, 'generating', encryptJobFields({
       transcript_text: transcript,
-    });
+      transcript_segments: segments.length > 0 ? JSON.stringify(segments) : null,
+    }, encryptedAesKey), lease);
 
     // Step 3: Generate SOAP note and billing suggestion
     const soapStartTime = Date.now();
-    const soapNoteAndBillingReqBody = gptRequestBodies.getSoapNoteAndBillingRequestBody(maskedTranscript);
-    let soapNoteAndBillingResultRaw;
-
-    try {
-      soapNoteAndBillingResultRaw = await gptAPIReq(soapNoteAndBillingReqBody);
-    } catch (error) {
-      throw new Error(`OpenAI API request failed: ${error.message}`);
-    }
-
-    if (!soapNoteAndBillingResultRaw) {
-      throw new Error('Empty response from OpenAI API');
-    }
-
-    console.log(`[promptLlmProcessor] ${jobId}: OpenAI response received`);
-
-    // Parse LLM response
-    let rawString;
-    if (typeof soapNoteAndBillingResultRaw === 'string') {
-      rawString = soapNoteAndBillingResultRaw;
-    } else {
-      rawString = JSON.stringify(soapNoteAndBillingResultRaw);
-    }
-
-    // Validate format
-    const looksLikeJson = rawString.trim().startsWith('{');
-    const hasSoapNote = rawString.includes('soap_note');
-    if (!looksLikeJson || !hasSoapNote) {
-      throw new Error('LLM response does not appear to be valid JSON structure');
-    }
-
-    // Clean and unmask
-    rawString = cleanRawText(rawString);
-    let unmaskRes;
-    try {
-      unmaskRes = unmask_phi(rawString, tokens);
-    } catch (error) {
-      throw new Error(`PHI unmasking failed: ${error.message}`);
-    }
-
-    const unmaskedString = (unmaskRes && typeof unmaskRes === 'object' && unmaskRes.unmasked_transcript)
-      ? unmaskRes.unmasked_transcript
-      : String(unmaskRes || rawString);
+    const soapNoteAndBillingPrompt = getSoapNoteAndBillingPrompt(maskedTranscript, {
+      speakerLabelled: transcriptResult.speakerLabelled,
+      template: job.note_template,
+      noteType: job.note_type || DEFAULT_NOTE_TYPE,
+    });
 
-    // Parse JSON
-    let soapNoteAndBillingResult;
-    try {
-      soapNoteAndBillingResult = JSON.parse(unmaskedString);
-    } catch (error) {
-      throw new Error(`Failed to parse SOAP note JSON: ${error.message}`);
-    }
+    const soapNoteAndBillingResult = await runStep(jobId, 'SOAP note generation', lease, async () => {
+      let soapNoteAndBillingResultRaw;
+      try {
+        soapNoteAndBillingResultRaw = await generateJson(soapNoteAndBillingPrompt, { provider: llmProvider });
+      } catch (error) {
+        const e = new Error(`LLM request failed (${llmProvider}): ${error.message}`);
+        if (error?.status) e.status = error.status;
+        throw e;
+      }
+
+      if (!soapNoteAndBillingResultRaw) {
+        throw new Error(`Empty response from LLM provider (${llmProvider})`);
+      }
+
+      console.log(`[promptLlmProcessor] ${jobId}: LLM response received from ${llmProvider}`);
+
+      // Parse LLM response
+      let rawString;
+      if (typeof soapNoteAndBillingResultRaw === 'string') {
+        rawString = soapNoteAndBillingResultRaw;
+      } else {
+        rawString = JSON.stringify(soapNoteAndBillingResultRaw);
+      }
+
+      // Validate format
+      const looksLikeJson = rawString.trim().startsWith('{');
+      const hasSoapNote = rawString.includes('soap_note');
+      if (!looksLikeJson || !hasSoapNote) {
+        throw new Error('LLM response does not appear to be valid JSON structure');
+      }
+
+      // Clean and unmask
+      rawString = cleanRawText(rawString);
+      let unmaskRes;
+      try {
+        unmaskRes = unmask_phi(rawString, tokens, { surrogates });
+      } catch (error) {
+        const e = new Error(`PHI unmasking failed: ${error.message}`);
+        e.retryable = false;
+        throw e;
+      }
+      if (unmaskRes.warnings?.length > 0) {
+        console.warn(`[promptLlmProcessor] ${jobId}: Unmask warnings:`, unmaskRes.warnings);
+      }
+
+      const unmaskedString = (unmaskRes && typeof unmaskRes === 'object' && unmaskRes.unmasked_transcript)
+        ? unmaskRes.unmasked_transcript
+        : String(unmaskRes || rawString);
+
+      // Parse JSON
+      let parsed;
+      try {
+        parsed = JSON.parse(unmaskedString);
+      } catch (error) {
+        throw new Error(`Failed to parse SOAP note JSON: ${error.message}`);
+      }
+
+      // Check sections against the job's note type / template (a retry asks the LLM again)
+      try {
+        validateSoapAndBilling(parsed, getNoteTypeTemplate(job.note_type || DEFAULT_NOTE_TYPE, job.note_template));
+      } catch (error) {
+        throw new Error(`SOAP note validation failed: ${error.message}`);
+      }
+      return parsed;
+    });
 
     // Store raw SOAP note string (parsing will be done on demand via parseSoapNotes utility)
     const soapNoteText = JSON.stringify(soapNoteAndBillingResult);
@@ -296,16 +390,29 @@ export async function promptLlmProcessor(jobId, userId, authorizationHeader) {
     const soapEndTime = Date.now();
     console.log(`[promptLlmProcessor] ${jobId}: SOAP note complete (${(soapEndTime - soapStartTime) / 1000}s)`);
 
-    // Step 4: Update to complete status
-    await updateJobStatus(jobId, 'complete', {
+    // Step 4: Check the note for PHI that was not masked (made up or missed entities, leftover tokens)
+    const phiReview = await reviewJobNote(jobId, soapNoteAndBillingResult, transcriptResult.maskResult, transcript);
+
+    // Step 5: Update to complete status
+    await updateJobStatus(jobId, 'complete', encryptJobFields({
       soap_note_text: soapNoteText,
-    });
+      phi_review: JSON.stringify(phiReview),
+    }, encryptedAesKey), lease);
 
     console.log(`[promptLlmProcessor] ${jobId}: Complete (${(soapEndTime - startTime) / 1000}s total)`);
   } catch (error) {
+    if (error.jobStopped) {
+      // Cancelled by the user, or another worker owns the job now (or it was handed back on shutdown); leave its state alone
+      console.warn(`[promptLlmProcessor] ${jobId}: Stopped, ${error.cancelled ? 'job cancelled' : 'lease no longer held'}`);
+      return;
+    }
     console.error(`[promptLlmProcessor] ${jobId}: Error:`, error);
-    await updateJobStatus(jobId, 'error', {
-      error_message: error.message,
-    });
+    try {
+      await updateJobStatus(jobId, 'error', {
+        error_message: error.message,
+      }, lease);
+    } catch (updateError) {
+      console.warn(`[promptLlmProcessor] ${jobId}: Could not record error, ${updateError.message}`);
+    }
   }
 }
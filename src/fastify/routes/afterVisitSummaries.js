@@ -0,0 +1,97 @@
+/**
+ * After-Visit Summaries Routes
+ * Registers all after-visit summary endpoints with authentication
+ * Validation is handled in routes using Zod schemas
+ */
+import {
+  generateAfterVisitSummary,
+  getAllAfterVisitSummaries,
+  getAfterVisitSummary,
+  exportAfterVisitSummaryHandler,
+  deleteAfterVisitSummary,
+} from '../controllers/afterVisitSummariesController.js';
+import {
+  afterVisitSummaryCreateRequestSchema,
+  afterVisitSummaryListQuerySchema,
+  soapNoteExportQuerySchema,
+} from '../schemas/requests.js';
+
+export async function registerAfterVisitSummariesRoutes(fastify) {
+  // GET /api/after-visit-summaries - List after-visit summaries (optional ?patientEncounter_id=)
+  fastify.get('/after-visit-summaries', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate query parameters
+        const parseResult = afterVisitSummaryListQuerySchema.safeParse(request.query);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated query on request for controller
+        request.query = parseResult.data;
+
+        return getAllAfterVisitSummaries(request, reply);
+      } catch (error) {
+        console.error('Error in after-visit summaries list route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // GET /api/after-visit-summaries/:id - Get single after-visit summary by ID
+  fastify.get('/after-visit-summaries/:id', {
+    preHandler: [fastify.authenticate],
+    handler: getAfterVisitSummary,
+  });
+
+  // GET /api/after-visit-summaries/:id/export - Download after-visit summary (?format=pdf|docx|txt|md)
+  fastify.get('/after-visit-summaries/:id/export', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate query parameters (same formats as SOAP note export)
+        const parseResult = soapNoteExportQuerySchema.safeParse(request.query);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated query on request for controller
+        request.query = parseResult.data;
+
+        return exportAfterVisitSummaryHandler(request, reply);
+      } catch (error) {
+        console.error('Error in after-visit summaries export route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // POST /api/after-visit-summaries - Generate after-visit summary for a patient encounter
+  fastify.post('/after-visit-summaries', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body
+        const parseResult = afterVisitSummaryCreateRequestSchema.safeParse(request.body);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = parseResult.data;
+
+        return generateAfterVisitSummary(request, reply);
+      } catch (error) {
+        console.error('Error in after-visit summaries create route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // DELETE /api/after-visit-summaries/:id - Delete after-visit summary
+  fastify.delete('/after-visit-summaries/:id', {
+    preHandler: [fastify.authenticate],
+    handler: deleteAfterVisitSummary,
+  });
+}
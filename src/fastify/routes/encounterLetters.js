@@ -0,0 +1,77 @@
+/**
+ * Encounter Letters Routes
+ * Registers referral and prior authorization letter endpoints (nested under patient encounters) with authentication
+ * Validation is handled in routes using Zod schemas
+ */
+import {
+  generateEncounterLetter,
+  getAllEncounterLetters,
+  getEncounterLetter,
+  exportEncounterLetterHandler,
+  deleteEncounterLetter,
+} from '../controllers/encounterLettersController.js';
+import { encounterLetterCreateRequestSchema, soapNoteExportQuerySchema } from '../schemas/requests.js';
+
+export async function registerEncounterLettersRoutes(fastify) {
+  // GET /api/patient-encounters/:id/letters - List letters of a patient encounter
+  fastify.get('/patient-encounters/:id/letters', {
+    preHandler: [fastify.authenticate],
+    handler: getAllEncounterLetters,
+  });
+
+  // GET /api/patient-encounters/:id/letters/:letterId - Get single letter
+  fastify.get('/patient-encounters/:id/letters/:letterId', {
+    preHandler: [fastify.authenticate],
+    handler: getEncounterLetter,
+  });
+
+  // GET /api/patient-encounters/:id/letters/:letterId/export - Download letter (?format=pdf|docx|txt|md)
+  fastify.get('/patient-encounters/:id/letters/:letterId/export', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate query parameters (same formats as SOAP note export)
+        const parseResult = soapNoteExportQuerySchema.safeParse(request.query);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated query on request for controller
+        request.query = parseResult.data;
+
+        return exportEncounterLetterHandler(request, reply);
+      } catch (error) {
+        console.error('Error in letters export route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // POST /api/patient-encounters/:id/letters - Generate a referral or prior authorization letter
+  fastify.post('/patient-encounters/:id/letters', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body
+        const parseResult = encounterLetterCreateRequestSchema.safeParse(request.body);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = parseResult.data;
+
+        return generateEncounterLetter(request, reply);
+      } catch (error) {
+        console.error('Error in letters create route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // DELETE /api/patient-encounters/:id/letters/:letterId - Delete letter
+  fastify.delete('/patient-encounters/:id/letters/:letterId', {
+    preHandler: [fastify.authenticate],
+    handler: deleteEncounterLetter,
+  });
+}
@@ -4,16 +4,24 @@
  * Defines Fastify routes for PHI masking operations.
  */
 
-import { maskPhiHandler, unmaskPhiHandler } from '../controllers/maskPhiController.js';
+import {
+  maskPhiHandler,
+  unmaskPhiHandler,
+  getMaskPhiPolicyHandler,
+  putMaskPhiPolicyHandler,
+  deleteMaskPhiPolicyHandler,
+} from '../controllers/maskPhiController.js';
 import {
   MaskPhiRequestBodySchema,
   UnmaskPhiRequestBodySchema,
+  phiMaskingPolicyRequestSchema,
 } from '../schemas/requests.js';
 import {
   MaskPhiResponseBodySchema,
   UnmaskPhiResponseBodySchema,
   maskPhiRequestSchema,
   maskPhiResponseSchema,
+  maskPhiPolicyResponseSchema,
   unmaskPhiRequestSchema,
   unmaskPhiResponseSchema,
 } from '../schemas/responses.js';
@@ -27,7 +35,7 @@ export async function registerMaskPhiRoutes(fastify) {
   // POST /aws/mask-phi
   fastify.post('/aws/mask-phi', {
     schema: {
-      description: 'Mask PHI in medical transcripts using AWS Comprehend Medical',
+      description: 'Mask PHI in medical transcripts (AWS Comprehend Medical, offline rule-based detector, or both)',
       tags: ['AWS', 'PHI'],
       response: {
         200: maskPhiResponseSchema,
@@ -73,6 +81,55 @@ export async function registerMaskPhiRoutes(fastify) {
     },
   });
 
+  // GET /aws/mask-phi/policy - Masking policy applied to the user (own, else organization's)
+  fastify.get('/aws/mask-phi/policy', {
+    schema: {
+      description: 'Get the PHI masking policy applied to the user (their own, else their organization\'s)',
+      tags: ['AWS', 'PHI'],
+      response: { 200: maskPhiPolicyResponseSchema },
+    },
+    preHandler: [fastify.authenticate],
+    handler: getMaskPhiPolicyHandler,
+  });
+
+  // PUT /aws/mask-phi/policy - Create or replace the user's own masking policy
+  fastify.put('/aws/mask-phi/policy', {
+    schema: {
+      description: 'Create or replace the user\'s PHI masking policy (entity types, per-type thresholds, allowlist, date handling)',
+      tags: ['AWS', 'PHI'],
+      response: { 200: maskPhiPolicyResponseSchema },
+    },
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body schema
+        const validation = phiMaskingPolicyRequestSchema.safeParse(request.body);
+        if (!validation.success) {
+          return reply.status(400).send({ error: validation.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = validation.data;
+
+        return putMaskPhiPolicyHandler(request, reply);
+      } catch (error) {
+        console.error('Error in mask-phi policy route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // DELETE /aws/mask-phi/policy - Delete the user's own masking policy
+  fastify.delete('/aws/mask-phi/policy', {
+    schema: {
+      description: 'Delete the user\'s PHI masking policy (their organization\'s policy applies again)',
+      tags: ['AWS', 'PHI'],
+      response: { 200: maskPhiPolicyResponseSchema },
+    },
+    preHandler: [fastify.authenticate],
+    handler: deleteMaskPhiPolicyHandler,
+  });
+
   // POST /aws/unmask-phi
   fastify.post('/aws/unmask-phi', {
     schema: {
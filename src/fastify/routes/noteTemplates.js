@@ -0,0 +1,86 @@
+/**
+ * Note Templates Routes
+ * Registers all note template endpoints with authentication
+ * Validation is handled in routes using Zod schemas
+ */
+import {
+  getAllNoteTemplates,
+  getNoteTemplate,
+  getNoteTemplateSchema,
+  createNoteTemplate,
+  updateNoteTemplate,
+  deleteNoteTemplate,
+} from '../controllers/noteTemplatesController.js';
+import { noteTemplateCreateRequestSchema, noteTemplateUpdateRequestSchema } from '../schemas/requests.js';
+
+export async function registerNoteTemplatesRoutes(fastify) {
+  // GET /api/note-templates - Get all note templates (optional ?specialty=)
+  fastify.get('/note-templates', {
+    preHandler: [fastify.authenticate],
+    handler: getAllNoteTemplates,
+  });
+
+  // GET /api/note-templates/:id - Get single note template by ID
+  fastify.get('/note-templates/:id', {
+    preHandler: [fastify.authenticate],
+    handler: getNoteTemplate,
+  });
+
+  // GET /api/note-templates/:id/schema - Preview the soap_note JSON schema sent to the LLM
+  fastify.get('/note-templates/:id/schema', {
+    preHandler: [fastify.authenticate],
+    handler: getNoteTemplateSchema,
+  });
+
+  // POST /api/note-templates - Create new note template
+  fastify.post('/note-templates', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body
+        const parseResult = noteTemplateCreateRequestSchema.safeParse(request.body);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = parseResult.data;
+
+        return createNoteTemplate(request, reply);
+      } catch (error) {
+        console.error('Error in note templates create route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // PATCH /api/note-templates/:id - Update note template
+  fastify.patch('/note-templates/:id', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body
+        const parseResult = noteTemplateUpdateRequestSchema.safeParse(request.body);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = parseResult.data;
+
+        return updateNoteTemplate(request, reply);
+      } catch (error) {
+        console.error('Error in note templates update route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // DELETE /api/note-templates/:id - Delete note template
+  fastify.delete('/note-templates/:id', {
+    preHandler: [fastify.authenticate],
+    handler: deleteNoteTemplate,
+  });
+}
+
+export default registerNoteTemplatesRoutes;
@@ -9,6 +9,7 @@ import {
   updatePatientEncounter,
   deletePatientEncounter,
   getCompletePatientEncounter,
+  getPatientEncounterFhir,
   completePatientEncounter,
   updatePatientEncounterTranscript,
   updatePatientEncounterWithTranscript,
@@ -94,6 +95,13 @@ export async function registerPatientEncountersRoutes(fastify) {
     handler: getCompletePatientEncounter,
   });
 
+  // GET /patient-encounters/:id/fhir
+  // Export a patient encounter (encounter, notes, billing codes) as a FHIR R4 Bundle
+  fastify.get('/patient-encounters/:id/fhir', {
+    preHandler: [fastify.authenticate],
+    handler: getPatientEncounterFhir,
+  });
+
   // POST /patient-encounters/complete
   // Create a complete patient encounter bundle with recording, transcript, and SOAP notes
   fastify.post('/patient-encounters/complete', {
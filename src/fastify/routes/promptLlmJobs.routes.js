@@ -3,11 +3,31 @@
  * 
  * Polling-based job architecture for SOAP note generation
  * - POST /prompt-llm - Create job, returns jobId immediately
+ * - GET /prompt-llm - List jobs (status/date filters, pagination)
  * - GET /prompt-llm/:jobId - Poll job status and results
+ * - GET /prompt-llm/:jobId/events - Stream job status changes (SSE, supports Last-Event-ID)
+ * - POST /prompt-llm/:jobId/cancel - Cancel a queued or running job
+ * - DELETE /prompt-llm/:jobId - Purge stored transcript and SOAP note text
+ * - POST /prompt-llm/:jobId/save - Save a completed job as a patient encounter
  */
 
-import { createPromptLlmJobHandler, getPromptLlmJobStatusHandler } from '../controllers/jobController.js';
-import { createPromptLlmJobRequestSchema, getPromptLlmJobStatusQuerySchema } from '../schemas/requests.js';
+import {
+  createPromptLlmJobHandler,
+  getPromptLlmJobStatusHandler,
+  streamPromptLlmJobEventsHandler,
+  listPromptLlmJobsHandler,
+  cancelPromptLlmJobHandler,
+  deletePromptLlmJobHandler,
+  savePromptLlmJobHandler,
+} from '../controllers/jobController.js';
+import {
+  createPromptLlmJobRequestSchema,
+  getPromptLlmJobStatusQuerySchema,
+  getPromptLlmJobEventsQuerySchema,
+  listPromptLlmJobsQuerySchema,
+  promptLlmJobParamsSchema,
+  savePromptLlmJobRequestSchema,
+} from '../schemas/requests.js';
 
 /**
  * Register prompt LLM jobs routes (polling-based)
@@ -52,4 +72,97 @@ export async function registerPromptLlmJobsRoutes(fastify) {
       return reply.status(500).send({ error: 'Internal server error' });
     }
   });
+
+  // GET /api/jobs/prompt-llm/:jobId/events (prefix /api applied in server.js)
+  fastify.get('/prompt-llm/:jobId/events', {
+    onRequest: [fastify.authenticate],
+  }, async (request, reply) => {
+    try {
+      const queryParseResult = getPromptLlmJobEventsQuerySchema.safeParse(request.query);
+      if (!queryParseResult.success) {
+        return reply.status(400).send({ error: queryParseResult.error });
+      }
+
+      request.query = queryParseResult.data;
+      return streamPromptLlmJobEventsHandler(request, reply);
+    } catch (error) {
+      console.error('[registerPromptLlmJobsRoutes GET events] Error:', error);
+      return reply.status(500).send({ error: 'Internal server error' });
+    }
+  });
+
+  // GET /api/jobs/prompt-llm (prefix /api applied in server.js)
+  fastify.get('/prompt-llm', {
+    onRequest: [fastify.authenticate],
+  }, async (request, reply) => {
+    try {
+      const queryParseResult = listPromptLlmJobsQuerySchema.safeParse(request.query);
+      if (!queryParseResult.success) {
+        return reply.status(400).send({ error: queryParseResult.error });
+      }
+
+      request.query = queryParseResult.data;
+      return listPromptLlmJobsHandler(request, reply);
+    } catch (error) {
+      console.error('[registerPromptLlmJobsRoutes GET list] Error:', error);
+      return reply.status(500).send({ error: 'Internal server error' });
+    }
+  });
+
+  // POST /api/jobs/prompt-llm/:jobId/cancel (prefix /api applied in server.js)
+  fastify.post('/prompt-llm/:jobId/cancel', {
+    onRequest: [fastify.authenticate],
+  }, async (request, reply) => {
+    try {
+      const paramsParseResult = promptLlmJobParamsSchema.safeParse(request.params);
+      if (!paramsParseResult.success) {
+        return reply.status(400).send({ error: paramsParseResult.error });
+      }
+
+      return cancelPromptLlmJobHandler(request, reply);
+    } catch (error) {
+      console.error('[registerPromptLlmJobsRoutes POST cancel] Error:', error);
+      return reply.status(500).send({ error: 'Internal server error' });
+    }
+  });
+
+  // DELETE /api/jobs/prompt-llm/:jobId (prefix /api applied in server.js)
+  fastify.delete('/prompt-llm/:jobId', {
+    onRequest: [fastify.authenticate],
+  }, async (request, reply) => {
+    try {
+      const paramsParseResult = promptLlmJobParamsSchema.safeParse(request.params);
+      if (!paramsParseResult.success) {
+        return reply.status(400).send({ error: paramsParseResult.error });
+      }
+
+      return deletePromptLlmJobHandler(request, reply);
+    } catch (error) {
+      console.error('[registerPromptLlmJobsRoutes DELETE] Error:', error);
+      return reply.status(500).send({ error: 'Internal server error' });
+    }
+  });
+
+  // POST /api/jobs/prompt-llm/:jobId/save (prefix /api applied in server.js)
+  fastify.post('/prompt-llm/:jobId/save', {
+    onRequest: [fastify.authenticate],
+  }, async (request, reply) => {
+    try {
+      const paramsParseResult = promptLlmJobParamsSchema.safeParse(request.params);
+      if (!paramsParseResult.success) {
+        return reply.status(400).send({ error: paramsParseResult.error });
+      }
+
+      const parseResult = savePromptLlmJobRequestSchema.safeParse(request.body);
+      if (!parseResult.success) {
+        return reply.status(400).send({ error: parseResult.error });
+      }
+
+      request.body = parseResult.data;
+      return savePromptLlmJobHandler(request, reply);
+    } catch (error) {
+      console.error('[registerPromptLlmJobsRoutes POST save] Error:', error);
+      return reply.status(500).send({ error: 'Internal server error' });
+    }
+  });
 }
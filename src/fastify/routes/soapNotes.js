@@ -9,8 +9,25 @@ import {
   createSoapNote,
   updateSoapNote,
   deleteSoapNote,
+  exportSoapNoteHandler,
+  listSoapNoteRevisions,
+  getSoapNoteRevision,
+  diffSoapNoteRevisions,
+  restoreSoapNoteRevision,
+  signSoapNote,
+  addSoapNoteAddendum,
+  regenerateSoapNoteSection,
+  reviewSoapNotesPhi,
 } from '../controllers/soapNotesController.js';
-import { soapNoteCreateRequestSchema, soapNoteUpdateRequestSchema } from '../schemas/requests.js';
+import {
+  soapNoteCreateRequestSchema,
+  soapNoteUpdateRequestSchema,
+  soapNoteExportQuerySchema,
+  soapNoteRevisionDiffQuerySchema,
+  soapNoteAddendumRequestSchema,
+  soapNoteRegenerateRequestSchema,
+  soapNotePhiReviewRequestSchema,
+} from '../schemas/requests.js';
 
 export async function registerSoapNotesRoutes(fastify) {
   // GET /api/soap-notes - Get all SOAP notes with pagination
@@ -25,6 +42,68 @@ export async function registerSoapNotesRoutes(fastify) {
     handler: getSoapNote,
   });
 
+  // GET /api/soap-notes/:id/export?format=pdf|docx|txt|md - Download SOAP note for the EHR
+  fastify.get('/soap-notes/:id/export', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate query parameters
+        const parseResult = soapNoteExportQuerySchema.safeParse(request.query);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated query on request for controller
+        request.query = parseResult.data;
+
+        return exportSoapNoteHandler(request, reply);
+      } catch (error) {
+        console.error('Error in SOAP notes export route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // GET /api/soap-notes/:id/revisions - List revisions of a SOAP note
+  fastify.get('/soap-notes/:id/revisions', {
+    preHandler: [fastify.authenticate],
+    handler: listSoapNoteRevisions,
+  });
+
+  // GET /api/soap-notes/:id/revisions/diff?from=&to= - Compare two revisions section by section
+  fastify.get('/soap-notes/:id/revisions/diff', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate query parameters
+        const parseResult = soapNoteRevisionDiffQuerySchema.safeParse(request.query);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated query on request for controller
+        request.query = parseResult.data;
+
+        return diffSoapNoteRevisions(request, reply);
+      } catch (error) {
+        console.error('Error in SOAP note revisions diff route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // GET /api/soap-notes/:id/revisions/:revision - Get a single revision
+  fastify.get('/soap-notes/:id/revisions/:revision', {
+    preHandler: [fastify.authenticate],
+    handler: getSoapNoteRevision,
+  });
+
+  // POST /api/soap-notes/:id/revisions/:revision/restore - Make a prior revision the current version
+  fastify.post('/soap-notes/:id/revisions/:revision/restore', {
+    preHandler: [fastify.authenticate],
+    handler: restoreSoapNoteRevision,
+  });
+
   // POST /api/soap-notes - Create new SOAP note
   fastify.post('/soap-notes', {
     preHandler: [fastify.authenticate],
@@ -47,6 +126,28 @@ export async function registerSoapNotesRoutes(fastify) {
     },
   });
 
+  // POST /api/soap-notes/phi-review - Scan stored SOAP notes for unexpected PHI and leftover tokens
+  fastify.post('/soap-notes/phi-review', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body
+        const parseResult = soapNotePhiReviewRequestSchema.safeParse(request.body);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = parseResult.data;
+
+        return reviewSoapNotesPhi(request, reply);
+      } catch (error) {
+        console.error('Error in SOAP notes PHI review route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
   // PATCH /api/soap-notes/:id - Update SOAP note
   fastify.patch('/soap-notes/:id', {
     preHandler: [fastify.authenticate],
@@ -69,6 +170,56 @@ export async function registerSoapNotesRoutes(fastify) {
     },
   });
 
+  // POST /api/soap-notes/:id/regenerate - Regenerate one section from the stored transcript
+  fastify.post('/soap-notes/:id/regenerate', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body
+        const parseResult = soapNoteRegenerateRequestSchema.safeParse(request.body);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = parseResult.data;
+
+        return regenerateSoapNoteSection(request, reply);
+      } catch (error) {
+        console.error('Error in SOAP notes regenerate route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
+  // POST /api/soap-notes/:id/sign - Sign and lock SOAP note
+  fastify.post('/soap-notes/:id/sign', {
+    preHandler: [fastify.authenticate],
+    handler: signSoapNote,
+  });
+
+  // POST /api/soap-notes/:id/addendum - Append addendum to a signed SOAP note
+  fastify.post('/soap-notes/:id/addendum', {
+    preHandler: [fastify.authenticate],
+    handler: async (request, reply) => {
+      try {
+        // Validate request body
+        const parseResult = soapNoteAddendumRequestSchema.safeParse(request.body);
+        if (!parseResult.success) {
+          return reply.status(400).send({ error: parseResult.error });
+        }
+
+        // Set validated body on request for controller
+        request.body = parseResult.data;
+
+        return addSoapNoteAddendum(request, reply);
+      } catch (error) {
+        console.error('Error in SOAP notes addendum route:', error);
+        return reply.status(500).send({ error: 'Internal server error' });
+      }
+    },
+  });
+
   // DELETE /api/soap-notes/:id - Delete SOAP note
   fastify.delete('/soap-notes/:id', {
     preHandler: [fastify.authenticate],
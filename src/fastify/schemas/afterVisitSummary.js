@@ -0,0 +1,14 @@
+import { z } from 'zod';
+import { uuidRegex, isoDatetimeRegex } from './regex.js';
+
+export const afterVisitSummarySchema = z.object({
+  id: z.number().int().optional(),
+  created_at: z.string().regex(isoDatetimeRegex, 'Invalid ISO datetime').optional(),
+  user_id: z.string().regex(uuidRegex, 'Invalid UUID').optional(),
+  patientEncounter_id: z.number().int(),
+  soapNote_id: z.number().int().nullable().optional(), // Note the summary was generated from
+  reading_level: z.string(), // simple, standard, detailed
+  language: z.string(), // BCP 47 language code
+  encrypted_summary_text: z.string(),
+  iv: z.string(),
+});
@@ -0,0 +1,13 @@
+import { z } from 'zod';
+import { uuidRegex, isoDatetimeRegex } from './regex.js';
+
+export const encounterLetterSchema = z.object({
+  id: z.number().int().optional(),
+  created_at: z.string().regex(isoDatetimeRegex, 'Invalid ISO datetime').optional(),
+  user_id: z.string().regex(uuidRegex, 'Invalid UUID').optional(),
+  patientEncounter_id: z.number().int(),
+  soapNote_id: z.number().int().nullable().optional(), // Note the letter was generated from
+  letter_type: z.string(), // referral, prior_authorization
+  encrypted_letter_text: z.string(),
+  iv: z.string(),
+});
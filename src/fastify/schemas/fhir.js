@@ -0,0 +1,174 @@
+/**
+ * FHIR R4 resource schemas
+ * Local shape checks for the resources emitted by GET /api/patient-encounters/:id/fhir
+ * (cardinality and required elements from the R4 spec, http://hl7.org/fhir/R4).
+ * Only the elements we populate are modelled; unknown elements are rejected.
+ */
+
+import { z } from 'zod';
+
+// FHIR primitive types
+const fhirId = z.string().regex(/^[A-Za-z0-9\-.]{1,64}$/, 'Invalid FHIR id');
+const fhirUri = z.string().regex(/^\S+$/, 'Invalid FHIR uri');
+const fhirCode = z.string().regex(/^[^\s]+(\s[^\s]+)*$/, 'Invalid FHIR code');
+const fhirDateTime = z.string().regex(
+  /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/,
+  'Invalid FHIR dateTime'
+);
+const fhirInstant = z.string().regex(
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  'Invalid FHIR instant'
+);
+
+// FHIR data types
+const coding = z.object({
+  system: fhirUri.optional(),
+  code: fhirCode.optional(),
+  display: z.string().optional(),
+}).strict();
+
+const codeableConcept = z.object({
+  coding: z.array(coding).min(1).optional(),
+  text: z.string().optional(),
+}).strict();
+
+const reference = z.object({
+  reference: z.string().min(1).optional(),
+  display: z.string().optional(),
+}).strict().refine((ref) => ref.reference || ref.display, 'Reference needs a reference or display');
+
+const identifier = z.object({
+  system: fhirUri.optional(),
+  value: z.string().min(1),
+}).strict();
+
+const period = z.object({
+  start: fhirDateTime.optional(),
+  end: fhirDateTime.optional(),
+}).strict();
+
+const narrative = z.object({
+  status: z.enum(['generated', 'extensions', 'additional', 'empty']),
+  div: z.string().regex(/^<div xmlns="http:\/\/www\.w3\.org\/1999\/xhtml">[\s\S]*<\/div>$/, 'Narrative div must be an XHTML div'),
+}).strict();
+
+const meta = z.object({
+  lastUpdated: fhirInstant.optional(),
+}).strict();
+
+// Resources
+export const fhirPatientSchema = z.object({
+  resourceType: z.literal('Patient'),
+  id: fhirId,
+  identifier: z.array(identifier).optional(),
+}).strict();
+
+export const fhirPractitionerSchema = z.object({
+  resourceType: z.literal('Practitioner'),
+  id: fhirId,
+  identifier: z.array(identifier).optional(),
+}).strict();
+
+export const fhirEncounterSchema = z.object({
+  resourceType: z.literal('Encounter'),
+  id: fhirId,
+  meta: meta.optional(),
+  identifier: z.array(identifier).optional(),
+  status: z.enum(['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown']),
+  class: coding,
+  subject: reference.optional(),
+  participant: z.array(z.object({ individual: reference }).strict()).optional(),
+  period: period.optional(),
+}).strict();
+
+export const fhirCompositionSchema = z.object({
+  resourceType: z.literal('Composition'),
+  id: fhirId,
+  meta: meta.optional(),
+  status: z.enum(['preliminary', 'final', 'amended', 'entered-in-error']),
+  type: codeableConcept,
+  subject: reference.optional(),
+  encounter: reference.optional(),
+  date: fhirDateTime,
+  author: z.array(reference).min(1),
+  title: z.string().min(1),
+  attester: z.array(z.object({
+    mode: z.enum(['personal', 'professional', 'legal', 'official']),
+    time: fhirDateTime.optional(),
+    party: reference.optional(),
+  }).strict()).optional(),
+  section: z.array(z.object({
+    title: z.string().min(1),
+    text: narrative,
+  }).strict()).optional(),
+}).strict();
+
+export const fhirConditionSchema = z.object({
+  resourceType: z.literal('Condition'),
+  id: fhirId,
+  clinicalStatus: codeableConcept.optional(),
+  verificationStatus: codeableConcept.optional(),
+  category: z.array(codeableConcept).optional(),
+  code: codeableConcept,
+  subject: reference,
+  encounter: reference.optional(),
+  recordedDate: fhirDateTime.optional(),
+}).strict();
+
+// Claim-like billing line: R4 Claim requires insurance coverage we do not have,
+// ChargeItem carries the billable CPT code for the encounter
+export const fhirChargeItemSchema = z.object({
+  resourceType: z.literal('ChargeItem'),
+  id: fhirId,
+  status: z.enum(['planned', 'billable', 'not-billable', 'aborted', 'billed', 'entered-in-error', 'unknown']),
+  code: codeableConcept,
+  subject: reference,
+  context: reference.optional(),
+  enteredDate: fhirDateTime.optional(),
+  reason: z.array(codeableConcept).optional(),
+  supportingInformation: z.array(reference).optional(),
+}).strict();
+
+export const fhirResourceSchema = z.discriminatedUnion('resourceType', [
+  fhirPatientSchema,
+  fhirPractitionerSchema,
+  fhirEncounterSchema,
+  fhirCompositionSchema,
+  fhirConditionSchema,
+  fhirChargeItemSchema,
+]);
+
+export const fhirBundleSchema = z.object({
+  resourceType: z.literal('Bundle'),
+  id: fhirId.optional(),
+  meta: meta.optional(),
+  type: z.enum(['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection']),
+  timestamp: fhirInstant.optional(),
+  entry: z.array(z.object({
+    fullUrl: fhirUri,
+    resource: fhirResourceSchema,
+  }).strict()),
+}).strict().superRefine((bundle, ctx) => {
+  // fullUrls must be unique and every literal reference must resolve inside the bundle
+  const fullUrls = new Set();
+  bundle.entry.forEach((entry, index) => {
+    if (fullUrls.has(entry.fullUrl)) {
+      ctx.addIssue({ code: 'custom', path: ['entry', index, 'fullUrl'], message: `Duplicate fullUrl: ${entry.fullUrl}` });
+    }
+    fullUrls.add(entry.fullUrl);
+  });
+
+  const visit = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, [...path, i]));
+    } else if (value && typeof value === 'object') {
+      if (typeof value.reference === 'string' && !fullUrls.has(value.reference)) {
+        ctx.addIssue({ code: 'custom', path: [...path, 'reference'], message: `Unresolved reference: ${value.reference}` });
+      }
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, [...path, key]);
+      }
+    }
+  };
+  bundle.entry.forEach((entry, index) => visit(entry.resource, ['entry', index, 'resource']));
+});
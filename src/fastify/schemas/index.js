@@ -3,7 +3,10 @@
  * All schemas use relative imports instead of @/src alias
  */
 
+export { afterVisitSummarySchema } from './afterVisitSummary.js';
 export { dotPhraseSchema } from './dotPhrase.js';
+export { encounterLetterSchema } from './encounterLetter.js';
+export { noteTemplateSchema } from './noteTemplate.js';
 export { patientEncounterSchema } from './patientEncounter.js';
 export { recordingSchema } from './recording.js';
 export { soapNoteSchema } from './soapNote.js';
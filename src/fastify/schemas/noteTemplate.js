@@ -0,0 +1,13 @@
+import { z } from 'zod';
+import { uuidRegex, isoDatetimeRegex } from './regex.js';
+
+export const noteTemplateSchema = z.object({
+  id: z.number().int().optional(),
+  created_at: z.string().regex(isoDatetimeRegex, 'Invalid ISO datetime').optional(),
+  updated_at: z.string().regex(isoDatetimeRegex, 'Invalid ISO datetime').nullable().optional(),
+  user_id: z.string().regex(uuidRegex, 'Invalid UUID').nullable().optional(),
+  name: z.string().min(1),
+  specialty: z.string().nullable().optional(),
+  sections: z.array(z.any()),
+  is_default: z.boolean().optional(),
+});
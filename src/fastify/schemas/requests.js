@@ -1,5 +1,17 @@
 import { z } from 'zod';
 import { isoDatetimeRegex, uuidRegex } from '../../app/schemas/regex.js';
+import { LLM_PROVIDER_NAMES } from '../../utils/llmProviders.js';
+import { TRANSCRIPTION_PROVIDER_NAMES } from '../../utils/transcriptionProviders.js';
+import { TRANSCRIPT_SPEAKERS } from '../../utils/transcriptSegments.js';
+import { SOAP_SECTION_KEYS, MAX_TEMPLATE_SUBSECTIONS } from '../../utils/noteTemplates.js';
+import { NOTE_TYPE_NAMES } from '../../utils/noteTypes.js';
+import { SOAP_NOTE_EXPORT_FORMATS } from '../../utils/soapNoteExport.js';
+import { READING_LEVEL_NAMES } from '../../utils/afterVisitSummary.js';
+import { LETTER_TYPE_NAMES } from '../../utils/encounterLetters.js';
+import { PHI_DETECTOR_NAMES } from '../../utils/phiDetectors.js';
+import { PHI_MASK_MODE_NAMES } from '../../utils/phiSurrogates.js';
+import { PHI_ENTITY_TYPES, PHI_DATE_HANDLING_NAMES } from '../../utils/phiMaskingPolicy.js';
+import { jobStatusEnum } from '../../app/schemas/job.js';
 
 // Request schemas - what the API client sends
 // These are separate from database schemas to decouple API contracts from DB schema
@@ -11,6 +23,17 @@ export const patientEncounterCreateRequestSchema = z.object({
   recording_file_signed_url_expiry: z.string().regex(isoDatetimeRegex, 'Invalid ISO datetime').nullable().optional(),
 });
 
+/**
+ * Diarized transcript segment (times in seconds from the start of the recording)
+ * Used by transcript create requests and returned by GET /api/transcripts/:id
+ */
+export const transcriptSegmentSchema = z.object({
+  speaker: z.enum(TRANSCRIPT_SPEAKERS).nullable(),
+  start: z.number().nonnegative().nullable(),
+  end: z.number().nonnegative().nullable(),
+  text: z.string().min(1, 'Segment text is required'),
+});
+
 /**
  * POST request for creating a complete patient encounter bundle
  * Endpoint: POST /api/patient-encounters/complete
@@ -25,6 +48,7 @@ export const patientEncounterCompleteCreateRequestSchema = z.object({
   }),
   transcript: z.object({
     transcript_text: z.string().min(1, 'Transcript text is required'),
+    segments: z.array(transcriptSegmentSchema).optional(),
   }),
   soapNote_text: z.object({
     soapNote: z.object({
@@ -32,9 +56,10 @@ export const patientEncounterCompleteCreateRequestSchema = z.object({
       objective: z.string().optional().default(''),
       assessment: z.string().optional().default(''),
       plan: z.string().optional().default(''),
-    }).optional(),
+    }).catchall(z.string()).optional(), // Other note types add their own section keys (see noteTypes.js)
     billingSuggestion: z.string().optional().default(''),
   }),
+  note_type: z.enum(NOTE_TYPE_NAMES).optional(),
 });
 
 /**
@@ -135,6 +160,7 @@ export const deleteRecordingsStorageRequestSchema = z.object({
 export const transcriptCreateRequestSchema = z.object({
   transcript_text: z.string().min(1, 'Transcript text is required'),
   recording_id: z.number().int('Recording ID must be an integer'),
+  segments: z.array(transcriptSegmentSchema).optional(),
 });
 
 /**
@@ -157,9 +183,10 @@ export const soapNoteCreateRequestSchema = z.object({
       objective: z.string().optional().default(''),
       assessment: z.string().optional().default(''),
       plan: z.string().optional().default(''),
-    }).optional(),
+    }).catchall(z.string()).optional(), // Other note types add their own section keys (see noteTypes.js)
     billingSuggestion: z.string().optional().default(''),
   }),
+  note_type: z.enum(NOTE_TYPE_NAMES).optional(),
 });
 
 /**
@@ -174,25 +201,159 @@ export const soapNoteUpdateRequestSchema = z.object({
       objective: z.string().optional().default(''),
       assessment: z.string().optional().default(''),
       plan: z.string().optional().default(''),
-    }).optional(),
+    }).catchall(z.string()).optional(), // Other note types add their own section keys (see noteTypes.js)
     billingSuggestion: z.string().optional().default(''),
   }),
 });
+/**
+ * GET request query parameters for exporting a SOAP note
+ * Endpoint: GET /api/soap-notes/:id/export?format=pdf|docx|txt|md (default pdf)
+ */
+export const soapNoteExportQuerySchema = z.object({
+  format: z.enum(SOAP_NOTE_EXPORT_FORMATS).default('pdf'),
+});
+
+/**
+ * POST request for adding an addendum to a signed SOAP note
+ * Endpoint: POST /api/soap-notes/:id/addendum
+ */
+export const soapNoteAddendumRequestSchema = z.object({
+  addendum_text: z.string('Addendum text is required').trim().min(1, 'Addendum text is required'),
+});
+
+/**
+ * POST request for regenerating one section of a SOAP note from its transcript
+ * Endpoint: POST /api/soap-notes/:id/regenerate
+ * section: section path, "plan" or "subjective.HPI" (section.subsection)
+ * instructions: optional free text for the LLM, e.g. "make it more concise"
+ * llm_provider is optional; omitted uses the deployment default (LLM_PROVIDER env)
+ */
+export const soapNoteRegenerateRequestSchema = z.object({
+  section: z.string('Section is required').trim().min(1, 'Section is required').max(200),
+  instructions: z.string().trim().max(2000, 'Instructions must be at most 2000 characters').optional(),
+  llm_provider: z.enum(LLM_PROVIDER_NAMES).optional(),
+});
+
+/**
+ * POST request for scanning stored SOAP notes for PHI not found in their encounter's transcript
+ * Endpoint: POST /api/soap-notes/phi-review
+ * Either soapNote_ids (up to 50 notes) or patientEncounter_id (its notes, up to 50)
+ * provider is optional; omitted uses the deployment default PHI detector (PHI_DETECTOR env)
+ */
+export const soapNotePhiReviewRequestSchema = z.object({
+  soapNote_ids: z.array(z.number().int().positive('SOAP note IDs must be positive integers'))
+    .min(1, 'At least one SOAP note ID is required')
+    .max(50, 'At most 50 SOAP notes can be reviewed at once')
+    .optional(),
+  patientEncounter_id: z.number().int('Patient Encounter ID must be an integer').positive().optional(),
+  provider: z.enum(PHI_DETECTOR_NAMES).optional(),
+}).refine((data) => Boolean(data.soapNote_ids) !== Boolean(data.patientEncounter_id), {
+  message: 'Provide either soapNote_ids or patientEncounter_id',
+  path: ['soapNote_ids'],
+});
+
+/**
+ * GET request query parameters for comparing two SOAP note revisions
+ * Endpoint: GET /api/soap-notes/:id/revisions/diff?from=1&to=3 (to defaults to the latest revision)
+ */
+export const soapNoteRevisionDiffQuerySchema = z.object({
+  from: z.coerce.number('from revision is required').int().positive('from must be a revision number'),
+  to: z.coerce.number().int().positive('to must be a revision number').optional(),
+});
+
+/**
+ * POST request for generating a patient-facing after-visit summary
+ * Endpoint: POST /api/after-visit-summaries
+ * reading_level is optional; omitted writes at the standard (about 8th grade) level
+ * language is optional; a BCP 47 code such as "es" or "pt-BR", omitted writes English
+ * llm_provider is optional; omitted uses the deployment default (LLM_PROVIDER env)
+ */
+export const afterVisitSummaryCreateRequestSchema = z.object({
+  patientEncounter_id: z.number('Patient Encounter ID is required').int('Patient Encounter ID must be an integer').positive(),
+  reading_level: z.enum(READING_LEVEL_NAMES).optional(),
+  language: z.string().trim().min(2, 'Language must be a language code such as "es"').max(35).optional(),
+  llm_provider: z.enum(LLM_PROVIDER_NAMES).optional(),
+});
+
+/**
+ * GET request query parameters for listing after-visit summaries
+ * Endpoint: GET /api/after-visit-summaries?patientEncounter_id=
+ */
+export const afterVisitSummaryListQuerySchema = z.object({
+  patientEncounter_id: z.coerce.number().int().positive().optional(),
+});
+
+/**
+ * POST request for generating a referral or prior authorization letter
+ * Endpoint: POST /api/patient-encounters/:id/letters
+ * recipient is never sent to the LLM; it is only used for the letter's address block and salutation
+ * requested_service applies to prior authorization letters only (e.g. "MRI lumbar spine without contrast")
+ * llm_provider is optional; omitted uses the deployment default (LLM_PROVIDER env)
+ */
+export const encounterLetterCreateRequestSchema = z.object({
+  letter_type: z.enum(LETTER_TYPE_NAMES, 'Letter type must be one of: ' + LETTER_TYPE_NAMES.join(', ')),
+  recipient: z.object({
+    name: z.string('Recipient name is required').trim().min(1, 'Recipient name is required').max(200),
+    title: z.string().trim().max(50).optional(),
+    specialty: z.string().trim().max(100).optional(),
+    organization: z.string().trim().max(200).optional(),
+    address: z.string().trim().max(500).optional(),
+    phone: z.string().trim().max(50).optional(),
+    fax: z.string().trim().max(50).optional(),
+  }),
+  requested_service: z.string().trim().min(1).max(500).optional(),
+  instructions: z.string().trim().max(2000, 'Instructions must be at most 2000 characters').optional(),
+  llm_provider: z.enum(LLM_PROVIDER_NAMES).optional(),
+}).refine(
+  (data) => !data.requested_service || data.letter_type === 'prior_authorization',
+  { message: 'requested_service only applies to prior_authorization letters', path: ['requested_service'] }
+);
+
 /**
  * POST request for SOAP note generation via OpenAI
  * Endpoint: POST /api/prompt-llm
  */
 export const promptLlmRequestSchema = z.object({
   recording_file_path: z.string('Recording file path is required').min(1, 'Recording file path is required'),
-});
+  llm_provider: z.enum(LLM_PROVIDER_NAMES).optional(),
+  transcription_provider: z.enum(TRANSCRIPTION_PROVIDER_NAMES).optional(),
+  note_type: z.enum(NOTE_TYPE_NAMES).optional(),
+  note_template_id: z.coerce.number().int().positive().optional(),
+}).refine(
+  (data) => !data.note_template_id || !data.note_type || data.note_type === 'soap',
+  { message: 'note_template_id only applies to soap notes', path: ['note_template_id'] }
+);
 
 /**
  * POST request for creating a SOAP note generation job (polling-based)
  * Endpoint: POST /api/jobs/prompt-llm
+ * Input is exactly one of:
+ * - recording_file_path: recording to transcribe
+ * - transcript_id: stored transcript (e.g. corrected via PATCH /api/patient-encounters/:id/transcript), no transcription
+ * - transcript_text: pasted transcript, no transcription
+ * llm_provider is optional; omitted uses the deployment default (LLM_PROVIDER env)
+ * transcription_provider is optional; omitted uses the user's preference, then TRANSCRIPTION_PROVIDER env (recordings only)
+ * note_type is optional; omitted writes a SOAP note (see noteTypes.js for the other note types)
+ * note_template_id is optional; omitted uses the user's default note template, then the built-in SOAP template (SOAP notes only)
  */
 export const createPromptLlmJobRequestSchema = z.object({
-  recording_file_path: z.string().min(1, 'Recording file path is required'),
-});
+  recording_file_path: z.string().min(1, 'Recording file path is required').optional(),
+  transcript_id: z.coerce.number().int().positive().optional(),
+  transcript_text: z.string().trim().min(1, 'Transcript text is required').optional(),
+  llm_provider: z.enum(LLM_PROVIDER_NAMES).optional(),
+  transcription_provider: z.enum(TRANSCRIPTION_PROVIDER_NAMES).optional(),
+  note_type: z.enum(NOTE_TYPE_NAMES).optional(),
+  note_template_id: z.coerce.number().int().positive().optional(),
+}).refine(
+  (data) => [data.recording_file_path, data.transcript_id, data.transcript_text].filter((input) => input !== undefined).length === 1,
+  { message: 'Provide exactly one of recording_file_path, transcript_id or transcript_text', path: ['recording_file_path'] }
+).refine(
+  (data) => !data.transcription_provider || data.recording_file_path !== undefined,
+  { message: 'transcription_provider only applies to recordings', path: ['transcription_provider'] }
+).refine(
+  (data) => !data.note_template_id || !data.note_type || data.note_type === 'soap',
+  { message: 'note_template_id only applies to soap notes', path: ['note_template_id'] }
+);
 
 /**
  * GET request query parameters for retrieving job status
@@ -203,6 +364,50 @@ export const getPromptLlmJobStatusQuerySchema = z.object({
   includeResult: z.enum(['true', 'false']).optional().default('false'),
 }).catchall(z.any());
 
+/**
+ * GET request query parameters for streaming job status (SSE)
+ * Endpoint: GET /api/jobs/prompt-llm/:jobId/events
+ * Query param: ?lastEventId=<id> (optional, for clients that cannot send the Last-Event-ID header)
+ */
+export const getPromptLlmJobEventsQuerySchema = z.object({
+  lastEventId: z.string().regex(/^\d+$/, 'lastEventId must be a numeric event id').optional(),
+});
+
+/**
+ * Path parameters for single-job routes
+ * Endpoints: POST /api/jobs/prompt-llm/:jobId/cancel, DELETE /api/jobs/prompt-llm/:jobId
+ */
+export const promptLlmJobParamsSchema = z.object({
+  jobId: z.string().regex(uuidRegex, 'Invalid job id'),
+});
+
+/**
+ * POST request for saving a completed job as a patient encounter
+ * Endpoint: POST /api/jobs/prompt-llm/:jobId/save
+ */
+export const savePromptLlmJobRequestSchema = z.object({
+  name: z.string('Patient encounter name is required').trim().min(1, 'Patient encounter name is required'),
+});
+
+// Date (YYYY-MM-DD) or ISO datetime, used for created_after / created_before filters
+const dateFilterRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * GET request query parameters for listing jobs
+ * Endpoint: GET /api/jobs/prompt-llm
+ * Query params: ?status=complete,error (comma-separated) &created_after= &created_before= &limit= &offset=
+ */
+export const listPromptLlmJobsQuerySchema = z.object({
+  status: z.string()
+    .transform((value) => value.split(',').map((s) => s.trim()).filter(Boolean))
+    .pipe(z.array(jobStatusEnum))
+    .optional(),
+  created_after: z.string().regex(dateFilterRegex, 'created_after must be a date or ISO datetime').optional(),
+  created_before: z.string().regex(dateFilterRegex, 'created_before must be a date or ISO datetime').optional(),
+  limit: z.coerce.number().int().positive().max(100, 'limit must be at most 100').default(50),
+  offset: z.coerce.number().int().nonnegative().default(0),
+});
+
 /**
  * POST request for creating a dot phrase
  * Endpoint: POST /api/dot-phrases
@@ -224,6 +429,66 @@ export const dotPhraseUpdateRequestSchema = z.object({
   { message: 'At least one of trigger or expansion must be provided' }
 );
 
+/**
+ * Note template subsection (a string field inside a SOAP section)
+ */
+const noteTemplateSubsectionSchema = z.object({
+  key: z.string().trim().min(1, 'Subsection key is required').max(64, 'Subsection key must be at most 64 characters'),
+  description: z.string().max(1000, 'Description must be at most 1000 characters').default(''),
+  required: z.boolean().default(true),
+});
+
+/**
+ * Note template section (one of subjective, objective, assessment, plan)
+ * Sections with subsections are generated as objects, the rest as strings
+ */
+const noteTemplateSectionSchema = z.object({
+  key: z.enum(SOAP_SECTION_KEYS),
+  description: z.string().max(1000, 'Description must be at most 1000 characters').default(''),
+  required: z.boolean().default(true),
+  subsections: z.array(noteTemplateSubsectionSchema).optional(),
+}).refine(
+  (section) => !section.subsections || new Set(section.subsections.map((subsection) => subsection.key)).size === section.subsections.length,
+  { message: 'Subsection keys must be unique within a section', path: ['subsections'] }
+);
+
+const noteTemplateSectionsSchema = z.array(noteTemplateSectionSchema)
+  .min(1, 'At least one section is required')
+  .refine(
+    (sections) => new Set(sections.map((section) => section.key)).size === sections.length,
+    { message: 'Section keys must be unique' }
+  )
+  .refine(
+    (sections) => sections.reduce((count, section) => count + (section.subsections?.length || 0), 0) <= MAX_TEMPLATE_SUBSECTIONS,
+    { message: `A template can have at most ${MAX_TEMPLATE_SUBSECTIONS} subsections` }
+  );
+
+/**
+ * POST request for creating a note template
+ * Endpoint: POST /api/note-templates
+ * is_default: true makes this the template used when a job does not name one
+ */
+export const noteTemplateCreateRequestSchema = z.object({
+  name: z.string('Name is required').trim().min(1, 'Name is required'),
+  specialty: z.string().trim().min(1).nullable().optional(),
+  sections: noteTemplateSectionsSchema,
+  is_default: z.boolean().optional(),
+});
+
+/**
+ * PATCH request for updating a note template
+ * Endpoint: PATCH /api/note-templates/:id
+ */
+export const noteTemplateUpdateRequestSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').optional(),
+  specialty: z.string().trim().min(1).nullable().optional(),
+  sections: noteTemplateSectionsSchema.optional(),
+  is_default: z.boolean().optional(),
+}).refine(
+  (data) => Object.keys(data).length > 0,
+  { message: 'At least one of name, specialty, sections or is_default must be provided' }
+);
+
 /**
  * POST request for GCP expand endpoint (test dot phrase expansion without transcription)
  * Endpoint: POST /api/gcp/expand
@@ -237,6 +502,31 @@ export const gcpExpandRequestSchema = z.object({
   enableDotPhraseExpansion: z.boolean().default(true).optional(),
 });
 
+/**
+ * PHI masking policy (see phiMaskingPolicy.js)
+ * Endpoint: PUT /api/aws/mask-phi/policy, and body.policy of POST /api/aws/mask-phi
+ */
+export const phiMaskingPolicyRequestSchema = z.object({
+  entity_types: z.array(z.enum(PHI_ENTITY_TYPES))
+    .min(1, 'entity_types must not be empty (omit it to mask every type)')
+    .nullable()
+    .optional()
+    .describe('PHI types to mask (default: every type)'),
+  thresholds: z.partialRecord(z.enum(PHI_ENTITY_TYPES), z.number().min(0).max(1))
+    .optional()
+    .default({})
+    .describe('Confidence threshold per PHI type (others use maskThreshold)'),
+  allowlist: z.array(z.string().trim().min(1).max(200))
+    .max(500)
+    .optional()
+    .default([])
+    .describe('Terms never masked (case-insensitive), e.g. drug names misdetected as NAME'),
+  date_handling: z.enum(PHI_DATE_HANDLING_NAMES)
+    .nullable()
+    .optional()
+    .describe('DATE entities as tokens (mask) or shifted dates (shift) (default: follows mode)'),
+}).strict();
+
 /**
  * POST request for AWS mask-phi endpoint
  * Endpoint: POST /api/aws/mask-phi
@@ -251,6 +541,21 @@ export const MaskPhiRequestBodySchema = z.object({
     .optional()
     .default(0.15)
     .describe('Confidence threshold for masking (0-1, default 0.15)'),
+  provider: z.enum(PHI_DETECTOR_NAMES)
+    .optional()
+    .describe('PHI detector: comprehend, local or ensemble (default PHI_DETECTOR env, then comprehend)'),
+  mode: z.enum(PHI_MASK_MODE_NAMES)
+    .optional()
+    .describe('token ({{TYPE_ID}}) or surrogate (realistic fake values) (default PHI_MASK_MODE env, then token)'),
+  seed: z.string()
+    .min(1)
+    .max(200)
+    .optional()
+    .describe('Surrogate seed; the same seed gives the same surrogates across calls (random when omitted)'),
+  policy: phiMaskingPolicyRequestSchema
+    .nullable()
+    .optional()
+    .describe('Masking policy for this call (default: the stored policy; null: no policy)'),
 });
 
 /**
@@ -263,6 +568,14 @@ export const UnmaskPhiRequestBodySchema = z.object({
     .describe('Transcript with {{TYPE_ID}} tokens'),
   tokens: z.object({}).passthrough()
     .describe('Token mapping from AWS Comprehend Medical (can be empty)'),
+  surrogates: z.object({
+    date_offset_days: z.number().int(),
+    values: z.record(z.string(), z.string()).default({}),
+    visible_dates: z.array(z.string()).default([]),
+  })
+    .nullable()
+    .optional()
+    .describe('surrogates from mask-phi in surrogate mode'),
 }).strict();
 
 /**
@@ -277,6 +590,9 @@ export const TranscribeRequestBodySchema = z.object({
     .optional()
     .default(true)
     .describe('Whether to enable dot phrase expansion (default: true)'),
+  transcription_provider: z.enum(TRANSCRIPTION_PROVIDER_NAMES)
+    .optional()
+    .describe('Transcription provider override (default: user preference, then TRANSCRIPTION_PROVIDER)'),
 });
 
 // ============================================================================
@@ -5,6 +5,9 @@
  */
 
 import { z } from 'zod';
+import { TRANSCRIPTION_PROVIDER_NAMES } from '../../utils/transcriptionProviders.js';
+import { PHI_DETECTOR_NAMES } from '../../utils/phiDetectors.js';
+import { PHI_MASK_MODE_NAMES } from '../../utils/phiSurrogates.js';
 
 // ============================================================================
 // AWS PHI Masking Response Schemas
@@ -32,6 +35,22 @@ export const MaskPhiResponseBodySchema = z.object({
     .describe('Array of detected and masked PHI entities'),
   tokens: z.record(z.any())
     .describe('Token mapping for unmasking'),
+  summary: z.record(z.string(), z.object({ masked: z.number().int(), unique: z.number().int(), skipped: z.number().int() }))
+    .describe('Per PHI type: masked entities, distinct masked texts and skipped entities'),
+  surrogates: z.record(z.any()).nullable().optional()
+    .describe('Surrogate mapping for unmasking (surrogate mode, or dates shifted by the policy)'),
+  policy: z.record(z.any()).nullable().optional()
+    .describe('Masking policy applied (scope: user, organization or request)'),
+});
+
+/**
+ * Unmask warning - a token left in the text or restored from a reformatted variant
+ */
+export const UnmaskWarningSchema = z.object({
+  type: z.enum(['unknown_token', 'reformatted_token']).describe('unknown_token: left in the text; reformatted_token: restored'),
+  token: z.string().describe('Token as it appeared in the text'),
+  key: z.string().optional().describe('Token key a reformatted token was restored as'),
+  count: z.number().int().describe('Occurrences in the text'),
 });
 
 /**
@@ -40,6 +59,8 @@ export const MaskPhiResponseBodySchema = z.object({
 export const UnmaskPhiResponseBodySchema = z.object({
   unmaskedText: z.string()
     .describe('Transcript with PHI tokens replaced with original text'),
+  warnings: z.array(UnmaskWarningSchema)
+    .describe('Tokens that were left in the text or reformatted by the LLM'),
 });
 
 // ============================================================================
@@ -122,6 +143,27 @@ export const maskPhiRequestSchema = {
       default: 0.15,
       description: 'Confidence threshold for masking (0-1, default 0.15)',
     },
+    provider: {
+      type: 'string',
+      enum: PHI_DETECTOR_NAMES,
+      description: 'PHI detector: comprehend, local or ensemble (default PHI_DETECTOR env, then comprehend)',
+    },
+    mode: {
+      type: 'string',
+      enum: PHI_MASK_MODE_NAMES,
+      description: 'token ({{TYPE_ID}}) or surrogate (realistic fake values) (default PHI_MASK_MODE env, then token)',
+    },
+    seed: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 200,
+      description: 'Surrogate seed; the same seed gives the same surrogates across calls (random when omitted)',
+    },
+    policy: {
+      type: ['object', 'null'],
+      description: 'Masking policy for this call (default: the stored policy; null: no policy)',
+      additionalProperties: true,
+    },
   },
 };
 
@@ -145,6 +187,51 @@ export const maskPhiResponseSchema = {
       description: 'Token mapping for unmasking',
       additionalProperties: true,
     },
+    summary: {
+      type: 'object',
+      description: 'Per PHI type: masked entities, unique (distinct masked texts) and skipped (below threshold or not masked by the policy)',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          masked: { type: 'number' },
+          unique: { type: 'number' },
+          skipped: { type: 'number' },
+        },
+      },
+    },
+    provider: {
+      type: 'string',
+      description: 'PHI detector that found the entities',
+    },
+    mode: {
+      type: 'string',
+      description: 'Masking mode used (token or surrogate)',
+    },
+    surrogates: {
+      type: ['object', 'null'],
+      description: 'Surrogate mapping for unmasking (surrogate mode, or dates shifted by the policy): date_offset_days, values, visible_dates',
+      additionalProperties: true,
+    },
+    policy: {
+      type: ['object', 'null'],
+      description: 'Masking policy applied (scope: user, organization or request; organization_policy when merged with the organization floor), or null',
+      additionalProperties: true,
+    },
+  },
+};
+
+/**
+ * JSON Schema format for Fastify validation - AWS mask-phi policy response (GET, PUT, DELETE)
+ */
+export const maskPhiPolicyResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    policy: {
+      type: ['object', 'null'],
+      description: 'Masking policy: scope (user or organization), entity_types, thresholds, allowlist, date_handling; organization_policy when the user policy is merged with the organization floor',
+      additionalProperties: true,
+    },
   },
 };
 
@@ -164,6 +251,11 @@ export const unmaskPhiRequestSchema = {
       description: 'Token mapping for unmasking',
       additionalProperties: true,
     },
+    surrogates: {
+      type: ['object', 'null'],
+      description: 'surrogates from mask-phi in surrogate mode',
+      additionalProperties: true,
+    },
   },
 };
 
@@ -177,6 +269,19 @@ export const unmaskPhiResponseSchema = {
       type: 'string',
       description: 'Transcript with PHI tokens replaced with original text',
     },
+    warnings: {
+      type: 'array',
+      description: 'Tokens left in the text (unknown_token) or restored from a reformatted variant (reformatted_token)',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          token: { type: 'string' },
+          key: { type: 'string' },
+          count: { type: 'number' },
+        },
+      },
+    },
   },
 };
 
@@ -196,6 +301,11 @@ export const transcribeRequestSchema = {
       default: true,
       description: 'Whether to enable dot phrase expansion',
     },
+    transcription_provider: {
+      type: 'string',
+      enum: TRANSCRIPTION_PROVIDER_NAMES,
+      description: 'Transcription provider override',
+    },
   },
 };
 
@@ -9,4 +9,10 @@ export const soapNoteSchema = z.object({
   patientEncounter_id: z.number().int().optional(),
   encrypted_soapNote_text: z.string().nullable(),
   iv: z.string().nullable().optional(),
+  note_type: z.string().optional(), // soap, history_and_physical, progress, procedure, discharge_summary
+  note_template_id: z.number().int().nullable().optional(), // template the note was generated with
+  note_template: z.record(z.string(), z.any()).nullable().optional(), // snapshot of that template
+  signed_at: z.string().regex(isoDatetimeRegex, 'Invalid ISO datetime').nullable().optional(),
+  signed_by: z.string().regex(uuidRegex, 'Invalid UUID').nullable().optional(),
+  content_hash: z.string().nullable().optional(), // SHA-256 of soapNote_text at signing
 });
@@ -19,9 +19,13 @@ import patientEncountersRoutes from './routes/patientEncounters.js';
 import { registerRecordingsRoutes } from './routes/recordings.js';
 import { registerTranscriptsRoutes } from './routes/transcripts.js';
 import { registerSoapNotesRoutes } from './routes/soapNotes.js';
+import { registerAfterVisitSummariesRoutes } from './routes/afterVisitSummaries.js';
+import { registerEncounterLettersRoutes } from './routes/encounterLetters.js';
+import { registerNoteTemplatesRoutes } from './routes/noteTemplates.js';
 import { registerMaskPhiRoutes } from './routes/maskPhi.routes.js';
 import { registerTranscribeRoutes } from './routes/transcribe.routes.js';
 import { registerPromptLlmJobsRoutes } from './routes/promptLlmJobs.routes.js';
+import { startJobWorker, stopJobWorker } from './processors/jobQueue.js';
 
 /**
  * Create and configure Fastify application
@@ -136,6 +140,9 @@ async function createFastifyApp(options = {}) {
     await registerRecordingsRoutes(apiScope);
     await registerTranscriptsRoutes(apiScope);
     await registerSoapNotesRoutes(apiScope);
+    await registerAfterVisitSummariesRoutes(apiScope);
+    await registerEncounterLettersRoutes(apiScope);
+    await registerNoteTemplatesRoutes(apiScope);
     await registerMaskPhiRoutes(apiScope);
     await registerTranscribeRoutes(apiScope);
   }, { prefix: '/api' });
@@ -199,10 +206,29 @@ async function startServer() {
   try {
     const { fastify, port, host } = await createFastifyApp();
 
+    // Hand in-flight jobs back to the queue when the server shuts down
+    fastify.addHook('onClose', async () => {
+      await stopJobWorker();
+    });
+
     await fastify.listen({ port, host });
 
     console.log(`\n✓ Fastify server running on http://${host}:${port}`);
     console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // Start the prompt-llm job worker (set JOB_WORKER_ENABLED=false for API-only instances)
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      startJobWorker();
+    }
+
+    // Graceful shutdown on deploy/restart
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, async () => {
+        console.log(`Received ${signal}, shutting down`);
+        await fastify.close();
+        process.exit(0);
+      });
+    }
   } catch (err) {
     console.error('Failed to start server:', err);
     process.exit(1);
@@ -0,0 +1,126 @@
+/**
+ * After-Visit Summary
+ *
+ * Patient-facing, plain-language summary of an encounter, generated from its transcript and
+ * SOAP note (POST /api/after-visit-summaries, prompt in gptRequestBodies.js).
+ * Stored encrypted with the patient encounter's AES key, like soapNotes.
+ *
+ * Stored summary_text (JSON text): { title, sections: { <key>: { heading, text } } }
+ * Headings and text are written in the summary's language; reading level and language are
+ * stored as plain columns (they are not PHI).
+ */
+
+import { cleanRawText } from './cleanRawText.js';
+import { buildNoteSections, cleanLines } from './soapNoteExport.js';
+import { DEFAULT_NOTE_TYPE } from './noteTypes.js';
+
+// Sections of every summary, in order
+export const AFTER_VISIT_SUMMARY_SECTIONS = [
+  { key: 'visit_reason', heading: 'Why you came in', description: 'The reason for today\'s visit, in the patient\'s own terms' },
+  { key: 'findings', heading: 'What we found', description: 'Exam findings and test results discussed during the visit, explained simply' },
+  { key: 'diagnosis', heading: 'Your diagnosis', description: 'What the clinician thinks is going on, with medical terms explained' },
+  { key: 'medications', heading: 'Your medicines', description: 'Medicines started, changed or stopped, with how and when to take them' },
+  { key: 'next_steps', heading: 'What to do next', description: 'Self-care, tests, referrals and other instructions for the patient' },
+  { key: 'follow_up', heading: 'Follow-up', description: 'When and how to follow up' },
+  { key: 'warning_signs', heading: 'When to get help right away', description: 'Symptoms that mean the patient should call the clinic or seek emergency care' },
+];
+
+// Reading levels the summary can be written at (prompt wording in gptRequestBodies.js)
+export const READING_LEVELS = {
+  simple: 'about a 5th grade reading level: short sentences, everyday words, no medical jargon',
+  standard: 'about an 8th grade reading level: plain words, and any medical term explained in everyday language',
+  detailed: 'a general adult reading level (10th grade): complete explanations, with medical terms named and explained',
+};
+
+export const READING_LEVEL_NAMES = Object.keys(READING_LEVELS);
+
+export const DEFAULT_READING_LEVEL = 'standard';
+
+export const DEFAULT_SUMMARY_LANGUAGE = 'en';
+
+/**
+ * Resolve a summary language code (BCP 47, e.g. "es", "pt-BR", "zh-Hant")
+ *
+ * @param {string} [code='en']
+ * @returns {{ code: string, name: string }} - Canonical code and English language name for the prompt
+ * @throws {Error} - status 400 for malformed or unknown language codes
+ */
+export function resolveSummaryLanguage(code = DEFAULT_SUMMARY_LANGUAGE) {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(code);
+  } catch {
+    canonical = null;
+  }
+  const name = canonical ? new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(canonical) : null;
+  if (!name) {
+    const e = new Error(`Unknown language: ${code}. Expected a language code such as "en", "es" or "pt-BR"`);
+    e.status = 400;
+    throw e;
+  }
+  return { code: canonical, name };
+}
+
+/**
+ * Stored note as plain text for the summary prompt (clinical sections only, no billing)
+ *
+ * @param {Object} soapNoteText - Decrypted soapNote_text { soapNote, billingSuggestion }
+ * @param {string} [noteType='soap'] - Note type of the soapNotes row
+ * @returns {string}
+ */
+export function formatNoteForSummary(soapNoteText, noteType = DEFAULT_NOTE_TYPE) {
+  return buildNoteSections(soapNoteText?.soapNote, noteType)
+    .map(({ heading, lines }) => [`${heading}:`, ...lines].join('\n'))
+    .join('\n\n');
+}
+
+/**
+ * Normalize the (unmasked) LLM response into the stored summary format
+ * Missing sections are stored empty with their English heading.
+ *
+ * @param {Object} response - LLM response { title, sections: { <key>: { heading, text } } }
+ * @returns {{ title: string, sections: Object<string, { heading: string, text: string }> }}
+ */
+export function toStoredSummary(response) {
+  const sections = {};
+  for (const section of AFTER_VISIT_SUMMARY_SECTIONS) {
+    const value = response?.sections?.[section.key];
+    sections[section.key] = {
+      heading: typeof value?.heading === 'string' && value.heading.trim() ? value.heading.trim() : section.heading,
+      text: typeof value?.text === 'string' ? value.text.trim() : '',
+    };
+  }
+  const title = typeof response?.title === 'string' && response.title.trim() ? response.title.trim() : 'After-Visit Summary';
+  return { title, sections };
+}
+
+/**
+ * Build the export model (see soapNoteExport.renderNoteExport) for a stored summary
+ *
+ * @param {Object} summary - Decrypted summary_text { title, sections }
+ * @param {Object} [meta]
+ * @param {string} [meta.encounterDate] - Patient encounter created_at
+ * @returns {{ title: string, metadata: Array<[string, string]>, sections: Array<{ heading: string, lines: string[] }> }}
+ */
+export function buildSummaryExport(summary, { encounterDate } = {}) {
+  const sections = AFTER_VISIT_SUMMARY_SECTIONS
+    .map(({ key, heading }) => ({
+      heading: cleanRawText(summary?.sections?.[key]?.heading || heading),
+      lines: cleanLines(summary?.sections?.[key]?.text),
+    }))
+    .filter((section) => section.lines.length > 0);
+
+  const metadata = encounterDate ? [['Visit date', new Date(encounterDate).toISOString().slice(0, 10)]] : [];
+  return { title: cleanRawText(summary?.title) || 'After-Visit Summary', metadata, sections };
+}
+
+/**
+ * Whether a summary can be rendered with the built-in PDF fonts (Latin scripts only)
+ *
+ * @param {Object} model - From buildSummaryExport
+ * @returns {boolean}
+ */
+export function isPdfRenderable(model) {
+  const text = [model.title, ...model.sections.flatMap((section) => [section.heading, ...section.lines])].join('\n');
+  return !/[^\u0000-\u024F\u2000-\u206F\u20AC]/.test(text);
+}
@@ -0,0 +1,281 @@
+/**
+ * Billing Codes
+ *
+ * Parses the LLM billing block ({ icd10_codes: string[], billing_code: string, additional_inquiries })
+ * into structured { code, description, justification } entries and checks each code against
+ * the bundled code tables in src/data:
+ * - icd10cm-codes.txt: common ICD-10-CM billable codes, a subset (CMS code file layout; point ICD10CM_CODES_FILE
+ *   at the full CMS code file to check every code)
+ * - cpt-em-codes.txt: CPT evaluation and management codes (CPT_CODES_FILE to override)
+ *
+ * Entry status:
+ * - valid: code is in the table
+ * - non_billable: ICD-10-CM category header of codes in the table (needs a more specific code)
+ * - not_found: well formed but not in the table (likely made up); ICD-10-CM only with ICD10CM_CODES_FILE set
+ * - invalid_format: no code, or not shaped like an ICD-10-CM / CPT code
+ * - unverified: ICD-10-CM code missing from the bundled subset, or CPT code outside the E/M range, which the
+ *   bundled tables do not cover (flagged: a made-up code looks exactly like this)
+ * Everything except valid is flagged for coder review.
+ */
+
+import fs from 'fs';
+
+const DEFAULT_ICD10CM_CODES_FILE = new URL('../data/icd10cm-codes.txt', import.meta.url);
+const DEFAULT_CPT_CODES_FILE = new URL('../data/cpt-em-codes.txt', import.meta.url);
+
+export const BILLING_CODE_STATUSES = ['valid', 'non_billable', 'not_found', 'invalid_format', 'unverified'];
+const FLAGGED_STATUSES = new Set(['non_billable', 'not_found', 'invalid_format', 'unverified']);
+
+// ICD-10-CM: letter, digit, alphanumeric, then up to 4 more characters after the dot
+const ICD10_CODE_PATTERN = /^[A-Z]\d[0-9A-Z][0-9A-Z]{0,4}$/;
+// Entry starting with a code: "E11.9 Type 2 diabetes", "K21.9 - GERD", "I10: Hypertension"
+// Lower case only with the dot ("m22.2x1"), so "A1c 8.2 ..." is not a code
+const LEADING_ICD10_PATTERN = /^([A-Z]\d[0-9A-Z](?:\.?[0-9A-Z]{1,4})?|[A-Za-z]\d[0-9A-Za-z]\.[0-9A-Za-z]{1,4})(?=[\s:;,–—-]|$)[\s:;,–—-]*(.*)$/;
+// Code elsewhere in the entry: "Type 2 diabetes (E11.9)"; upper case only
+const EMBEDDED_ICD10_PATTERN = /\b([A-Z]\d[0-9A-Z](?:\.[0-9A-Z]{1,4})?)\b/;
+// Description / justification separator: " - ", " – ", " — ", ": ", "; "
+const JUSTIFICATION_SEPARATOR = /\s+[-–—]\s+|:\s+|;\s+/;
+// CPT category I (5 digits) and category II/III (4 digits + F/T), optional modifier ("99213-25")
+const CPT_CODE_PATTERN = /\b(\d{4}[0-9FT])(?:-([0-9A-Z]{2}))?\b/gi;
+
+let icd10Table = null;
+let cptTable = null;
+
+/**
+ * Read a code table: one "<code> <description>" per line, lines starting with # are comments
+ *
+ * @private
+ * @param {string|URL} filePath
+ * @returns {{ codes: Map<string, string>, prefixes: Set<string> }}
+ */
+function loadCodeTable(filePath) {
+  const codes = new Map();
+  const prefixes = new Set();
+  for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    const match = line.match(/^(\S+)\s+(.*)$/);
+    if (!match) continue;
+    const code = match[1].toUpperCase();
+    codes.set(code, match[2].trim());
+    for (let length = 3; length < code.length; length++) {
+      prefixes.add(code.slice(0, length));
+    }
+  }
+  return { codes, prefixes };
+}
+
+/**
+ * ICD-10-CM table; complete is false for the bundled subset, where a missing code proves nothing
+ *
+ * @private
+ * @returns {{ codes: Map<string, string>, prefixes: Set<string>, complete: boolean }}
+ */
+function getIcd10Table() {
+  if (!icd10Table) {
+    icd10Table = {
+      ...loadCodeTable(process.env.ICD10CM_CODES_FILE || DEFAULT_ICD10CM_CODES_FILE),
+      complete: Boolean(process.env.ICD10CM_CODES_FILE),
+    };
+  }
+  return icd10Table;
+}
+
+function getCptTable() {
+  if (!cptTable) {
+    cptTable = loadCodeTable(process.env.CPT_CODES_FILE || DEFAULT_CPT_CODES_FILE);
+  }
+  return cptTable;
+}
+
+/**
+ * Format an ICD-10-CM code with its dot ("E119" -> "E11.9")
+ *
+ * @param {string} code - Code with or without the dot
+ * @returns {string}
+ */
+export function formatIcd10Code(code) {
+  const bare = code.replace('.', '').toUpperCase();
+  return bare.length > 3 ? `${bare.slice(0, 3)}.${bare.slice(3)}` : bare;
+}
+
+/**
+ * Look up an ICD-10-CM code in the code table
+ *
+ * @param {string} code - Code with or without the dot
+ * @returns {{ code: string, description: string|null, status: string, issue: string|null }}
+ */
+export function lookupIcd10Code(code) {
+  const bare = String(code || '').replace('.', '').toUpperCase();
+  if (!ICD10_CODE_PATTERN.test(bare)) {
+    return { code: String(code || ''), description: null, status: 'invalid_format', issue: 'Not a well-formed ICD-10-CM code' };
+  }
+
+  const { codes, prefixes, complete } = getIcd10Table();
+  const formatted = formatIcd10Code(bare);
+  if (codes.has(bare)) {
+    return { code: formatted, description: codes.get(bare), status: 'valid', issue: null };
+  }
+  if (prefixes.has(bare)) {
+    return { code: formatted, description: null, status: 'non_billable', issue: 'Category header, not a billable code; a more specific code is required' };
+  }
+  if (!complete) {
+    return { code: formatted, description: null, status: 'unverified', issue: 'Not in the bundled ICD-10-CM subset, could not be verified' };
+  }
+  return { code: formatted, description: null, status: 'not_found', issue: 'Not in the ICD-10-CM code table' };
+}
+
+/**
+ * Look up a CPT code in the E/M code table
+ *
+ * @param {string} code - 5 character CPT code
+ * @returns {{ code: string, description: string|null, status: string, issue: string|null }}
+ */
+export function lookupCptCode(code) {
+  const normalized = String(code || '').toUpperCase();
+  if (!/^\d{4}[0-9FT]$/.test(normalized)) {
+    return { code: normalized, description: null, status: 'invalid_format', issue: 'Not a well-formed CPT code' };
+  }
+
+  const { codes } = getCptTable();
+  if (codes.has(normalized)) {
+    return { code: normalized, description: codes.get(normalized), status: 'valid', issue: null };
+  }
+
+  // Only E/M codes are bundled; anything else in that range does not exist (or was deleted)
+  const number = Number(normalized);
+  const isEmRange = (number >= 99201 && number <= 99499) || (number >= 98000 && number <= 98016);
+  if (isEmRange) {
+    return { code: normalized, description: null, status: 'not_found', issue: 'Not a current E/M code' };
+  }
+  return { code: normalized, description: null, status: 'unverified', issue: 'Outside the E/M range, could not be verified' };
+}
+
+/**
+ * Split an ICD-10 billing entry into code, description and justification
+ *
+ * @param {string} entry - e.g. "E11.9 Type 2 diabetes - A1c 8.2 today"
+ * @returns {{ code: string|null, description: string, justification: string }}
+ */
+export function parseIcd10Entry(entry) {
+  const text = String(entry || '').trim();
+  let code = null;
+  let rest = text;
+
+  const leading = text.match(LEADING_ICD10_PATTERN);
+  if (leading) {
+    code = leading[1].toUpperCase();
+    rest = leading[2];
+  } else {
+    const embedded = text.match(EMBEDDED_ICD10_PATTERN);
+    if (embedded) {
+      code = embedded[1];
+      rest = text.replace(embedded[0], '').replace(/\(\s*\)|\[\s*\]/g, '').replace(/\s{2,}/g, ' ').trim();
+    }
+  }
+
+  const [description, ...justification] = rest.split(JUSTIFICATION_SEPARATOR);
+  return {
+    code,
+    description: (description || '').trim(),
+    justification: justification.join('; ').replace(/^justification:\s*/i, '').trim(),
+  };
+}
+
+/**
+ * Extract CPT codes from the billing_code text
+ *
+ * @param {string} billingCode - e.g. "99213 - established patient, low complexity"
+ * @returns {string[]} - Unique codes in order of appearance
+ */
+export function extractCptCodes(billingCode) {
+  return parseCptEntries(billingCode).map((entry) => entry.code);
+}
+
+/**
+ * Split the billing_code paragraph into one entry per CPT code
+ * The justification is the text after a code up to the next code.
+ *
+ * @param {string} billingCode - e.g. "99214-25: moderate MDM, two chronic illnesses. 93000 for the ECG"
+ * @returns {Array<{ code: string, modifier: string|null, justification: string }>}
+ */
+export function parseCptEntries(billingCode) {
+  if (!billingCode || typeof billingCode !== 'string') return [];
+
+  const matches = [...billingCode.matchAll(CPT_CODE_PATTERN)];
+  const entries = [];
+  matches.forEach((match, index) => {
+    const code = match[1].toUpperCase();
+    if (entries.some((entry) => entry.code === code)) return;
+    const end = index + 1 < matches.length ? matches[index + 1].index : billingCode.length;
+    const justification = billingCode
+      .slice(match.index + match[0].length, end)
+      .replace(/^[\s:;,.()–—-]+/, '')
+      .replace(/[\s:;,(–—-]+$/, '')
+      .replace(/^justification:\s*/i, '');
+    entries.push({ code, modifier: match[2] ? match[2].toUpperCase() : null, justification });
+  });
+  return entries;
+}
+
+/**
+ * Structure and check the LLM billing block
+ *
+ * @param {Object} billing - { icd10_codes: string[], billing_code: string, additional_inquiries?: string }
+ * @returns {{
+ *   icd10_codes: Array<{ code: string|null, description: string, justification: string, text: string, status: string, flagged: boolean, issue: string|null }>,
+ *   cpt_codes: Array<{ code: string|null, modifier: string|null, description: string, justification: string, status: string, flagged: boolean, issue: string|null }>,
+ *   additional_inquiries: string,
+ *   flagged_count: number
+ * }}
+ */
+export function structureBilling(billing) {
+  const icd10Entries = Array.isArray(billing?.icd10_codes) ? billing.icd10_codes.filter(Boolean) : [];
+  const billingCode = typeof billing?.billing_code === 'string' ? billing.billing_code.trim() : '';
+
+  const icd10Codes = icd10Entries.map((entry) => {
+    const parsed = parseIcd10Entry(entry);
+    const lookup = parsed.code
+      ? lookupIcd10Code(parsed.code)
+      : { code: null, description: null, status: 'invalid_format', issue: 'No ICD-10-CM code found' };
+    return {
+      code: lookup.code,
+      description: lookup.description || parsed.description,
+      justification: parsed.justification,
+      text: String(entry).trim(),
+      status: lookup.status,
+      flagged: FLAGGED_STATUSES.has(lookup.status),
+      issue: lookup.issue,
+    };
+  });
+
+  const cptCodes = parseCptEntries(billingCode).map((entry) => {
+    const lookup = lookupCptCode(entry.code);
+    return {
+      code: lookup.code,
+      modifier: entry.modifier,
+      description: lookup.description || '',
+      justification: entry.justification,
+      status: lookup.status,
+      flagged: FLAGGED_STATUSES.has(lookup.status),
+      issue: lookup.issue,
+    };
+  });
+  if (cptCodes.length === 0 && billingCode) {
+    cptCodes.push({
+      code: null,
+      modifier: null,
+      description: '',
+      justification: billingCode,
+      status: 'invalid_format',
+      flagged: true,
+      issue: 'No CPT code found',
+    });
+  }
+
+  return {
+    icd10_codes: icd10Codes,
+    cpt_codes: cptCodes,
+    additional_inquiries: typeof billing?.additional_inquiries === 'string' ? billing.additional_inquiries : '',
+    flagged_count: [...icd10Codes, ...cptCodes].filter((entry) => entry.flagged).length,
+  };
+}
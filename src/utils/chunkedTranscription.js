@@ -0,0 +1,511 @@
+/**
+ * Chunked Transcription
+ *
+ * Long recordings are split into overlapping time windows, transcribed in parallel
+ * (bounded concurrency) and stitched back together:
+ * 1. ffprobe reads the duration straight from the signed URL
+ * 2. ffmpeg cuts each window to 16 kHz mono FLAC (well under Whisper's 25 MB limit)
+ * 3. Each chunk is uploaded to audio-files/transcription-chunks/<run id>/ and transcribed through
+ *    the normal provider interface with its own signed URL, then deleted
+ * 4. Overlapping text is de-duplicated; timed segments are offset and cut at the overlap midpoint
+ *
+ * Requires ffmpeg and ffprobe on the host (FFMPEG_PATH / FFPROBE_PATH). Without them
+ * probeDurationSeconds returns null and callers fall back to a single request.
+ * Both tools only ever read https signed URLs on the Supabase host (assertStorageRecordingUrl), and
+ * only over https, so a request cannot point them at local files or other protocols.
+ *
+ * Anonymous speakers are identified per chunk (see transcriptSegments.js), so the first voice of a
+ * later chunk is not necessarily the clinician; each chunk's speakers are matched to the previous chunk's
+ * through the segments both heard in the overlap, and left unlabelled when they cannot be matched.
+ */
+
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { supabaseAdmin } from './supabaseAdmin.js';
+import { withRetry, isRetryableError } from './retryHelper.js';
+import { normalizeTranscriptSegments } from './transcriptSegments.js';
+
+const CHUNK_BUCKET = 'audio-files';
+const CHUNK_FOLDER = 'transcription-chunks';
+
+// Words per second of speech, generous upper bound used to size the overlap search
+const MAX_WORDS_PER_SECOND = 5;
+
+// Shortest word run accepted as the overlap between two chunks
+const MIN_OVERLAP_WORDS = 3;
+
+// Protocols ffmpeg and ffprobe may open (no file:, concat:, HLS playlists pointing elsewhere, ...)
+const MEDIA_PROTOCOL_WHITELIST = 'https,tls,tcp';
+
+/**
+ * Helper: Read a positive number from env
+ *
+ * @private
+ */
+function readPositiveNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Chunking settings from env
+ * - TRANSCRIPTION_CHUNKING_ENABLED (default true)
+ * - TRANSCRIPTION_CHUNK_THRESHOLD_SECONDS: recordings longer than this are chunked (default 900)
+ * - TRANSCRIPTION_CHUNK_SECONDS: window length (default 600)
+ * - TRANSCRIPTION_CHUNK_OVERLAP_SECONDS: overlap between windows (default 10)
+ * - TRANSCRIPTION_CHUNK_CONCURRENCY: chunks transcribed at once (default 3)
+ *
+ * @returns {{ enabled: boolean, thresholdSeconds: number, chunkSeconds: number, overlapSeconds: number, concurrency: number }}
+ */
+export function getChunkingConfig() {
+  const chunkSeconds = readPositiveNumber('TRANSCRIPTION_CHUNK_SECONDS', 600);
+  return {
+    enabled: process.env.TRANSCRIPTION_CHUNKING_ENABLED !== 'false',
+    thresholdSeconds: readPositiveNumber('TRANSCRIPTION_CHUNK_THRESHOLD_SECONDS', 900),
+    chunkSeconds,
+    // Overlap must leave each window some new audio
+    overlapSeconds: Math.min(readPositiveNumber('TRANSCRIPTION_CHUNK_OVERLAP_SECONDS', 10), chunkSeconds / 2),
+    concurrency: Math.floor(readPositiveNumber('TRANSCRIPTION_CHUNK_CONCURRENCY', 3)),
+  };
+}
+
+/**
+ * Split a recording into overlapping windows
+ * Each window starts overlapSeconds before the previous one ends; the last window ends at the duration.
+ *
+ * @param {number} durationSeconds - Recording duration
+ * @param {Object} options - { chunkSeconds, overlapSeconds }
+ * @returns {Array<{ index: number, start: number, end: number }>}
+ */
+export function planChunkWindows(durationSeconds, { chunkSeconds, overlapSeconds }) {
+  const windows = [];
+  const step = chunkSeconds - overlapSeconds;
+  for (let start = 0; start < durationSeconds; start += step) {
+    const end = Math.min(start + chunkSeconds, durationSeconds);
+    windows.push({ index: windows.length, start, end });
+    if (end >= durationSeconds) break;
+  }
+  return windows;
+}
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ * Results keep item order. After the first failure no new items are started and that error is thrown.
+ *
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failure = failure || err;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, () => worker());
+  await Promise.all(workers);
+  if (failure) throw failure;
+  return results;
+}
+
+/**
+ * Helper: Normalize a word for overlap comparison (case and punctuation insensitive)
+ *
+ * @private
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Join two consecutive chunk transcripts, dropping the words both chunks heard in the overlap
+ * Finds the longest run of words shared by the end of `previous` and the start of `next`
+ * (searching maxWords on each side) and keeps a single copy. Words at the very edges of a chunk are
+ * often cut mid-word, so the run may sit anywhere inside the search windows.
+ * Without a run of at least MIN_OVERLAP_WORDS the texts are simply joined.
+ *
+ * @param {string} previous - Stitched transcript so far
+ * @param {string} next - Next chunk transcript
+ * @param {number} maxWords - Words to search on each side of the seam
+ * @returns {string}
+ */
+export function mergeOverlappingText(previous, next, maxWords) {
+  const prevWords = previous.split(/\s+/).filter(Boolean);
+  const nextWords = next.split(/\s+/).filter(Boolean);
+  if (prevWords.length === 0) return nextWords.join(' ');
+  if (nextWords.length === 0) return prevWords.join(' ');
+
+  const tailStart = Math.max(0, prevWords.length - maxWords);
+  const tail = prevWords.slice(tailStart).map(normalizeWord);
+  const head = nextWords.slice(0, maxWords).map(normalizeWord);
+
+  // Longest common run of words (dynamic programming over tail x head)
+  let best = { length: 0, tailEnd: 0, headEnd: 0 };
+  let previousRow = new Array(head.length + 1).fill(0);
+  for (let i = 1; i <= tail.length; i++) {
+    const row = new Array(head.length + 1).fill(0);
+    for (let j = 1; j <= head.length; j++) {
+      if (tail[i - 1] && tail[i - 1] === head[j - 1]) {
+        row[j] = previousRow[j - 1] + 1;
+        if (row[j] > best.length) {
+          best = { length: row[j], tailEnd: i, headEnd: j };
+        }
+      }
+    }
+    previousRow = row;
+  }
+
+  if (best.length < MIN_OVERLAP_WORDS) {
+    return [...prevWords, ...nextWords].join(' ');
+  }
+
+  return [
+    ...prevWords.slice(0, tailStart + best.tailEnd),
+    ...nextWords.slice(best.headEnd),
+  ].join(' ');
+}
+
+/**
+ * Helper: Copy a segment without its provider speaker tag
+ *
+ * @private
+ */
+function withoutSpeakerTag(segment) {
+  const copy = { ...segment };
+  delete copy.speaker_tag;
+  return copy;
+}
+
+/**
+ * Helper: End of a segment in recording time (start when the provider gave no end)
+ *
+ * @private
+ */
+function segmentEnd(segment, offset) {
+  return (segment.end ?? segment.start) + offset;
+}
+
+/**
+ * Map each chunk's anonymous speakers onto the previous chunk's speakers
+ * Every chunk is transcribed on its own, so provider tags (and the clinician/patient roles assigned to
+ * them by first appearance) mean nothing across chunks. A tag takes the speaker of the previous-chunk
+ * segments it overlaps longest in time within the overlap. Tags without overlapping speech, or competing
+ * for the same speaker, are left unlabelled (null) rather than guessed. Segments with a known role
+ * (doctor, patient, ...) keep it.
+ *
+ * @param {Array<{ window: Object, segments: Array }>} parts - In window order; segments in chunk time with speaker_tag
+ * @returns {Array<Array>} - Segments per part with speakers mapped and speaker_tag removed
+ */
+export function alignChunkSpeakers(parts) {
+  const aligned = [];
+
+  parts.forEach((part, i) => {
+    if (i === 0) {
+      aligned.push(part.segments.map(withoutSpeakerTag));
+      return;
+    }
+
+    const previousStart = parts[i - 1].window.start;
+    const previousSegments = aligned[i - 1].filter((segment) => segment.speaker);
+
+    // Seconds each tag overlaps each previous speaker
+    const overlapByTag = new Map();
+    for (const segment of part.segments) {
+      if (!segment.speaker_tag) continue;
+      const start = segment.start + part.window.start;
+      const end = segmentEnd(segment, part.window.start);
+      for (const previous of previousSegments) {
+        const seconds = Math.min(end, segmentEnd(previous, previousStart)) - Math.max(start, previous.start + previousStart);
+        if (seconds <= 0) continue;
+        const bySpeaker = overlapByTag.get(segment.speaker_tag) || new Map();
+        bySpeaker.set(previous.speaker, (bySpeaker.get(previous.speaker) || 0) + seconds);
+        overlapByTag.set(segment.speaker_tag, bySpeaker);
+      }
+    }
+
+    const bestByTag = new Map();
+    for (const [tag, bySpeaker] of overlapByTag) {
+      const [speaker, seconds] = [...bySpeaker].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+      bestByTag.set(tag, { speaker, seconds });
+    }
+
+    const speakerByTag = new Map();
+    for (const [tag, best] of bestByTag) {
+      const contested = [...bestByTag].some(
+        ([otherTag, other]) => otherTag !== tag && other.speaker === best.speaker && other.seconds >= best.seconds
+      );
+      if (!contested) speakerByTag.set(tag, best.speaker);
+    }
+
+    aligned.push(part.segments.map((segment) => (
+      segment.speaker_tag
+        ? { ...withoutSpeakerTag(segment), speaker: speakerByTag.get(segment.speaker_tag) ?? null }
+        : withoutSpeakerTag(segment)
+    )));
+  });
+
+  return aligned;
+}
+
+/**
+ * Stitch chunk results into one transcript
+ * Segments (when every chunk with speech has them) get consistent speakers (alignChunkSpeakers), are shifted to
+ * recording time and cut at the midpoint of each overlap, so each moment of audio is covered by exactly one chunk.
+ *
+ * @param {Array<{ window: Object, transcript: string, segments: Array }>} parts - In window order (segments may carry speaker_tag)
+ * @param {Object} options - { overlapSeconds }
+ * @returns {{ transcript: string, segments: Array }}
+ */
+export function stitchTranscriptParts(parts, { overlapSeconds }) {
+  const maxWords = Math.max(10, Math.ceil(overlapSeconds * MAX_WORDS_PER_SECOND));
+
+  let transcript = '';
+  for (const part of parts) {
+    transcript = mergeOverlappingText(transcript, part.transcript || '', maxWords);
+  }
+
+  // A silent chunk (empty transcript) has no segments and does not cost the other chunks theirs
+  const spokenParts = parts.filter((part) => (part.transcript || '').trim());
+  const hasTimedSegments = spokenParts.length > 0 && spokenParts.every(
+    (part) => part.segments.length > 0 && part.segments.every((segment) => segment.start !== null)
+  );
+  if (!hasTimedSegments) {
+    return { transcript, segments: [] };
+  }
+
+  const alignedSegments = alignChunkSpeakers(parts);
+  const segments = [];
+  parts.forEach((part, i) => {
+    const previous = parts[i - 1];
+    const following = parts[i + 1];
+    const from = previous ? (part.window.start + previous.window.end) / 2 : -Infinity;
+    const until = following ? (following.window.start + part.window.end) / 2 : Infinity;
+
+    for (const segment of alignedSegments[i]) {
+      const start = segment.start + part.window.start;
+      if (start >= from && start < until) {
+        segments.push({
+          ...segment,
+          start: Math.round(start * 100) / 100,
+          end: segment.end === null ? null : Math.round((segment.end + part.window.start) * 100) / 100,
+        });
+      }
+    }
+  });
+
+  return { transcript, segments };
+}
+
+/**
+ * Helper: Run ffmpeg/ffprobe and collect stdout
+ *
+ * @private
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {number} timeoutMs - Kill the process after this long
+ * @returns {Promise<string>}
+ */
+function runMediaTool(command, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${path.basename(command)} failed (${signal || `exit ${code}`}): ${stderr.trim().slice(0, 500)}`));
+      }
+    });
+  });
+}
+
+/**
+ * Check that a recording URL is an https URL on the configured Supabase host before ffmpeg or
+ * ffprobe reads it
+ *
+ * @param {string} url - Signed URL to the recording
+ * @throws {Error} - status 400 when the URL is anything else
+ */
+export function assertStorageRecordingUrl(url) {
+  let parsed = null;
+  let storageHost = null;
+  try {
+    parsed = new URL(url);
+    storageHost = new URL(process.env.SUPABASE_URL).host;
+  } catch {
+    // Handled below
+  }
+
+  if (!parsed || !storageHost || parsed.protocol !== 'https:' || parsed.host !== storageHost || parsed.username || parsed.password) {
+    const err = new Error('recording_file_signed_url must be an https signed URL on the Supabase storage host');
+    err.code = 'invalid_recording_url';
+    err.status = 400;
+    throw err;
+  }
+}
+
+/**
+ * Read a recording's duration with ffprobe
+ *
+ * @param {string} url - Signed URL to the recording (must pass assertStorageRecordingUrl)
+ * @returns {Promise<number|null>} - Seconds, or null if ffprobe is unavailable or cannot read the file
+ * @throws {Error} - status 400 when the URL is not a storage URL
+ */
+export async function probeDurationSeconds(url) {
+  assertStorageRecordingUrl(url);
+
+  const ffprobe = process.env.FFPROBE_PATH || 'ffprobe';
+  try {
+    const output = await runMediaTool(ffprobe, [
+      '-v', 'error',
+      '-protocol_whitelist', MEDIA_PROTOCOL_WHITELIST,
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      url,
+    ], 30000);
+    const duration = Number.parseFloat(output.trim());
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+  } catch (err) {
+    console.warn(`[probeDurationSeconds] Could not read recording duration, chunking skipped: ${err.code === 'ENOENT' ? `${ffprobe} not installed` : err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Cut one window out of the recording as 16 kHz mono FLAC
+ *
+ * @private
+ */
+async function extractChunk(url, window, outputPath) {
+  const ffmpeg = process.env.FFMPEG_PATH || 'ffmpeg';
+  await runMediaTool(ffmpeg, [
+    '-v', 'error',
+    '-y',
+    '-ss', String(window.start),
+    '-t', String(window.end - window.start),
+    '-protocol_whitelist', MEDIA_PROTOCOL_WHITELIST,
+    '-i', url,
+    '-vn',
+    '-ac', '1',
+    '-ar', '16000',
+    '-c:a', 'flac',
+    outputPath,
+  ], 5 * 60 * 1000);
+}
+
+/**
+ * Transcribe a long recording in overlapping chunks
+ *
+ * @param {Object} options
+ * @param {string} options.recording_file_signed_url - Signed URL to the full recording
+ * @param {number} options.durationSeconds - Recording duration (from probeDurationSeconds)
+ * @param {Function} options.transcribeChunk - async (chunkSignedUrl) => provider result { transcript, segments? }
+ * @param {Function} [options.onProgress] - async ({ chunks_total, chunks_done }) => void; a throw stops the run
+ * @param {Object} [options.config] - Overrides for getChunkingConfig()
+ * @returns {Promise<{ transcript: string, segments: Array, duration: number, chunks: number }>}
+ */
+export async function transcribeInChunks({ recording_file_signed_url, durationSeconds, transcribeChunk, onProgress, config = {} }) {
+  assertStorageRecordingUrl(recording_file_signed_url);
+
+  const { chunkSeconds, overlapSeconds, concurrency } = { ...getChunkingConfig(), ...config };
+  const windows = planChunkWindows(durationSeconds, { chunkSeconds, overlapSeconds });
+
+  // Chunk names keep the recording name so fixture transcripts can target <name>.part-<n>
+  const recordingName = path
+    .basename(decodeURIComponent(new URL(recording_file_signed_url).pathname))
+    .replace(/\.[^.]+$/, '')
+    .replace(/[^A-Za-z0-9._-]/g, '_') || 'recording';
+  const runId = crypto.randomUUID();
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcription-chunks-'));
+  const storage = supabaseAdmin().storage.from(CHUNK_BUCKET);
+  const uploadedPaths = [];
+  let chunksDone = 0;
+
+  console.log(`[transcribeInChunks] ${Math.round(durationSeconds)}s recording -> ${windows.length} chunks (${chunkSeconds}s, ${overlapSeconds}s overlap, ${concurrency} at a time)`);
+
+  try {
+    if (onProgress) {
+      await onProgress({ chunks_total: windows.length, chunks_done: 0 });
+    }
+
+    const parts = await mapWithConcurrency(windows, concurrency, async (window) => {
+      const chunkName = `${recordingName}.part-${window.index}.flac`;
+      const localPath = path.join(tmpDir, chunkName);
+      const storagePath = `${CHUNK_FOLDER}/${runId}/${chunkName}`;
+
+      await extractChunk(recording_file_signed_url, window, localPath);
+      const audio = await fs.readFile(localPath);
+      await fs.rm(localPath, { force: true });
+
+      const { error: uploadError } = await storage.upload(storagePath, audio, { contentType: 'audio/flac', upsert: true });
+      if (uploadError) {
+        throw new Error(`Failed to upload chunk ${window.index}: ${uploadError.message}`);
+      }
+      uploadedPaths.push(storagePath);
+
+      const { data: signedUrlData, error: signedError } = await storage.createSignedUrl(storagePath, 60 * 60);
+      if (signedError) {
+        throw new Error(`Failed to create signed URL for chunk ${window.index}: ${signedError.message}`);
+      }
+
+      const result = await withRetry(() => transcribeChunk(signedUrlData.signedUrl), {
+        retries: 2,
+        shouldRetry: (error) => !error.jobStopped && isRetryableError(error),
+        onRetry: (error, attempt, delayMs) => {
+          console.warn(`[transcribeInChunks] Chunk ${window.index} failed (attempt ${attempt}), retrying in ${delayMs}ms: ${error.message}`);
+        },
+      });
+      // An empty string is a silent window (exam, pause), not a failure
+      if (typeof result?.transcript !== 'string') {
+        throw new Error(`Chunk ${window.index} returned no transcript`);
+      }
+
+      chunksDone++;
+      console.log(`[transcribeInChunks] Chunk ${window.index + 1}/${windows.length} transcribed (${chunksDone} done)`);
+      if (onProgress) {
+        await onProgress({ chunks_total: windows.length, chunks_done: chunksDone });
+      }
+
+      return {
+        window,
+        transcript: result.transcript,
+        segments: normalizeTranscriptSegments(result.segments, { keepSpeakerTags: true }),
+      };
+    });
+
+    const { transcript, segments } = stitchTranscriptParts(parts, { overlapSeconds });
+    return { transcript, segments, duration: durationSeconds, chunks: windows.length };
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    if (uploadedPaths.length > 0) {
+      const { error: removeError } = await storage.remove(uploadedPaths);
+      if (removeError) {
+        console.error('[transcribeInChunks] Failed to remove chunk files:', removeError.message);
+      }
+    }
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Encounter Letters
+ *
+ * Registry of the letters that can be written from an encounter's transcript and SOAP note
+ * (POST /api/patient-encounters/:id/letters, prompt in gptRequestBodies.js).
+ * Each letter type is a template: its prompt wording and the body sections the LLM writes.
+ *
+ * - referral: referral to a consultant
+ * - prior_authorization: prior authorization request to an insurer
+ *
+ * The LLM only writes the body sections. The recipient block, salutation and diagnosis codes
+ * are assembled here, so recipient details never reach the LLM and codes are the checked
+ * codes from the note (see billingCodes.js), not LLM output. Codes the checks flag are kept out
+ * of the letter and listed in omitted_codes, so the clinician can review and add them back.
+ *
+ * Stored letter_text (JSON text, encrypted with the patient encounter's AES key like soapNotes):
+ * { title, recipient, salutation, sections: { <key>: { heading, text } }, icd10_codes, cpt_codes, omitted_codes, closing }
+ * omitted_codes: [{ system: 'ICD-10-CM' | 'CPT', code, description, issue }] (not part of the exported letter)
+ */
+
+import { cleanRawText } from './cleanRawText.js';
+import { buildNoteSections, cleanLines } from './soapNoteExport.js';
+import { parseBillingSuggestion } from './soapNoteFormat.js';
+import { structureBilling } from './billingCodes.js';
+import { DEFAULT_NOTE_TYPE } from './noteTypes.js';
+
+export const LETTER_TYPE_NAMES = ['referral', 'prior_authorization'];
+
+// Recipient fields, in the order they appear in the letter's address block
+export const LETTER_RECIPIENT_FIELDS = ['name', 'title', 'specialty', 'organization', 'address', 'phone', 'fax'];
+
+const letterTypes = {
+  referral: {
+    name: 'referral',
+    label: 'Referral letter',
+    systemRole: 'write referral letters from one clinician to a consultant',
+    instructions: ' State clearly what is being asked of the consultant and how urgent it is.',
+    sections: [
+      { key: 'reason', heading: 'Reason for referral', description: 'Why the patient is being referred and the specific question for the consultant' },
+      { key: 'history', heading: 'History', description: 'Relevant history of the presenting problem' },
+      { key: 'findings', heading: 'Findings', description: 'Relevant exam findings and results' },
+      { key: 'treatment', heading: 'Treatment to date', description: 'Treatment tried so far and the response' },
+      { key: 'request', heading: 'Request', description: 'What the referring clinician asks for (assessment, procedure, co-management) and the urgency' },
+    ],
+  },
+  prior_authorization: {
+    name: 'prior_authorization',
+    label: 'Prior authorization request',
+    systemRole: 'write prior authorization letters to health insurers',
+    instructions: ' Make the case for medical necessity from the documented findings and prior treatments; do not overstate severity.',
+    sections: [
+      { key: 'requested_service', heading: 'Requested service', description: 'The medication, procedure, imaging or service being requested' },
+      { key: 'clinical_history', heading: 'Clinical history', description: 'Relevant history, findings and results supporting the request' },
+      { key: 'prior_treatments', heading: 'Prior treatments', description: 'Treatments already tried, with duration and outcome' },
+      { key: 'medical_necessity', heading: 'Medical necessity', description: 'Why the requested service is medically necessary for this patient now' },
+    ],
+  },
+};
+
+// Note sections each letter draws on, by note type (the transcript fills in the rest)
+const LETTER_NOTE_SECTIONS = {
+  soap: ['assessment', 'plan'],
+  history_and_physical: ['chief_complaint', 'assessment', 'plan'],
+  progress: ['assessment', 'plan'],
+  procedure: ['procedure', 'indication', 'findings', 'disposition'],
+  discharge_summary: ['discharge_diagnoses', 'hospital_course', 'discharge_medications'],
+};
+
+/**
+ * Get a letter type by name
+ *
+ * @param {string} name - Letter type name
+ * @returns {{ name: string, label: string, systemRole: string, instructions: string, sections: Array<{ key: string, heading: string, description: string }> }}
+ * @throws {Error} - If the name is not a known letter type (status 400)
+ */
+export function getLetterType(name) {
+  const letterType = letterTypes[String(name || '').toLowerCase()];
+  if (!letterType) {
+    const e = new Error(`Unknown letter type: ${name}. Expected one of: ${LETTER_TYPE_NAMES.join(', ')}`);
+    e.status = 400;
+    throw e;
+  }
+  return letterType;
+}
+
+/**
+ * Assessment / plan text and checked diagnosis codes of a stored note, for the letter prompt
+ * Codes flagged by the code tables (made up or unverifiable, non-billable, malformed) are left out of icd10Codes and
+ * cptCodes and returned in omittedCodes with the reason.
+ *
+ * @param {Object} soapNoteText - Decrypted soapNote_text { soapNote, billingSuggestion }
+ * @param {string} [noteType='soap'] - Note type of the soapNotes row
+ * @returns {{
+ *   noteText: string,
+ *   icd10Codes: Array<{ code: string, description: string }>,
+ *   cptCodes: Array<{ code: string, description: string }>,
+ *   omittedCodes: Array<{ system: string, code: string|null, description: string, issue: string }>
+ * }}
+ */
+export function formatNoteForLetter(soapNoteText, noteType = DEFAULT_NOTE_TYPE) {
+  const keys = LETTER_NOTE_SECTIONS[noteType] || LETTER_NOTE_SECTIONS[DEFAULT_NOTE_TYPE];
+  const noteText = buildNoteSections(soapNoteText?.soapNote, noteType)
+    .filter((section) => keys.includes(section.key))
+    .map(({ heading, lines }) => [`${heading}:`, ...lines].join('\n'))
+    .join('\n\n');
+
+  const billing = structureBilling(parseBillingSuggestion(soapNoteText?.billingSuggestion));
+  const toCode = ({ code, description }) => ({ code, description });
+  const toOmitted = (system) => ({ code, description, justification, issue }) => ({
+    system,
+    code,
+    description: description || justification,
+    issue,
+  });
+  return {
+    noteText,
+    icd10Codes: billing.icd10_codes.filter((entry) => !entry.flagged).map(toCode),
+    cptCodes: billing.cpt_codes.filter((entry) => !entry.flagged).map(toCode),
+    omittedCodes: [
+      ...billing.icd10_codes.filter((entry) => entry.flagged).map(toOmitted('ICD-10-CM')),
+      ...billing.cpt_codes.filter((entry) => entry.flagged).map(toOmitted('CPT')),
+    ],
+  };
+}
+
+/**
+ * Code lines as they appear in the prompt and the letter ("K21.9 - Gastro-esophageal reflux disease")
+ *
+ * @param {Array<{ code: string, description: string }>} codes
+ * @returns {string[]}
+ */
+export function formatCodeLines(codes) {
+  return (codes || []).map(({ code, description }) => (description ? `${code} - ${description}` : code));
+}
+
+/**
+ * Salutation from the recipient ("Dear Dr. Lee," / "Dear Utilization Review Team,")
+ *
+ * @private
+ * @param {Object} recipient
+ * @returns {string}
+ */
+function buildSalutation(recipient) {
+  const name = [recipient.title, recipient.name].filter(Boolean).join(' ');
+  return `Dear ${name || 'Colleague'},`;
+}
+
+/**
+ * Normalize the (unmasked) LLM response into the stored letter format
+ *
+ * @param {Object} response - LLM response { sections: { <key>: string } }
+ * @param {Object} context
+ * @param {string} context.letterType - Letter type name
+ * @param {Object} context.recipient - Recipient fields from the request
+ * @param {Array<{ code: string, description: string }>} [context.icd10Codes=[]]
+ * @param {Array<{ code: string, description: string }>} [context.cptCodes=[]]
+ * @param {Array<Object>} [context.omittedCodes=[]] - Flagged codes left out (formatNoteForLetter)
+ * @returns {Object} - Stored letter_text (see module comment)
+ */
+export function toStoredLetter(response, { letterType, recipient, icd10Codes = [], cptCodes = [], omittedCodes = [] }) {
+  const type = getLetterType(letterType);
+  const sections = {};
+  for (const section of type.sections) {
+    const text = response?.sections?.[section.key];
+    sections[section.key] = { heading: section.heading, text: typeof text === 'string' ? text.trim() : '' };
+  }
+
+  const storedRecipient = Object.fromEntries(LETTER_RECIPIENT_FIELDS
+    .filter((field) => recipient?.[field])
+    .map((field) => [field, recipient[field]]));
+
+  return {
+    title: type.label,
+    recipient: storedRecipient,
+    salutation: buildSalutation(storedRecipient),
+    sections,
+    icd10_codes: icd10Codes,
+    cpt_codes: type.name === 'prior_authorization' ? cptCodes : [],
+    // Procedure codes only matter to prior authorization letters
+    omitted_codes: omittedCodes.filter((entry) => entry.system !== 'CPT' || type.name === 'prior_authorization'),
+    closing: 'Thank you for your attention to this patient. Please contact our office with any questions.',
+  };
+}
+
+/**
+ * Build the export model (see soapNoteExport.renderNoteExport) for a stored letter
+ *
+ * @param {Object} letter - Decrypted letter_text
+ * @param {Object} [meta]
+ * @param {string} [meta.createdAt] - encounterLetters created_at (the letter date)
+ * @returns {{ title: string, metadata: Array<[string, string]>, sections: Array<{ heading: string, lines: string[] }> }}
+ */
+export function buildLetterExport(letter, { createdAt } = {}) {
+  const recipient = letter?.recipient || {};
+  const metadata = [
+    ['Date', createdAt ? new Date(createdAt).toISOString().slice(0, 10) : null],
+    ['To', [recipient.title, recipient.name].filter(Boolean).join(' ')],
+    ['Specialty', recipient.specialty],
+    ['Organization', recipient.organization],
+    ['Address', recipient.address],
+    ['Phone', recipient.phone],
+    ['Fax', recipient.fax],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => [label, cleanRawText(value)]);
+
+  const sections = [{ heading: '', lines: cleanLines(letter?.salutation) }];
+  for (const section of Object.values(letter?.sections || {})) {
+    sections.push({ heading: cleanRawText(section.heading), lines: cleanLines(section.text) });
+  }
+  sections.push({ heading: 'Diagnoses', lines: formatCodeLines(letter?.icd10_codes).map((line) => cleanRawText(line)) });
+  sections.push({ heading: 'Procedure codes', lines: formatCodeLines(letter?.cpt_codes).map((line) => cleanRawText(line)) });
+  sections.push({ heading: '', lines: [...cleanLines(letter?.closing), 'Sincerely,'] });
+
+  return {
+    title: cleanRawText(letter?.title) || 'Letter',
+    metadata,
+    sections: sections.filter((section) => section.lines.length > 0),
+  };
+}
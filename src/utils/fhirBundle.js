@@ -0,0 +1,206 @@
+/**
+ * FHIR R4 Bundle Builder
+ *
+ * Builds a FHIR R4 collection Bundle from a complete patient encounter
+ * (the data GET /api/patient-encounters/complete/:id assembles) for GET /api/patient-encounters/:id/fhir:
+ * - Encounter for the patient encounter
+ * - Patient and Practitioner stubs the other resources point at (no demographics are exported)
+ * - Composition per note, one section per note section (see soapNoteExport.buildNoteSections);
+ *   signed notes are final with a legal attester, unsigned notes preliminary
+ * - Condition per ICD-10 code in the note's billing
+ * - ChargeItem per CPT code in the note's billing (a Claim needs insurance coverage we do not have)
+ *
+ * Resource ids are derived from the encounter and note ids, so exporting the same
+ * encounter twice yields the same ids. Shapes are checked with fhirBundleSchema (schemas/fhir.js).
+ */
+
+import { createHash } from 'crypto';
+import { buildNoteSections } from './soapNoteExport.js';
+import { parseBillingSuggestion } from './soapNoteFormat.js';
+import { DEFAULT_NOTE_TYPE, getNoteType } from './noteTypes.js';
+import { extractCptCodes, formatIcd10Code, parseIcd10Entry } from './billingCodes.js';
+
+const IDENTIFIER_SYSTEM = 'urn:enscribe:patient-encounter';
+const ICD10_SYSTEM = 'http://hl7.org/fhir/sid/icd-10-cm';
+const CPT_SYSTEM = 'http://www.ama-assn.org/go/cpt';
+const LOINC_SYSTEM = 'http://loinc.org';
+
+// LOINC document type per note type
+const NOTE_TYPE_LOINC = {
+  soap: { code: '11506-3', display: 'Progress note' },
+  progress: { code: '11506-3', display: 'Progress note' },
+  history_and_physical: { code: '34117-2', display: 'History and physical note' },
+  procedure: { code: '28570-0', display: 'Procedure note' },
+  discharge_summary: { code: '18842-5', display: 'Discharge summary' },
+};
+
+/**
+ * Deterministic UUID (SHA-1 name based) for a resource
+ *
+ * @private
+ * @param {...(string|number)} parts - Name parts
+ * @returns {string}
+ */
+function resourceUuid(...parts) {
+  const hex = createHash('sha1').update(parts.join(':')).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXhtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Parse an ICD-10 billing entry into a CodeableConcept
+ *
+ * @param {string} entry - e.g. "K21.9 GERD"
+ * @returns {{ coding?: Array<Object>, text: string }}
+ */
+export function toIcd10Concept(entry) {
+  const text = entry.trim();
+  const { code, description } = parseIcd10Entry(text);
+  if (!code) return { text };
+  return {
+    coding: [{ system: ICD10_SYSTEM, code: formatIcd10Code(code), ...(description && { display: description }) }],
+    text,
+  };
+}
+
+/**
+ * Build the FHIR resources for one stored note
+ *
+ * @private
+ */
+function buildNoteEntries(note, { encounterId, refs }) {
+  const noteText = note.soapNote_text;
+  if (!noteText?.soapNote || noteText.error) return [];
+
+  const noteType = getNoteType(note.note_type || DEFAULT_NOTE_TYPE);
+  const noteDate = note.updated_at || note.created_at;
+  const entries = [];
+
+  const compositionUrl = `urn:uuid:${resourceUuid(encounterId, 'note', note.id)}`;
+  const loinc = NOTE_TYPE_LOINC[noteType.name];
+  entries.push({
+    fullUrl: compositionUrl,
+    resource: {
+      resourceType: 'Composition',
+      id: compositionUrl.slice(9),
+      status: note.signed_at ? 'final' : 'preliminary',
+      type: { coding: [{ system: LOINC_SYSTEM, code: loinc.code, display: loinc.display }], text: noteType.label },
+      subject: { reference: refs.patient },
+      encounter: { reference: refs.encounter },
+      date: noteDate,
+      author: [{ reference: refs.practitioner }],
+      title: noteType.label,
+      ...(note.signed_at && { attester: [{ mode: 'legal', time: note.signed_at, party: { reference: refs.practitioner } }] }),
+      section: buildNoteSections(noteText.soapNote, noteType.name).map((section) => ({
+        title: section.heading,
+        text: {
+          status: 'generated',
+          div: `<div xmlns="http://www.w3.org/1999/xhtml">${section.lines.map((line) => `<p>${escapeXhtml(line)}</p>`).join('')}</div>`,
+        },
+      })),
+    },
+  });
+
+  const billing = parseBillingSuggestion(noteText.billingSuggestion);
+  const conditionRefs = [];
+  for (const code of billing.icd10_codes) {
+    const fullUrl = `urn:uuid:${resourceUuid(encounterId, 'note', note.id, 'condition', code)}`;
+    if (conditionRefs.includes(fullUrl)) continue;
+    conditionRefs.push(fullUrl);
+    entries.push({
+      fullUrl,
+      resource: {
+        resourceType: 'Condition',
+        id: fullUrl.slice(9),
+        verificationStatus: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'provisional' }],
+        },
+        category: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'encounter-diagnosis', display: 'Encounter Diagnosis' }],
+        }],
+        code: toIcd10Concept(code),
+        subject: { reference: refs.patient },
+        encounter: { reference: refs.encounter },
+        ...(noteDate && { recordedDate: noteDate }),
+      },
+    });
+  }
+
+  for (const cpt of extractCptCodes(billing.billing_code)) {
+    const fullUrl = `urn:uuid:${resourceUuid(encounterId, 'note', note.id, 'charge', cpt)}`;
+    entries.push({
+      fullUrl,
+      resource: {
+        resourceType: 'ChargeItem',
+        id: fullUrl.slice(9),
+        status: 'billable',
+        code: { coding: [{ system: CPT_SYSTEM, code: cpt }], text: billing.billing_code },
+        subject: { reference: refs.patient },
+        context: { reference: refs.encounter },
+        ...(noteDate && { enteredDate: noteDate }),
+        supportingInformation: [{ reference: compositionUrl }, ...conditionRefs.map((reference) => ({ reference }))],
+      },
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Build a FHIR R4 collection Bundle for a complete patient encounter
+ *
+ * @param {Object} complete
+ * @param {Object} complete.patientEncounter - Decrypted patientEncounters row
+ * @param {Array<Object>} complete.soapNotes - soapNotes rows with parsed soapNote_text { soapNote, billingSuggestion }
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Bundle timestamp
+ * @returns {Object} - FHIR Bundle
+ */
+export function buildEncounterFhirBundle({ patientEncounter, soapNotes = [] }, { now = new Date() } = {}) {
+  const encounterId = patientEncounter.id;
+  const refs = {
+    encounter: `urn:uuid:${resourceUuid(encounterId, 'encounter')}`,
+    patient: `urn:uuid:${resourceUuid(encounterId, 'patient')}`,
+    practitioner: `urn:uuid:${resourceUuid(encounterId, 'practitioner', patientEncounter.user_id)}`,
+  };
+
+  const entries = [
+    {
+      fullUrl: refs.encounter,
+      resource: {
+        resourceType: 'Encounter',
+        id: refs.encounter.slice(9),
+        ...(patientEncounter.updated_at && { meta: { lastUpdated: patientEncounter.updated_at } }),
+        identifier: [{ system: IDENTIFIER_SYSTEM, value: String(encounterId) }],
+        status: 'finished',
+        class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB', display: 'ambulatory' },
+        subject: { reference: refs.patient },
+        participant: [{ individual: { reference: refs.practitioner } }],
+        ...(patientEncounter.created_at && { period: { start: patientEncounter.created_at } }),
+      },
+    },
+    { fullUrl: refs.patient, resource: { resourceType: 'Patient', id: refs.patient.slice(9) } },
+    { fullUrl: refs.practitioner, resource: { resourceType: 'Practitioner', id: refs.practitioner.slice(9) } },
+  ];
+
+  for (const note of soapNotes) {
+    entries.push(...buildNoteEntries(note, { encounterId, refs }));
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: resourceUuid(encounterId, 'bundle'),
+    type: 'collection',
+    timestamp: now.toISOString(),
+    entry: entries,
+  };
+}
@@ -1,3 +1,5 @@
+import { getSoapNoteAndBillingPrompt } from './gptRequestBodies.js';
+
 const SchemaType = {
     OBJECT: "object",
     STRING: "string"
@@ -36,79 +38,53 @@ export function getTranscriptReqBody(base64Audio) {
     };
 }
 
-export function getSoapNoteAndBillingRequestBody(transcript) {
+/**
+ * Converts a JSON schema into Gemini's responseSchema dialect.
+ * Gemini rejects `additionalProperties`, and keeps key order only via `propertyOrdering`.
+ *
+ * @param {object} schema - JSON schema (as used for OpenAI structured outputs)
+ * @returns {object} Gemini responseSchema
+ */
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const { additionalProperties, ...rest } = schema;
+    if (rest.properties) {
+        rest.properties = Object.fromEntries(
+            Object.entries(rest.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+        rest.propertyOrdering = Object.keys(rest.properties);
+    }
+    if (rest.items) {
+        rest.items = toGeminiSchema(rest.items);
+    }
+    return rest;
+}
+
+/**
+ * Builds a Gemini generateContent request body from a provider-agnostic prompt.
+ *
+ * @param {object} prompt - Prompt of the shape returned by getSoapNoteAndBillingPrompt
+ * @returns {object} Gemini request body
+ */
+export function buildGeminiRequestBody(prompt) {
     return {
+        systemInstruction: {
+            parts: [{ text: prompt.systemPrompt }]
+        },
         contents: [
             {
-                parts: [
-                    {
-                        text: `Create SOAP Note and billing suggestions based on this medical patient visit transcript: ${transcript}\nUse bullet points and markdown formatting for clarity.`
-                    },
-                ]
+                role: "user",
+                parts: [{ text: prompt.userPrompt }]
             }
         ],
         generationConfig: {
+            maxOutputTokens: prompt.maxTokens,
             responseMimeType: "application/json",
-            responseSchema: {
-                type: SchemaType.OBJECT,
-                properties: {
-                    soapNote: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            subjective: {
-                                type: SchemaType.OBJECT,
-                                description: "Subjective findings - what the patient reports (symptoms, concerns, history)",
-                                properties: {
-                                    "Chief complaint": { type: SchemaType.STRING, description: "Chief complaint of the patient" },
-                                    HPI: { type: SchemaType.STRING, description: "History of Present Illness" },
-                                    History: { type: SchemaType.STRING, description: "Past medical, surgical, family, and social history" },
-                                    ROS: { type: SchemaType.STRING, description: "Review of Systems" },
-                                    Medications: { type: SchemaType.STRING, description: "Current medications" },
-                                    Allergies: { type: SchemaType.STRING, description: "Known allergies" }
-                                },
-                                required: ["Chief complaint", "HPI", "History", "ROS", "Medications", "Allergies"],
-                                propertyOrdering: ["Chief complaint", "HPI", "History", "ROS", "Medications", "Allergies"],
-                            },
-                            objective: {
-                                type: SchemaType.OBJECT,
-                                description: "Objective clinical observations - measurable/observable findings (vitals, physical exam, lab results)",
-                                properties: {
-                                    HEENT: { type: SchemaType.STRING, description: "HEENT (Head, Eyes, Ears, Nose, Throat) exam findings" },
-                                    General: { type: SchemaType.STRING, description: "General exam findings" },
-                                    Cardiovascular: { type: SchemaType.STRING, description: "Cardiovascular exam findings" },
-                                    Musculoskeletal: { type: SchemaType.STRING, description: "Musculoskeletal exam findings" },
-                                    Other: { type: SchemaType.STRING, description: "Other objective findings" }
-                                },
-                                required: ["HEENT", "General", "Cardiovascular", "Musculoskeletal", "Other"],
-                                propertyOrdering: ["HEENT", "General", "Cardiovascular", "Musculoskeletal", "Other"]
-                            },
-                            assessment: {
-                                type: SchemaType.STRING,
-                                description: "Clinical assessment and diagnosis based on subjective and objective findings"
-                            },
-                            plan: {
-                                type: SchemaType.STRING,
-                                description: "Treatment plan, medications, follow-up instructions and next steps"
-                            }
-                        },
-                        required: ["subjective", "objective", "assessment", "plan"],
-                        propertyOrdering: ["subjective", "objective", "assessment", "plan"]
-
-                    },
-                    billingSuggestion: {
-                        type: SchemaType.OBJECT,
-                        description: "Billing suggestions (CPT, ICD-10) for the encounter",
-                        properties: {
-                            ICD10: { type: SchemaType.STRING, description: "ICD-10 codes for the diagnosis. Max 4, can have additional supporting codes" },
-                            CPT: { type: SchemaType.STRING, description: "CPT codes for the services provided, with justification. Billing code for new (99202–99205) / established (99211–99215) patient." },
-                            "Additional inquiries": { type: SchemaType.STRING, description: "Additional patient inquiries to pursue to increase doctor's billing level" }
-                        },
-                        required: ["ICD10", "CPT", "Additional inquiries"],
-                        propertyOrdering: ["ICD10", "CPT", "Additional inquiries"]
-                    }
-                },
-                required: ["soapNote", "billingSuggestion"]
-            }
+            responseSchema: toGeminiSchema(prompt.schema)
         }
     };
 }
+
+export function getSoapNoteAndBillingRequestBody(transcript) {
+    return buildGeminiRequestBody(getSoapNoteAndBillingPrompt(transcript));
+}
@@ -2,6 +2,10 @@
 // to a function that returns the request body for OpenAI API.
 
 import de from "zod/v4/locales/de.cjs";
+import { buildSoapNoteSchema } from "./noteTemplates.js";
+import { DEFAULT_NOTE_TYPE, getNoteType, getNoteTypeTemplate } from "./noteTypes.js";
+import { AFTER_VISIT_SUMMARY_SECTIONS, DEFAULT_READING_LEVEL, READING_LEVELS } from "./afterVisitSummary.js";
+import { formatCodeLines, getLetterType } from "./encounterLetters.js";
 
 const SchemaType = {
     OBJECT: "object",
@@ -54,84 +58,231 @@ export function getTranscriptReqBody(base64Audio) {
 }
 
 
-export function getSoapNoteAndBillingRequestBody(transcript) {
+/**
+ * Builds the provider-agnostic prompt for clinical note (SOAP by default) and billing generation.
+ * Each LLM provider turns this into its own request body (see llmProviders.js).
+ *
+ * @param {string} transcript - The masked medical transcript
+ * @param {object} [options]
+ * @param {boolean} [options.speakerLabelled=false] - Transcript lines are "[m:ss] Speaker: text" (see transcriptSegments.js)
+ * @param {object|null} [options.template=null] - Note template shaping the soap_note schema (see noteTemplates.js), default template when null; SOAP notes only
+ * @param {string} [options.noteType="soap"] - Note type (see noteTypes.js); the note is returned under soap_note for every type
+ * @returns {{ systemPrompt: string, userPrompt: string, schemaName: string, schema: object, maxTokens: number }}
+ */
+export function getSoapNoteAndBillingPrompt(transcript, { speakerLabelled = false, template = null, noteType = DEFAULT_NOTE_TYPE } = {}) {
+    const type = getNoteType(noteType);
+    const noteTemplate = getNoteTypeTemplate(type.name, template);
+    const specialtyInstructions = noteTemplate.specialty
+        ? ` The note is for a ${noteTemplate.specialty} encounter; use that specialty's documentation conventions.`
+        : "";
+    const speakerInstructions = speakerLabelled
+        ? " Each transcript line starts with a timestamp and the speaker (Clinician, Patient or Other). Attribute symptoms and history to the person who reported them: only the Patient's statements are patient-reported symptoms, the Clinician's questions and explanations are not, and statements by Other (family, caregivers) must be labelled as such."
+        : "";
     return {
-        model: "o3",
-        messages: [
-            {
-                role: "system",
-                content: "You are a clinical documentation assistant trained to generate SOAP notes from detailed patient encounters. Your output must be accurate and avoid omitting important clinical details. But only output data if present in the transcript, otherwise leave it blank. '•' is invalid symbol never use it."
-            },
-            {
-                role: "user",
-                content: `Here is a patient encounter transcript:\n\n${transcript}\n\nGenerate SOAP note and billing suggestions. PHI information has been masked for privacy. Example (for reference only): Evan is 105 years old --> {{NAME_1}} is {{AGE_2}} years old.
-                Use bullet points (marked by '-' symbols, '•' is invalid symbol) and markdown formatting and "\\n"for clarity.`
-            }
-        ],
-        max_completion_tokens: 10000,
-        response_format: {
-            type: "json_schema",
-            json_schema: {
-                strict: true,
-                name: "soap_and_billing",
-                schema: {
+        systemPrompt: `You are a clinical documentation assistant trained to ${type.systemRole} from detailed patient encounters.${type.instructions}` + " Your output must be accurate and avoid omitting important clinical details. But only output data if present in the transcript, otherwise leave it blank. '•' is invalid symbol never use it." + specialtyInstructions + speakerInstructions,
+        userPrompt: `Here is a patient encounter transcript:\n\n${transcript}\n\nGenerate ${type.label} and billing suggestions. PHI information has been masked for privacy. Example (for reference only): Evan is 105 years old --> {{NAME_1}} is {{AGE_2}} years old.
+                Use bullet points (marked by '-' symbols, '•' is invalid symbol) and markdown formatting and "\\n"for clarity.`,
+        schemaName: "soap_and_billing",
+        maxTokens: 10000,
+        schema: {
+            type: SchemaType.OBJECT,
+            properties: {
+                soap_note: buildSoapNoteSchema(noteTemplate),
+                billing: {
                     type: SchemaType.OBJECT,
+                    additionalProperties: false,
                     properties: {
-                        soap_note: {
-                            type: SchemaType.OBJECT,
-                            additionalProperties: false,
-                            properties: {
-                                subjective: {
-                                    type: SchemaType.OBJECT,
-                                    additionalProperties: false,
-                                    description: "Subjective findings - what the patient reports (symptoms, concerns, history)",
-                                    properties: {
-                                        "Chief complaint": { type: SchemaType.STRING, description: "Chief complaint of the patient" },
-                                        HPI: { type: SchemaType.STRING, description: "History of Present Illnesses. " },
-                                        History: { type: SchemaType.STRING, description: "Past medical, surgical, family, and social history" },
-                                        ROS: { type: SchemaType.STRING, description: "Review of Systems" },
-                                        Medications: { type: SchemaType.STRING, description: "Current medications" },
-                                        Allergies: { type: SchemaType.STRING, description: "Known allergies" }
-                                    },
-                                    required: ["Chief complaint", "HPI", "History", "ROS", "Medications", "Allergies"]
-                                },
-                                objective: {
-                                    type: SchemaType.OBJECT,
-                                    additionalProperties: false,
-                                    description: "Objective clinical observations - measurable/observable findings (vitals, physical exam, lab results). If not mentioned in transcript, assume result is normal/as expected.",
-                                    properties: {
-                                        HEENT: { type: SchemaType.STRING, description: "HEENT (Head, Eyes, Ears, Nose, Throat) exam findings" },
-                                        General: { type: SchemaType.STRING, description: "General exam findings" },
-                                        Cardiovascular: { type: SchemaType.STRING, description: "Cardiovascular exam findings" },
-                                        Musculoskeletal: { type: SchemaType.STRING, description: "Musculoskeletal exam findings" },
-                                        Other: { type: SchemaType.STRING, description: "Other objective findings" }
-                                    },
-                                    required: ["HEENT", "General", "Cardiovascular", "Musculoskeletal", "Other"]
-                                },
-                                assessment: { type: SchemaType.STRING, description: "Clinical assessment and diagnosis based on subjective and objective findings" },
-                                plan: { type: SchemaType.STRING, description: "Based solely on the transcript, summarize a treatment plan, medications, follow-up instructions and next steps. Do not include your own assumptions or inferences, and only output data if present in the transcript, otherwise leave it blank." }
-                            },
-                            required: ["subjective", "objective", "assessment", "plan"]
+                        icd10_codes: {
+                            type: "array",
+                            items: { type: SchemaType.STRING, description: "ICD-10 code followed by a brief description" },
+                            description: "ICD-10 codes for the diagnosis. Max 4, can have additional supporting codes"
                         },
-                        billing: {
-                            type: SchemaType.OBJECT,
-                            additionalProperties: false,
-                            properties: {
-                                icd10_codes: {
-                                    type: "array",
-                                    items: { type: SchemaType.STRING, description: "ICD-10 code followed by a brief description" },
-                                    description: "ICD-10 codes for the diagnosis. Max 4, can have additional supporting codes"
-                                },
-                                billing_code: { type: SchemaType.STRING, description: "CPT codes for the services provided, with justification. Billing code for new (99202–99205) / established (99211–99215) patient." },
-                                additional_inquiries: { type: SchemaType.STRING, description: "Doctor's additional areas of investigation for the patient to increase doctor's billing level" }
-                            },
-                            required: ["icd10_codes", "billing_code", "additional_inquiries"]
-                        }
+                        billing_code: { type: SchemaType.STRING, description: "CPT codes for the services provided, with justification. Billing code for new (99202–99205) / established (99211–99215) patient." },
+                        additional_inquiries: { type: SchemaType.STRING, description: "Doctor's additional areas of investigation for the patient to increase doctor's billing level" }
                     },
-                    required: ["soap_note", "billing"],
+                    required: ["icd10_codes", "billing_code", "additional_inquiries"]
+                }
+            },
+            required: ["soap_note", "billing"],
+            additionalProperties: false
+        }
+    };
+}
+
+/**
+ * Builds the provider-agnostic prompt for regenerating one section (or subsection) of a stored note.
+ * The current text and the clinician's instructions go in alongside the transcript, all masked with the same tokens.
+ *
+ * @param {string} transcript - The masked medical transcript
+ * @param {object} options
+ * @param {string} options.sectionPath - Section path being regenerated, e.g. "plan" or "subjective.HPI"
+ * @param {object} options.field - Layout entry { key, description, subsections? } (see soapNoteRegeneration.resolveSectionPath)
+ * @param {string} [options.currentText=""] - Masked current text of the section
+ * @param {string} [options.instructions=""] - Masked clinician instructions, e.g. "make it more concise"
+ * @param {boolean} [options.speakerLabelled=false] - Transcript lines are "[m:ss] Speaker: text" (see transcriptSegments.js)
+ * @param {string} [options.noteType="soap"] - Note type (see noteTypes.js)
+ * @returns {{ systemPrompt: string, userPrompt: string, schemaName: string, schema: object, maxTokens: number }}
+ *   The response is { section }, a string or (for sections with subsections) an object of strings
+ */
+export function getSectionRegenerationPrompt(transcript, { sectionPath, field, currentText = "", instructions = "", speakerLabelled = false, noteType = DEFAULT_NOTE_TYPE }) {
+    const type = getNoteType(noteType);
+    const speakerInstructions = speakerLabelled
+        ? " Each transcript line starts with a timestamp and the speaker (Clinician, Patient or Other). Only the Patient's statements are patient-reported symptoms."
+        : "";
+    const currentTextPrompt = currentText
+        ? `\n\nCurrent text of this part of the note:\n\n${currentText}`
+        : "\n\nThis part of the note is currently empty.";
+    const instructionsPrompt = instructions
+        ? `\n\nClinician instructions for the rewrite: ${instructions}`
+        : "\n\nRewrite it from the transcript.";
+    return {
+        systemPrompt: `You are a clinical documentation assistant trained to ${type.systemRole} from detailed patient encounters.${type.instructions}` + " You are rewriting a single part of an existing note. Only output data if present in the transcript, otherwise leave it blank. Follow the clinician's instructions unless they ask for content that is not in the transcript. '•' is invalid symbol never use it." + speakerInstructions,
+        userPrompt: `Here is a patient encounter transcript:\n\n${transcript}\n\nRewrite the "${sectionPath}" part of the ${type.label}.${currentTextPrompt}${instructionsPrompt}\n\nPHI information has been masked for privacy; keep {{TYPE_ID}} tokens exactly as they appear. Use bullet points (marked by '-' symbols, '•' is invalid symbol) and "\\n" for clarity.`,
+        schemaName: "soap_section",
+        maxTokens: 4000,
+        schema: {
+            type: SchemaType.OBJECT,
+            properties: {
+                section: buildSoapNoteSchema({ sections: [field] }).properties[field.key]
+            },
+            required: ["section"],
+            additionalProperties: false
+        }
+    };
+}
+
+/**
+ * Builds the provider-agnostic prompt for a patient-facing after-visit summary (see afterVisitSummary.js).
+ * Transcript and note are masked together, so the summary keeps the same {{TYPE_ID}} tokens.
+ *
+ * @param {string} transcript - The masked medical transcript
+ * @param {object} options
+ * @param {string} [options.noteText=""] - Masked clinical note text (see afterVisitSummary.formatNoteForSummary)
+ * @param {string} [options.readingLevel="standard"] - One of READING_LEVELS
+ * @param {string} [options.languageName="English"] - Language to write the summary in
+ * @param {boolean} [options.speakerLabelled=false] - Transcript lines are "[m:ss] Speaker: text" (see transcriptSegments.js)
+ * @returns {{ systemPrompt: string, userPrompt: string, schemaName: string, schema: object, maxTokens: number }}
+ *   The response is { title, sections: { <key>: { heading, text } } }
+ */
+export function getAfterVisitSummaryPrompt(transcript, { noteText = "", readingLevel = DEFAULT_READING_LEVEL, languageName = "English", speakerLabelled = false } = {}) {
+    const speakerInstructions = speakerLabelled
+        ? " Each transcript line starts with a timestamp and the speaker (Clinician, Patient or Other)."
+        : "";
+    const notePrompt = noteText
+        ? `\n\nHere is the clinician's note for the visit; where it differs from the transcript, the note is correct:\n\n${noteText}`
+        : "";
+    const sectionProperties = Object.fromEntries(AFTER_VISIT_SUMMARY_SECTIONS.map((section) => [section.key, {
+        type: SchemaType.OBJECT,
+        description: section.description,
+        properties: {
+            heading: { type: SchemaType.STRING, description: `Section heading in the summary language (English: "${section.heading}")` },
+            text: { type: SchemaType.STRING, description: section.description }
+        },
+        required: ["heading", "text"],
+        additionalProperties: false
+    }]));
+    return {
+        systemPrompt: "You are a clinical communication assistant writing after-visit summaries that patients read at home. Write directly to the patient (\"you\"), warmly and clearly, and only include information from the visit. Never add diagnoses, medicines or instructions that were not discussed. Leave a section's text empty when the visit did not cover it." + speakerInstructions,
+        userPrompt: `Here is a patient encounter transcript:\n\n${transcript}${notePrompt}\n\nWrite an after-visit summary for the patient in ${languageName}, at ${READING_LEVELS[readingLevel] || READING_LEVELS[DEFAULT_READING_LEVEL]}. Write the title, headings and text in ${languageName}; keep medicine names and doses exactly as given.\n\nPHI information has been masked for privacy; keep {{TYPE_ID}} tokens exactly as they appear, untranslated. Use bullet points (marked by '-' symbols, '•' is invalid symbol) and "\\n" for lists.`,
+        schemaName: "after_visit_summary",
+        maxTokens: 6000,
+        schema: {
+            type: SchemaType.OBJECT,
+            properties: {
+                title: { type: SchemaType.STRING, description: "Summary title in the summary language" },
+                sections: {
+                    type: SchemaType.OBJECT,
+                    properties: sectionProperties,
+                    required: AFTER_VISIT_SUMMARY_SECTIONS.map((section) => section.key),
+                    additionalProperties: false
+                }
+            },
+            required: ["title", "sections"],
+            additionalProperties: false
+        }
+    };
+}
+
+/**
+ * Builds the provider-agnostic prompt for the body of a referral or prior authorization letter (see encounterLetters.js).
+ * Transcript, note, requested service and instructions are masked together; recipient details are not sent.
+ *
+ * @param {string} transcript - The masked medical transcript
+ * @param {object} options
+ * @param {string} options.letterType - Letter type name, e.g. "referral"
+ * @param {string} [options.noteText=""] - Masked assessment / plan text (see encounterLetters.formatNoteForLetter)
+ * @param {Array<{ code: string, description: string }>} [options.icd10Codes=[]] - Checked diagnosis codes from the note
+ * @param {Array<{ code: string, description: string }>} [options.cptCodes=[]] - Checked procedure codes from the note
+ * @param {string} [options.recipientSpecialty=""] - Specialty of the recipient, e.g. "Cardiology"
+ * @param {string} [options.requestedService=""] - Masked service being requested (prior authorization)
+ * @param {string} [options.instructions=""] - Masked clinician instructions
+ * @param {boolean} [options.speakerLabelled=false] - Transcript lines are "[m:ss] Speaker: text" (see transcriptSegments.js)
+ * @returns {{ systemPrompt: string, userPrompt: string, schemaName: string, schema: object, maxTokens: number }}
+ *   The response is { sections: { <key>: string } }
+ */
+export function getEncounterLetterPrompt(transcript, { letterType, noteText = "", icd10Codes = [], cptCodes = [], recipientSpecialty = "", requestedService = "", instructions = "", speakerLabelled = false }) {
+    const type = getLetterType(letterType);
+    const speakerInstructions = speakerLabelled
+        ? " Each transcript line starts with a timestamp and the speaker (Clinician, Patient or Other)."
+        : "";
+    const notePrompt = noteText
+        ? `\n\nHere is the assessment and plan from the clinician's note; where it differs from the transcript, the note is correct:\n\n${noteText}`
+        : "";
+    const codeLines = [...formatCodeLines(icd10Codes).map((line) => `ICD-10: ${line}`), ...formatCodeLines(cptCodes).map((line) => `CPT: ${line}`)];
+    const codesPrompt = codeLines.length > 0
+        ? `\n\nCodes documented for the visit (listed separately in the letter, do not repeat them):\n${codeLines.join("\n")}`
+        : "";
+    const recipientPrompt = recipientSpecialty ? ` The recipient's specialty is ${recipientSpecialty}.` : "";
+    const servicePrompt = requestedService ? `\n\nService being requested: ${requestedService}` : "";
+    const instructionsPrompt = instructions ? `\n\nClinician instructions for the letter: ${instructions}` : "";
+    return {
+        systemPrompt: `You are a clinical documentation assistant trained to ${type.systemRole} from detailed patient encounters.${type.instructions}` + " Write in a professional tone, in the first person as the treating clinician. Only use information present in the transcript and note; leave a section blank when there is nothing to say. Do not write a salutation, address block or signature, they are added separately. '•' is invalid symbol never use it." + speakerInstructions,
+        userPrompt: `Here is a patient encounter transcript:\n\n${transcript}${notePrompt}${codesPrompt}${servicePrompt}\n\nWrite the body of a ${type.label.toLowerCase()}.${recipientPrompt}${instructionsPrompt}\n\nPHI information has been masked for privacy; keep {{TYPE_ID}} tokens exactly as they appear. Use bullet points (marked by '-' symbols, '•' is invalid symbol) and "\\n" for lists.`,
+        schemaName: "encounter_letter",
+        maxTokens: 6000,
+        schema: {
+            type: SchemaType.OBJECT,
+            properties: {
+                sections: {
+                    type: SchemaType.OBJECT,
+                    properties: Object.fromEntries(type.sections.map((section) => [section.key, { type: SchemaType.STRING, description: section.description }])),
+                    required: type.sections.map((section) => section.key),
                     additionalProperties: false
                 }
+            },
+            required: ["sections"],
+            additionalProperties: false
+        }
+    };
+}
+
+/**
+ * Builds an OpenAI chat completions request body with a strict JSON schema response format.
+ *
+ * @param {object} prompt - Prompt from getSoapNoteAndBillingPrompt (or any prompt of the same shape)
+ * @param {object} [options]
+ * @param {string} [options.model="o3"] - OpenAI model name
+ * @returns {object} OpenAI request body
+ */
+export function buildChatCompletionRequestBody(prompt, { model = "o3" } = {}) {
+    return {
+        model,
+        messages: [
+            { role: "system", content: prompt.systemPrompt },
+            { role: "user", content: prompt.userPrompt }
+        ],
+        max_completion_tokens: prompt.maxTokens,
+        response_format: {
+            type: "json_schema",
+            json_schema: {
+                strict: true,
+                name: prompt.schemaName,
+                schema: prompt.schema
             }
         }
     };
-}
\ No newline at end of file
+}
+
+export function getSoapNoteAndBillingRequestBody(transcript) {
+    return buildChatCompletionRequestBody(getSoapNoteAndBillingPrompt(transcript));
+}
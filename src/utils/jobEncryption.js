@@ -0,0 +1,110 @@
+/**
+ * Job Payload Encryption
+ *
+ * Envelope encryption for the PHI columns on the `jobs` table, using encryptionUtils.js:
+ * - Each job gets its own AES key, stored RSA-wrapped in jobs.encrypted_aes_key
+ * - transcript_text  -> encrypted_transcript_text + transcript_text_iv
+ * - soap_note_text   -> encrypted_soap_note_text + soap_note_text_iv
+ * - transcript_segments (JSON string) -> encrypted_transcript_segments + transcript_segments_iv
+ * - phi_review (JSON string, see phiReview.js) -> encrypted_phi_review + phi_review_iv
+ *
+ * Each field has its own IV because all are written under the same key.
+ * Plaintext columns are only read for rows created before encryption (legacy fallback);
+ * transcript_segments and phi_review were added after encryption and never had one.
+ */
+
+import * as encryptionUtils from './encryptionUtils.js';
+
+// Job columns that hold PHI and are stored encrypted
+export const ENCRYPTED_JOB_FIELDS = ['transcript_text', 'soap_note_text', 'transcript_segments', 'phi_review'];
+
+// Encrypted fields that also have a legacy plaintext column to clear
+const LEGACY_PLAINTEXT_JOB_FIELDS = ['transcript_text', 'soap_note_text'];
+
+/**
+ * Generate a new per-job AES key, RSA-wrapped for storage
+ *
+ * @returns {string} - encrypted_aes_key (base64)
+ */
+export function createJobEncryptionKey() {
+  const { aesKey } = encryptionUtils.generateAESKeyAndIV();
+  return encryptionUtils.encryptAESKey(aesKey);
+}
+
+/**
+ * Build the column updates that store job fields encrypted
+ * Plaintext columns are set to null so nothing is left in the clear.
+ * A null value clears the field (no key needed, used when purging).
+ *
+ * @param {Object} fields - e.g. { transcript_text: '...' }
+ * @param {string} [encryptedAesKey] - Job's RSA-wrapped AES key (required for non-null values)
+ * @returns {Object} - Column updates for the jobs table
+ */
+export function encryptJobFields(fields, encryptedAesKey = null) {
+  let aesKey = null;
+  const updates = {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (!ENCRYPTED_JOB_FIELDS.includes(field)) {
+      throw new Error(`[encryptJobFields] ${field} is not an encrypted job field`);
+    }
+    if (value === null || value === undefined) {
+      updates[`encrypted_${field}`] = null;
+      updates[`${field}_iv`] = null;
+    } else {
+      if (!aesKey) {
+        aesKey = encryptionUtils.decryptAESKey(encryptedAesKey).toString('base64');
+      }
+      const iv = encryptionUtils.generateRandomIVBase64();
+      updates[`encrypted_${field}`] = encryptionUtils.encryptText(value, aesKey, iv);
+      updates[`${field}_iv`] = iv;
+    }
+    if (LEGACY_PLAINTEXT_JOB_FIELDS.includes(field)) {
+      updates[field] = null;
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Decrypt a job row's PHI fields in place and strip encryption columns
+ * Falls back to the legacy plaintext column when a field was never encrypted.
+ *
+ * @param {Object} job - Job row including encrypted_aes_key and the encrypted_* / *_iv columns
+ * @returns {{ success: boolean, error: string|null }}
+ */
+export function decryptJobFields(job) {
+  const hasEncryptedData = ENCRYPTED_JOB_FIELDS.some((field) => job[`encrypted_${field}`]);
+  let aesKey = null;
+  let result = { success: true, error: null };
+
+  if (hasEncryptedData) {
+    try {
+      aesKey = encryptionUtils.decryptAESKey(job.encrypted_aes_key);
+    } catch (err) {
+      console.error(`[decryptJobFields] Failed to decrypt AES key for job ${job.id}:`, err);
+      result = { success: false, error: 'Failed to decrypt AES key' };
+    }
+  }
+
+  for (const field of ENCRYPTED_JOB_FIELDS) {
+    const encryptedValue = job[`encrypted_${field}`];
+    if (encryptedValue && aesKey) {
+      try {
+        job[field] = encryptionUtils.decryptText(encryptedValue, aesKey, job[`${field}_iv`]);
+      } catch (err) {
+        console.error(`[decryptJobFields] Failed to decrypt ${field} for job ${job.id}:`, err);
+        job[field] = null;
+        result = { success: false, error: `Failed to decrypt ${field}` };
+      }
+    } else if (encryptedValue) {
+      job[field] = null;
+    }
+    delete job[`encrypted_${field}`];
+    delete job[`${field}_iv`];
+  }
+  delete job.encrypted_aes_key;
+
+  return result;
+}
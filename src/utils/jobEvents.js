@@ -0,0 +1,36 @@
+/**
+ * Job Events
+ *
+ * In-process notifications for job row changes.
+ * The processor and job queue emit after writing a job; SSE streams listen so they can
+ * re-read the row immediately instead of waiting for their next poll.
+ * Streams still poll the table, because the worker may run in another process.
+ */
+
+import { EventEmitter } from 'events';
+
+const jobEvents = new EventEmitter();
+// One listener per open SSE stream
+jobEvents.setMaxListeners(0);
+
+/**
+ * Notify listeners that a job row changed
+ *
+ * @param {string} jobId - Job UUID
+ */
+export function emitJobUpdated(jobId) {
+  jobEvents.emit(`job:${jobId}`);
+}
+
+/**
+ * Listen for changes to one job
+ *
+ * @param {string} jobId - Job UUID
+ * @param {Function} listener - Called with no arguments after each change
+ * @returns {Function} - Unsubscribe function
+ */
+export function onJobUpdated(jobId, listener) {
+  const eventName = `job:${jobId}`;
+  jobEvents.on(eventName, listener);
+  return () => jobEvents.off(eventName, listener);
+}
@@ -0,0 +1,268 @@
+/**
+ * LLM Provider Helper
+ *
+ * Single entry point for structured (JSON schema) LLM calls.
+ * Every provider takes the same provider-agnostic prompt
+ * ({ systemPrompt, userPrompt, schemaName, schema, maxTokens }) and returns the raw JSON string.
+ *
+ * Providers:
+ * - openai: OpenAI chat completions (OPENAI_API_KEY, OPENAI_API_URL, OPENAI_MODEL)
+ * - azure: Azure OpenAI deployment (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_KEY, AZURE_OPENAI_DEPLOYMENT)
+ * - gemini: Google Gemini generateContent (GEMINI_API_KEY, GEMINI_API_URL)
+ * - stub: deterministic offline provider, builds a response from the schema itself
+ *   (only registered when NODE_ENV is 'development' or 'test')
+ *
+ * The deployment default comes from LLM_PROVIDER (falls back to 'openai');
+ * callers may override it per request.
+ */
+
+import { buildChatCompletionRequestBody } from './gptRequestBodies.js';
+import { buildAzureRequestBody } from './azureRequestBody.js';
+import { buildGeminiRequestBody } from './geminiRequestBodies.js';
+import { getAzureOpenAIConfig } from './azureOpenaiConfig.js';
+
+// Offline providers are for local development and tests, never selectable in production
+const OFFLINE_PROVIDERS_ENABLED = ['development', 'test'].includes(process.env.NODE_ENV);
+
+export const LLM_PROVIDER_NAMES = ['openai', 'azure', 'gemini', ...(OFFLINE_PROVIDERS_ENABLED ? ['stub'] : [])];
+
+const DEFAULT_LLM_PROVIDER = 'openai';
+
+/**
+ * OpenAI chat completions request
+ *
+ * @private
+ * @param {object} reqBody - OpenAI request body
+ * @returns {Promise<string>} - LLM response content
+ */
+async function openaiSendRequest(reqBody) {
+  const openaiApiKey = process.env.OPENAI_API_KEY;
+  const openaiApiUrl = process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
+
+  if (!openaiApiKey) {
+    throw new Error('OpenAI API key not configured');
+  }
+
+  console.log(`[llmProviders:openai] Using OpenAI model: ${reqBody.model}`);
+  const response = await fetch(openaiApiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${openaiApiKey}`,
+    },
+    body: JSON.stringify(reqBody),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`OpenAI API error: ${errorText}`);
+  }
+
+  const openaiData = await response.json();
+  if (!openaiData.choices || !openaiData.choices[0]?.message) {
+    throw new Error('Invalid response from OpenAI API');
+  }
+
+  if (openaiData.usage) {
+    console.log(`[llmProviders:openai] Tokens - prompt: ${openaiData.usage.prompt_tokens}, completion: ${openaiData.usage.completion_tokens}, total: ${openaiData.usage.total_tokens}`);
+  }
+
+  return openaiData.choices[0].message.content;
+}
+
+/**
+ * Azure OpenAI chat completions request
+ *
+ * @private
+ * @param {object} reqBody - Azure OpenAI request body
+ * @returns {Promise<string>} - LLM response content
+ */
+async function azureSendRequest(reqBody) {
+  const azureEndpoint = process.env.AZURE_OPENAI_ENDPOINT;
+  const azureApiKey = process.env.AZURE_OPENAI_KEY;
+
+  if (!azureEndpoint || !azureApiKey) {
+    throw new Error('Missing Azure OpenAI environment variables. Configure AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_KEY to use Azure OpenAI.');
+  }
+
+  // Dynamically import AzureOpenAI to avoid hard dependency
+  const { AzureOpenAI } = await import('openai');
+  const azureConfig = getAzureOpenAIConfig();
+
+  console.log(`[llmProviders:azure] Using Azure deployment: ${azureConfig.deploymentName}`);
+  const client = new AzureOpenAI({
+    apiVersion: azureConfig.apiVersion,
+    apiKey: azureApiKey,
+    baseURL: `${azureEndpoint}/openai/deployments/${azureConfig.deploymentName}`,
+    defaultQuery: { 'api-version': azureConfig.apiVersion },
+    defaultHeaders: { 'api-key': azureApiKey },
+  });
+
+  const response = await client.chat.completions.create({
+    messages: reqBody.messages,
+    model: azureConfig.deploymentName,
+    max_completion_tokens: reqBody.max_completion_tokens || reqBody.max_tokens,
+    temperature: reqBody.temperature,
+    top_p: reqBody.top_p,
+    response_format: reqBody.response_format,
+  });
+
+  if (!response.choices || !response.choices[0]?.message) {
+    throw new Error('Invalid response from Azure OpenAI API');
+  }
+
+  if (response.usage) {
+    console.log(`[llmProviders:azure] Tokens - prompt: ${response.usage.prompt_tokens}, completion: ${response.usage.completion_tokens}, total: ${response.usage.total_tokens}`);
+  }
+
+  return response.choices[0].message.content;
+}
+
+/**
+ * Google Gemini generateContent request
+ *
+ * @private
+ * @param {object} reqBody - Gemini request body
+ * @returns {Promise<string>} - LLM response content
+ */
+async function geminiSendRequest(reqBody) {
+  const geminiApiKey = process.env.GEMINI_API_KEY;
+  const geminiApiUrl = process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent';
+
+  if (!geminiApiKey) {
+    throw new Error('Gemini API key not configured');
+  }
+
+  const response = await fetch(geminiApiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': geminiApiKey,
+    },
+    body: JSON.stringify(reqBody),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Gemini API error: ${errorText}`);
+  }
+
+  const geminiData = await response.json();
+  const text = geminiData.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('');
+  if (!text) {
+    throw new Error('Invalid response from Gemini API');
+  }
+
+  return text;
+}
+
+/**
+ * Builds a deterministic value for a JSON schema node.
+ * Strings are labelled with their path so the output is recognisable in tests,
+ * and the first string field echoes any {{TYPE_ID}} tokens from the prompt so the
+ * PHI unmasking round trip is exercised offline.
+ *
+ * @private
+ * @param {object} schema - JSON schema node
+ * @param {string} path - Dot path of this node
+ * @param {object} state - { tokens: string[], tokensUsed: boolean }
+ * @returns {any}
+ */
+function buildStubValue(schema, path, state) {
+  switch (schema?.type) {
+    case 'object': {
+      const result = {};
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        result[key] = buildStubValue(child, path ? `${path}.${key}` : key, state);
+      }
+      return result;
+    }
+    case 'array':
+      return [buildStubValue(schema.items, `${path}[0]`, state)];
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default: {
+      let value = `Stub ${path}`;
+      if (!state.tokensUsed && state.tokens.length > 0) {
+        value += `: ${state.tokens.join(' ')}`;
+        state.tokensUsed = true;
+      }
+      return value;
+    }
+  }
+}
+
+const providers = {
+  openai: {
+    name: 'openai',
+    buildRequestBody: (prompt) => buildChatCompletionRequestBody(prompt, { model: process.env.OPENAI_MODEL || 'o3' }),
+    sendRequest: openaiSendRequest,
+  },
+  azure: {
+    name: 'azure',
+    buildRequestBody: buildAzureRequestBody,
+    sendRequest: azureSendRequest,
+  },
+  gemini: {
+    name: 'gemini',
+    buildRequestBody: buildGeminiRequestBody,
+    sendRequest: geminiSendRequest,
+  },
+};
+
+if (OFFLINE_PROVIDERS_ENABLED) {
+  providers.stub = {
+    name: 'stub',
+    buildRequestBody: (prompt) => prompt,
+    sendRequest: async (prompt) => {
+      const tokens = [...new Set(prompt.userPrompt?.match(/\{\{[^}]+\}\}/g) || [])];
+      const state = { tokens, tokensUsed: false };
+      return JSON.stringify(buildStubValue(prompt.schema, '', state));
+    },
+  };
+}
+
+/**
+ * Resolve the provider name for a call: explicit name -> LLM_PROVIDER env -> 'openai'
+ *
+ * @param {string} [name] - Provider name requested by the caller
+ * @returns {string} - Resolved provider name
+ * @throws {Error} - If the name is not a known provider
+ */
+export function resolveLlmProviderName(name) {
+  const resolved = (name || process.env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER).toLowerCase();
+  if (!providers[resolved]) {
+    const e = new Error(`Unknown LLM provider: ${resolved}. Expected one of: ${LLM_PROVIDER_NAMES.join(', ')}`);
+    e.status = 400;
+    throw e;
+  }
+  return resolved;
+}
+
+/**
+ * Get an LLM provider by name
+ *
+ * @param {string} [name] - Provider name (defaults to LLM_PROVIDER env, then 'openai')
+ * @returns {{ name: string, buildRequestBody: Function, sendRequest: Function }}
+ */
+export function getLlmProvider(name) {
+  return providers[resolveLlmProviderName(name)];
+}
+
+/**
+ * Send a structured prompt to an LLM provider and return the raw JSON string it produced
+ *
+ * @param {object} prompt - { systemPrompt, userPrompt, schemaName, schema, maxTokens }
+ * @param {object} [options]
+ * @param {string} [options.provider] - Provider name override
+ * @returns {Promise<string>} - Raw LLM response content
+ */
+export async function generateJson(prompt, { provider } = {}) {
+  const llmProvider = getLlmProvider(provider);
+  const reqBody = llmProvider.buildRequestBody(prompt);
+  console.log(`[generateJson] Sending "${prompt.schemaName}" prompt to ${llmProvider.name}`);
+  return llmProvider.sendRequest(reqBody);
+}
@@ -1,73 +1,123 @@
 /**
- * AWS Comprehend Medical PHI Masking Helper
+ * PHI Masking Helper
  * 
  * Provides reusable functions for masking and unmasking Protected Health Information (PHI)
- * in medical transcripts using AWS Comprehend Medical API.
+ * in medical transcripts. Detection is done by a PHI detector (see phiDetectors.js):
+ * AWS Comprehend Medical, the offline rule-based detector, or both.
  */
 
-import {
-  ComprehendMedicalClient,
-  DetectPHICommand,
-} from "@aws-sdk/client-comprehendmedical";
+import { getPhiDetector, mergeEntitySpans } from "./phiDetectors.js";
+import { createSurrogateContext, findSurrogateReplacements, resolvePhiMaskMode } from "./phiSurrogates.js";
+import { shouldMaskEntity } from "./phiMaskingPolicy.js";
+
+// Characters shared by consecutive detector windows of a long transcript
+const WINDOW_OVERLAP_CHARS = 1000;
+
+// {{TYPE_ID}}, plus the variants LLMs reformat it into: {{ TYPE_ID }}, {TYPE_ID}, [TYPE_ID]
+const TOKEN_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}|[{[]([A-Za-z][A-Za-z_]*_\d+)[}\]]/g;
 
 /**
- * Masks PHI (Protected Health Information) in a transcript using AWS Comprehend Medical.
+ * Masks PHI (Protected Health Information) in a transcript.
  * 
- * Handles large transcripts by chunking (AWS limit: 20,000 chars).
- * Replaces PHI with tokens in format {{TYPE_ID}} (e.g., {{NAME_1}}).
+ * Handles large transcripts with overlapping windows (detector limit, e.g. AWS 20,000 chars);
+ * entities found in several windows, or cut short at a window edge, are merged into one span.
+ * Replaces PHI with tokens in format {{TYPE_ID}} (e.g., {{NAME_1}}), or in surrogate mode with
+ * consistent fake values (see phiSurrogates.js); entities without a surrogate still get tokens.
+ * The same text of the same type gets the same token everywhere in the transcript.
+ * A masking policy (see phiMaskingPolicy.js) limits the masked types, sets per-type thresholds and
+ * allowlisted terms, and picks tokens or shifted dates for DATE entities.
+ * Pass `surrogates` from the result to unmask_phi.
  * 
  * @param {string} transcript - The medical transcript to mask
  * @param {number} [mask_threshold=0.15] - Confidence threshold (0-1) for masking
- * @returns {Promise<Object>} - { masked_transcript, phi_entities, skipped_entities, mask_threshold, chunks_processed }
- * @throws {Error} - If transcript is not a string
+ * @param {Object} [options]
+ * @param {string} [options.provider] - PHI detector name (defaults to PHI_DETECTOR env, then 'comprehend')
+ * @param {string} [options.mode] - 'token' or 'surrogate' (defaults to PHI_MASK_MODE env, then 'token')
+ * @param {string|Buffer} [options.seed] - Surrogate seed; the same seed gives the same surrogates (random when omitted)
+ * @param {Object|null} [options.policy] - Masking policy (none: every type at mask_threshold)
+ * @returns {Promise<Object>} - { masked_transcript, phi_entities, skipped_entities, phi_summary, mask_threshold, chunks_processed, tokens, provider, mode, surrogates, policy }
+ *   phi_summary: { [Type]: { masked, unique, skipped } } - masked entities, distinct masked texts and skipped entities per type
+ *   surrogates is set in surrogate mode, and in token mode when the policy shifts dates
+ * @throws {Error} - If transcript is not a string, or the detector or mode is unknown (status 400)
  */
-export async function mask_phi(transcript, mask_threshold = 0.15) {
+export async function mask_phi(transcript, mask_threshold = 0.15, { provider, mode, seed, policy = null } = {}) {
   if (!transcript || typeof transcript !== "string") {
     throw new Error("Transcript is required and must be a string");
   }
 
-  // AWS Comprehend Medical has a 20,000 character limit
-  const MAX_CHARS = 19000; // Leave some buffer for safety
-  
-  // If transcript is within limit, process normally
-  if (transcript.length <= MAX_CHARS) {
-    return await processSingleChunk(transcript, mask_threshold);
+  const detector = getPhiDetector(provider);
+  const maskMode = resolvePhiMaskMode(mode);
+  const threshold = Number(mask_threshold);
+
+  const windows = splitIntoWindows(transcript, detector.maxChars);
+  if (windows.length > 1) {
+    console.log(`Transcript length (${transcript.length}) exceeds ${detector.name} limit. Splitting into ${windows.length} overlapping chunks.`);
   }
 
-  // For longer transcripts, split into chunks and process each
-  console.log(`Transcript length (${transcript.length}) exceeds AWS limit. Splitting into chunks.`);
-  
-  const chunks = splitIntoChunks(transcript, MAX_CHARS);
-  let allEntities = [];
-  let currentOffset = 0;
-  let maskedTranscript = "";
-
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    console.log(`Processing chunk ${i + 1}/${chunks.length}, length: ${chunk.length}`);
-    
-    const chunkResult = await processSingleChunk(chunk, mask_threshold);
-    
-    // Adjust entity offsets to account for previous chunks
-    const adjustedEntities = chunkResult.phi_entities.map(entity => ({
-      ...entity,
-      BeginOffset: entity.BeginOffset + currentOffset,
-      EndOffset: entity.EndOffset + currentOffset,
-      Id: entity.Id + (i * 1000) // Offset IDs to avoid conflicts between chunks
-    }));
-    
-    allEntities = allEntities.concat(adjustedEntities);
-    maskedTranscript += chunkResult.masked_transcript;
-    currentOffset += chunk.length;
+  // Detect per window, with offsets relative to the whole transcript
+  const detected = [];
+  for (let i = 0; i < windows.length; i++) {
+    const { start, end } = windows[i];
+    if (windows.length > 1) {
+      console.log(`Processing chunk ${i + 1}/${windows.length}, length: ${end - start}`);
+    }
+    const entities = await detector.detect(transcript.slice(start, end));
+    for (const entity of entities) {
+      detected.push({ ...entity, BeginOffset: entity.BeginOffset + start, EndOffset: entity.EndOffset + start });
+    }
   }
 
+  // Overlapping spans (repeats from the overlap, partial matches at a window edge) become one entity
+  const shouldMask = (e) => shouldMaskEntity(e, threshold, policy);
+  const kept = mergeEntitySpans(transcript, detected.filter(shouldMask));
+  const skipped_entities = uniqueSpans(detected.filter((e) => !shouldMask(e)))
+    .filter((e) => !kept.some((k) => e.BeginOffset < k.EndOffset && e.EndOffset > k.BeginOffset))
+    .map((e) => ({ Type: e.Type, Text: transcript.slice(e.BeginOffset, e.EndOffset), BeginOffset: e.BeginOffset, EndOffset: e.EndOffset, Score: e.Score }));
+
+  // One Id per distinct text of a type, numbered per type in order of appearance
+  const ids = new Map();
+  const nextId = {};
+  const phi_entities = kept.map((entity) => {
+    const key = `${entity.Type}:${normalizePhiText(entity.Text)}`;
+    if (!ids.has(key)) {
+      nextId[entity.Type] = (nextId[entity.Type] || 0) + 1;
+      ids.set(key, nextId[entity.Type]);
+    }
+    return { ...entity, Id: ids.get(key) };
+  });
+
+  // Mask PHI spans using token format {{TYPE_ID}} (e.g. {{NAME_1}}) or a surrogate
+  // We iterate from the end so offsets remain valid.
+  // The policy's date_handling overrides the mode for DATE entities.
+  const dateHandling = policy?.date_handling || (maskMode === 'surrogate' ? 'shift' : 'mask');
+  const takesSurrogate = (entity) => (entity.Type === 'DATE' ? dateHandling === 'shift' : maskMode === 'surrogate');
+  const surrogateContext = maskMode === 'surrogate' || dateHandling === 'shift' ? createSurrogateContext(transcript, { seed }) : null;
+  let maskedTranscript = transcript;
+  for (const entity of [...phi_entities].reverse()) {
+    const surrogate = takesSurrogate(entity) ? surrogateContext.surrogateFor(entity) : null;
+    if (surrogate) entity.Surrogate = surrogate;
+    const token = surrogate || `{{${entity.Type}_${entity.Id}}}`;
+    maskedTranscript =
+      maskedTranscript.slice(0, entity.BeginOffset) +
+      token +
+      maskedTranscript.slice(entity.EndOffset);
+  }
+
+  const phi_summary = buildPhiSummary(phi_entities, skipped_entities);
+  console.log("Masked PHI entities:", phi_summary);
+
   return {
     masked_transcript: maskedTranscript,
-    phi_entities: allEntities,
-    skipped_entities: [], // Could aggregate if needed
-    mask_threshold: mask_threshold !== undefined ? Number(mask_threshold) : 0.15,
-    chunks_processed: chunks.length,
-    tokens: buildTokenMap(allEntities)
+    phi_entities,
+    skipped_entities,
+    phi_summary,
+    mask_threshold: threshold,
+    chunks_processed: windows.length,
+    tokens: buildTokenMap(phi_entities),
+    provider: detector.name,
+    mode: maskMode,
+    surrogates: surrogateContext ? surrogateContext.finish(maskedTranscript) : null,
+    policy
   };
 }
 
@@ -76,13 +126,21 @@ export async function mask_phi(transcript, mask_threshold = 0.15) {
  * 
  * Performs direct O(1) dictionary lookup for each token, safely handling any order of appearance.
  * Works correctly even if entities appear in random order in the SOAP note.
+ * Tokens the LLM reformatted ({{ NAME_1 }}, {NAME_1}, [NAME_1]) are restored too; with `surrogates`
+ * from a surrogate-mode mask_phi, surrogate values are reversed and shifted dates shifted back.
+ * 
+ * Warnings (one per distinct token):
+ * - { type: 'unknown_token', token, count } - token not in the tokens dict (or without a value), left in the text
+ * - { type: 'reformatted_token', token, key, count } - reformatted token, restored as key
  * 
  * @param {string} maskedText - Transcript with {{TYPE_ID}} tokens
  * @param {Object} tokens - Object mapping token keys ("TYPE_ID") to original text from AWS Comprehend
- * @returns {Object} - { unmasked_transcript }
+ * @param {Object} [options]
+ * @param {Object} [options.surrogates] - surrogates from mask_phi (surrogate mode)
+ * @returns {Object} - { unmasked_transcript, warnings }
  * @throws {Error} - If maskedText is not a string or tokens is not an object
  */
-export function unmask_phi(maskedText, tokens) {
+export function unmask_phi(maskedText, tokens, { surrogates } = {}) {
   if (!maskedText || typeof maskedText !== 'string') {
     throw new Error('maskedText is required and must be a string');
   }
@@ -92,43 +150,52 @@ export function unmask_phi(maskedText, tokens) {
   }
 
   // Log input details
-  const tokenCount = Object.keys(tokens).length;
   const tokenKeys = Object.keys(tokens);
   console.log('[unmask_phi] Starting unmask operation');
   console.log('[unmask_phi] Token keys:', tokenKeys);
-  
-  // Count masked tokens in input
-  const maskedTokenPattern = /\{\{([^}]+)\}\}/g;
-  const maskedTokensInText = maskedText.match(maskedTokenPattern) || [];
-  console.log('[unmask_phi] Masked tokens found in input:', maskedTokensInText);
-  
-  let unmaskedCount = 0;
-  let missingTokenCount = 0;
-
-  const unmasked = maskedText.replace(/\{\{([^}]+)\}\}/g, (match, inner) => {
-    const replacement = tokens[inner];
-    
-    if (!tokens.hasOwnProperty(inner)) {
-      console.error('[unmask_phi] PHI token undefined:', match);
-      missingTokenCount++;
-      return match;
-    } else if (!replacement) {
-      console.error('[unmask_phi] PHI token missing from tokens dict:', match);
-      missingTokenCount++;
-      return match;
+
+  const replacements = [];
+  const warnings = new Map();
+  const warn = (type, token, extra = {}) => {
+    const key = `${type}:${token}`;
+    if (!warnings.has(key)) warnings.set(key, { type, token, ...extra, count: 0 });
+    warnings.get(key).count++;
+  };
+
+  for (const match of maskedText.matchAll(TOKEN_PATTERN)) {
+    const inner = match[1] ?? match[2];
+    const key = match[1] !== undefined && tokens.hasOwnProperty(inner) ? inner : inner.trim().toUpperCase();
+    const replacement = tokens.hasOwnProperty(key) ? tokens[key] : undefined;
+
+    if (!replacement) {
+      console.error('[unmask_phi] PHI token undefined:', match[0]);
+      warn('unknown_token', match[0]);
+      continue;
+    }
+    if (match[0] !== `{{${key}}}`) {
+      console.warn(`[unmask_phi] Reformatted PHI token ${match[0]} restored as {{${key}}}`);
+      warn('reformatted_token', match[0], { key });
     }
+    replacements.push({ begin: match.index, end: match.index + match[0].length, replacement });
+  }
 
-    unmaskedCount++;
-    console.log(`[unmask_phi] Unmasked ${match} -> "${replacement}"`);
-    return replacement;
-  });
+  if (surrogates) {
+    const isFree = (begin, end) => !replacements.some((r) => begin < r.end && end > r.begin);
+    replacements.push(...findSurrogateReplacements(maskedText, surrogates, isFree));
+  }
+
+  // Apply from the end so earlier offsets stay valid
+  let unmasked = maskedText;
+  for (const { begin, end, replacement } of replacements.sort((a, b) => b.begin - a.begin)) {
+    unmasked = unmasked.slice(0, begin) + replacement + unmasked.slice(end);
+  }
 
-  console.log('[unmask_phi] Unmasking complete');
-  return { unmasked_transcript: unmasked };
+  console.log(`[unmask_phi] Unmasking complete (${replacements.length} replacements, ${warnings.size} warnings)`);
+  return { unmasked_transcript: unmasked, warnings: [...warnings.values()] };
 }
 
 /**
- * Build a token map from phi_entities for unmasking
+ * Build a token map from phi_entities for unmasking (entities replaced by a surrogate have no token)
  * 
  * @private
  * @param {Array} phi_entities - Array of PHI entity objects
@@ -137,117 +204,106 @@ export function unmask_phi(maskedText, tokens) {
 function buildTokenMap(phi_entities = []) {
   const tokens = {};
   for (const entity of phi_entities) {
+    if (entity.Surrogate) continue;
     const key = `${entity.Type}_${entity.Id}`;
-    tokens[key] = entity.Text;
+    tokens[key] ??= entity.Text;
   }
   return tokens;
 }
 
 /**
- * Split text into chunks that respect word boundaries when possible
+ * Per-type counts of masked entities, distinct masked texts (tokens) and skipped entities
  * 
  * @private
- * @param {string} text - The text to split
- * @param {number} maxChars - Maximum characters per chunk
- * @returns {Array<string>} - Array of text chunks
+ * @param {Array} phi_entities - Masked entities (with Id)
+ * @param {Array} skipped_entities - Entities below the threshold
+ * @returns {Object} - { [Type]: { masked, unique, skipped } }
  */
-function splitIntoChunks(text, maxChars) {
-  const chunks = [];
-  let start = 0;
-  
-  while (start < text.length) {
-    let end = Math.min(start + maxChars, text.length);
-    
-    // If not at the end of the text, try to break at a word boundary
-    if (end < text.length) {
-      // Look backwards for a space, period, or newline within the last 500 chars
-      const searchStart = Math.max(start, end - 500);
-      const breakPoint = text.lastIndexOf(' ', end);
-      
-      if (breakPoint > searchStart) {
-        end = breakPoint + 1; // Include the space
-      }
-    }
-    
-    chunks.push(text.slice(start, end));
-    start = end;
+function buildPhiSummary(phi_entities, skipped_entities) {
+  const summary = {};
+  const typeSummary = (type) => (summary[type] ??= { masked: 0, unique: 0, skipped: 0 });
+  for (const entity of phi_entities) {
+    const counts = typeSummary(entity.Type);
+    counts.masked++;
+    counts.unique = Math.max(counts.unique, entity.Id);
+  }
+  for (const entity of skipped_entities) {
+    typeSummary(entity.Type).skipped++;
   }
-  
-  return chunks;
+  return summary;
 }
 
 /**
- * Process a single chunk of text using AWS Comprehend Medical
+ * Identity of PHI text for token reuse: the same characters, ignoring surrounding and repeated whitespace
  * 
  * @private
- * @param {string} transcript - The text to process
- * @param {number} [mask_threshold=0.15] - Confidence threshold for masking
- * @returns {Promise<Object>} - { masked_transcript, phi_entities, skipped_entities, mask_threshold }
+ * @param {string} text
+ * @returns {string}
  */
-async function processSingleChunk(transcript, mask_threshold = 0.15) {
-  // AWS Comprehend Medical client configuration
-  const clientConfig = {
-    region: process.env.AWS_REGION || "us-east-1",
-  };
+function normalizePhiText(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
 
-  // Only set explicit credentials if they exist (for local development)
-  // On EC2, the SDK will automatically use IAM role from default credential chain
-  if (process.env.AWS_COMPREHEND_ACCESS_KEY_ID && process.env.AWS_COMPREHEND_SECRET_ACCESS_KEY) {
-    clientConfig.credentials = {
-      accessKeyId: process.env.AWS_COMPREHEND_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_COMPREHEND_SECRET_ACCESS_KEY,
-    };
-  }
+/**
+ * Drop repeats of the same span and type (entities found again in a window overlap)
+ * 
+ * @private
+ * @param {Array} entities
+ * @returns {Array}
+ */
+function uniqueSpans(entities) {
+  const seen = new Set();
+  return entities
+    .sort((a, b) => a.BeginOffset - b.BeginOffset)
+    .filter((e) => {
+      const key = `${e.Type}:${e.BeginOffset}:${e.EndOffset}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
 
-  const client = new ComprehendMedicalClient(clientConfig);
-
-  // Call detect PHI
-  const command = new DetectPHICommand({ Text: transcript });
-  const response = await client.send(command);
-  const entities = response.Entities || [];
-
-  // Sort entities (descending) so replacements don't shift indexes
-  const sortedEntities = [...entities].sort((a, b) => b.BeginOffset - a.BeginOffset);
-
-  // Determine threshold: param -> env -> default
-  const threshold =
-    mask_threshold !== undefined
-      ? Number(mask_threshold)
-      : 0.15;
-
-  // Normalize and attach an Id for each entity. Use existing Id if provided by the SDK,
-  // otherwise generate a sequential id (per entity) so replacement tokens are stable.
-  // Then filter by score threshold so we only mask high-confidence entities.
-  const normalized = sortedEntities.map((e, idx) => ({
-    Type: e.Type,
-    Text: e.Text,
-    BeginOffset: e.BeginOffset,
-    EndOffset: e.EndOffset,
-    Score: e.Score,
-    Id: e.Id ?? idx + 1,
-  }));
-
-  const phi_entities = normalized.filter(e => Number(e.Score) >= threshold);
-  const skipped_entities = normalized.filter(e => Number(e.Score) < threshold);
-
-  // Mask PHI spans using token format {{TYPE_ID}} (e.g. {{NAME_1}})
-  // We iterate masked entities (already sorted desc) so offsets remain valid.
-  let maskedTranscript = transcript;
-  for (const entity of phi_entities) {
-    const token = `{{${entity.Type}_${entity.Id}}}`;
-    maskedTranscript =
-      maskedTranscript.slice(0, entity.BeginOffset) +
-      token +
-      maskedTranscript.slice(entity.EndOffset);
+/**
+ * Split text into overlapping windows of at most maxChars that start and end at word boundaries
+ * when possible. Consecutive windows share WINDOW_OVERLAP_CHARS (at most a tenth of maxChars),
+ * so an entity cut by one window's end is seen whole by the next.
+ * 
+ * @private
+ * @param {string} text - The text to split
+ * @param {number} maxChars - Maximum characters per window (Infinity for a single window)
+ * @returns {Array<{ start: number, end: number }>} - Window offsets
+ */
+function splitIntoWindows(text, maxChars) {
+  if (text.length <= maxChars) {
+    return [{ start: 0, end: text.length }];
   }
 
-  console.log("Masked transcript:", maskedTranscript, "PHI entities:", phi_entities);
+  const overlap = Math.min(WINDOW_OVERLAP_CHARS, Math.floor(maxChars / 10));
+  const windows = [];
+  let start = 0;
 
-  return { 
-    masked_transcript: maskedTranscript, 
-    phi_entities, 
-    skipped_entities, 
-    mask_threshold: threshold,
-    tokens: buildTokenMap(phi_entities)
-  };
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+
+    // If not at the end of the text, try to break at a space within the last 500 chars
+    if (end < text.length) {
+      const breakPoint = text.lastIndexOf(' ', end - 1);
+      if (breakPoint > Math.max(start, end - 500)) {
+        end = breakPoint + 1; // Include the space
+      }
+    }
+
+    windows.push({ start, end });
+    if (end >= text.length) break;
+
+    // Next window starts `overlap` earlier, after a space when there is one
+    let next = end - overlap;
+    const wordStart = text.indexOf(' ', next);
+    if (wordStart !== -1 && wordStart < end) {
+      next = wordStart + 1;
+    }
+    start = Math.max(next, start + 1);
+  }
+
+  return windows;
 }
@@ -0,0 +1,54 @@
+/**
+ * Masking Document
+ *
+ * Several texts sent to one LLM prompt (e.g. transcript, current note text, clinician instructions)
+ * are masked together in a single mask_phi call, so the LLM sees one consistent set of
+ * {{TYPE_ID}} tokens and a single unmask_phi call restores the response.
+ * Each part is preceded by a plain-text separator line that PHI detection leaves alone.
+ */
+
+/**
+ * @private
+ * @param {string} name - Part name, e.g. "current_text"
+ * @returns {string} - e.g. "=====CURRENT_TEXT====="
+ */
+function partMarker(name) {
+  return `=====${name.toUpperCase()}=====`;
+}
+
+/**
+ * Combine named parts into one document for mask_phi
+ *
+ * @param {Object<string, string>} parts - Part name -> text (missing text is sent as empty)
+ * @returns {string}
+ */
+export function buildMaskingDocument(parts) {
+  return Object.entries(parts)
+    .map(([name, text]) => `${partMarker(name)}\n${text ?? ''}`)
+    .join('\n\n');
+}
+
+/**
+ * Split a masked document from buildMaskingDocument back into its parts
+ * Separators are searched from the end, so a part's text that happens to contain an
+ * earlier separator does not cut the later parts short.
+ *
+ * @param {string} maskedDocument - masked_transcript from mask_phi
+ * @param {string[]} names - Part names, in the order passed to buildMaskingDocument
+ * @returns {Object<string, string>} - Part name -> masked text (trimmed)
+ * @throws {Error} - If a separator was lost in masking
+ */
+export function splitMaskingDocument(maskedDocument, names) {
+  const parts = {};
+  let end = maskedDocument.length;
+  for (const name of [...names].reverse()) {
+    const marker = partMarker(name);
+    const start = maskedDocument.lastIndexOf(marker, end - marker.length);
+    if (start === -1) {
+      throw new Error('Masked document is missing its section separators');
+    }
+    parts[name] = maskedDocument.slice(start + marker.length, end).trim();
+    end = start;
+  }
+  return Object.fromEntries(names.map((name) => [name, parts[name]]));
+}
@@ -0,0 +1,142 @@
+/**
+ * Note Templates
+ *
+ * A note template describes the SOAP note the LLM should write:
+ * {
+ *   name, specialty,
+ *   sections: [{ key, description, required, subsections?: [{ key, description, required }] }]
+ * }
+ * - section keys are the SOAP sections (subjective, objective, assessment, plan), in output order
+ * - a section with subsections is an object of strings, otherwise a single string
+ * - required: false lets the model (and the validator) leave the field out
+ *
+ * The LLM JSON schema (buildSoapNoteSchema) and the response validator
+ * (soapNoteValidator.validateSoapAndBilling) are both generated from the template.
+ * Templates are stored per user in the noteTemplates table (see noteTemplatesController.js);
+ * DEFAULT_NOTE_TEMPLATE is used when the user has none.
+ */
+
+export const SOAP_SECTION_KEYS = ['subjective', 'objective', 'assessment', 'plan'];
+
+// OpenAI structured outputs allow at most 100 object properties per schema (billing and sections use 9)
+export const MAX_TEMPLATE_SUBSECTIONS = 80;
+
+const OPTIONAL_FIELD_NOTE = ' Optional: leave blank if not documented in the transcript.';
+
+export const DEFAULT_NOTE_TEMPLATE = {
+  name: 'Default SOAP note',
+  specialty: null,
+  sections: [
+    {
+      key: 'subjective',
+      description: 'Subjective findings - what the patient reports (symptoms, concerns, history)',
+      required: true,
+      subsections: [
+        { key: 'Chief complaint', description: 'Chief complaint of the patient', required: true },
+        { key: 'HPI', description: 'History of Present Illnesses. ', required: true },
+        { key: 'History', description: 'Past medical, surgical, family, and social history', required: true },
+        { key: 'ROS', description: 'Review of Systems', required: true },
+        { key: 'Medications', description: 'Current medications', required: true },
+        { key: 'Allergies', description: 'Known allergies', required: true },
+      ],
+    },
+    {
+      key: 'objective',
+      description: 'Objective clinical observations - measurable/observable findings (vitals, physical exam, lab results). If not mentioned in transcript, assume result is normal/as expected.',
+      required: true,
+      subsections: [
+        { key: 'HEENT', description: 'HEENT (Head, Eyes, Ears, Nose, Throat) exam findings', required: true },
+        { key: 'General', description: 'General exam findings', required: true },
+        { key: 'Cardiovascular', description: 'Cardiovascular exam findings', required: true },
+        { key: 'Musculoskeletal', description: 'Musculoskeletal exam findings', required: true },
+        { key: 'Other', description: 'Other objective findings', required: true },
+      ],
+    },
+    {
+      key: 'assessment',
+      description: 'Clinical assessment and diagnosis based on subjective and objective findings',
+      required: true,
+    },
+    {
+      key: 'plan',
+      description: 'Based solely on the transcript, summarize a treatment plan, medications, follow-up instructions and next steps. Do not include your own assumptions or inferences, and only output data if present in the transcript, otherwise leave it blank.',
+      required: true,
+    },
+  ],
+};
+
+/**
+ * Field description for the LLM, flagging optional fields
+ *
+ * @private
+ * @param {{ description?: string, required?: boolean }} field - Section or subsection
+ * @returns {string}
+ */
+function describeField(field) {
+  const description = field.description || '';
+  return field.required === false ? `${description}${OPTIONAL_FIELD_NOTE}`.trim() : description;
+}
+
+/**
+ * Build the soap_note JSON schema for a template
+ * Every field is listed in `required` because strict structured outputs demand it;
+ * optional fields are marked in their description and may come back blank.
+ *
+ * @param {Object} [template=DEFAULT_NOTE_TEMPLATE] - Note template
+ * @returns {Object} - JSON schema for the soap_note object
+ */
+export function buildSoapNoteSchema(template = DEFAULT_NOTE_TEMPLATE) {
+  const properties = {};
+
+  for (const section of template.sections) {
+    if (Array.isArray(section.subsections) && section.subsections.length > 0) {
+      properties[section.key] = {
+        type: 'object',
+        additionalProperties: false,
+        description: describeField(section),
+        properties: Object.fromEntries(section.subsections.map((subsection) => [
+          subsection.key,
+          { type: 'string', description: describeField(subsection) },
+        ])),
+        required: section.subsections.map((subsection) => subsection.key),
+      };
+    } else {
+      properties[section.key] = { type: 'string', description: describeField(section) };
+    }
+  }
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties,
+    required: template.sections.map((section) => section.key),
+  };
+}
+
+/**
+ * Resolve the template to use for a note: a stored template (row or job snapshot) or the default
+ *
+ * @param {Object|null} [template] - { name, specialty, sections } or null
+ * @returns {Object} - Template with sections
+ */
+export function resolveNoteTemplate(template) {
+  if (template && Array.isArray(template.sections) && template.sections.length > 0) {
+    return template;
+  }
+  return DEFAULT_NOTE_TEMPLATE;
+}
+
+/**
+ * Snapshot of a stored template for pinning on a job (no row metadata)
+ *
+ * @param {Object} noteTemplate - noteTemplates row
+ * @returns {{ id: number, name: string, specialty: string|null, sections: Array }}
+ */
+export function toNoteTemplateSnapshot(noteTemplate) {
+  return {
+    id: noteTemplate.id,
+    name: noteTemplate.name,
+    specialty: noteTemplate.specialty ?? null,
+    sections: noteTemplate.sections,
+  };
+}
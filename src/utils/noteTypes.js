@@ -0,0 +1,181 @@
+/**
+ * Note Types
+ *
+ * Registry of the clinical notes the pipeline can write from a recording.
+ * Each note type has its own prompt wording and section layout; the layout uses the
+ * note template shape (see noteTemplates.js), so the LLM JSON schema and the response
+ * validator are generated the same way for every type.
+ *
+ * - soap: SOAP note, sections come from the user's note template (or DEFAULT_NOTE_TEMPLATE)
+ * - history_and_physical: admission H&P
+ * - progress: daily progress note
+ * - procedure: procedure note
+ * - discharge_summary: hospital discharge summary
+ *
+ * Every type is returned in the same { soap_note, billing } envelope and stored in the
+ * soapNotes table with its note_type.
+ */
+
+import { resolveNoteTemplate } from './noteTemplates.js';
+
+export const NOTE_TYPE_NAMES = ['soap', 'history_and_physical', 'progress', 'procedure', 'discharge_summary'];
+
+export const DEFAULT_NOTE_TYPE = 'soap';
+
+const noteTypes = {
+  soap: {
+    name: 'soap',
+    label: 'SOAP note',
+    systemRole: 'generate SOAP notes',
+    instructions: '',
+    // Sections come from the note template
+    template: null,
+  },
+  history_and_physical: {
+    name: 'history_and_physical',
+    label: 'History and physical (H&P)',
+    systemRole: 'write admission history and physical (H&P) notes',
+    instructions: ' Document the full admission history and physical; keep pertinent negatives the clinician elicited.',
+    template: {
+      name: 'History and physical',
+      specialty: null,
+      sections: [
+        { key: 'chief_complaint', description: 'Chief complaint, in the patient\'s words where possible', required: true },
+        { key: 'history_of_present_illness', description: 'History of present illness: onset, course, associated symptoms and prior workup', required: true },
+        {
+          key: 'past_history',
+          description: 'Past history',
+          required: true,
+          subsections: [
+            { key: 'Medical', description: 'Past medical history', required: true },
+            { key: 'Surgical', description: 'Past surgical history', required: true },
+            { key: 'Family', description: 'Family history', required: true },
+            { key: 'Social', description: 'Social history (tobacco, alcohol, drugs, living situation, functional status)', required: true },
+          ],
+        },
+        { key: 'medications', description: 'Home medications with doses where stated', required: true },
+        { key: 'allergies', description: 'Allergies and reactions', required: true },
+        { key: 'review_of_systems', description: 'Review of systems', required: true },
+        { key: 'physical_exam', description: 'Physical exam including vital signs', required: true },
+        { key: 'results', description: 'Labs, imaging and other results discussed', required: false },
+        { key: 'assessment', description: 'Assessment: summary statement and problem list with differential', required: true },
+        { key: 'plan', description: 'Plan by problem, including disposition and code status if discussed', required: true },
+      ],
+    },
+  },
+  progress: {
+    name: 'progress',
+    label: 'Progress note',
+    systemRole: 'write daily progress notes',
+    instructions: ' Focus on what changed since the last note: interval events, new findings and changes to the plan.',
+    template: {
+      name: 'Progress note',
+      specialty: null,
+      sections: [
+        {
+          key: 'subjective',
+          description: 'Interval history since the last note',
+          required: true,
+          subsections: [
+            { key: 'Interval history', description: 'Events since the last note', required: true },
+            { key: 'Symptoms', description: 'Current symptoms reported by the patient', required: true },
+          ],
+        },
+        {
+          key: 'objective',
+          description: 'Objective findings today',
+          required: true,
+          subsections: [
+            { key: 'Vitals', description: 'Vital signs', required: true },
+            { key: 'Exam', description: 'Physical exam findings', required: true },
+            { key: 'Results', description: 'New labs and imaging', required: false },
+          ],
+        },
+        { key: 'assessment', description: 'Assessment of each active problem', required: true },
+        { key: 'plan', description: 'Plan for each active problem', required: true },
+      ],
+    },
+  },
+  procedure: {
+    name: 'procedure',
+    label: 'Procedure note',
+    systemRole: 'write procedure notes',
+    instructions: ' Describe only what was done and said during the procedure; never invent measurements, devices or complications.',
+    template: {
+      name: 'Procedure note',
+      specialty: null,
+      sections: [
+        { key: 'procedure', description: 'Name of the procedure performed', required: true },
+        { key: 'indication', description: 'Indication for the procedure', required: true },
+        { key: 'consent', description: 'Consent discussion, risks and benefits explained', required: false },
+        { key: 'anesthesia', description: 'Anesthesia or sedation used', required: false },
+        { key: 'description', description: 'Step by step description of the procedure', required: true },
+        { key: 'findings', description: 'Findings', required: true },
+        { key: 'estimated_blood_loss', description: 'Estimated blood loss', required: false },
+        { key: 'specimens', description: 'Specimens sent', required: false },
+        { key: 'complications', description: 'Complications, or none', required: true },
+        { key: 'disposition', description: 'Patient condition and disposition after the procedure', required: true },
+      ],
+    },
+  },
+  discharge_summary: {
+    name: 'discharge_summary',
+    label: 'Discharge summary',
+    systemRole: 'write hospital discharge summaries',
+    instructions: ' Summarize the hospital stay for the next clinician; list discharge medications exactly as stated, including changes from home medications.',
+    template: {
+      name: 'Discharge summary',
+      specialty: null,
+      sections: [
+        { key: 'admission_diagnosis', description: 'Reason for admission / admitting diagnosis', required: true },
+        { key: 'discharge_diagnoses', description: 'Principal and secondary discharge diagnoses', required: true },
+        { key: 'hospital_course', description: 'Hospital course by problem', required: true },
+        { key: 'procedures', description: 'Procedures performed during the stay', required: false },
+        { key: 'condition_at_discharge', description: 'Condition at discharge', required: true },
+        { key: 'discharge_medications', description: 'Discharge medications, marking new, changed and stopped medications', required: true },
+        { key: 'follow_up', description: 'Follow-up appointments and pending results', required: true },
+        { key: 'patient_instructions', description: 'Instructions given to the patient (diet, activity, return precautions)', required: true },
+      ],
+    },
+  },
+};
+
+/**
+ * Resolve a note type name: explicit name -> 'soap'
+ *
+ * @param {string} [name] - Note type requested by the caller
+ * @returns {string} - Resolved note type name
+ * @throws {Error} - If the name is not a known note type (status 400)
+ */
+export function resolveNoteTypeName(name) {
+  const resolved = (name || DEFAULT_NOTE_TYPE).toLowerCase();
+  if (!noteTypes[resolved]) {
+    const e = new Error(`Unknown note type: ${resolved}. Expected one of: ${NOTE_TYPE_NAMES.join(', ')}`);
+    e.status = 400;
+    throw e;
+  }
+  return resolved;
+}
+
+/**
+ * Get a note type by name
+ *
+ * @param {string} [name] - Note type name (defaults to 'soap')
+ * @returns {{ name: string, label: string, systemRole: string, instructions: string, template: Object|null }}
+ */
+export function getNoteType(name) {
+  return noteTypes[resolveNoteTypeName(name)];
+}
+
+/**
+ * Section layout a note is generated and validated with
+ * SOAP notes use the note template; other types use their built-in layout.
+ *
+ * @param {string} [noteTypeName] - Note type name
+ * @param {Object|null} [noteTemplate] - User note template (SOAP only)
+ * @returns {Object} - Template with sections
+ */
+export function getNoteTypeTemplate(noteTypeName, noteTemplate = null) {
+  const noteType = getNoteType(noteTypeName);
+  return noteType.template || resolveNoteTemplate(noteTemplate);
+}
@@ -1,4 +1,5 @@
 import * as encryptionUtils from './encryptionUtils.js';
+import { decryptTranscriptSegments, formatSegmentsForPrompt, hasSpeakerLabels } from './transcriptSegments.js';
 
 const patientEncounterTable = 'patientEncounters';
 
@@ -129,3 +130,93 @@ export async function getPatientEncounterWithTranscript(supabase, patientEncount
         };
     }
 }
+
+/**
+ * Fetches a patient encounter's transcript, decrypted and ready for an LLM prompt
+ * Diarized transcripts are returned speaker-labelled ("[0:12] Clinician: ..."), see transcriptSegments.js
+ * 
+ * @param {object} supabase - Supabase client
+ * @param {number} patientEncounterId - ID of the patient encounter
+ * @returns {object} { success, encounter, promptTranscript, speakerLabelled, aes_key, error, statusCode }
+ */
+export async function getPatientEncounterTranscriptForPrompt(supabase, patientEncounterId) {
+    const result = await getPatientEncounterWithTranscript(supabase, patientEncounterId);
+    if (!result.success) {
+        return result;
+    }
+
+    const { transcript, aes_key } = result;
+    if (!transcript?.encrypted_transcript_text) {
+        return {
+            success: false,
+            error: 'Patient encounter has no stored transcript',
+            statusCode: 422
+        };
+    }
+
+    try {
+        const transcriptText = encryptionUtils.decryptText(transcript.encrypted_transcript_text, aes_key, transcript.iv);
+        const { segments } = decryptTranscriptSegments(transcript, aes_key);
+        const speakerLabelled = hasSpeakerLabels(segments);
+        return {
+            success: true,
+            encounter: result.encounter,
+            promptTranscript: speakerLabelled ? formatSegmentsForPrompt(segments) : transcriptText,
+            speakerLabelled,
+            aes_key
+        };
+    } catch (err) {
+        console.error('Failed to decrypt transcript for patient encounter:', patientEncounterId, err);
+        return {
+            success: false,
+            error: 'Failed to decrypt transcript',
+            statusCode: 500
+        };
+    }
+}
+
+/**
+ * Fetches a patient encounter's most recent SOAP note, decrypted
+ * A missing note is not an error (soapNote is null)
+ * 
+ * @param {object} supabase - Supabase client
+ * @param {number} patientEncounterId - ID of the patient encounter
+ * @param {Buffer} aes_key - Decrypted AES key of the patient encounter
+ * @returns {object} { success, soapNote: { id, note_type, soapNote_text } | null, error, statusCode }
+ */
+export async function getLatestSoapNoteForPatientEncounter(supabase, patientEncounterId, aes_key) {
+    const { data: soapNote, error } = await supabase
+        .from('soapNotes')
+        .select('id, note_type, encrypted_soapNote_text, iv')
+        .eq('patientEncounter_id', patientEncounterId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        console.error('SOAP note query error:', error);
+        return {
+            success: false,
+            error: error.message,
+            statusCode: 500
+        };
+    }
+    if (!soapNote?.encrypted_soapNote_text) {
+        return { success: true, soapNote: null };
+    }
+
+    try {
+        const text = encryptionUtils.decryptText(soapNote.encrypted_soapNote_text, aes_key, soapNote.iv);
+        return {
+            success: true,
+            soapNote: { id: soapNote.id, note_type: soapNote.note_type, soapNote_text: JSON.parse(text) }
+        };
+    } catch (err) {
+        console.error('Failed to read SOAP note:', soapNote.id, err);
+        return {
+            success: false,
+            error: 'Failed to read SOAP note',
+            statusCode: 500
+        };
+    }
+}
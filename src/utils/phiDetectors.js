@@ -0,0 +1,249 @@
+/**
+ * PHI Detectors
+ *
+ * Single entry point for PHI detection, used by mask_phi (maskPhiHelper.js).
+ * Every detector takes text and returns entities in the AWS Comprehend Medical shape:
+ * [{ Type, Text, BeginOffset, EndOffset, Score, Id? }]
+ *
+ * Detectors:
+ * - comprehend: AWS Comprehend Medical DetectPHI (AWS_REGION, AWS_COMPREHEND_ACCESS_KEY_ID, AWS_COMPREHEND_SECRET_ACCESS_KEY)
+ * - local: offline rule-based detector (regular expressions plus the name dictionary in src/data/phi-names.txt,
+ *   PHI_NAMES_FILE to override) for names, dates, phone numbers, MRNs, SSNs, addresses and email addresses
+ * - ensemble: runs comprehend and local and unions their spans; fails if either detector fails
+ *
+ * The deployment default comes from PHI_DETECTOR (falls back to 'comprehend');
+ * callers may override it per request.
+ */
+
+import fs from 'fs';
+import {
+  ComprehendMedicalClient,
+  DetectPHICommand,
+} from '@aws-sdk/client-comprehendmedical';
+
+export const PHI_DETECTOR_NAMES = ['comprehend', 'local', 'ensemble'];
+
+const DEFAULT_PHI_DETECTOR = 'comprehend';
+
+// AWS Comprehend Medical has a 20,000 character limit; leave some buffer for safety
+const COMPREHEND_MAX_CHARS = 19000;
+
+const DEFAULT_PHI_NAMES_FILE = new URL('../data/phi-names.txt', import.meta.url);
+
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy)';
+const CAPITALIZED_WORD = "[A-Z][a-zA-Z'-]+";
+
+/**
+ * Rules of the local detector
+ * group: capture group holding the PHI (default: the whole match), e.g. the number after "MRN:"
+ * Scores are fixed per rule; dictionary-only names score lowest.
+ */
+const LOCAL_RULES = [
+  { type: 'EMAIL', score: 0.95, pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'ID', score: 0.95, pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'ID', score: 0.9, group: 1, pattern: /\b(?:SSN|social security(?: number)?)\s*(?:is|:|#)?\s*(\d{9})\b/gi },
+  {
+    type: 'ID',
+    score: 0.9,
+    group: 1,
+    pattern: /\b(?:MRN|MR#|medical record(?: number| no\.?)?|chart(?: number| no\.?)|account(?: number| no\.?))\s*(?:is|:|#)?\s*([A-Z0-9][A-Z0-9-]{3,})\b/gi,
+    // An identifier has at least one digit ("MRN is pending" is not one)
+    accept: (text) => /\d/.test(text),
+  },
+  { type: 'PHONE_OR_FAX', score: 0.9, pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s*|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+  { type: 'DATE', score: 0.9, pattern: /\b(?:\d{1,2}[/-]\d{1,2}[/-](?:\d{4}|\d{2})|\d{4}-\d{2}-\d{2})\b/g },
+  { type: 'DATE', score: 0.85, pattern: new RegExp(`\\b${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'g') },
+  { type: 'DATE', score: 0.85, pattern: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\.?(?:,?\\s+\\d{4})?\\b`, 'g') },
+  {
+    type: 'ADDRESS',
+    score: 0.85,
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:(?:\\d+(?:st|nd|rd|th)|[A-Z][a-z]+)\\.?\\s+){1,3}${STREET_SUFFIX}\\b\\.?(?:,?\\s+(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s*[A-Z0-9-]+)?`, 'g'),
+  },
+  // "Springfield, IL 62704": city (optional), state and ZIP code
+  { type: 'ADDRESS', score: 0.8, pattern: /\b(?:[A-Z][a-z]+(?: [A-Z][a-z]+)?,\s+)?[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g },
+  {
+    type: 'NAME',
+    score: 0.9,
+    group: 1,
+    pattern: new RegExp(`\\b(?:Dr|Mr|Mrs|Ms|Miss|Mx|Prof)\\.?\\s+(${CAPITALIZED_WORD}(?:\\s+${CAPITALIZED_WORD})?)`, 'g'),
+  },
+  {
+    type: 'NAME',
+    score: 0.85,
+    group: 1,
+    pattern: new RegExp(`\\b(?:[Mm]y name is|[Nn]ame:)\\s+(${CAPITALIZED_WORD}(?:\\s+${CAPITALIZED_WORD}){0,2})`, 'g'),
+  },
+];
+
+let phiNames = null;
+
+/**
+ * Name dictionary of the local detector (lines starting with # are comments)
+ *
+ * @private
+ * @returns {Set<string>}
+ */
+function getPhiNames() {
+  if (!phiNames) {
+    const filePath = process.env.PHI_NAMES_FILE || DEFAULT_PHI_NAMES_FILE;
+    phiNames = new Set(fs.readFileSync(filePath, 'utf8')
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#')));
+  }
+  return phiNames;
+}
+
+/**
+ * Names from the dictionary: within a run of capitalized words, the span from the first
+ * dictionary word through the next capitalized words (at most three words), so
+ * "Saw Maria Gomez today" yields "Maria Gomez"
+ *
+ * @private
+ * @param {string} text
+ * @returns {Array<Object>} - Entities
+ */
+function detectDictionaryNames(text) {
+  const names = getPhiNames();
+  const entities = [];
+  for (const run of text.matchAll(new RegExp(`\\b${CAPITALIZED_WORD}(?:[ \\t]+${CAPITALIZED_WORD})*`, 'g'))) {
+    const words = [...run[0].matchAll(/\S+/g)];
+    const first = words.findIndex((word) => names.has(word[0]));
+    if (first === -1) continue;
+    const last = Math.min(first + 2, words.length - 1);
+    const begin = run.index + words[first].index;
+    const end = run.index + words[last].index + words[last][0].length;
+    entities.push({ Type: 'NAME', Text: text.slice(begin, end), BeginOffset: begin, EndOffset: end, Score: 0.75 });
+  }
+  return entities;
+}
+
+/**
+ * Run the local rules and the name dictionary over a text
+ *
+ * @param {string} text
+ * @returns {Array<Object>} - Entities (overlapping matches merged)
+ */
+export function detectLocalPhi(text) {
+  const entities = [];
+  for (const rule of LOCAL_RULES) {
+    const pattern = rule.group ? new RegExp(rule.pattern.source, `${rule.pattern.flags}d`) : rule.pattern;
+    for (const match of text.matchAll(pattern)) {
+      const [begin, end] = rule.group ? match.indices[rule.group] : [match.index, match.index + match[0].length];
+      const value = text.slice(begin, end);
+      if (rule.accept && !rule.accept(value)) continue;
+      entities.push({ Type: rule.type, Text: value, BeginOffset: begin, EndOffset: end, Score: rule.score });
+    }
+  }
+  entities.push(...detectDictionaryNames(text));
+  return mergeEntitySpans(text, entities);
+}
+
+/**
+ * Merge overlapping entity spans into one entity covering both
+ * The merged entity keeps the type and score of the highest scoring entity in it.
+ *
+ * @param {string} text - Text the offsets refer to
+ * @param {Array<Object>} entities - Entities, possibly from several detectors
+ * @returns {Array<Object>} - Non-overlapping entities in text order (without Id)
+ */
+export function mergeEntitySpans(text, entities) {
+  const sorted = [...entities].sort((a, b) => a.BeginOffset - b.BeginOffset || b.EndOffset - a.EndOffset);
+  const merged = [];
+  for (const entity of sorted) {
+    const previous = merged[merged.length - 1];
+    if (previous && entity.BeginOffset < previous.EndOffset) {
+      previous.EndOffset = Math.max(previous.EndOffset, entity.EndOffset);
+      if (Number(entity.Score) > Number(previous.Score)) {
+        previous.Type = entity.Type;
+        previous.Score = entity.Score;
+      }
+      continue;
+    }
+    merged.push({ Type: entity.Type, BeginOffset: entity.BeginOffset, EndOffset: entity.EndOffset, Score: entity.Score });
+  }
+  return merged.map((entity) => ({ ...entity, Text: text.slice(entity.BeginOffset, entity.EndOffset) }));
+}
+
+/**
+ * AWS Comprehend Medical DetectPHI
+ *
+ * @private
+ * @param {string} text - At most COMPREHEND_MAX_CHARS characters
+ * @returns {Promise<Array<Object>>} - Entities
+ */
+async function detectComprehendPhi(text) {
+  // AWS Comprehend Medical client configuration
+  const clientConfig = {
+    region: process.env.AWS_REGION || 'us-east-1',
+  };
+
+  // Only set explicit credentials if they exist (for local development)
+  // On EC2, the SDK will automatically use IAM role from default credential chain
+  if (process.env.AWS_COMPREHEND_ACCESS_KEY_ID && process.env.AWS_COMPREHEND_SECRET_ACCESS_KEY) {
+    clientConfig.credentials = {
+      accessKeyId: process.env.AWS_COMPREHEND_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_COMPREHEND_SECRET_ACCESS_KEY,
+    };
+  }
+
+  const client = new ComprehendMedicalClient(clientConfig);
+  const response = await client.send(new DetectPHICommand({ Text: text }));
+  return (response.Entities || []).map((e) => ({
+    Type: e.Type,
+    Text: e.Text,
+    BeginOffset: e.BeginOffset,
+    EndOffset: e.EndOffset,
+    Score: e.Score,
+    Id: e.Id,
+  }));
+}
+
+const detectors = {
+  comprehend: {
+    name: 'comprehend',
+    maxChars: COMPREHEND_MAX_CHARS,
+    detect: (text) => detectComprehendPhi(text),
+  },
+  local: {
+    name: 'local',
+    maxChars: Infinity,
+    detect: async (text) => detectLocalPhi(text),
+  },
+  ensemble: {
+    name: 'ensemble',
+    maxChars: COMPREHEND_MAX_CHARS,
+    detect: async (text) => {
+      const [comprehendEntities, localEntities] = await Promise.all([detectComprehendPhi(text), detectLocalPhi(text)]);
+      return mergeEntitySpans(text, [...comprehendEntities, ...localEntities]);
+    },
+  },
+};
+
+/**
+ * Resolve the detector name for a call: explicit name -> PHI_DETECTOR env -> 'comprehend'
+ *
+ * @param {string} [name] - Detector name requested by the caller
+ * @returns {string} - Resolved detector name
+ * @throws {Error} - If the name is not a known detector (status 400)
+ */
+export function resolvePhiDetectorName(name) {
+  const resolved = (name || process.env.PHI_DETECTOR || DEFAULT_PHI_DETECTOR).toLowerCase();
+  if (!detectors[resolved]) {
+    const e = new Error(`Unknown PHI detector: ${resolved}. Expected one of: ${PHI_DETECTOR_NAMES.join(', ')}`);
+    e.status = 400;
+    throw e;
+  }
+  return resolved;
+}
+
+/**
+ * Get a PHI detector by name
+ *
+ * @param {string} [name] - Detector name (defaults to PHI_DETECTOR env, then 'comprehend')
+ * @returns {{ name: string, maxChars: number, detect: (text: string) => Promise<Array<Object>> }}
+ */
+export function getPhiDetector(name) {
+  return detectors[resolvePhiDetectorName(name)];
+}
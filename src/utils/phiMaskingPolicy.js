@@ -0,0 +1,103 @@
+/**
+ * PHI Masking Policy
+ *
+ * A masking policy tunes what mask_phi (maskPhiHelper.js) masks:
+ * {
+ *   entity_types: ['NAME', 'ADDRESS', ...] | null,  // types to mask; null masks every type
+ *   thresholds: { AGE: 0.9, ... },                  // confidence threshold per type (others use mask_threshold)
+ *   allowlist: ['Eliquis', ...],                    // terms never masked, e.g. drug names misdetected as NAME
+ *   date_handling: 'mask' | 'shift' | null,         // DATE as tokens or shifted dates; null follows the mask mode
+ * }
+ * - Entities a policy does not mask are reported as skipped, like entities below the threshold
+ * - 'shift' shifts dates by the surrogate date offset (see phiSurrogates.js) in token mode too, so the LLM
+ *   keeps intervals between dates; unmask_phi shifts them back
+ *
+ * Policies are stored in the phiMaskingPolicies table, per user or per organization (auth
+ * app_metadata.organization_id, set by an admin). The organization's policy is a floor: a user's own
+ * policy (or a per-request policy) can only mask more (see mergePhiMaskingPolicies). Without either,
+ * mask_phi masks every type at mask_threshold. See maskPhiController.js.
+ */
+
+// PHI types returned by AWS Comprehend Medical DetectPHI (the local detector returns a subset)
+export const PHI_ENTITY_TYPES = ['NAME', 'AGE', 'DATE', 'ADDRESS', 'PHONE_OR_FAX', 'EMAIL', 'ID', 'URL', 'PROFESSION'];
+
+export const PHI_DATE_HANDLING_NAMES = ['mask', 'shift'];
+
+/**
+ * Policy shape used by mask_phi, from a phiMaskingPolicies row
+ *
+ * @param {Object} row - phiMaskingPolicies row
+ * @returns {Object} - { scope, entity_types, thresholds, allowlist, date_handling }; scope is 'user' or 'organization'
+ */
+export function toPhiMaskingPolicy(row) {
+  return {
+    scope: row.user_id ? 'user' : 'organization',
+    entity_types: row.entity_types ?? null,
+    thresholds: row.thresholds || {},
+    allowlist: row.allowlist || [],
+    date_handling: row.date_handling ?? null,
+  };
+}
+
+/**
+ * Get a user's organization from their auth app_metadata (users cannot change app_metadata themselves)
+ *
+ * @param {Object} user - Supabase auth user
+ * @returns {string|null}
+ */
+export function getUserOrganizationId(user) {
+  const organizationId = user?.app_metadata?.organization_id;
+  return organizationId ? String(organizationId) : null;
+}
+
+/**
+ * Combine an organization policy with a user's (or a request's) policy
+ * The result masks an entity when either policy masks it, so the user can add types, lower thresholds
+ * or mask allowlisted terms, but not unmask anything the organization masks. Dates become tokens when
+ * either policy says 'mask'.
+ *
+ * @param {Object|null} organizationPolicy
+ * @param {Object|null} userPolicy
+ * @returns {Object|null} - The user policy with organization_policy and the combined date_handling,
+ *   or whichever policy exists
+ */
+export function mergePhiMaskingPolicies(organizationPolicy, userPolicy) {
+  if (!organizationPolicy) return userPolicy;
+  if (!userPolicy) return organizationPolicy;
+  const dateHandlings = [userPolicy.date_handling, organizationPolicy.date_handling];
+  return {
+    ...userPolicy,
+    date_handling: dateHandlings.includes('mask') ? 'mask' : (userPolicy.date_handling ?? organizationPolicy.date_handling),
+    organization_policy: organizationPolicy,
+  };
+}
+
+/**
+ * Whether mask_phi should mask a detected entity
+ *
+ * @param {Object} entity - Detected entity ({ Type, Text, Score })
+ * @param {number} threshold - Default confidence threshold
+ * @param {Object|null} [policy] - Masking policy (see above), possibly merged with an organization_policy
+ * @returns {boolean}
+ */
+export function shouldMaskEntity(entity, threshold, policy) {
+  if (policy?.organization_policy && shouldMaskEntity(entity, threshold, policy.organization_policy)) return true;
+  if (policy?.entity_types && !policy.entity_types.includes(entity.Type)) return false;
+  if (Number(entity.Score) < (policy?.thresholds?.[entity.Type] ?? threshold)) return false;
+  if (policy?.allowlist?.length > 0) {
+    const text = normalizeTerm(entity.Text || '');
+    if (policy.allowlist.some((term) => normalizeTerm(term) === text)) return false;
+  }
+  return true;
+}
+
+/**
+ * Allowlist comparison: case-insensitive, ignoring surrounding and repeated whitespace
+ *
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTerm(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
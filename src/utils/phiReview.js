@@ -0,0 +1,111 @@
+/**
+ * PHI Review
+ *
+ * Checks a generated note for PHI that did not come from the masked entities of its encounter:
+ * names the LLM made up, identifiers the masking pass missed, and {{TYPE_ID}} tokens left behind.
+ * The note is run through the same PHI detector as masking (mask_phi), and every entity it finds
+ * is compared against the known entities.
+ *
+ * Report ({ status, provider, unexpected_entities, leftover_tokens, reviewed_at }):
+ * - status: 'clean' or 'flagged' (anything unexpected or left over)
+ * - unexpected_entities: [{ Type, Text, Score, in_transcript }] - in_transcript tells an entity the masking
+ *   pass missed (it is in the transcript) from one the LLM introduced
+ * - leftover_tokens: [{ token, count }]
+ */
+
+import { mask_phi } from './maskPhiHelper.js';
+
+const LEFTOVER_TOKEN_PATTERN = /\{\{[^{}]*\}\}/g;
+
+const MONTH_WORDS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_WORD_PATTERN = /^(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?)$/;
+
+const TITLE_WORDS = new Set(['dr', 'mr', 'mrs', 'ms', 'miss', 'mx', 'prof']);
+
+/**
+ * Review a generated note for unexpected PHI and leftover tokens
+ *
+ * @param {string|Object} note - Note text, or a parsed note (all of its string values are reviewed)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.knownEntities] - Entities masked for the encounter ({ Text })
+ * @param {string} [options.sourceText] - Transcript the note was written from (sets in_transcript)
+ * @param {string} [options.provider] - PHI detector (defaults to PHI_DETECTOR env, then 'comprehend')
+ * @param {number} [options.maskThreshold=0.15] - Confidence threshold for detected entities
+ * @returns {Promise<Object>} - Review report
+ * @throws {Error} - If the detector fails or is unknown (status 400)
+ */
+export async function reviewNotePhi(note, { knownEntities = [], sourceText = '', provider, maskThreshold = 0.15 } = {}) {
+  const text = typeof note === 'string' ? note : collectNoteText(note).join('\n');
+
+  const leftoverCounts = new Map();
+  for (const [token] of text.matchAll(LEFTOVER_TOKEN_PATTERN)) {
+    leftoverCounts.set(token, (leftoverCounts.get(token) || 0) + 1);
+  }
+  const leftover_tokens = [...leftoverCounts].map(([token, count]) => ({ token, count }));
+
+  let unexpected_entities = [];
+  let detectorName = provider || null;
+  // Tokens are not PHI; keep them out of detection
+  const reviewText = text.replace(LEFTOVER_TOKEN_PATTERN, (token) => ' '.repeat(token.length));
+  if (reviewText.trim()) {
+    const detected = await mask_phi(reviewText, maskThreshold, { provider, mode: 'token' });
+    detectorName = detected.provider;
+
+    const knownWords = new Set(knownEntities.flatMap((entity) => entityWords(entity.Text || '')));
+    const sourceWords = new Set(entityWords(sourceText));
+    const seen = new Set();
+    unexpected_entities = detected.phi_entities
+      .filter((entity) => !entityWords(entity.Text).every((word) => knownWords.has(word)))
+      .filter((entity) => {
+        const key = `${entity.Type}:${entity.Text}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map((entity) => ({
+        Type: entity.Type,
+        Text: entity.Text,
+        Score: entity.Score,
+        in_transcript: entityWords(entity.Text).every((word) => sourceWords.has(word)),
+      }));
+  }
+
+  return {
+    status: unexpected_entities.length > 0 || leftover_tokens.length > 0 ? 'flagged' : 'clean',
+    provider: detectorName,
+    unexpected_entities,
+    leftover_tokens,
+    reviewed_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * All string values of a parsed note, in order
+ *
+ * @param {*} value - Parsed note (objects, arrays and strings)
+ * @returns {Array<string>}
+ */
+export function collectNoteText(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(collectNoteText);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectNoteText);
+  return [];
+}
+
+/**
+ * Comparable words of an entity: lowercased, without titles, numbers without leading zeros and
+ * month names as numbers, so "05/20/1990" and "May 20, 1990" or "Dr. Smith" and "John Smith" line up
+ *
+ * @private
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function entityWords(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((word) => !TITLE_WORDS.has(word))
+    .map((word) => {
+      if (/^\d+$/.test(word)) return String(Number(word));
+      if (MONTH_WORD_PATTERN.test(word)) return String(MONTH_WORDS.indexOf(word.slice(0, 3)) + 1);
+      return word;
+    });
+}
@@ -0,0 +1,399 @@
+/**
+ * PHI Surrogates
+ *
+ * Surrogate mode of mask_phi (maskPhiHelper.js): instead of {{TYPE_ID}} tokens, PHI is replaced with
+ * realistic fake values the LLM reads as ordinary text, and the mapping is reversed by unmask_phi.
+ *
+ * - Surrogates are derived from a seed (HMAC-SHA256), so the same seed always gives the same person the
+ *   same fake name; callers pass the encounter's (or job's) encrypted AES key. Without a seed they are random.
+ * - Names are replaced word by word, so "John Smith", "Mr. Smith" and "John" stay consistent.
+ * - Dates are shifted by a fixed number of days and keep their format; on unmask every date in the output
+ *   that was not visible in the masked text is shifted back, including dates the LLM derived ("follow up on ...").
+ * - Types without a realistic fake (AGE, PROFESSION, ...) and unparseable dates keep {{TYPE_ID}} tokens.
+ *
+ * The deployment default comes from PHI_MASK_MODE (falls back to 'token'); callers may override it per request.
+ */
+
+import crypto from 'crypto';
+
+export const PHI_MASK_MODE_NAMES = ['token', 'surrogate'];
+
+const DEFAULT_PHI_MASK_MODE = 'token';
+
+const MAX_SURROGATE_ATTEMPTS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Both given names and surnames, so any name word can take any of them
+const SURROGATE_NAME_WORDS = [
+  'Ainsley', 'Ashby', 'Avery', 'Bellamy', 'Bramwell', 'Brantley', 'Brennan', 'Calloway', 'Carden', 'Carver',
+  'Channing', 'Corbin', 'Cresswell', 'Danforth', 'Darby', 'Delaney', 'Dunmore', 'Ellery', 'Ellison', 'Emerson',
+  'Everett', 'Fairbanks', 'Farrell', 'Fenwick', 'Finley', 'Galloway', 'Garrity', 'Hadley', 'Halloran', 'Harlow',
+  'Hartley', 'Haskell', 'Hollis', 'Holloway', 'Ingram', 'Jessup', 'Keaton', 'Kendall', 'Kennison', 'Kingsley',
+  'Kirkland', 'Lachlan', 'Landry', 'Langley', 'Larkin', 'Lennox', 'Lowell', 'Lyndon', 'Marlow', 'Marsden',
+  'Mercer', 'Merritt', 'Monroe', 'Norwood', 'Oakley', 'Ormsby', 'Orton', 'Paxton', 'Pemberton', 'Prescott',
+  'Pryor', 'Quimby', 'Quinlan', 'Radley', 'Rainer', 'Redding', 'Remington', 'Rowan', 'Royston', 'Sawyer',
+  'Selden', 'Sheridan', 'Spalding', 'Stanton', 'Sutton', 'Tarrant', 'Tatum', 'Thackery', 'Thornton', 'Tierney',
+  'Tolliver', 'Upton', 'Vance', 'Varley', 'Wakefield', 'Waverly', 'Wendell', 'Wexley', 'Whitley', 'Winslow',
+  'Wyeth', 'Yardley', 'Zeller',
+];
+
+const SURROGATE_PLACE_WORDS = [
+  'Alder', 'Ashgrove', 'Aspen', 'Birchwood', 'Briarcliff', 'Cedar', 'Chestnut', 'Dogwood', 'Fernwood', 'Glenhaven',
+  'Hawthorn', 'Hickory', 'Juniper', 'Larchmont', 'Laurel', 'Linden', 'Magnolia', 'Millbrook', 'Poplar', 'Redwood',
+  'Rosemont', 'Sycamore', 'Tamarack', 'Westbrook', 'Willow',
+];
+
+// Address words that are not PHI on their own
+const ADDRESS_KEEP_WORDS = new Set([
+  'street', 'st', 'avenue', 'ave', 'road', 'rd', 'boulevard', 'blvd', 'lane', 'ln', 'drive', 'dr', 'court', 'ct',
+  'way', 'place', 'pl', 'terrace', 'ter', 'circle', 'cir', 'parkway', 'pkwy', 'highway', 'hwy', 'apt', 'apartment',
+  'suite', 'ste', 'unit', 'north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest',
+]);
+
+// Types replaced character by character: digits by digits, letters by letters, separators kept
+const SCRAMBLED_TYPES = new Set(['ID', 'PHONE_OR_FAX', 'LICENSE_PLATE', 'VEHICLE_IDENTIFIER']);
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+
+/**
+ * Date formats surrogates keep. parse returns { year (null when absent), month, day };
+ * render writes another date in the format of the match.
+ */
+const DATE_FORMATS = [
+  {
+    // 05/20/1990, 5-20-90
+    pattern: /\b(\d{1,2})([/-])(\d{1,2})\2(\d{4}|\d{2})\b/g,
+    parse: (m) => ({ year: expandYear(m[4]), month: Number(m[1]), day: Number(m[3]) }),
+    render: (m, date) => [
+      padNumber(date.month, m[1].length),
+      padNumber(date.day, m[3].length),
+      m[4].length === 2 ? padNumber(date.year % 100, 2) : String(date.year),
+    ].join(m[2]),
+  },
+  {
+    // 1990-05-20
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    parse: (m) => ({ year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) }),
+    render: (m, date) => `${date.year}-${padNumber(date.month, 2)}-${padNumber(date.day, 2)}`,
+  },
+  {
+    // December 15th, 2024 / Dec. 15 / May 3 2021
+    pattern: new RegExp(`\\b${MONTH}(\\.?\\s+)(\\d{1,2})(st|nd|rd|th)?(?:(,?\\s+)(\\d{4}))?\\b`, 'g'),
+    parse: (m) => ({ year: m[6] ? Number(m[6]) : null, month: monthNumber(m[1]), day: Number(m[3]) }),
+    render: (m, date) => `${renderMonth(m[1], date.month)}${m[2]}${date.day}${m[4] ? ordinalSuffix(date.day) : ''}${m[6] ? `${m[5]}${date.year}` : ''}`,
+  },
+  {
+    // 15th of December, 2024 / 3 May 2021
+    pattern: new RegExp(`\\b(\\d{1,2})(st|nd|rd|th)?(\\s+(?:of\\s+)?)${MONTH}\\b(?:(,?\\s+)(\\d{4}))?`, 'g'),
+    parse: (m) => ({ year: m[6] ? Number(m[6]) : null, month: monthNumber(m[4]), day: Number(m[1]) }),
+    render: (m, date) => `${date.day}${m[2] ? ordinalSuffix(date.day) : ''}${m[3]}${renderMonth(m[4], date.month)}${m[6] ? `${m[5]}${date.year}` : ''}`,
+  },
+];
+
+/**
+ * Resolve the masking mode for a call: explicit mode -> PHI_MASK_MODE env -> 'token'
+ *
+ * @param {string} [mode] - Mode requested by the caller
+ * @returns {string} - 'token' or 'surrogate'
+ * @throws {Error} - If the mode is not known (status 400)
+ */
+export function resolvePhiMaskMode(mode) {
+  const resolved = (mode || process.env.PHI_MASK_MODE || DEFAULT_PHI_MASK_MODE).toLowerCase();
+  if (!PHI_MASK_MODE_NAMES.includes(resolved)) {
+    const e = new Error(`Unknown PHI mask mode: ${resolved}. Expected one of: ${PHI_MASK_MODE_NAMES.join(', ')}`);
+    e.status = 400;
+    throw e;
+  }
+  return resolved;
+}
+
+/**
+ * Create the surrogate state of one mask_phi call
+ *
+ * @param {string} sourceText - Text being masked (surrogates never repeat text already in it)
+ * @param {Object} [options]
+ * @param {string|Buffer} [options.seed] - Seed for consistent surrogates (random when omitted)
+ * @returns {{ surrogateFor: (entity: Object) => string|null, finish: (maskedText: string) => Object }}
+ *   surrogateFor returns null when the entity should keep a token; finish returns the surrogates
+ *   object unmask_phi needs ({ date_offset_days, values, visible_dates })
+ */
+export function createSurrogateContext(sourceText, { seed } = {}) {
+  const key = seed ? crypto.createHash('sha256').update(seed).digest() : crypto.randomBytes(32);
+  const dateOffsetDays = deriveDateOffset(key);
+  const sourceDates = new Set(findDates(sourceText).map((found) => dateKey(found.date)));
+
+  const values = {}; // surrogate -> original, used by unmask_phi
+  const taken = new Set();
+  const byOriginal = new Map(); // "TYPE:original" -> surrogate
+  const maskedDates = []; // surrogate date texts, left out of visible_dates
+
+  // Pick the first free candidate; the same original always tries the same candidates in order
+  const pick = (type, original, generate) => {
+    const cacheKey = `${type}:${original}`;
+    if (byOriginal.has(cacheKey)) return byOriginal.get(cacheKey);
+    for (let attempt = 0; attempt < MAX_SURROGATE_ATTEMPTS; attempt++) {
+      const candidate = generate(keyedBytes(key, `${cacheKey}:${attempt}`));
+      if (candidate && candidate !== original && !taken.has(candidate) && !containsWord(sourceText, candidate)) {
+        taken.add(candidate);
+        byOriginal.set(cacheKey, candidate);
+        return candidate;
+      }
+    }
+    return null;
+  };
+
+  // Replace each word of a text; null if any word has no surrogate
+  const replaceWords = (text, wordPattern, replaceWord) => {
+    let complete = true;
+    const replaced = text.replace(wordPattern, (word) => {
+      const surrogate = replaceWord(word);
+      if (!surrogate) complete = false;
+      return surrogate || word;
+    });
+    return complete ? replaced : null;
+  };
+
+  const register = (surrogate, original) => {
+    if (surrogate) values[surrogate] = original;
+    return surrogate;
+  };
+
+  const surrogateFor = (entity) => {
+    const text = entity.Text;
+    if (!text) return null;
+
+    if (entity.Type === 'NAME') {
+      return replaceWords(text, /[A-Za-z][A-Za-z'-]*[A-Za-z]/g, (word) => {
+        const surrogate = pick('NAME', word.toLowerCase(), (bytes) => choose(SURROGATE_NAME_WORDS, bytes));
+        return surrogate && register(matchCase(word, surrogate), word);
+      });
+    }
+
+    if (entity.Type === 'DATE') {
+      const found = parseWholeDate(text);
+      if (!found) return null;
+      const shifted = shiftDate(found.date, dateOffsetDays);
+      if (sourceDates.has(dateKey(shifted))) return null;
+      const surrogate = found.format.render(found.match, shifted);
+      maskedDates.push(surrogate);
+      return surrogate;
+    }
+
+    if (entity.Type === 'ADDRESS') {
+      // Place names are replaced word by word (consistent across addresses); suffixes, directions and states stay
+      const placed = replaceWords(text, /\b[A-Z][a-z]{2,}\b/g, (word) => {
+        if (ADDRESS_KEEP_WORDS.has(word.toLowerCase())) return word;
+        return register(pick('PLACE', word, (bytes) => choose(SURROGATE_PLACE_WORDS, bytes)), word);
+      });
+      if (!placed || !/\d/.test(placed)) return placed;
+      return register(pick('ADDRESS', text, (bytes) => scramble(placed, bytes, { letters: false })), text);
+    }
+
+    if (entity.Type === 'EMAIL') {
+      return register(pick('EMAIL', text, (bytes) => `${choose(SURROGATE_NAME_WORDS, bytes).toLowerCase()}.${choose(SURROGATE_NAME_WORDS, bytes.subarray(4)).toLowerCase()}@example.com`), text);
+    }
+
+    if (entity.Type === 'URL') {
+      return register(pick('URL', text, (bytes) => `https://example.com/${bytes.subarray(0, 4).toString('hex')}`), text);
+    }
+
+    if (SCRAMBLED_TYPES.has(entity.Type)) {
+      return register(pick(entity.Type, text, (bytes) => scramble(text, bytes, { letters: true })), text);
+    }
+
+    return null;
+  };
+
+  const finish = (maskedText) => {
+    const masked = new Set(maskedDates);
+    const visibleDates = findDates(maskedText)
+      .filter((found) => !masked.has(found.text))
+      .map((found) => dateKey(found.date));
+    return {
+      date_offset_days: dateOffsetDays,
+      values,
+      visible_dates: [...new Set(visibleDates)],
+    };
+  };
+
+  return { surrogateFor, finish };
+}
+
+/**
+ * Find the spans of a text that restore surrogates: known surrogate values, and dates shifted back
+ *
+ * @param {string} text - LLM output written from surrogate text
+ * @param {Object} surrogates - surrogates object from mask_phi ({ date_offset_days, values, visible_dates })
+ * @param {Function} [isFree] - (begin, end) => boolean, false for spans already restored (e.g. tokens)
+ * @returns {Array<{ begin: number, end: number, replacement: string }>}
+ */
+export function findSurrogateReplacements(text, surrogates, isFree = () => true) {
+  const replacements = [];
+  const claimed = [];
+  const available = (begin, end) => isFree(begin, end) && !claimed.some(([b, e]) => begin < e && end > b);
+  const claim = (begin, end, replacement) => {
+    claimed.push([begin, end]);
+    replacements.push({ begin, end, replacement });
+  };
+
+  // Longest first, so a full address wins over a place word inside it
+  const values = surrogates?.values || {};
+  const surrogateTexts = Object.keys(values).sort((a, b) => b.length - a.length);
+  for (const surrogate of surrogateTexts) {
+    const pattern = new RegExp(`(?<![\\w@.])${escapeRegExp(surrogate)}(?![\\w@])`, 'g');
+    for (const match of text.matchAll(pattern)) {
+      const begin = match.index;
+      const end = begin + surrogate.length;
+      if (available(begin, end)) claim(begin, end, values[surrogate]);
+    }
+  }
+
+  const offset = Number(surrogates?.date_offset_days) || 0;
+  if (offset !== 0) {
+    const visible = new Set(surrogates.visible_dates || []);
+    for (const found of findDates(text)) {
+      if (visible.has(dateKey(found.date))) continue;
+      if (!available(found.begin, found.end)) continue;
+      claim(found.begin, found.end, found.format.render(found.match, shiftDate(found.date, -offset)));
+    }
+  }
+
+  return replacements;
+}
+
+/**
+ * Find every valid date in a text
+ *
+ * @private
+ * @param {string} text
+ * @returns {Array<{ begin: number, end: number, text: string, date: Object, match: Array, format: Object }>}
+ */
+function findDates(text) {
+  const found = [];
+  for (const format of DATE_FORMATS) {
+    for (const match of text.matchAll(format.pattern)) {
+      const begin = match.index;
+      const end = begin + match[0].length;
+      if (found.some((other) => begin < other.end && end > other.begin)) continue;
+      const date = format.parse(match);
+      if (!isValidDate(date)) continue;
+      found.push({ begin, end, text: match[0], date, match, format });
+    }
+  }
+  return found.sort((a, b) => a.begin - b.begin);
+}
+
+/**
+ * Parse a text that is exactly one date (a DATE entity)
+ *
+ * @private
+ * @param {string} text
+ * @returns {Object|null} - findDates entry, or null if the text is not a date in a known format
+ */
+function parseWholeDate(text) {
+  const trimmed = text.trim();
+  const [found] = findDates(trimmed);
+  return found && found.begin === 0 && found.end === trimmed.length && trimmed === text ? found : null;
+}
+
+/**
+ * Shift a date by a number of days; dates without a year are shifted within a leap year
+ *
+ * @private
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(Date.UTC(date.year ?? 2000, date.month - 1, date.day) + days * DAY_MS);
+  return {
+    year: date.year === null ? null : shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+  };
+}
+
+function isValidDate(date) {
+  if (!date.month || !date.day) return false;
+  const check = new Date(Date.UTC(date.year ?? 2000, date.month - 1, date.day));
+  return check.getUTCMonth() === date.month - 1 && check.getUTCDate() === date.day;
+}
+
+function dateKey(date) {
+  return `${date.year ?? ''}-${padNumber(date.month, 2)}-${padNumber(date.day, 2)}`;
+}
+
+/**
+ * Fixed date shift of a seed: 30 to 365 days, earlier or later
+ *
+ * @private
+ */
+function deriveDateOffset(key) {
+  const bytes = keyedBytes(key, 'date-offset');
+  const days = 30 + (bytes.readUInt16BE(0) % 336);
+  return bytes[2] % 2 === 0 ? -days : days;
+}
+
+function expandYear(year) {
+  if (year.length === 4) return Number(year);
+  const twoDigit = Number(year);
+  return twoDigit > new Date().getFullYear() % 100 ? 1900 + twoDigit : 2000 + twoDigit;
+}
+
+function monthNumber(name) {
+  return MONTH_NAMES.findIndex((month) => month.slice(0, 3) === name.slice(0, 3)) + 1;
+}
+
+// Keep full month names full and abbreviations abbreviated
+function renderMonth(original, month) {
+  const name = MONTH_NAMES[month - 1];
+  return MONTH_NAMES.includes(original) ? name : name.slice(0, 3);
+}
+
+function ordinalSuffix(day) {
+  if (day >= 11 && day <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+}
+
+function padNumber(value, length) {
+  return String(value).padStart(length, '0');
+}
+
+function keyedBytes(key, label) {
+  return crypto.createHmac('sha256', key).update(label).digest();
+}
+
+function choose(list, bytes) {
+  return list[bytes.readUInt32BE(0) % list.length];
+}
+
+/**
+ * Replace digits (and optionally letters) keeping case, length and separators
+ *
+ * @private
+ */
+function scramble(text, bytes, { letters }) {
+  let index = 0;
+  return text.replace(letters ? /[0-9A-Za-z]/g : /[0-9]/g, (char) => {
+    const byte = bytes[index++ % bytes.length] ^ index;
+    if (/\d/.test(char)) return String(byte % 10);
+    const letter = String.fromCharCode(65 + (byte % 26));
+    return char === char.toUpperCase() ? letter : letter.toLowerCase();
+  });
+}
+
+function matchCase(original, surrogate) {
+  if (original.length > 1 && original === original.toUpperCase()) return surrogate.toUpperCase();
+  if (original === original.toLowerCase()) return surrogate.toLowerCase();
+  return surrogate;
+}
+
+function containsWord(text, word) {
+  return new RegExp(`(?<!\\w)${escapeRegExp(word)}(?!\\w)`, 'i').test(text);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
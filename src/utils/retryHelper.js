@@ -0,0 +1,73 @@
+/**
+ * Retry Helper
+ *
+ * Retries an async operation with exponential backoff and jitter.
+ * Used by the job worker to retry individual pipeline steps
+ * (signed URL, transcription, LLM generation) before failing a job.
+ */
+
+/**
+ * Compute the backoff delay for a retry attempt
+ *
+ * @param {number} attempt - Retry attempt number (1 = first retry)
+ * @param {object} [options]
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry
+ * @param {number} [options.maxDelayMs=30000] - Upper bound for any single delay
+ * @param {number} [options.jitter=0.2] - Random +/- fraction applied to the delay (0 disables jitter)
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoffMs(attempt, { baseDelayMs = 1000, maxDelayMs = 30000, jitter = 0.2 } = {}) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+  if (!jitter) return exponential;
+  const spread = exponential * jitter;
+  return Math.max(0, Math.round(exponential - spread + Math.random() * spread * 2));
+}
+
+/**
+ * Default retry predicate: client errors (4xx) are not worth retrying
+ *
+ * @param {Error} error - Error thrown by the operation
+ * @returns {boolean} - True if the operation should be retried
+ */
+export function isRetryableError(error) {
+  if (error?.retryable === false) return false;
+  const status = Number(error?.status || error?.statusCode);
+  if (status >= 400 && status < 500 && status !== 408 && status !== 429) return false;
+  return true;
+}
+
+/**
+ * Run an async operation, retrying on failure with exponential backoff
+ *
+ * @param {Function} operation - async (attempt) => result; attempt starts at 1
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000] - See computeBackoffMs
+ * @param {number} [options.maxDelayMs=30000] - See computeBackoffMs
+ * @param {number} [options.jitter=0.2] - See computeBackoffMs
+ * @param {Function} [options.shouldRetry=isRetryableError] - (error, attempt) => boolean
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) => void, called before sleeping
+ * @returns {Promise<any>} - Result of the first successful attempt
+ * @throws {Error} - Last error once retries are exhausted or shouldRetry returns false
+ */
+export async function withRetry(operation, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  jitter = 0.2,
+  shouldRetry = isRetryableError,
+  onRetry,
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error, attempt)) {
+        throw error;
+      }
+      const delayMs = computeBackoffMs(attempt, { baseDelayMs, maxDelayMs, jitter });
+      if (onRetry) onRetry(error, attempt, delayMs);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
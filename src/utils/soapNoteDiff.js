@@ -0,0 +1,117 @@
+/**
+ * SOAP Note Diff
+ *
+ * Compares two stored versions of a note (soapNote_text: { soapNote, billingSuggestion },
+ * see soapNoteFormat.js) section by section for GET /api/soap-notes/:id/revisions/diff.
+ * Sections follow the note type's layout (see noteTypes.js), then any extra stored keys;
+ * the billing suggestion is compared as a final "billingSuggestion" section.
+ *
+ * Section status:
+ * - unchanged: same text in both versions
+ * - added: empty in the older version
+ * - removed: empty in the newer version
+ * - modified: text differs; changes lists the lines as equal / removed / added
+ *
+ * Text is compared as stored (no cleanRawText), so whitespace-only edits show up in the audit trail.
+ */
+
+import { DEFAULT_NOTE_TYPE, getNoteTypeTemplate } from './noteTypes.js';
+import { toHeading } from './soapNoteExport.js';
+
+export const BILLING_SECTION_KEY = 'billingSuggestion';
+
+/**
+ * @private
+ * @param {*} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (typeof text !== 'string' || text === '') return [];
+  return text.split(/\r?\n/);
+}
+
+/**
+ * Line diff via longest common subsequence
+ *
+ * @param {string[]} fromLines
+ * @param {string[]} toLines
+ * @returns {Array<{ op: 'equal'|'removed'|'added', text: string }>}
+ */
+export function diffLines(fromLines, toLines) {
+  const n = fromLines.length;
+  const m = toLines.length;
+
+  // lcs[i][j] = LCS length of fromLines[i..] and toLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = fromLines[i] === toLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (fromLines[i] === toLines[j]) {
+      changes.push({ op: 'equal', text: fromLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ op: 'removed', text: fromLines[i] });
+      i++;
+    } else {
+      changes.push({ op: 'added', text: toLines[j] });
+      j++;
+    }
+  }
+  for (; i < n; i++) changes.push({ op: 'removed', text: fromLines[i] });
+  for (; j < m; j++) changes.push({ op: 'added', text: toLines[j] });
+  return changes;
+}
+
+/**
+ * Diff two stored versions of a note section by section
+ *
+ * @param {Object} fromText - Older soapNote_text { soapNote, billingSuggestion }
+ * @param {Object} toText - Newer soapNote_text { soapNote, billingSuggestion }
+ * @param {string} [noteType='soap'] - Note type of the soapNotes row
+ * @returns {{
+ *   sections: Array<{ key: string, heading: string, status: string, changes: Array<{ op: string, text: string }> }>,
+ *   changed_count: number
+ * }}
+ */
+export function diffSoapNoteTexts(fromText, toText, noteType = DEFAULT_NOTE_TYPE) {
+  const fromSections = fromText?.soapNote || {};
+  const toSections = toText?.soapNote || {};
+  const layoutKeys = getNoteTypeTemplate(noteType).sections.map((section) => section.key);
+  const keys = [...layoutKeys];
+  for (const key of [...Object.keys(fromSections), ...Object.keys(toSections)]) {
+    if (!keys.includes(key)) keys.push(key);
+  }
+
+  const compared = keys.map((key) => ({ key, heading: toHeading(key), from: fromSections[key], to: toSections[key] }));
+  compared.push({ key: BILLING_SECTION_KEY, heading: 'Billing', from: fromText?.billingSuggestion, to: toText?.billingSuggestion });
+
+  const sections = compared
+    .map(({ key, heading, from, to }) => {
+      const fromLines = splitLines(from);
+      const toLines = splitLines(to);
+      if (fromLines.length === 0 && toLines.length === 0) return null;
+
+      let status = 'modified';
+      if (from === to) status = 'unchanged';
+      else if (fromLines.length === 0) status = 'added';
+      else if (toLines.length === 0) status = 'removed';
+
+      return { key, heading, status, changes: diffLines(fromLines, toLines) };
+    })
+    .filter(Boolean);
+
+  return {
+    sections,
+    changed_count: sections.filter((section) => section.status !== 'unchanged').length,
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * SOAP Note Export
+ *
+ * Renders a stored note (soapNote_text: { soapNote, billingSuggestion }, see soapNoteFormat.js)
+ * as PDF, DOCX, plain text or Markdown for GET /api/soap-notes/:id/export.
+ * Every line goes through cleanRawText so the output can be pasted into an EHR as-is.
+ * Sections follow the note type's layout (see noteTypes.js).
+ */
+
+import { jsPDF } from 'jspdf';
+import { Document, HeadingLevel, Packer, Paragraph, TextRun } from 'docx';
+import { cleanRawText } from './cleanRawText.js';
+import { DEFAULT_NOTE_TYPE, getNoteType, getNoteTypeTemplate } from './noteTypes.js';
+
+export const SOAP_NOTE_EXPORT_FORMATS = ['pdf', 'docx', 'txt', 'md'];
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+};
+
+// PDF layout in points (US letter)
+const PDF_MARGIN = 54;
+const PDF_LINE_HEIGHT = 1.35;
+
+/**
+ * Clean multi-line text line by line (cleanRawText collapses newlines), dropping blank lines
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function cleanLines(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text
+    .split(/\r?\n/)
+    .map((line) => cleanRawText(line))
+    .filter(Boolean);
+}
+
+/**
+ * Turn a section key into a heading ("history_of_present_illness" -> "History of present illness")
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+export function toHeading(key) {
+  const words = key.replace(/_/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Format a timestamp as "YYYY-MM-DD" or "YYYY-MM-DD HH:MM UTC"
+ *
+ * @private
+ * @param {string} value - ISO datetime
+ * @param {boolean} [withTime=false]
+ * @returns {string|null}
+ */
+function formatDate(value, withTime = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const iso = date.toISOString();
+  return withTime ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC` : iso.slice(0, 10);
+}
+
+/**
+ * Clinical sections of a stored note, in the note type's layout order followed by any
+ * extra stored keys; empty sections are left out
+ *
+ * @param {Object<string, string>} soapNote - Stored soapNote sections
+ * @param {string} [noteType='soap'] - Note type of the soapNotes row
+ * @returns {Array<{ key: string, heading: string, lines: string[] }>}
+ */
+export function buildNoteSections(soapNote, noteType = DEFAULT_NOTE_TYPE) {
+  const sectionsByKey = soapNote || {};
+  const layoutKeys = getNoteTypeTemplate(noteType).sections.map((section) => section.key);
+  const keys = [...layoutKeys, ...Object.keys(sectionsByKey).filter((key) => !layoutKeys.includes(key))];
+
+  return keys
+    .map((key) => ({ key, heading: toHeading(key), lines: cleanLines(sectionsByKey[key]) }))
+    .filter((section) => section.lines.length > 0);
+}
+
+/**
+ * Build the export model for a stored note
+ *
+ * @param {Object} soapNoteText - Decrypted soapNote_text { soapNote, billingSuggestion }
+ * @param {Object} [meta]
+ * @param {string} [meta.noteType='soap'] - Note type of the soapNotes row
+ * @param {string} [meta.encounterName] - Decrypted patient encounter name
+ * @param {string} [meta.encounterDate] - Patient encounter created_at
+ * @param {string} [meta.noteUpdatedAt] - soapNotes updated_at
+ * @param {string} [meta.signedAt] - soapNotes signed_at (signed notes only)
+ * @returns {{ title: string, metadata: Array<[string, string]>, sections: Array<{ heading: string, lines: string[] }> }}
+ */
+export function buildNoteExport(soapNoteText, { noteType = DEFAULT_NOTE_TYPE, encounterName, encounterDate, noteUpdatedAt, signedAt } = {}) {
+  const type = getNoteType(noteType);
+  const sections = buildNoteSections(soapNoteText?.soapNote, type.name)
+    .map(({ heading, lines }) => ({ heading, lines }));
+
+  const billingLines = cleanLines(soapNoteText?.billingSuggestion);
+  if (billingLines.length > 0) {
+    sections.push({ heading: 'Billing', lines: billingLines });
+  }
+
+  const metadata = [
+    ['Patient encounter', encounterName ? cleanRawText(encounterName) : null],
+    ['Encounter date', formatDate(encounterDate)],
+    ['Note type', type.label],
+    ['Last updated', formatDate(noteUpdatedAt, true)],
+    ['Signed', formatDate(signedAt, true)],
+  ].filter(([, value]) => value);
+
+  return { title: type.label, metadata, sections };
+}
+
+/**
+ * Render the export model as plain text (uppercase headings, no markup)
+ *
+ * @param {Object} model - From buildNoteExport
+ * @returns {string}
+ */
+export function renderNoteText(model) {
+  const blocks = [
+    [model.title, ...model.metadata.map(([label, value]) => `${label}: ${value}`)].join('\n'),
+    ...model.sections.map((section) => [section.heading.toUpperCase(), ...section.lines].filter(Boolean).join('\n')),
+  ];
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Render the export model as Markdown
+ *
+ * @param {Object} model - From buildNoteExport
+ * @returns {string}
+ */
+export function renderNoteMarkdown(model) {
+  const blocks = [
+    `# ${model.title}`,
+    model.metadata.map(([label, value]) => `**${label}:** ${value}  `).join('\n'),
+    ...model.sections.map((section) => [...(section.heading ? [`## ${section.heading}`, ''] : []), ...section.lines].join('\n')),
+  ].filter(Boolean);
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Render the export model as a DOCX document
+ *
+ * @param {Object} model - From buildNoteExport
+ * @returns {Promise<Buffer>}
+ */
+export async function renderNoteDocx(model) {
+  const children = [
+    new Paragraph({ text: model.title, heading: HeadingLevel.HEADING_1 }),
+    ...model.metadata.map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)],
+    })),
+  ];
+
+  for (const section of model.sections) {
+    if (section.heading) {
+      children.push(new Paragraph({ text: section.heading, heading: HeadingLevel.HEADING_2 }));
+    }
+    for (const line of section.lines) {
+      children.push(new Paragraph({ text: line }));
+    }
+  }
+
+  return Packer.toBuffer(new Document({ sections: [{ children }] }));
+}
+
+/**
+ * Render the export model as a PDF (wrapped text, page breaks as needed)
+ *
+ * @param {Object} model - From buildNoteExport
+ * @returns {Buffer}
+ */
+export function renderNotePdf(model) {
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const textWidth = doc.internal.pageSize.getWidth() - PDF_MARGIN * 2;
+  let y = PDF_MARGIN;
+
+  const write = (text, { size = 11, bold = false, spaceBefore = 0 } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    const lineHeight = size * PDF_LINE_HEIGHT;
+    y += spaceBefore;
+    for (const line of doc.splitTextToSize(text, textWidth)) {
+      if (y + lineHeight > pageHeight - PDF_MARGIN) {
+        doc.addPage();
+        y = PDF_MARGIN;
+      }
+      doc.text(line, PDF_MARGIN, y + size);
+      y += lineHeight;
+    }
+  };
+
+  write(model.title, { size: 16, bold: true });
+  for (const [label, value] of model.metadata) {
+    write(`${label}: ${value}`, { size: 10 });
+  }
+  for (const section of model.sections) {
+    if (section.heading) {
+      write(section.heading, { size: 12, bold: true, spaceBefore: 10 });
+    }
+    section.lines.forEach((line, index) => {
+      write(line, { spaceBefore: !section.heading && index === 0 ? 10 : 0 });
+    });
+  }
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+/**
+ * Render an export model ({ title, metadata, sections }) in the requested format
+ * Also used for after-visit summaries and letters (see afterVisitSummary.js, encounterLetters.js);
+ * a section with an empty heading renders as plain paragraphs (e.g. a letter's salutation)
+ *
+ * @param {Object} model - From buildNoteExport, or any model of the same shape
+ * @param {string} format - One of SOAP_NOTE_EXPORT_FORMATS
+ * @returns {Promise<{ body: Buffer|string, contentType: string, extension: string }>}
+ */
+export async function renderNoteExport(model, format) {
+  let body;
+  switch (format) {
+    case 'pdf':
+      body = renderNotePdf(model);
+      break;
+    case 'docx':
+      body = await renderNoteDocx(model);
+      break;
+    case 'txt':
+      body = renderNoteText(model);
+      break;
+    case 'md':
+      body = renderNoteMarkdown(model);
+      break;
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+  return { body, contentType: CONTENT_TYPES[format], extension: format };
+}
+
+/**
+ * Export a stored note in the requested format
+ *
+ * @param {Object} soapNoteText - Decrypted soapNote_text
+ * @param {Object} meta - See buildNoteExport
+ * @param {string} format - One of SOAP_NOTE_EXPORT_FORMATS
+ * @returns {Promise<{ body: Buffer|string, contentType: string, extension: string }>}
+ */
+export async function exportSoapNote(soapNoteText, meta, format) {
+  return renderNoteExport(buildNoteExport(soapNoteText, meta), format);
+}
@@ -0,0 +1,159 @@
+/**
+ * SOAP Note Format Conversion
+ *
+ * Converts the LLM job result ({ soap_note, billing }, see getSoapNoteAndBillingPrompt)
+ * into the stored soapNote_text shape used by soapNotes rows and POST /api/patient-encounters/complete:
+ * { soapNote: { subjective, objective, assessment, plan }, billingSuggestion }
+ * (other note types store their own section keys in soapNote)
+ */
+
+/**
+ * Flatten a SOAP section into text
+ * Object sections (e.g. subjective: { "Chief complaint": ..., HPI: ... }) become "Heading: value" lines,
+ * skipping empty values.
+ *
+ * @param {string|Object} section - Section value from the LLM result
+ * @returns {string}
+ */
+export function formatSoapSection(section) {
+  if (section === null || section === undefined) return '';
+  if (typeof section === 'string') return section.trim();
+  if (typeof section !== 'object') return String(section);
+
+  return Object.entries(section)
+    .map(([heading, value]) => [heading, formatSoapSection(value)])
+    .filter(([, value]) => value)
+    .map(([heading, value]) => `${heading}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Split stored section text back into its "Heading: value" blocks (inverse of formatSoapSection)
+ * A line starting with one of the known headings opens a block; values may span several lines.
+ * Text before the first heading is kept as a block with heading null.
+ *
+ * @param {string} text - Stored section text
+ * @param {string[]} headings - Subsection keys to recognise (case-insensitive)
+ * @returns {Array<{ heading: string|null, value: string }>}
+ */
+export function splitSoapSection(text, headings) {
+  if (!text || typeof text !== 'string') return [];
+
+  const byLowerCase = new Map(headings.map((heading) => [heading.toLowerCase(), heading]));
+  const blocks = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^([^:\n]+):\s?(.*)$/);
+    const heading = match ? byLowerCase.get(match[1].trim().toLowerCase()) : undefined;
+    if (heading) {
+      blocks.push({ heading: match[1].trim(), value: match[2] });
+    } else if (blocks.length > 0) {
+      blocks[blocks.length - 1].value += `\n${line}`;
+    } else {
+      blocks.push({ heading: null, value: line });
+    }
+  }
+  return blocks.map((block) => ({ heading: block.heading, value: block.value.trim() }));
+}
+
+/**
+ * Join blocks from splitSoapSection back into section text, skipping empty values
+ *
+ * @param {Array<{ heading: string|null, value: string }>} blocks
+ * @returns {string}
+ */
+export function joinSoapSection(blocks) {
+  return blocks
+    .filter((block) => block.value)
+    .map((block) => (block.heading ? `${block.heading}: ${block.value}` : block.value))
+    .join('\n');
+}
+
+/**
+ * Flatten the billing block into the billingSuggestion text
+ *
+ * @param {Object} billing - { icd10_codes: string[], billing_code: string, additional_inquiries: string }
+ * @returns {string}
+ */
+export function formatBillingSuggestion(billing) {
+  if (!billing) return '';
+  if (typeof billing === 'string') return billing.trim();
+
+  const lines = [];
+  const icd10Codes = Array.isArray(billing.icd10_codes) ? billing.icd10_codes.filter(Boolean) : [];
+  if (icd10Codes.length > 0) {
+    lines.push(`ICD-10: ${icd10Codes.join('; ')}`);
+  }
+  if (billing.billing_code) {
+    lines.push(`CPT: ${billing.billing_code}`);
+  }
+  if (billing.additional_inquiries) {
+    lines.push(`Additional inquiries: ${billing.additional_inquiries}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse a stored billingSuggestion back into the billing block (inverse of formatBillingSuggestion)
+ * Lines without a known label are kept in additional_inquiries.
+ *
+ * @param {string} billingSuggestion - Stored billingSuggestion text
+ * @returns {{ icd10_codes: string[], billing_code: string, additional_inquiries: string }}
+ */
+export function parseBillingSuggestion(billingSuggestion) {
+  const billing = { icd10_codes: [], billing_code: '', additional_inquiries: '' };
+  if (!billingSuggestion || typeof billingSuggestion !== 'string') return billing;
+
+  const other = [];
+  for (const line of billingSuggestion.split(/\r?\n/).map((l) => l.trim()).filter(Boolean)) {
+    const match = line.match(/^(ICD-10|CPT|Additional inquiries):\s*(.*)$/i);
+    const label = match?.[1].toLowerCase();
+    if (label === 'icd-10') {
+      billing.icd10_codes.push(...match[2].split(';').map((code) => code.trim()).filter(Boolean));
+    } else if (label === 'cpt') {
+      billing.billing_code = match[2].trim();
+    } else if (label === 'additional inquiries') {
+      other.push(match[2].trim());
+    } else {
+      other.push(line);
+    }
+  }
+  billing.additional_inquiries = other.join('\n');
+  return billing;
+}
+
+/**
+ * Convert an LLM note/billing result into stored soapNote_text
+ * SOAP notes always store subjective/objective/assessment/plan; other note types
+ * (see noteTypes.js) store one text entry per section of their layout.
+ *
+ * @param {Object} result - Parsed job result { soap_note, billing }
+ * @param {Object} [options]
+ * @param {string} [options.noteType='soap'] - Note type the result was generated as
+ * @returns {{ soapNote: Object<string, string>, billingSuggestion: string }}
+ * @throws {Error} - If result has no soap_note
+ */
+export function toStoredSoapNote(result, { noteType = 'soap' } = {}) {
+  if (!result || typeof result !== 'object' || !result.soap_note) {
+    throw new Error('SOAP note result is missing soap_note');
+  }
+
+  const { soap_note: soapNote, billing } = result;
+  if (noteType !== 'soap') {
+    return {
+      soapNote: Object.fromEntries(
+        Object.entries(soapNote).map(([section, value]) => [section, formatSoapSection(value)])
+      ),
+      billingSuggestion: formatBillingSuggestion(billing),
+    };
+  }
+
+  return {
+    soapNote: {
+      subjective: formatSoapSection(soapNote.subjective),
+      objective: formatSoapSection(soapNote.objective),
+      assessment: formatSoapSection(soapNote.assessment),
+      plan: formatSoapSection(soapNote.plan),
+    },
+    billingSuggestion: formatBillingSuggestion(billing),
+  };
+}
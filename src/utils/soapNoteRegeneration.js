@@ -0,0 +1,107 @@
+/**
+ * SOAP Note Section Regeneration
+ *
+ * Helpers for POST /api/soap-notes/:id/regenerate, which rewrites one section of a stored note
+ * (soapNote_text: { soapNote, billingSuggestion }, see soapNoteFormat.js) from its transcript:
+ * - section paths: "plan" (whole section) or "subjective.HPI" (one "Heading: value" block of a section)
+ * - writing the regenerated text back into the stored note
+ *
+ * The prompt itself is built by getSectionRegenerationPrompt (gptRequestBodies.js); transcript, current
+ * section text and instructions are masked together (see maskingDocument.js).
+ */
+
+import { formatSoapSection, joinSoapSection, splitSoapSection } from './soapNoteFormat.js';
+
+/**
+ * Error for a section path that does not exist in the note (400)
+ *
+ * @private
+ * @param {string} message
+ * @returns {Error}
+ */
+function sectionPathError(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+/**
+ * Resolve a section path against a stored note and its layout
+ * Section keys come from the layout (note template / note type) and the stored note;
+ * subsections from the layout section, or any subsection already present in the stored text.
+ *
+ * @param {string} sectionPath - "plan" or "subjective.HPI" (split on the first dot)
+ * @param {Object<string, string>} soapNote - Stored soapNote sections
+ * @param {Object} template - Note layout { sections: [{ key, description, subsections? }] } (see getNoteTypeTemplate)
+ * @returns {{ path: string, section: string, subsection: string|null, field: Object, headings: string[], currentText: string }}
+ *   field is the layout entry to regenerate ({ key, description, subsections? }), headings the section's known subsection keys
+ * @throws {Error} - status 400 for unknown sections or subsections
+ */
+export function resolveSectionPath(sectionPath, soapNote, template) {
+  const dot = sectionPath.indexOf('.');
+  const sectionName = (dot === -1 ? sectionPath : sectionPath.slice(0, dot)).trim();
+  const subsectionName = dot === -1 ? null : sectionPath.slice(dot + 1).trim();
+
+  const sections = soapNote || {};
+  const layoutSection = template.sections.find((section) => section.key.toLowerCase() === sectionName.toLowerCase());
+  const section = layoutSection?.key ?? Object.keys(sections).find((key) => key.toLowerCase() === sectionName.toLowerCase());
+  if (!section) {
+    throw sectionPathError(`Unknown section "${sectionName}"`);
+  }
+
+  const sectionText = typeof sections[section] === 'string' ? sections[section] : '';
+  const layoutSubsections = layoutSection?.subsections || [];
+  const headings = layoutSubsections.map((subsection) => subsection.key);
+  const sectionField = layoutSection || { key: section, description: `${section.replace(/_/g, ' ')} section` };
+
+  if (subsectionName === null) {
+    return { path: section, section, subsection: null, field: sectionField, headings, currentText: sectionText };
+  }
+  if (!subsectionName) {
+    throw sectionPathError('Subsection name is empty');
+  }
+
+  // Subsections outside the layout are accepted when the stored text already has them
+  const layoutSubsection = layoutSubsections.find((subsection) => subsection.key.toLowerCase() === subsectionName.toLowerCase());
+  const storedBlock = splitSoapSection(sectionText, [...headings, subsectionName])
+    .find((block) => block.heading?.toLowerCase() === subsectionName.toLowerCase());
+  if (!layoutSubsection && !storedBlock) {
+    throw sectionPathError(`Unknown subsection "${subsectionName}" in section "${section}"`);
+  }
+
+  const subsection = layoutSubsection?.key ?? storedBlock.heading;
+  return {
+    path: `${section}.${subsection}`,
+    section,
+    subsection,
+    field: layoutSubsection || { key: subsection, description: subsection },
+    headings: headings.includes(subsection) ? headings : [...headings, subsection],
+    currentText: storedBlock?.value ?? '',
+  };
+}
+
+/**
+ * Write regenerated text into a copy of the stored note sections
+ * Whole sections are formatted like a generated note (formatSoapSection); a subsection replaces
+ * its block in place, or is appended when the section did not have it yet.
+ *
+ * @param {Object<string, string>} soapNote - Stored soapNote sections
+ * @param {Object} target - Result of resolveSectionPath
+ * @param {string|Object} value - Regenerated section (object for sections with subsections) or subsection text
+ * @returns {Object<string, string>} - New soapNote sections
+ */
+export function applySectionText(soapNote, target, value) {
+  const text = formatSoapSection(value);
+  if (!target.subsection) {
+    return { ...soapNote, [target.section]: text };
+  }
+
+  const blocks = splitSoapSection(soapNote?.[target.section], target.headings);
+  const block = blocks.find((entry) => entry.heading?.toLowerCase() === target.subsection.toLowerCase());
+  if (block) {
+    block.value = text;
+  } else {
+    blocks.push({ heading: target.subsection, value: text });
+  }
+  return { ...soapNote, [target.section]: joinSoapSection(blocks) };
+}
@@ -0,0 +1,35 @@
+/**
+ * SOAP Note Signature
+ *
+ * Content hash recorded when a note is signed (POST /api/soap-notes/:id/sign).
+ * The hash covers the decrypted soapNote_text exactly as stored (JSON text), so it can be
+ * re-checked against the note later without depending on the encryption IV.
+ */
+
+import { createHash } from 'crypto';
+
+// SQLSTATE raised by the signed note lock (sql/triggers/soapNote_prevent_signed_changes.sql)
+export const SIGNED_NOTE_LOCKED_CODE = '55000';
+
+/**
+ * SHA-256 (hex) of a note's stored soapNote_text
+ *
+ * @param {string|Object} soapNoteText - Decrypted soapNote_text (JSON text, or an object to serialize)
+ * @returns {string}
+ */
+export function computeContentHash(soapNoteText) {
+  const text = typeof soapNoteText === 'string' ? soapNoteText : JSON.stringify(soapNoteText);
+  return createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Check a note's text against the hash recorded at signing
+ *
+ * @param {string|Object} soapNoteText - Decrypted soapNote_text
+ * @param {string} contentHash - soapNotes.content_hash
+ * @returns {boolean}
+ */
+export function verifyContentHash(soapNoteText, contentHash) {
+  if (!contentHash) return false;
+  return computeContentHash(soapNoteText) === contentHash;
+}
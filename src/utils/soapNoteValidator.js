@@ -5,35 +5,48 @@
  * Handles both standard data format and schema-wrapped responses.
  */
 
+import { DEFAULT_NOTE_TEMPLATE, resolveNoteTemplate } from './noteTemplates.js';
+
 /**
  * Validate SOAP and billing response structure
+ * Sections and subsections are checked against the note template (see noteTemplates.js):
+ * required fields must be present, and every present field must have the template's type.
  * 
  * @param {Object} obj - Response object to validate
+ * @param {Object} [template=DEFAULT_NOTE_TEMPLATE] - Note template the response was generated with
  * @throws {Error} - If validation fails with descriptive message
  * @returns {boolean} - True if valid
  */
-export function validateSoapAndBilling(obj) {
+export function validateSoapAndBilling(obj, template = DEFAULT_NOTE_TEMPLATE) {
   if (!obj || typeof obj !== 'object') throw new Error('Response is not an object');
   if (!obj.soap_note || typeof obj.soap_note !== 'object') throw new Error('Missing soap_note object');
 
   const s = obj.soap_note;
-  if (!s.subjective || typeof s.subjective !== 'object') throw new Error('Missing subjective object');
-  if (!s.objective || typeof s.objective !== 'object') throw new Error('Missing objective object');
-  if (typeof s.assessment !== 'string') throw new Error('assessment must be a string');
-  if (typeof s.plan !== 'string') throw new Error('plan must be a string');
+  const sections = resolveNoteTemplate(template).sections;
 
-  // Check subjective required keys
-  const subjReq = ["Chief complaint", "HPI", "History", "ROS", "Medications", "Allergies"];
-  for (const k of subjReq) {
-    if (!(k in s.subjective)) throw new Error(`subjective missing required key: ${k}`);
-    if (typeof s.subjective[k] !== 'string') throw new Error(`subjective.${k} must be a string`);
+  // Section types: object when the template has subsections, string otherwise
+  for (const section of sections) {
+    const value = s[section.key];
+    if (value === undefined && section.required === false) continue;
+    if (section.subsections?.length) {
+      if (!value || typeof value !== 'object') throw new Error(`Missing ${section.key} object`);
+    } else if (typeof value !== 'string') {
+      throw new Error(`${section.key} must be a string`);
+    }
   }
 
-  // Objective required keys
-  const objReq = ["HEENT", "General", "Cardiovascular", "Musculoskeletal", "Other"];
-  for (const k of objReq) {
-    if (!(k in s.objective)) throw new Error(`objective missing required key: ${k}`);
-    if (typeof s.objective[k] !== 'string') throw new Error(`objective.${k} must be a string`);
+  // Subsection keys
+  for (const section of sections) {
+    const value = s[section.key];
+    if (!section.subsections?.length || !value) continue;
+    for (const subsection of section.subsections) {
+      const k = subsection.key;
+      if (!(k in value)) {
+        if (subsection.required === false) continue;
+        throw new Error(`${section.key} missing required key: ${k}`);
+      }
+      if (typeof value[k] !== 'string') throw new Error(`${section.key}.${k} must be a string`);
+    }
   }
 
   // Billing is optional, but if present, validate structure
@@ -0,0 +1,78 @@
+/**
+ * Server-Sent Events Helper
+ *
+ * Shared helpers for streaming endpoints (POST /api/prompt-llm, GET /api/jobs/prompt-llm/:jobId/events)
+ * Every event payload has the shape { status, message, data? }.
+ */
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx) so events flush immediately
+};
+
+/**
+ * Write SSE response headers, keeping headers already set on the reply (e.g. CORS)
+ *
+ * @param {Object} reply - Fastify reply object
+ * @param {number} [statusCode=200] - HTTP status code
+ */
+export function writeSseHeaders(reply, statusCode = 200) {
+  if (reply.raw.headersSent) return;
+  reply.raw.writeHead(statusCode, {
+    ...reply.getHeaders(),
+    ...SSE_HEADERS,
+  });
+}
+
+/**
+ * Send SSE event to client
+ *
+ * @param {Object} reply - Fastify reply object
+ * @param {string} status - Event status (also used as the SSE event name when options.event is set)
+ * @param {string} message - Human readable progress message
+ * @param {Object} [data] - Optional event data
+ * @param {Object} [options]
+ * @param {string|number} [options.id] - SSE event id (echoed back by clients as Last-Event-ID)
+ * @param {string} [options.event] - SSE event name (defaults to the unnamed "message" event)
+ */
+export function sendSseEvent(reply, status, message, data = null, { id, event: eventName } = {}) {
+  const event = { status, message };
+  if (data) {
+    event.data = data;
+  }
+
+  let frame = '';
+  if (id !== undefined && id !== null) frame += `id: ${id}\n`;
+  if (eventName) frame += `event: ${eventName}\n`;
+  frame += `data: ${JSON.stringify(event)}\n\n`;
+  reply.raw.write(frame);
+}
+
+/**
+ * Send SSE comment line to keep idle connections open through proxies
+ *
+ * @param {Object} reply - Fastify reply object
+ */
+export function sendSseKeepAlive(reply) {
+  reply.raw.write(': keep-alive\n\n');
+}
+
+/**
+ * Send SSE error to client and close the stream
+ * Sets appropriate HTTP status code (400 for validation, 500 for server errors) if headers not yet sent
+ *
+ * @param {Object} reply - Fastify reply object
+ * @param {string} message - Error message
+ * @param {number} [statusCode=400] - HTTP status code
+ */
+export function sendSseError(reply, message, statusCode = 400) {
+  const event = { status: 'error', message };
+
+  // Only call writeHead if not already sent
+  writeSseHeaders(reply, statusCode);
+
+  reply.raw.write(`data: ${JSON.stringify(event)}\n\n`);
+  reply.raw.end();
+}
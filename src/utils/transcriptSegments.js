@@ -0,0 +1,184 @@
+/**
+ * Transcript Segments
+ *
+ * Diarized, timestamped transcript segments: { speaker, start, end, text }
+ * - speaker: 'clinician' | 'patient' | 'other', or null when the provider does not diarize (e.g. Whisper)
+ * - start / end: seconds from the start of the recording
+ *
+ * Providers report speakers in their own way (roles, "SPEAKER_0", speaker tags, or nothing at all);
+ * normalizeTranscriptSegments maps them onto the three labels above. Transcripts are only sent to the LLM
+ * speaker-labelled when at least one segment has a speaker (hasSpeakerLabels).
+ * Segments are stored encrypted as JSON (encrypted_segments + segments_iv) next to the plain transcript text.
+ */
+
+import * as encryptionUtils from './encryptionUtils.js';
+
+export const TRANSCRIPT_SPEAKERS = ['clinician', 'patient', 'other'];
+
+// Provider role names mapped onto our speaker labels
+const SPEAKER_ALIASES = {
+  clinician: 'clinician',
+  doctor: 'clinician',
+  physician: 'clinician',
+  provider: 'clinician',
+  nurse: 'clinician',
+  patient: 'patient',
+  other: 'other',
+  family: 'other',
+  caregiver: 'other',
+};
+
+/**
+ * Read the first numeric value among candidate keys
+ *
+ * @private
+ * @param {Object} raw - Provider segment
+ * @param {string[]} keys - Candidate keys
+ * @returns {number|null}
+ */
+function readSeconds(raw, keys) {
+  for (const key of keys) {
+    const value = Number(raw[key]);
+    if (raw[key] !== undefined && raw[key] !== null && Number.isFinite(value)) {
+      return Math.max(0, Math.round(value * 100) / 100);
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize provider segments into { speaker, start, end, text }
+ * Known role names (doctor, patient, ...) are mapped directly. Anonymous speaker tags
+ * (SPEAKER_0, 1, "B") are assigned in order of first appearance: the first voice is the
+ * clinician (who opens the visit), the second the patient, any further voices other.
+ * Segments without a speaker keep speaker null (not other: that label means family or caregivers).
+ * Empty segments are dropped.
+ *
+ * @param {Array} rawSegments - Segments as returned by the transcription provider
+ * @param {Object} [options]
+ * @param {boolean} [options.keepSpeakerTags=false] - Also keep the provider's anonymous tag as speaker_tag
+ *   (chunked transcription maps each chunk's tags onto the previous chunk's speakers)
+ * @returns {Array<{ speaker: string|null, start: number|null, end: number|null, text: string }>}
+ */
+export function normalizeTranscriptSegments(rawSegments, { keepSpeakerTags = false } = {}) {
+  if (!Array.isArray(rawSegments)) return [];
+
+  const anonymousSpeakers = new Map();
+  const segments = [];
+
+  for (const raw of rawSegments) {
+    if (!raw || typeof raw !== 'object') continue;
+
+    const text = String(raw.text ?? raw.transcript ?? '').trim();
+    if (!text) continue;
+
+    const rawSpeaker = raw.speaker ?? raw.speaker_label ?? raw.speakerTag ?? raw.role ?? null;
+    let speaker = null;
+    let speakerTag = null;
+    if (rawSpeaker !== null && rawSpeaker !== '') {
+      const key = String(rawSpeaker).trim().toLowerCase();
+      if (SPEAKER_ALIASES[key]) {
+        speaker = SPEAKER_ALIASES[key];
+      } else {
+        if (!anonymousSpeakers.has(key)) {
+          anonymousSpeakers.set(key, TRANSCRIPT_SPEAKERS[anonymousSpeakers.size] || 'other');
+        }
+        speaker = anonymousSpeakers.get(key);
+        speakerTag = key;
+      }
+    }
+
+    const segment = {
+      speaker,
+      start: readSeconds(raw, ['start', 'start_time', 'startTime']),
+      end: readSeconds(raw, ['end', 'end_time', 'endTime']),
+      text,
+    };
+    if (keepSpeakerTags && speakerTag !== null) {
+      segment.speaker_tag = speakerTag;
+    }
+    segments.push(segment);
+  }
+
+  // Keep provider order for untimed segments, otherwise order by start time
+  if (segments.every((segment) => segment.start !== null)) {
+    segments.sort((a, b) => a.start - b.start);
+  }
+  return segments;
+}
+
+/**
+ * Whether any segment has a diarized speaker, i.e. the transcript can be sent speaker-labelled
+ *
+ * @param {Array} segments - Normalized segments
+ * @returns {boolean}
+ */
+export function hasSpeakerLabels(segments) {
+  return Array.isArray(segments) && segments.some((segment) => Boolean(segment.speaker));
+}
+
+/**
+ * Format seconds as m:ss (or h:mm:ss for long recordings)
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Render segments as a speaker-labelled transcript, one line per segment
+ * e.g. "[0:12] Clinician: What brings you in today?" (segments without a speaker get no label)
+ *
+ * @param {Array} segments - Normalized segments
+ * @returns {string}
+ */
+export function formatSegmentsForPrompt(segments) {
+  return segments
+    .map((segment) => {
+      const speaker = segment.speaker ? `${segment.speaker.charAt(0).toUpperCase()}${segment.speaker.slice(1)}: ` : '';
+      const timestamp = segment.start !== null && segment.start !== undefined ? `[${formatTimestamp(segment.start)}] ` : '';
+      return `${timestamp}${speaker}${segment.text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Encrypt segments for storage on a transcripts row
+ *
+ * @param {Array|null} segments - Normalized segments (null/empty clears them)
+ * @param {Buffer|string} aesKey - Decrypted encounter AES key
+ * @returns {{ encrypted_segments: string|null, segments_iv: string|null }}
+ */
+export function encryptTranscriptSegments(segments, aesKey) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return { encrypted_segments: null, segments_iv: null };
+  }
+  const iv = encryptionUtils.generateRandomIVBase64();
+  return {
+    encrypted_segments: encryptionUtils.encryptText(JSON.stringify(segments), aesKey, iv),
+    segments_iv: iv,
+  };
+}
+
+/**
+ * Decrypt a transcripts row's segments in place and strip the encrypted columns
+ * Rows without segments get segments: [].
+ *
+ * @param {Object} transcript - Transcripts row including encrypted_segments / segments_iv
+ * @param {Buffer|string} aesKey - Decrypted encounter AES key
+ * @returns {Object} - The same row
+ */
+export function decryptTranscriptSegments(transcript, aesKey) {
+  transcript.segments = transcript.encrypted_segments
+    ? JSON.parse(encryptionUtils.decryptText(transcript.encrypted_segments, aesKey, transcript.segments_iv))
+    : [];
+  delete transcript.encrypted_segments;
+  delete transcript.segments_iv;
+  return transcript;
+}
@@ -0,0 +1,278 @@
+/**
+ * Transcription Provider Helper
+ *
+ * Single entry point for speech-to-text.
+ * Every provider takes a signed recording URL and returns an object with at least
+ * { transcript: string } (the shape callers read as cloudRunData), plus optional
+ * segments: [{ speaker?, start?, end?, text }] (see transcriptSegments.js).
+ *
+ * Providers:
+ * - cloudrun: GCP Cloud Run transcriber (CLOUD_RUN_TRANSCRIBE_URL, GCP_SERVICE_ACCOUNT_KEY), see transcribeHelper.js
+ * - openai-whisper: OpenAI audio transcriptions (OPENAI_API_KEY, WHISPER_API_URL, WHISPER_MODEL)
+ * - azure-whisper: Azure OpenAI Whisper deployment (AZURE_WHISPER_ENDPOINT, AZURE_WHISPER_KEY, AZURE_WHISPER_DEPLOYMENT)
+ * - fixture: offline provider, reads transcripts from TRANSCRIPTION_FIXTURE_DIR (default tests/fixtures/transcripts)
+ *   (only registered when NODE_ENV is 'development' or 'test')
+ *
+ * The deployment default comes from TRANSCRIPTION_PROVIDER (falls back to 'cloudrun');
+ * users may set a preference in their auth user_metadata.transcription_provider,
+ * and callers may override both per request.
+ *
+ * Long recordings are transcribed in overlapping chunks with any provider (chunkedTranscription.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { transcribe_recording } from './transcribeHelper.js';
+import { getChunkingConfig, probeDurationSeconds, transcribeInChunks } from './chunkedTranscription.js';
+
+// Offline providers are for local development and tests, never selectable in production
+const OFFLINE_PROVIDERS_ENABLED = ['development', 'test'].includes(process.env.NODE_ENV);
+
+export const TRANSCRIPTION_PROVIDER_NAMES = ['cloudrun', 'openai-whisper', 'azure-whisper', ...(OFFLINE_PROVIDERS_ENABLED ? ['fixture'] : [])];
+
+const DEFAULT_TRANSCRIPTION_PROVIDER = 'cloudrun';
+
+// Whisper APIs reject uploads above 25 MB
+const WHISPER_MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Download a recording from its signed URL
+ *
+ * @private
+ * @param {string} url - Signed URL to the recording
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+async function downloadRecording(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Failed to download recording: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    const err = new Error(`Invalid or expired recording_file_signed_url: ${url}`);
+    err.code = 'expired_signed_url';
+    err.status = 400;
+    throw err;
+  }
+
+  const blob = await response.blob();
+  const filename = decodeURIComponent(new URL(url).pathname.split('/').pop() || 'recording');
+  return { blob, filename };
+}
+
+/**
+ * Whisper-style audio transcription request (OpenAI and Azure OpenAI share the API shape)
+ *
+ * @private
+ * @param {string} recording_file_signed_url - Signed URL to the recording
+ * @param {Object} config - { label, url, headers, model }
+ * @returns {Promise<Object>} - { transcript, duration, language, segments } (Whisper segments have no speaker)
+ */
+async function whisperTranscribe(recording_file_signed_url, { label, url, headers, model }) {
+  const { blob, filename } = await downloadRecording(recording_file_signed_url);
+  if (blob.size > WHISPER_MAX_UPLOAD_BYTES) {
+    const err = new Error(`Recording is too large for ${label} (${blob.size} bytes, max ${WHISPER_MAX_UPLOAD_BYTES})`);
+    err.status = 413;
+    throw err;
+  }
+
+  const form = new FormData();
+  form.append('file', blob, filename);
+  form.append('response_format', 'verbose_json');
+  if (model) {
+    form.append('model', model);
+  }
+
+  console.log(`[transcriptionProviders:${label}] Sending ${blob.size} bytes for transcription`);
+  const response = await fetch(url, { method: 'POST', headers, body: form });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${label} API error: ${errorText}`);
+  }
+
+  const data = await response.json();
+  if (typeof data.text !== 'string') {
+    throw new Error(`Invalid response from ${label} API`);
+  }
+
+  return {
+    transcript: data.text,
+    duration: data.duration,
+    language: data.language,
+    segments: Array.isArray(data.segments)
+      ? data.segments.map(({ start, end, text }) => ({ start, end, text }))
+      : [],
+  };
+}
+
+/**
+ * Resolve the fixture file for a recording: <recording basename>.json|.txt, then default.json|.txt
+ * JSON fixtures are returned as-is (must contain transcript), text fixtures become { transcript }.
+ *
+ * @private
+ * @param {string} recording_file_signed_url - Signed URL (or path) of the recording
+ * @returns {Promise<Object>} - { transcript, ... }
+ */
+async function fixtureTranscribe(recording_file_signed_url) {
+  const fixtureDir = path.resolve(process.env.TRANSCRIPTION_FIXTURE_DIR || 'tests/fixtures/transcripts');
+
+  let recordingPath = recording_file_signed_url;
+  try {
+    recordingPath = new URL(recording_file_signed_url).pathname;
+  } catch {
+    // Not a URL, use as a plain path
+  }
+  const recordingName = path.basename(decodeURIComponent(recordingPath), path.extname(recordingPath));
+
+  const candidates = [recordingName, 'default']
+    .filter(Boolean)
+    .flatMap((name) => [`${name}.json`, `${name}.txt`]);
+
+  for (const candidate of candidates) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(fixtureDir, candidate), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    console.log(`[transcriptionProviders:fixture] Using ${candidate}`);
+    if (candidate.endsWith('.txt')) {
+      return { transcript: content.trim() };
+    }
+    const data = JSON.parse(content);
+    if (typeof data.transcript !== 'string') {
+      throw new Error(`Transcription fixture ${candidate} has no transcript`);
+    }
+    return data;
+  }
+
+  throw new Error(`No transcription fixture found for "${recordingName}" in ${fixtureDir}`);
+}
+
+const providers = {
+  cloudrun: {
+    name: 'cloudrun',
+    transcribe: ({ recording_file_signed_url, timeoutMs }) => transcribe_recording({ recording_file_signed_url, timeoutMs }),
+  },
+  'openai-whisper': {
+    name: 'openai-whisper',
+    transcribe: ({ recording_file_signed_url }) => {
+      const openaiApiKey = process.env.OPENAI_API_KEY;
+      if (!openaiApiKey) {
+        throw new Error('OpenAI API key not configured');
+      }
+      return whisperTranscribe(recording_file_signed_url, {
+        label: 'OpenAI Whisper',
+        url: process.env.WHISPER_API_URL || 'https://api.openai.com/v1/audio/transcriptions',
+        headers: { 'Authorization': `Bearer ${openaiApiKey}` },
+        model: process.env.WHISPER_MODEL || 'whisper-1',
+      });
+    },
+  },
+  'azure-whisper': {
+    name: 'azure-whisper',
+    transcribe: ({ recording_file_signed_url }) => {
+      const azureEndpoint = process.env.AZURE_WHISPER_ENDPOINT || process.env.AZURE_OPENAI_ENDPOINT;
+      const azureApiKey = process.env.AZURE_WHISPER_KEY || process.env.AZURE_OPENAI_KEY;
+      if (!azureEndpoint || !azureApiKey) {
+        throw new Error('Missing Azure Whisper environment variables. Configure AZURE_WHISPER_ENDPOINT and AZURE_WHISPER_KEY to use Azure Whisper.');
+      }
+      const deployment = process.env.AZURE_WHISPER_DEPLOYMENT || 'whisper';
+      const apiVersion = process.env.AZURE_WHISPER_API_VERSION || '2024-06-01';
+      return whisperTranscribe(recording_file_signed_url, {
+        label: 'Azure Whisper',
+        url: `${azureEndpoint}/openai/deployments/${deployment}/audio/transcriptions?api-version=${apiVersion}`,
+        headers: { 'api-key': azureApiKey },
+      });
+    },
+  },
+};
+
+if (OFFLINE_PROVIDERS_ENABLED) {
+  providers.fixture = {
+    name: 'fixture',
+    transcribe: ({ recording_file_signed_url }) => fixtureTranscribe(recording_file_signed_url),
+  };
+}
+
+/**
+ * Resolve the provider name for a call: explicit name -> TRANSCRIPTION_PROVIDER env -> 'cloudrun'
+ *
+ * @param {string} [name] - Provider name requested by the caller
+ * @returns {string} - Resolved provider name
+ * @throws {Error} - If the name is not a known provider
+ */
+export function resolveTranscriptionProviderName(name) {
+  const resolved = (name || process.env.TRANSCRIPTION_PROVIDER || DEFAULT_TRANSCRIPTION_PROVIDER).toLowerCase();
+  if (!providers[resolved]) {
+    const e = new Error(`Unknown transcription provider: ${resolved}. Expected one of: ${TRANSCRIPTION_PROVIDER_NAMES.join(', ')}`);
+    e.status = 400;
+    throw e;
+  }
+  return resolved;
+}
+
+/**
+ * Get a user's preferred transcription provider from their auth user_metadata
+ *
+ * @param {Object} [user] - Supabase auth user
+ * @returns {string|null} - Provider name, or null when the user has no preference
+ */
+export function getUserTranscriptionProvider(user) {
+  return user?.user_metadata?.transcription_provider || null;
+}
+
+/**
+ * Get a transcription provider by name
+ *
+ * @param {string} [name] - Provider name (defaults to TRANSCRIPTION_PROVIDER env, then 'cloudrun')
+ * @returns {{ name: string, transcribe: Function }}
+ */
+export function getTranscriptionProvider(name) {
+  return providers[resolveTranscriptionProviderName(name)];
+}
+
+/**
+ * Transcribe a recording with a transcription provider
+ * Recordings longer than TRANSCRIPTION_CHUNK_THRESHOLD_SECONDS are split into overlapping
+ * chunks and stitched back together (see chunkedTranscription.js). While chunking is enabled the
+ * recording is probed with ffprobe first, so the URL must be an https signed URL on the Supabase host.
+ *
+ * @param {Object} options
+ * @param {string} options.recording_file_signed_url - Signed URL to the recording file (required)
+ * @param {string} [options.provider] - Provider name override
+ * @param {number} [options.timeoutMs] - Signed URL validation timeout (cloudrun)
+ * @param {Function} [options.onProgress] - async ({ chunks_total, chunks_done }) => void, only called for chunked recordings
+ * @returns {Promise<Object>} - Provider response containing at least { transcript }
+ * @throws {Error} - status 400 when chunking is enabled and the URL is not a storage URL
+ */
+export async function transcribeRecording({ recording_file_signed_url, provider, timeoutMs, onProgress } = {}) {
+  if (!recording_file_signed_url || typeof recording_file_signed_url !== 'string') {
+    throw new Error('recording_file_signed_url is required');
+  }
+
+  const transcriptionProvider = getTranscriptionProvider(provider);
+
+  const chunking = getChunkingConfig();
+  if (chunking.enabled) {
+    const durationSeconds = await probeDurationSeconds(recording_file_signed_url);
+    if (durationSeconds && durationSeconds > chunking.thresholdSeconds) {
+      console.log(`[transcribeRecording] Transcribing ${Math.round(durationSeconds)}s recording in chunks with ${transcriptionProvider.name}`);
+      return transcribeInChunks({
+        recording_file_signed_url,
+        durationSeconds,
+        onProgress,
+        config: chunking,
+        transcribeChunk: (chunkSignedUrl) => transcriptionProvider.transcribe({ recording_file_signed_url: chunkSignedUrl, timeoutMs }),
+      });
+    }
+  }
+
+  console.log(`[transcribeRecording] Transcribing with ${transcriptionProvider.name}`);
+  return transcriptionProvider.transcribe({ recording_file_signed_url, timeoutMs });
+}
@@ -0,0 +1,117 @@
+/**
+ * Unit Test: After-Visit Summaries
+ *
+ * Tests language resolution, the summary prompt, stored summary format and export model
+ * used by POST /api/after-visit-summaries and GET /api/after-visit-summaries/:id/export.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import {
+  AFTER_VISIT_SUMMARY_SECTIONS,
+  buildSummaryExport,
+  formatNoteForSummary,
+  isPdfRenderable,
+  resolveSummaryLanguage,
+  toStoredSummary,
+} from '../src/utils/afterVisitSummary.js';
+import { getAfterVisitSummaryPrompt } from '../src/utils/gptRequestBodies.js';
+import { generateJson } from '../src/utils/llmProviders.js';
+import { renderNoteExport } from '../src/utils/soapNoteExport.js';
+import { afterVisitSummaryCreateRequestSchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('After-Visit Summary Unit Tests');
+
+// ============================================
+// LANGUAGE
+// ============================================
+
+await runner.test('Language codes resolve to a canonical code and name', () => {
+  assert.deepStrictEqual(resolveSummaryLanguage(), { code: 'en', name: 'English' });
+  assert.deepStrictEqual(resolveSummaryLanguage('es'), { code: 'es', name: 'Spanish' });
+  assert.strictEqual(resolveSummaryLanguage('pt-br').code, 'pt-BR');
+}, { category: 'Language' });
+
+await runner.test('Unknown language codes are a 400', () => {
+  for (const code of ['xx', 'not a language']) {
+    assert.throws(() => resolveSummaryLanguage(code), (err) => err.status === 400 && /Unknown language/.test(err.message), code);
+  }
+}, { category: 'Language' });
+
+// ============================================
+// PROMPT
+// ============================================
+
+await runner.test('Prompt asks for every section in the requested language and level', () => {
+  const prompt = getAfterVisitSummaryPrompt('Patient: it burns', {
+    noteText: 'Assessment:\nGERD',
+    readingLevel: 'simple',
+    languageName: 'Spanish',
+  });
+  assert.deepStrictEqual(prompt.schema.properties.sections.required, AFTER_VISIT_SUMMARY_SECTIONS.map((section) => section.key));
+  assert.ok(prompt.userPrompt.includes('Spanish'));
+  assert.ok(prompt.userPrompt.includes('GERD'));
+  assert.match(prompt.userPrompt, /5th grade/);
+}, { category: 'Prompt' });
+
+await runner.test('Stub output normalizes into the stored format', async () => {
+  const prompt = getAfterVisitSummaryPrompt('Patient: it burns', { readingLevel: 'standard', languageName: 'English' });
+  const summary = toStoredSummary(JSON.parse(await generateJson(prompt, { provider: 'stub' })));
+  assert.deepStrictEqual(Object.keys(summary.sections), AFTER_VISIT_SUMMARY_SECTIONS.map((section) => section.key));
+}, { category: 'Prompt' });
+
+await runner.test('Note text for the prompt leaves out billing', () => {
+  const text = formatNoteForSummary({
+    soapNote: { subjective: 'Heartburn', objective: '', assessment: 'GERD', plan: 'Omeprazole' },
+    billingSuggestion: 'CPT: 99213',
+  });
+  assert.ok(text.includes('GERD'));
+  assert.ok(!text.includes('99213'));
+}, { category: 'Prompt' });
+
+// ============================================
+// STORAGE AND EXPORT
+// ============================================
+
+await runner.test('Missing sections are stored empty with their default heading', () => {
+  const summary = toStoredSummary({ sections: { diagnosis: { heading: ' Su diagnóstico ', text: ' Reflujo ' } } });
+  assert.strictEqual(summary.title, 'After-Visit Summary');
+  assert.deepStrictEqual(summary.sections.diagnosis, { heading: 'Su diagnóstico', text: 'Reflujo' });
+  assert.deepStrictEqual(summary.sections.follow_up, { heading: 'Follow-up', text: '' });
+}, { category: 'Storage' });
+
+await runner.test('Export skips empty sections and renders as text', async () => {
+  const summary = toStoredSummary({
+    title: 'Your visit',
+    sections: { diagnosis: { heading: 'Your diagnosis', text: 'Acid reflux' }, next_steps: { text: '- Avoid late meals\n- Raise the head of your bed' } },
+  });
+  const model = buildSummaryExport(summary, { encounterDate: '2026-03-02T15:00:00Z' });
+  assert.deepStrictEqual(model.metadata, [['Visit date', '2026-03-02']]);
+  assert.deepStrictEqual(model.sections.map((section) => section.heading), ['Your diagnosis', 'What to do next']);
+
+  const { body, contentType } = await renderNoteExport(model, 'txt');
+  assert.match(contentType, /^text\/plain/);
+  assert.ok(body.toString().includes('Acid reflux'));
+}, { category: 'Storage' });
+
+await runner.test('PDF export is limited to Latin scripts', () => {
+  const latin = buildSummaryExport(toStoredSummary({ title: 'Resumen de su visita', sections: { diagnosis: { text: 'Reflujo ácido' } } }));
+  const chinese = buildSummaryExport(toStoredSummary({ title: '就诊摘要', sections: { diagnosis: { text: '胃酸反流' } } }));
+  assert.strictEqual(isPdfRenderable(latin), true);
+  assert.strictEqual(isPdfRenderable(chinese), false);
+}, { category: 'Storage' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Create request needs an encounter and a known reading level', () => {
+  assert.deepStrictEqual(afterVisitSummaryCreateRequestSchema.parse({ patientEncounter_id: 4, language: ' es ' }), { patientEncounter_id: 4, language: 'es' });
+  assert.strictEqual(afterVisitSummaryCreateRequestSchema.safeParse({}).success, false);
+  assert.strictEqual(afterVisitSummaryCreateRequestSchema.safeParse({ patientEncounter_id: 4, reading_level: 'expert' }).success, false);
+  assert.strictEqual(afterVisitSummaryCreateRequestSchema.safeParse({ patientEncounter_id: 4, language: 'e' }).success, false);
+}, { category: 'Validation' });
+
+runner.exit();
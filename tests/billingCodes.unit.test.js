@@ -0,0 +1,162 @@
+/**
+ * Unit Test: Billing Codes
+ *
+ * Tests parsing of the LLM billing block into structured codes and the checks
+ * against the bundled ICD-10-CM and CPT E/M code tables.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UnitTestRunner } from './unitTestRunner.js';
+import {
+  lookupIcd10Code,
+  lookupCptCode,
+  parseIcd10Entry,
+  parseCptEntries,
+  structureBilling,
+} from '../src/utils/billingCodes.js';
+import { parseBillingSuggestion } from '../src/utils/soapNoteFormat.js';
+
+const runner = new UnitTestRunner('Billing Codes Unit Tests');
+
+// ============================================
+// CODE TABLES
+// ============================================
+
+await runner.test('Known ICD-10-CM codes are valid with or without the dot', () => {
+  assert.deepStrictEqual(lookupIcd10Code('E11.9'), {
+    code: 'E11.9',
+    description: 'Type 2 diabetes mellitus without complications',
+    status: 'valid',
+    issue: null,
+  });
+  assert.strictEqual(lookupIcd10Code('i10').status, 'valid');
+  assert.strictEqual(lookupIcd10Code('M222X1').code, 'M22.2X1');
+}, { category: 'Code tables' });
+
+await runner.test('Headers and malformed ICD-10-CM codes are flagged', () => {
+  assert.strictEqual(lookupIcd10Code('E11').status, 'non_billable');
+  assert.strictEqual(lookupIcd10Code('R11.1').status, 'non_billable');
+  assert.strictEqual(lookupIcd10Code('99213').status, 'invalid_format');
+}, { category: 'Code tables' });
+
+await runner.test('Codes missing from the bundled subset are unverified and flagged', () => {
+  for (const code of ['F84.0', 'J84.10', 'S52.501A', 'H40.11X0', 'E11.99']) {
+    assert.deepStrictEqual(lookupIcd10Code(code), {
+      code,
+      description: null,
+      status: 'unverified',
+      issue: 'Not in the bundled ICD-10-CM subset, could not be verified',
+    });
+  }
+  // A made-up but well-formed code is not reported as passing
+  const structured = structureBilling({ icd10_codes: ['Q99.87 Invented syndrome'], billing_code: '' });
+  assert.deepStrictEqual(structured.icd10_codes.map((c) => [c.code, c.status, c.flagged]), [['Q99.87', 'unverified', true]]);
+  assert.strictEqual(structured.flagged_count, 1);
+}, { category: 'Code tables' });
+
+await runner.test('Codes missing from a full ICD10CM_CODES_FILE are not found', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icd10cm-'));
+  const filePath = path.join(dir, 'icd10cm-codes.txt');
+  fs.writeFileSync(filePath, 'F840    Autistic disorder\nE119    Type 2 diabetes mellitus without complications\n');
+  process.env.ICD10CM_CODES_FILE = filePath;
+  try {
+    // Fresh module instance: the table is loaded once per module
+    const fullTable = await import('../src/utils/billingCodes.js?full-table');
+    assert.strictEqual(fullTable.lookupIcd10Code('F84.0').status, 'valid');
+    assert.strictEqual(fullTable.lookupIcd10Code('E11.99').status, 'not_found');
+    assert.strictEqual(fullTable.lookupIcd10Code('E11').status, 'non_billable');
+  } finally {
+    delete process.env.ICD10CM_CODES_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}, { category: 'Code tables' });
+
+await runner.test('CPT E/M codes are checked, other CPT codes are unverified', () => {
+  assert.strictEqual(lookupCptCode('99214').status, 'valid');
+  assert.match(lookupCptCode('99214').description, /established patient, moderate/);
+  // Deleted in 2021 / never existed
+  assert.strictEqual(lookupCptCode('99201').status, 'not_found');
+  assert.strictEqual(lookupCptCode('99216').status, 'not_found');
+  assert.strictEqual(lookupCptCode('93000').status, 'unverified');
+}, { category: 'Code tables' });
+
+// ============================================
+// PARSING
+// ============================================
+
+await runner.test('ICD-10 entries split into code, description and justification', () => {
+  assert.deepStrictEqual(parseIcd10Entry('E11.9 Type 2 diabetes - A1c 8.2 today'), {
+    code: 'E11.9',
+    description: 'Type 2 diabetes',
+    justification: 'A1c 8.2 today',
+  });
+  assert.deepStrictEqual(parseIcd10Entry('Essential hypertension (I10)'), {
+    code: 'I10',
+    description: 'Essential hypertension',
+    justification: '',
+  });
+  assert.strictEqual(parseIcd10Entry('Elevated A1c').code, null);
+  assert.strictEqual(parseIcd10Entry('k21.9 - GERD').code, 'K21.9');
+  assert.deepStrictEqual(parseIcd10Entry('A1c 8.2, up from 7.1'), {
+    code: null,
+    description: 'A1c 8.2, up from 7.1',
+    justification: '',
+  });
+}, { category: 'Parsing' });
+
+await runner.test('billing_code paragraph splits into one entry per CPT code', () => {
+  const entries = parseCptEntries('99214-25: moderate MDM, two chronic illnesses. 93000 for the in-office ECG.');
+  assert.deepStrictEqual(entries, [
+    { code: '99214', modifier: '25', justification: 'moderate MDM, two chronic illnesses.' },
+    { code: '93000', modifier: null, justification: 'for the in-office ECG.' },
+  ]);
+}, { category: 'Parsing' });
+
+// ============================================
+// STRUCTURED BILLING
+// ============================================
+
+await runner.test('Structured billing flags hallucinated and malformed codes', () => {
+  const structured = structureBilling({
+    icd10_codes: ['E11.9 Type 2 diabetes', 'E11.99 Diabetes with complications', 'E11 Diabetes', 'Hypertension'],
+    billing_code: '99216 - established patient, high complexity',
+    additional_inquiries: 'Confirm insulin dose',
+  });
+
+  assert.deepStrictEqual(structured.icd10_codes.map((c) => [c.code, c.status, c.flagged]), [
+    ['E11.9', 'valid', false],
+    ['E11.99', 'unverified', true],
+    ['E11', 'non_billable', true],
+    [null, 'invalid_format', true],
+  ]);
+  // Table description replaces the LLM wording when the code is known
+  assert.strictEqual(structured.icd10_codes[0].description, 'Type 2 diabetes mellitus without complications');
+  assert.strictEqual(structured.icd10_codes[0].text, 'E11.9 Type 2 diabetes');
+  assert.deepStrictEqual(structured.cpt_codes.map((c) => [c.code, c.status, c.justification]), [
+    ['99216', 'not_found', 'established patient, high complexity'],
+  ]);
+  assert.strictEqual(structured.additional_inquiries, 'Confirm insulin dose');
+  assert.strictEqual(structured.flagged_count, 4);
+}, { category: 'Structured billing' });
+
+await runner.test('billing_code without a CPT code is flagged', () => {
+  const structured = structureBilling({ icd10_codes: [], billing_code: 'Established patient visit, moderate complexity' });
+  assert.strictEqual(structured.cpt_codes.length, 1);
+  assert.strictEqual(structured.cpt_codes[0].issue, 'No CPT code found');
+  assert.strictEqual(structured.flagged_count, 1);
+  assert.deepStrictEqual(structureBilling({ icd10_codes: [], billing_code: '' }).cpt_codes, []);
+}, { category: 'Structured billing' });
+
+await runner.test('Stored billingSuggestion structures the same as the job result', () => {
+  const billing = { icd10_codes: ['K21.9 GERD', 'R12 Heartburn'], billing_code: '99213', additional_inquiries: '' };
+  const fromStored = structureBilling(parseBillingSuggestion('ICD-10: K21.9 GERD; R12 Heartburn\nCPT: 99213'));
+  assert.deepStrictEqual(fromStored, structureBilling(billing));
+  assert.strictEqual(fromStored.flagged_count, 0);
+}, { category: 'Structured billing' });
+
+runner.exit();
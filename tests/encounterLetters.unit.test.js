@@ -0,0 +1,133 @@
+/**
+ * Unit Test: Encounter Letters
+ *
+ * Tests the letter type registry, note context and codes pulled into the prompt, stored letter
+ * format and export model used by POST /api/patient-encounters/:id/letters.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { buildLetterExport, formatNoteForLetter, getLetterType, toStoredLetter } from '../src/utils/encounterLetters.js';
+import { getEncounterLetterPrompt } from '../src/utils/gptRequestBodies.js';
+import { generateJson } from '../src/utils/llmProviders.js';
+import { renderNoteExport } from '../src/utils/soapNoteExport.js';
+import { encounterLetterCreateRequestSchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('Encounter Letters Unit Tests');
+
+const NOTE = {
+  soapNote: {
+    subjective: 'Chief complaint: Heartburn for 2 months',
+    objective: 'Epigastric tenderness',
+    assessment: 'GERD, not controlled on omeprazole',
+    plan: '- Refer to gastroenterology for EGD',
+  },
+  billingSuggestion: 'ICD-10: K21.9 GERD - not controlled; ZZ99.9 made up\nCPT: 99214 - moderate MDM',
+};
+
+const RECIPIENT = { name: 'Lee', title: 'Dr.', specialty: 'Gastroenterology', fax: '555-0100' };
+
+// ============================================
+// REGISTRY
+// ============================================
+
+await runner.test('Known letter types resolve, unknown types are a 400', () => {
+  assert.strictEqual(getLetterType('Referral').label, 'Referral letter');
+  assert.ok(getLetterType('prior_authorization').sections.some((section) => section.key === 'medical_necessity'));
+  assert.throws(() => getLetterType('sick_note'), (err) => err.status === 400 && /Unknown letter type/.test(err.message));
+}, { category: 'Registry' });
+
+// ============================================
+// NOTE CONTEXT AND PROMPT
+// ============================================
+
+await runner.test('Letters draw on assessment, plan and checked codes only', () => {
+  const { noteText, icd10Codes, cptCodes } = formatNoteForLetter(NOTE);
+  assert.ok(noteText.includes('not controlled on omeprazole'));
+  assert.ok(noteText.includes('Refer to gastroenterology'));
+  assert.ok(!noteText.includes('Epigastric tenderness'));
+  assert.deepStrictEqual(icd10Codes.map((entry) => entry.code), ['K21.9']);
+  assert.deepStrictEqual(cptCodes.map((entry) => entry.code), ['99214']);
+}, { category: 'Prompt' });
+
+await runner.test('Flagged codes are reported as omitted, not dropped silently', () => {
+  const note = { ...NOTE, billingSuggestion: 'ICD-10: K21.9 GERD; K21 Reflux; F84.0 Autism\nCPT: 99214 - moderate MDM, 99216 - high complexity' };
+  const { icd10Codes, cptCodes, omittedCodes } = formatNoteForLetter(note);
+  // F84.0 is missing from the bundled subset: unverified, so it is left out like the other flagged codes
+  assert.deepStrictEqual(icd10Codes.map((entry) => entry.code), ['K21.9']);
+  assert.deepStrictEqual(omittedCodes.map(({ system, code, issue }) => [system, code, issue]), [
+    ['ICD-10-CM', 'K21', 'Category header, not a billable code; a more specific code is required'],
+    ['ICD-10-CM', 'F84.0', 'Not in the bundled ICD-10-CM subset, could not be verified'],
+    ['CPT', '99216', 'Not a current E/M code'],
+  ]);
+
+  const response = { sections: { requested_service: 'Upper endoscopy' } };
+  const priorAuth = toStoredLetter(response, { letterType: 'prior_authorization', recipient: RECIPIENT, icd10Codes, cptCodes, omittedCodes });
+  assert.deepStrictEqual(priorAuth.omitted_codes.map((entry) => entry.code), ['K21', 'F84.0', '99216']);
+  // Referral letters carry no procedure codes, so no CPT code is reported missing from them
+  const referral = toStoredLetter(response, { letterType: 'referral', recipient: RECIPIENT, icd10Codes, cptCodes, omittedCodes });
+  assert.deepStrictEqual(referral.omitted_codes.map((entry) => entry.code), ['K21', 'F84.0']);
+  assert.ok(!JSON.stringify(buildLetterExport(priorAuth).sections).includes('99216'));
+}, { category: 'Prompt' });
+
+await runner.test('Prompt lists the codes and leaves out the recipient', () => {
+  const { icd10Codes } = formatNoteForLetter(NOTE);
+  const prompt = getEncounterLetterPrompt('Patient: it burns', {
+    letterType: 'referral',
+    icd10Codes,
+    recipientSpecialty: RECIPIENT.specialty,
+    instructions: 'mention urgency',
+  });
+  assert.match(prompt.userPrompt, /ICD-10: K21\.9/);
+  assert.match(prompt.userPrompt, /mention urgency/);
+  assert.ok(!prompt.userPrompt.includes('Lee'));
+  assert.deepStrictEqual(prompt.schema.properties.sections.required, getLetterType('referral').sections.map((section) => section.key));
+}, { category: 'Prompt' });
+
+// ============================================
+// STORAGE AND EXPORT
+// ============================================
+
+await runner.test('Stub output is stored with recipient, salutation and codes', async () => {
+  const { icd10Codes, cptCodes } = formatNoteForLetter(NOTE);
+  const prompt = getEncounterLetterPrompt('Patient: it burns', { letterType: 'referral', icd10Codes });
+  const response = JSON.parse(await generateJson(prompt, { provider: 'stub' }));
+  const letter = toStoredLetter(response, { letterType: 'referral', recipient: RECIPIENT, icd10Codes, cptCodes });
+  assert.strictEqual(letter.salutation, 'Dear Dr. Lee,');
+  assert.deepStrictEqual(Object.keys(letter.sections), getLetterType('referral').sections.map((section) => section.key));
+  assert.deepStrictEqual(letter.recipient, { name: 'Lee', title: 'Dr.', specialty: 'Gastroenterology', fax: '555-0100' });
+  // Procedure codes only go in prior authorization letters
+  assert.deepStrictEqual(letter.cpt_codes, []);
+}, { category: 'Storage' });
+
+await runner.test('Export has the address block, body and diagnoses', async () => {
+  const { icd10Codes, cptCodes } = formatNoteForLetter(NOTE);
+  const letter = toStoredLetter(
+    { sections: { requested_service: 'Upper endoscopy', medical_necessity: 'Symptoms persist after 8 weeks of PPI' } },
+    { letterType: 'prior_authorization', recipient: { name: 'Utilization Review Team', organization: 'Acme Health' }, icd10Codes, cptCodes }
+  );
+  const model = buildLetterExport(letter, { createdAt: '2026-03-02T15:00:00Z' });
+  assert.deepStrictEqual(model.metadata, [['Date', '2026-03-02'], ['To', 'Utilization Review Team'], ['Organization', 'Acme Health']]);
+  assert.deepStrictEqual(model.sections.map((section) => section.heading), ['', 'Requested service', 'Medical necessity', 'Diagnoses', 'Procedure codes', '']);
+
+  const { body } = await renderNoteExport(model, 'md');
+  assert.match(body, /^Dear Utilization Review Team,$/m);
+  assert.match(body, /^K21\.9 - /m);
+  assert.ok(!body.includes('## \n'), 'headingless sections have no empty heading');
+}, { category: 'Storage' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Create request needs a letter type and recipient name', () => {
+  assert.strictEqual(encounterLetterCreateRequestSchema.safeParse({ letter_type: 'referral', recipient: { name: ' Dr. Lee ' } }).data.recipient.name, 'Dr. Lee');
+  assert.strictEqual(encounterLetterCreateRequestSchema.safeParse({ letter_type: 'referral', recipient: {} }).success, false);
+  assert.strictEqual(encounterLetterCreateRequestSchema.safeParse({ letter_type: 'sick_note', recipient: { name: 'Lee' } }).success, false);
+  assert.strictEqual(encounterLetterCreateRequestSchema.safeParse({ letter_type: 'referral', recipient: { name: 'Lee' }, requested_service: 'MRI' }).success, false);
+  assert.strictEqual(encounterLetterCreateRequestSchema.safeParse({ letter_type: 'prior_authorization', recipient: { name: 'Lee' }, requested_service: 'MRI' }).success, true);
+}, { category: 'Validation' });
+
+runner.exit();
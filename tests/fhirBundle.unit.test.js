@@ -0,0 +1,165 @@
+/**
+ * Unit Test: FHIR Bundle
+ *
+ * Tests the FHIR R4 Bundle built from a complete patient encounter,
+ * billing code parsing and the local FHIR resource shape checks.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { buildEncounterFhirBundle, toIcd10Concept } from '../src/utils/fhirBundle.js';
+import { extractCptCodes } from '../src/utils/billingCodes.js';
+import { parseBillingSuggestion, formatBillingSuggestion } from '../src/utils/soapNoteFormat.js';
+import { fhirBundleSchema } from '../src/fastify/schemas/fhir.js';
+
+const runner = new UnitTestRunner('FHIR Bundle Unit Tests');
+
+const COMPLETE = {
+  patientEncounter: {
+    id: 42,
+    user_id: '6f1c2d9e-1b2a-4c3d-9e8f-0a1b2c3d4e5f',
+    name: 'Jane Doe',
+    created_at: '2026-03-04T15:30:00.123456+00:00',
+    updated_at: '2026-03-04T16:05:00.000Z',
+  },
+  soapNotes: [
+    {
+      id: 7,
+      note_type: 'soap',
+      created_at: '2026-03-04T16:00:00.000Z',
+      updated_at: '2026-03-04T16:05:00.000Z',
+      soapNote_text: {
+        soapNote: {
+          subjective: 'Chief complaint: Heartburn <2 weeks>',
+          objective: 'Abdominal exam: Soft',
+          assessment: 'GERD',
+          plan: '- Start PPI',
+        },
+        billingSuggestion: 'ICD-10: K21.9 GERD; R12 - Heartburn\nCPT: 99213 - established patient, low complexity',
+      },
+    },
+  ],
+};
+
+const NOW = new Date('2026-03-05T00:00:00.000Z');
+
+const byType = (bundle, resourceType) => bundle.entry.map((e) => e.resource).filter((r) => r.resourceType === resourceType);
+
+// ============================================
+// BILLING CODES
+// ============================================
+
+await runner.test('Stored billing text parses back into the billing block', () => {
+  const billing = { icd10_codes: ['K21.9 GERD', 'R12 Heartburn'], billing_code: '99213', additional_inquiries: 'Confirm PPI dose' };
+  assert.deepStrictEqual(parseBillingSuggestion(formatBillingSuggestion(billing)), billing);
+  assert.deepStrictEqual(parseBillingSuggestion('Free text suggestion'), { icd10_codes: [], billing_code: '', additional_inquiries: 'Free text suggestion' });
+}, { category: 'Billing' });
+
+await runner.test('ICD-10 entries become coded concepts', () => {
+  assert.deepStrictEqual(toIcd10Concept('m22.2x1: Patellofemoral disorder').coding[0], {
+    system: 'http://hl7.org/fhir/sid/icd-10-cm',
+    code: 'M22.2X1',
+    display: 'Patellofemoral disorder',
+  });
+  assert.deepStrictEqual(toIcd10Concept('Reflux, unspecified'), { text: 'Reflux, unspecified' });
+}, { category: 'Billing' });
+
+await runner.test('CPT codes are extracted from billing_code text', () => {
+  assert.deepStrictEqual(extractCptCodes('99214 (moderate MDM), 93000 ECG; 99214'), ['99214', '93000']);
+  assert.deepStrictEqual(extractCptCodes('1036F tobacco screen'), ['1036F']);
+  assert.deepStrictEqual(extractCptCodes(''), []);
+}, { category: 'Billing' });
+
+// ============================================
+// BUNDLE
+// ============================================
+
+await runner.test('Bundle has encounter, note, conditions and charge items', () => {
+  const bundle = buildEncounterFhirBundle(COMPLETE, { now: NOW });
+  assert.strictEqual(bundle.resourceType, 'Bundle');
+  assert.strictEqual(bundle.type, 'collection');
+  assert.strictEqual(bundle.timestamp, '2026-03-05T00:00:00.000Z');
+
+  const [encounter] = byType(bundle, 'Encounter');
+  assert.deepStrictEqual(encounter.identifier, [{ system: 'urn:enscribe:patient-encounter', value: '42' }]);
+  assert.strictEqual(encounter.period.start, COMPLETE.patientEncounter.created_at);
+
+  const conditions = byType(bundle, 'Condition');
+  assert.deepStrictEqual(conditions.map((c) => c.code.coding[0].code), ['K21.9', 'R12']);
+
+  const [charge] = byType(bundle, 'ChargeItem');
+  assert.deepStrictEqual(charge.code.coding, [{ system: 'http://www.ama-assn.org/go/cpt', code: '99213' }]);
+  assert.strictEqual(charge.supportingInformation.length, 3);
+}, { category: 'Bundle' });
+
+await runner.test('Composition sections carry escaped note text', () => {
+  const [composition] = byType(buildEncounterFhirBundle(COMPLETE, { now: NOW }), 'Composition');
+  assert.strictEqual(composition.type.coding[0].code, '11506-3');
+  assert.deepStrictEqual(composition.section.map((s) => s.title), ['Subjective', 'Objective', 'Assessment', 'Plan']);
+  assert.strictEqual(
+    composition.section[0].text.div,
+    '<div xmlns="http://www.w3.org/1999/xhtml"><p>Chief complaint: Heartburn &lt;2 weeks&gt;</p></div>'
+  );
+}, { category: 'Bundle' });
+
+await runner.test('Signed notes are final with a legal attester', () => {
+  const [unsigned] = byType(buildEncounterFhirBundle(COMPLETE, { now: NOW }), 'Composition');
+  assert.strictEqual(unsigned.status, 'preliminary');
+  assert.strictEqual(unsigned.attester, undefined);
+
+  const signed = structuredClone(COMPLETE);
+  signed.soapNotes[0].signed_at = '2026-03-04T16:10:00.000Z';
+  const bundle = buildEncounterFhirBundle(signed, { now: NOW });
+  const [composition] = byType(bundle, 'Composition');
+  const [practitioner] = byType(bundle, 'Practitioner');
+  assert.strictEqual(composition.status, 'final');
+  assert.deepStrictEqual(composition.attester, [
+    { mode: 'legal', time: '2026-03-04T16:10:00.000Z', party: { reference: `urn:uuid:${practitioner.id}` } },
+  ]);
+  assert.strictEqual(fhirBundleSchema.safeParse(bundle).success, true);
+}, { category: 'Bundle' });
+
+await runner.test('No patient name is exported and ids are stable', () => {
+  const first = buildEncounterFhirBundle(COMPLETE, { now: NOW });
+  assert.ok(!JSON.stringify(first).includes('Jane Doe'));
+  assert.deepStrictEqual(buildEncounterFhirBundle(COMPLETE, { now: NOW }), first);
+}, { category: 'Bundle' });
+
+await runner.test('Unparseable notes are left out', () => {
+  const bundle = buildEncounterFhirBundle({
+    patientEncounter: COMPLETE.patientEncounter,
+    soapNotes: [{ id: 8, created_at: '2026-03-04T16:00:00Z', soapNote_text: { error: 'Invalid SOAP note format', raw: '{' } }],
+  }, { now: NOW });
+  assert.deepStrictEqual(bundle.entry.map((e) => e.resource.resourceType), ['Encounter', 'Patient', 'Practitioner']);
+}, { category: 'Bundle' });
+
+// ============================================
+// SHAPE VALIDATION
+// ============================================
+
+await runner.test('Generated bundles match the FHIR resource shapes', () => {
+  for (const noteType of ['soap', 'history_and_physical', 'procedure', 'discharge_summary']) {
+    const complete = structuredClone(COMPLETE);
+    complete.soapNotes[0].note_type = noteType;
+    const result = fhirBundleSchema.safeParse(buildEncounterFhirBundle(complete, { now: NOW }));
+    assert.strictEqual(result.success, true, `${noteType}: ${JSON.stringify(result.error?.issues)}`);
+  }
+}, { category: 'Validation' });
+
+await runner.test('Shape check rejects missing required elements and dangling references', () => {
+  const bundle = buildEncounterFhirBundle(COMPLETE, { now: NOW });
+
+  const missingSubject = structuredClone(bundle);
+  delete byType(missingSubject, 'Condition')[0].subject;
+  assert.strictEqual(fhirBundleSchema.safeParse(missingSubject).success, false);
+
+  const dangling = structuredClone(bundle);
+  byType(dangling, 'ChargeItem')[0].context.reference = 'urn:uuid:00000000-0000-5000-8000-000000000000';
+  const result = fhirBundleSchema.safeParse(dangling);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error.issues[0].message, /Unresolved reference/);
+}, { category: 'Validation' });
+
+runner.exit();
@@ -0,0 +1,97 @@
+/**
+ * Unit Test: Job Payload Encryption
+ *
+ * Tests the per-job envelope encryption for jobs.transcript_text / soap_note_text.
+ * Uses a throwaway RSA key pair generated in-process.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import { UnitTestRunner } from './unitTestRunner.js';
+
+// Throwaway key pair for encryptionUtils (read from env at call time)
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+process.env.RSA_PUBLIC_KEY = publicKey;
+process.env.RSA_PRIVATE_KEY = privateKey;
+
+const { createJobEncryptionKey, encryptJobFields, decryptJobFields } = await import('../src/utils/jobEncryption.js');
+
+const runner = new UnitTestRunner('Job Encryption Unit Tests');
+
+const TRANSCRIPT = 'Patient John Smith, DOB 01/02/1960, reports chest pain.';
+const SOAP_NOTE_TEXT = JSON.stringify({ soap_note: { assessment: 'Chest pain' }, billing: { icd10_codes: ['R07.9'] } });
+
+runner.test('Encrypted columns replace plaintext', () => {
+  const key = createJobEncryptionKey();
+  const updates = encryptJobFields({ transcript_text: TRANSCRIPT }, key);
+
+  assert.strictEqual(updates.transcript_text, null);
+  assert.ok(updates.encrypted_transcript_text);
+  assert.ok(updates.transcript_text_iv);
+  assert.ok(!updates.encrypted_transcript_text.includes('John'));
+}, { category: 'Encrypt' });
+
+runner.test('Each field gets its own IV', () => {
+  const key = createJobEncryptionKey();
+  const updates = encryptJobFields({ transcript_text: TRANSCRIPT, soap_note_text: SOAP_NOTE_TEXT }, key);
+  assert.notStrictEqual(updates.transcript_text_iv, updates.soap_note_text_iv);
+}, { category: 'Encrypt' });
+
+runner.test('Null values clear fields without needing a key', () => {
+  const updates = encryptJobFields({ transcript_text: null, soap_note_text: null });
+  assert.deepStrictEqual(updates, {
+    encrypted_transcript_text: null,
+    transcript_text_iv: null,
+    transcript_text: null,
+    encrypted_soap_note_text: null,
+    soap_note_text_iv: null,
+    soap_note_text: null,
+  });
+}, { category: 'Encrypt' });
+
+runner.test('Rejects fields that are not job PHI columns', () => {
+  assert.throws(() => encryptJobFields({ error_message: 'x' }, createJobEncryptionKey()), /not an encrypted job field/);
+}, { category: 'Encrypt' });
+
+runner.test('Round trip restores both fields and strips key material', () => {
+  const key = createJobEncryptionKey();
+  const job = {
+    id: 'job-1',
+    encrypted_aes_key: key,
+    ...encryptJobFields({ transcript_text: TRANSCRIPT, soap_note_text: SOAP_NOTE_TEXT }, key),
+  };
+
+  const result = decryptJobFields(job);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(job.transcript_text, TRANSCRIPT);
+  assert.strictEqual(job.soap_note_text, SOAP_NOTE_TEXT);
+  assert.strictEqual(job.encrypted_aes_key, undefined);
+  assert.strictEqual(job.encrypted_transcript_text, undefined);
+  assert.strictEqual(job.soap_note_text_iv, undefined);
+}, { category: 'Decrypt' });
+
+runner.test('Legacy plaintext rows pass through unchanged', () => {
+  const job = { id: 'legacy', transcript_text: TRANSCRIPT, soap_note_text: null, encrypted_aes_key: null };
+  const result = decryptJobFields(job);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(job.transcript_text, TRANSCRIPT);
+}, { category: 'Decrypt' });
+
+runner.test('Wrong key reports failure instead of throwing', () => {
+  const job = {
+    id: 'job-2',
+    encrypted_aes_key: createJobEncryptionKey(),
+    ...encryptJobFields({ transcript_text: TRANSCRIPT }, createJobEncryptionKey()),
+  };
+  const result = decryptJobFields(job);
+  assert.strictEqual(result.success, false);
+  assert.notStrictEqual(job.transcript_text, TRANSCRIPT);
+}, { category: 'Decrypt' });
+
+runner.exit();
@@ -0,0 +1,125 @@
+/**
+ * Unit Test: LLM Providers
+ *
+ * Tests provider resolution, the per-provider request body builders and the
+ * offline stub provider used for local development and CI.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { LLM_PROVIDER_NAMES, resolveLlmProviderName, getLlmProvider, generateJson } from '../src/utils/llmProviders.js';
+import { getSoapNoteAndBillingPrompt, buildChatCompletionRequestBody } from '../src/utils/gptRequestBodies.js';
+import { buildAzureRequestBody } from '../src/utils/azureRequestBody.js';
+import { buildGeminiRequestBody } from '../src/utils/geminiRequestBodies.js';
+
+const runner = new UnitTestRunner('LLM Providers Unit Tests');
+
+const MASKED_TRANSCRIPT = 'Patient {{NAME_1}} seen on {{DATE_2}} for headache. {{NAME_1}} denies fever.';
+const prompt = getSoapNoteAndBillingPrompt(MASKED_TRANSCRIPT);
+
+// Stub provider is async; resolve once up front so the assertions stay synchronous
+delete process.env.LLM_PROVIDER;
+const stubRaw = await generateJson(prompt, { provider: 'stub' });
+const stubRawRepeat = await generateJson(prompt, { provider: 'stub' });
+
+// A second copy of the module, loaded as in production
+const testNodeEnv = process.env.NODE_ENV;
+process.env.NODE_ENV = 'production';
+const productionLlmProviders = await import('../src/utils/llmProviders.js?production');
+process.env.NODE_ENV = testNodeEnv;
+
+// ============================================
+// PROVIDER RESOLUTION
+// ============================================
+
+runner.test('Defaults to openai when nothing is configured', () => {
+  assert.strictEqual(resolveLlmProviderName(), 'openai');
+  assert.strictEqual(resolveLlmProviderName(null), 'openai');
+}, { category: 'Resolution' });
+
+runner.test('Uses LLM_PROVIDER env var as deployment default', () => {
+  process.env.LLM_PROVIDER = 'gemini';
+  try {
+    assert.strictEqual(resolveLlmProviderName(), 'gemini');
+    assert.strictEqual(resolveLlmProviderName('azure'), 'azure', 'request override should win');
+  } finally {
+    delete process.env.LLM_PROVIDER;
+  }
+}, { category: 'Resolution' });
+
+runner.test('Rejects unknown providers with status 400', () => {
+  assert.throws(() => resolveLlmProviderName('anthropic-x'), (err) => {
+    assert.strictEqual(err.status, 400);
+    assert.match(err.message, /Unknown LLM provider/);
+    return true;
+  });
+}, { category: 'Resolution' });
+
+runner.test('Every listed provider is registered', () => {
+  for (const name of LLM_PROVIDER_NAMES) {
+    const provider = getLlmProvider(name);
+    assert.strictEqual(provider.name, name);
+    assert.strictEqual(typeof provider.buildRequestBody, 'function');
+    assert.strictEqual(typeof provider.sendRequest, 'function');
+  }
+}, { category: 'Resolution' });
+
+// ============================================
+// REQUEST BODY BUILDERS
+// ============================================
+
+runner.test('OpenAI body uses strict json_schema and the given model', () => {
+  const body = buildChatCompletionRequestBody(prompt, { model: 'gpt-test' });
+  assert.strictEqual(body.model, 'gpt-test');
+  assert.strictEqual(body.messages[0].role, 'system');
+  assert.strictEqual(body.messages[1].content, prompt.userPrompt);
+  assert.strictEqual(body.response_format.json_schema.strict, true);
+  assert.strictEqual(body.response_format.json_schema.name, 'soap_and_billing');
+}, { category: 'Request Bodies' });
+
+runner.test('Azure body omits model and sends non-strict schema', () => {
+  const body = buildAzureRequestBody(prompt);
+  assert.strictEqual(body.model, undefined);
+  assert.strictEqual(body.response_format.json_schema.strict, undefined);
+  assert.strictEqual(body.max_completion_tokens, prompt.maxTokens);
+}, { category: 'Request Bodies' });
+
+runner.test('Gemini body converts schema (no additionalProperties, keeps ordering)', () => {
+  const body = buildGeminiRequestBody(prompt);
+  const schema = body.generationConfig.responseSchema;
+  assert.strictEqual(body.generationConfig.responseMimeType, 'application/json');
+  assert.strictEqual(body.systemInstruction.parts[0].text, prompt.systemPrompt);
+  assert.ok(!JSON.stringify(schema).includes('additionalProperties'));
+  assert.deepStrictEqual(schema.propertyOrdering, ['soap_note', 'billing']);
+}, { category: 'Request Bodies' });
+
+// ============================================
+// STUB PROVIDER
+// ============================================
+
+runner.test('Stub returns JSON matching the SOAP/billing shape', () => {
+  const parsed = JSON.parse(stubRaw);
+  assert.ok(parsed.soap_note.subjective);
+  assert.ok(parsed.soap_note.objective);
+  assert.strictEqual(typeof parsed.soap_note.assessment, 'string');
+  assert.ok(Array.isArray(parsed.billing.icd10_codes));
+}, { category: 'Stub Provider' });
+
+runner.test('Stub output is deterministic', () => {
+  assert.strictEqual(stubRaw, stubRawRepeat);
+}, { category: 'Stub Provider' });
+
+runner.test('Stub echoes each PHI token once so unmasking can be exercised', () => {
+  assert.strictEqual(stubRaw.split('{{NAME_1}}').length - 1, 1);
+  assert.strictEqual(stubRaw.split('{{DATE_2}}').length - 1, 1);
+}, { category: 'Stub Provider' });
+
+runner.test('Stub is not registered in production', () => {
+  assert.ok(!productionLlmProviders.LLM_PROVIDER_NAMES.includes('stub'));
+  assert.throws(() => productionLlmProviders.resolveLlmProviderName('stub'), (err) => err.status === 400);
+  assert.ok(LLM_PROVIDER_NAMES.includes('stub'), 'registered when NODE_ENV is test');
+}, { category: 'Stub Provider' });
+
+runner.exit();
@@ -0,0 +1,84 @@
+/**
+ * Unit Test: PHI Masking Pass
+ *
+ * Tests mask_phi token reuse (one token per distinct text of a type), the per-type summary,
+ * and overlapping windows for transcripts longer than the detector limit, using the offline
+ * local detector.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { getPhiDetector } from '../src/utils/phiDetectors.js';
+import { mask_phi, unmask_phi } from '../src/utils/maskPhiHelper.js';
+
+const runner = new UnitTestRunner('PHI Masking Pass Unit Tests');
+
+delete process.env.PHI_MASK_MODE;
+
+const maskLocal = (text, threshold = 0.15) => mask_phi(text, threshold, { provider: 'local', mode: 'token' });
+
+/**
+ * Run fn with the local detector limited to maxChars per call, so short texts are split
+ */
+async function withWindowSize(maxChars, fn) {
+  const detector = getPhiDetector('local');
+  const original = detector.maxChars;
+  detector.maxChars = maxChars;
+  try {
+    return await fn();
+  } finally {
+    detector.maxChars = original;
+  }
+}
+
+// ============================================
+// TOKEN REUSE AND SUMMARY
+// ============================================
+
+await runner.test('The same text of the same type shares one token', async () => {
+  const result = await maskLocal('Dr. Patel saw Mr. Okafor. Mr. Okafor agreed; Dr. Patel called on 05/20/2024 and 05/20/2024.');
+  assert.strictEqual(
+    result.masked_transcript,
+    'Dr. {{NAME_1}} saw Mr. {{NAME_2}}. Mr. {{NAME_2}} agreed; Dr. {{NAME_1}} called on {{DATE_1}} and {{DATE_1}}.'
+  );
+  assert.deepStrictEqual(result.tokens, { NAME_1: 'Patel', NAME_2: 'Okafor', DATE_1: '05/20/2024' });
+  assert.strictEqual(result.phi_entities.length, 6);
+  assert.strictEqual(unmask_phi(result.masked_transcript, result.tokens).unmasked_transcript.includes('Mr. Okafor agreed'), true);
+}, { category: 'Tokens' });
+
+await runner.test('Summary counts masked, unique and skipped entities per type', async () => {
+  const result = await maskLocal('Saw Priya and Priya again with Dr. Patel, call 555-123-4567', 0.8);
+  assert.deepStrictEqual(result.phi_summary, {
+    NAME: { masked: 1, unique: 1, skipped: 2 },
+    PHONE_OR_FAX: { masked: 1, unique: 1, skipped: 0 },
+  });
+  assert.deepStrictEqual(result.skipped_entities.map((entity) => entity.Text), ['Priya', 'Priya']);
+}, { category: 'Tokens' });
+
+// ============================================
+// OVERLAPPING WINDOWS
+// ============================================
+
+await runner.test('Long transcripts are split into overlapping windows', async () => {
+  const filler = 'The patient reports mild symptoms today. '.repeat(12);
+  const text = `${filler}Dr. Patel reviewed the chart. ${filler}Dr. Patel will call back.`;
+  const result = await withWindowSize(400, () => maskLocal(text));
+  assert.ok(result.chunks_processed > 2);
+  assert.deepStrictEqual(result.tokens, { NAME_1: 'Patel' });
+  assert.strictEqual(result.phi_entities.length, 2, 'entities seen by two windows are counted once');
+  assert.strictEqual(result.masked_transcript, text.replaceAll('Patel', '{{NAME_1}}'));
+}, { category: 'Windows' });
+
+await runner.test('An entity cut by a window edge is merged into one span', async () => {
+  // Place "42 North Oak Street" across the first window's end at a space
+  const prefix = 'x '.repeat(193);
+  const text = `${prefix}Lives at 42 North Oak Street, Apt 3B. ${'y '.repeat(150)}`;
+  const result = await withWindowSize(400, () => maskLocal(text));
+  assert.ok(result.chunks_processed > 1);
+  assert.deepStrictEqual(result.phi_entities.map((entity) => entity.Text), ['42 North Oak Street, Apt 3B']);
+  assert.ok(result.masked_transcript.includes('Lives at {{ADDRESS_1}}. y'));
+}, { category: 'Windows' });
+
+runner.exit();
@@ -0,0 +1,146 @@
+/**
+ * Unit Test: Note Templates
+ *
+ * Tests the LLM JSON schema and the response validator generated from a note template,
+ * and the request validation for template sections.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { DEFAULT_NOTE_TEMPLATE, buildSoapNoteSchema, resolveNoteTemplate } from '../src/utils/noteTemplates.js';
+import { getSoapNoteAndBillingPrompt } from '../src/utils/gptRequestBodies.js';
+import { validateSoapAndBilling } from '../src/utils/soapNoteValidator.js';
+import { noteTemplateCreateRequestSchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('Note Templates Unit Tests');
+
+const GI_TEMPLATE = {
+  name: 'GI follow-up',
+  specialty: 'gastroenterology',
+  sections: [
+    {
+      key: 'subjective',
+      description: 'Patient-reported GI history',
+      required: true,
+      subsections: [
+        { key: 'Chief complaint', description: 'Reason for visit', required: true },
+        { key: 'Bowel habits', description: 'Frequency, consistency, blood', required: true },
+        { key: 'Diet', description: 'Diet and triggers', required: false },
+      ],
+    },
+    {
+      key: 'objective',
+      description: 'Exam and results',
+      required: true,
+      subsections: [
+        { key: 'Abdominal exam', description: 'Inspection, palpation, bowel sounds', required: true },
+        { key: 'Endoscopy', description: 'Recent endoscopy findings', required: false },
+      ],
+    },
+    { key: 'assessment', description: 'Assessment', required: true },
+    { key: 'plan', description: 'Plan', required: true },
+  ],
+};
+
+const GI_NOTE = {
+  soap_note: {
+    subjective: { 'Chief complaint': 'Heartburn', 'Bowel habits': 'Daily, formed' },
+    objective: { 'Abdominal exam': 'Soft, non-tender' },
+    assessment: 'GERD',
+    plan: '- Start PPI',
+  },
+  billing: { icd10_codes: ['K21.9 GERD'], billing_code: '99213', additional_inquiries: '' },
+};
+
+// ============================================
+// SCHEMA
+// ============================================
+
+await runner.test('Default template produces the standard SOAP schema', () => {
+  const schema = buildSoapNoteSchema();
+  assert.deepStrictEqual(schema.required, ['subjective', 'objective', 'assessment', 'plan']);
+  assert.deepStrictEqual(schema.properties.subjective.required, ['Chief complaint', 'HPI', 'History', 'ROS', 'Medications', 'Allergies']);
+  assert.deepStrictEqual(schema.properties.objective.required, ['HEENT', 'General', 'Cardiovascular', 'Musculoskeletal', 'Other']);
+  assert.deepStrictEqual(schema.properties.assessment, { type: 'string', description: DEFAULT_NOTE_TEMPLATE.sections[2].description });
+  assert.deepStrictEqual(getSoapNoteAndBillingPrompt('x').schema.properties.soap_note, schema);
+}, { category: 'Schema' });
+
+await runner.test('Custom template sections become schema properties', () => {
+  const schema = buildSoapNoteSchema(GI_TEMPLATE);
+  assert.deepStrictEqual(Object.keys(schema.properties.objective.properties), ['Abdominal exam', 'Endoscopy']);
+  assert.strictEqual(schema.properties.objective.additionalProperties, false);
+  // Strict structured outputs need every key listed, optional ones are flagged in the description
+  assert.deepStrictEqual(schema.properties.objective.required, ['Abdominal exam', 'Endoscopy']);
+  assert.match(schema.properties.objective.properties.Endoscopy.description, /Optional/);
+  assert.doesNotMatch(schema.properties.objective.properties['Abdominal exam'].description, /Optional/);
+}, { category: 'Schema' });
+
+await runner.test('Prompt uses the template schema and specialty', () => {
+  const prompt = getSoapNoteAndBillingPrompt('masked transcript', { template: GI_TEMPLATE });
+  assert.deepStrictEqual(prompt.schema.properties.soap_note, buildSoapNoteSchema(GI_TEMPLATE));
+  assert.match(prompt.systemPrompt, /gastroenterology encounter/);
+  assert.ok(prompt.schema.properties.billing);
+}, { category: 'Schema' });
+
+await runner.test('Missing or empty template falls back to the default', () => {
+  assert.strictEqual(resolveNoteTemplate(null), DEFAULT_NOTE_TEMPLATE);
+  assert.strictEqual(resolveNoteTemplate({ name: 'Empty', sections: [] }), DEFAULT_NOTE_TEMPLATE);
+  assert.strictEqual(resolveNoteTemplate(GI_TEMPLATE), GI_TEMPLATE);
+}, { category: 'Schema' });
+
+// ============================================
+// VALIDATOR
+// ============================================
+
+await runner.test('Validator accepts a note without optional fields', () => {
+  assert.strictEqual(validateSoapAndBilling(GI_NOTE, GI_TEMPLATE), true);
+}, { category: 'Validator' });
+
+await runner.test('Validator rejects a missing required subsection', () => {
+  const note = structuredClone(GI_NOTE);
+  delete note.soap_note.subjective['Bowel habits'];
+  assert.throws(() => validateSoapAndBilling(note, GI_TEMPLATE), /subjective missing required key: Bowel habits/);
+}, { category: 'Validator' });
+
+await runner.test('Validator checks types of optional fields when present', () => {
+  const note = structuredClone(GI_NOTE);
+  note.soap_note.objective.Endoscopy = ['normal'];
+  assert.throws(() => validateSoapAndBilling(note, GI_TEMPLATE), /objective\.Endoscopy must be a string/);
+}, { category: 'Validator' });
+
+await runner.test('Default template rules still apply without a template', () => {
+  assert.throws(() => validateSoapAndBilling(GI_NOTE), /subjective missing required key: HPI/);
+}, { category: 'Validator' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Template request fills defaults and rejects duplicate keys', () => {
+  const parsed = noteTemplateCreateRequestSchema.parse({
+    name: 'Psych intake',
+    sections: [{ key: 'subjective', subsections: [{ key: 'Mood' }] }, { key: 'plan' }],
+  });
+  assert.deepStrictEqual(parsed.sections[0].subsections[0], { key: 'Mood', description: '', required: true });
+
+  const duplicateSection = noteTemplateCreateRequestSchema.safeParse({
+    name: 'Duplicate',
+    sections: [{ key: 'plan' }, { key: 'plan' }],
+  });
+  assert.strictEqual(duplicateSection.success, false);
+
+  const duplicateSubsection = noteTemplateCreateRequestSchema.safeParse({
+    name: 'Duplicate',
+    sections: [{ key: 'objective', subsections: [{ key: 'Growth' }, { key: 'Growth' }] }],
+  });
+  assert.strictEqual(duplicateSubsection.success, false);
+}, { category: 'Requests' });
+
+await runner.test('Only SOAP section keys are allowed', () => {
+  const result = noteTemplateCreateRequestSchema.safeParse({ name: 'Bad', sections: [{ key: 'history' }] });
+  assert.strictEqual(result.success, false);
+}, { category: 'Requests' });
+
+runner.exit();
@@ -0,0 +1,112 @@
+/**
+ * Unit Test: Note Types
+ *
+ * Tests the note type registry: resolution, per-type prompts and schemas,
+ * validation of generated notes (using the offline stub LLM provider) and stored note format.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { NOTE_TYPE_NAMES, resolveNoteTypeName, getNoteType, getNoteTypeTemplate } from '../src/utils/noteTypes.js';
+import { DEFAULT_NOTE_TEMPLATE } from '../src/utils/noteTemplates.js';
+import { getSoapNoteAndBillingPrompt } from '../src/utils/gptRequestBodies.js';
+import { generateJson } from '../src/utils/llmProviders.js';
+import { validateSoapAndBilling } from '../src/utils/soapNoteValidator.js';
+import { toStoredSoapNote } from '../src/utils/soapNoteFormat.js';
+import { createPromptLlmJobRequestSchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('Note Types Unit Tests');
+
+// ============================================
+// REGISTRY
+// ============================================
+
+await runner.test('Defaults to soap and accepts known types', () => {
+  assert.strictEqual(resolveNoteTypeName(), 'soap');
+  assert.strictEqual(resolveNoteTypeName('Discharge_Summary'), 'discharge_summary');
+  assert.deepStrictEqual(NOTE_TYPE_NAMES, ['soap', 'history_and_physical', 'progress', 'procedure', 'discharge_summary']);
+}, { category: 'Registry' });
+
+await runner.test('Unknown note type is a 400', () => {
+  assert.throws(() => resolveNoteTypeName('consult_letter'), (err) => err.status === 400 && /Unknown note type/.test(err.message));
+}, { category: 'Registry' });
+
+await runner.test('SOAP uses the note template, other types their own layout', () => {
+  const template = { name: 'Peds', sections: [{ key: 'plan', required: true }] };
+  assert.strictEqual(getNoteTypeTemplate('soap'), DEFAULT_NOTE_TEMPLATE);
+  assert.strictEqual(getNoteTypeTemplate('soap', template), template);
+  assert.strictEqual(getNoteTypeTemplate('discharge_summary', template), getNoteType('discharge_summary').template);
+}, { category: 'Registry' });
+
+// ============================================
+// PROMPTS
+// ============================================
+
+await runner.test('Each type has its own prompt and schema', () => {
+  const hp = getSoapNoteAndBillingPrompt('masked', { noteType: 'history_and_physical' });
+  assert.match(hp.systemPrompt, /history and physical \(H&P\) notes/);
+  assert.match(hp.userPrompt, /Generate History and physical \(H&P\) and billing suggestions/);
+  assert.ok(hp.schema.properties.soap_note.properties.past_history.properties.Surgical);
+
+  const discharge = getSoapNoteAndBillingPrompt('masked', { noteType: 'discharge_summary' });
+  assert.ok(discharge.schema.properties.soap_note.required.includes('hospital_course'));
+  assert.ok(discharge.schema.properties.billing);
+
+  const soap = getSoapNoteAndBillingPrompt('masked');
+  assert.match(soap.systemPrompt, /^You are a clinical documentation assistant trained to generate SOAP notes from detailed patient encounters\. Your output/);
+}, { category: 'Prompts' });
+
+await runner.test('Stub output for every type passes its validator', async () => {
+  for (const noteType of NOTE_TYPE_NAMES) {
+    const prompt = getSoapNoteAndBillingPrompt('masked', { noteType });
+    const result = JSON.parse(await generateJson(prompt, { provider: 'stub' }));
+    assert.strictEqual(validateSoapAndBilling(result, getNoteTypeTemplate(noteType)), true, noteType);
+  }
+}, { category: 'Prompts' });
+
+await runner.test('A SOAP note does not pass as a procedure note', () => {
+  const soapNote = {
+    soap_note: { subjective: {}, objective: {}, assessment: 'a', plan: 'p' },
+  };
+  assert.throws(() => validateSoapAndBilling(soapNote, getNoteTypeTemplate('procedure')), /procedure must be a string/);
+}, { category: 'Prompts' });
+
+// ============================================
+// STORAGE AND REQUESTS
+// ============================================
+
+await runner.test('Stored note keeps the type sections', () => {
+  const stored = toStoredSoapNote({
+    soap_note: {
+      procedure: 'Paracentesis',
+      indication: 'Ascites',
+      complications: 'None',
+    },
+    billing: { icd10_codes: [], billing_code: '49083', additional_inquiries: '' },
+  }, { noteType: 'procedure' });
+  assert.deepStrictEqual(stored, {
+    soapNote: { procedure: 'Paracentesis', indication: 'Ascites', complications: 'None' },
+    billingSuggestion: 'CPT: 49083',
+  });
+}, { category: 'Storage' });
+
+await runner.test('Job request accepts note_type, templates only for soap', () => {
+  assert.strictEqual(createPromptLlmJobRequestSchema.parse({ recording_file_path: 'u/a.mp3', note_type: 'progress' }).note_type, 'progress');
+  assert.strictEqual(createPromptLlmJobRequestSchema.safeParse({ recording_file_path: 'u/a.mp3', note_type: 'letter' }).success, false);
+  assert.strictEqual(createPromptLlmJobRequestSchema.safeParse({ recording_file_path: 'u/a.mp3', note_type: 'progress', note_template_id: 3 }).success, false);
+  assert.strictEqual(createPromptLlmJobRequestSchema.safeParse({ recording_file_path: 'u/a.mp3', note_type: 'soap', note_template_id: 3 }).success, true);
+}, { category: 'Storage' });
+
+await runner.test('Job request takes exactly one recording or transcript input', () => {
+  assert.strictEqual(createPromptLlmJobRequestSchema.parse({ transcript_id: '12' }).transcript_id, 12);
+  assert.strictEqual(createPromptLlmJobRequestSchema.parse({ transcript_text: ' Patient reports cough. ', note_type: 'progress' }).transcript_text, 'Patient reports cough.');
+  assert.strictEqual(createPromptLlmJobRequestSchema.safeParse({}).success, false);
+  assert.strictEqual(createPromptLlmJobRequestSchema.safeParse({ transcript_text: '   ' }).success, false);
+  assert.strictEqual(createPromptLlmJobRequestSchema.safeParse({ recording_file_path: 'u/a.mp3', transcript_id: 12 }).success, false);
+  // Nothing to transcribe
+  assert.strictEqual(createPromptLlmJobRequestSchema.safeParse({ transcript_id: 12, transcription_provider: 'fixture' }).success, false);
+}, { category: 'Storage' });
+
+runner.exit();
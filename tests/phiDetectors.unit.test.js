@@ -0,0 +1,120 @@
+/**
+ * Unit Test: PHI Detectors
+ *
+ * Tests detector resolution, the offline rule-based detector, span merging used by the
+ * ensemble detector, and mask_phi / unmask_phi round trips with the local detector.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { PHI_DETECTOR_NAMES, detectLocalPhi, mergeEntitySpans, resolvePhiDetectorName } from '../src/utils/phiDetectors.js';
+import { mask_phi, unmask_phi } from '../src/utils/maskPhiHelper.js';
+import { MaskPhiRequestBodySchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('PHI Detectors Unit Tests');
+
+delete process.env.PHI_DETECTOR;
+
+const TEXT = 'Patient John Smith, DOB 05/20/1990, SSN 123-45-6789 was seen by Dr. Elizabeth Johnson on December 15th, 2024. '
+  + 'Call (555) 123-4567 or email jsmith@example.com. MRN: A1234567. Lives at 42 North Oak Street, Apt 3B, Springfield, IL 62704.';
+
+/**
+ * Detected text by type, e.g. { NAME: ['John Smith', ...] }
+ */
+function textsByType(entities) {
+  const byType = {};
+  for (const entity of entities) {
+    (byType[entity.Type] ||= []).push(entity.Text);
+  }
+  return byType;
+}
+
+// ============================================
+// DETECTOR RESOLUTION
+// ============================================
+
+await runner.test('Defaults to comprehend, env overrides, explicit name wins', () => {
+  assert.strictEqual(resolvePhiDetectorName(), 'comprehend');
+  process.env.PHI_DETECTOR = 'local';
+  assert.strictEqual(resolvePhiDetectorName(), 'local');
+  assert.strictEqual(resolvePhiDetectorName('Ensemble'), 'ensemble');
+  delete process.env.PHI_DETECTOR;
+}, { category: 'Resolution' });
+
+await runner.test('Unknown detector is a 400', () => {
+  assert.throws(() => resolvePhiDetectorName('regex'), (err) => err.status === 400 && /Unknown PHI detector/.test(err.message));
+  assert.deepStrictEqual(PHI_DETECTOR_NAMES, ['comprehend', 'local', 'ensemble']);
+}, { category: 'Resolution' });
+
+// ============================================
+// LOCAL DETECTOR
+// ============================================
+
+await runner.test('Local detector finds each PHI type', () => {
+  assert.deepStrictEqual(textsByType(detectLocalPhi(TEXT)), {
+    NAME: ['John Smith', 'Elizabeth Johnson'],
+    DATE: ['05/20/1990', 'December 15th, 2024'],
+    ID: ['123-45-6789', 'A1234567'],
+    PHONE_OR_FAX: ['(555) 123-4567'],
+    EMAIL: ['jsmith@example.com'],
+    ADDRESS: ['42 North Oak Street, Apt 3B', 'Springfield, IL 62704'],
+  });
+}, { category: 'Local' });
+
+await runner.test('Introduced and dictionary names are found, titles are left out', () => {
+  const names = detectLocalPhi('My name is Tomasz Wrobel. Saw Maria Gomez today with Mrs. Okafor.')
+    .filter((entity) => entity.Type === 'NAME')
+    .map((entity) => entity.Text);
+  assert.deepStrictEqual(names, ['Tomasz Wrobel', 'Maria Gomez', 'Okafor']);
+}, { category: 'Local' });
+
+await runner.test('Clinical text without PHI is left alone', () => {
+  const text = 'Take 20 mg daily for 3 weeks. BP 120/80, HR 72. May improve with rest. MRN is pending. Follow up in 2 weeks.';
+  assert.deepStrictEqual(detectLocalPhi(text), []);
+}, { category: 'Local' });
+
+// ============================================
+// ENSEMBLE MERGING
+// ============================================
+
+await runner.test('Overlapping spans merge into their union with the best type', () => {
+  const text = 'Seen by Dr. Elizabeth Johnson today';
+  const merged = mergeEntitySpans(text, [
+    { Type: 'NAME', Text: 'Elizabeth', BeginOffset: 12, EndOffset: 21, Score: 0.6, Id: 1 },
+    { Type: 'PROFESSION', Text: 'Elizabeth Johnson', BeginOffset: 12, EndOffset: 29, Score: 0.4 },
+    { Type: 'DATE', Text: 'today', BeginOffset: 30, EndOffset: 35, Score: 0.9 },
+  ]);
+  assert.deepStrictEqual(merged, [
+    { Type: 'NAME', BeginOffset: 12, EndOffset: 29, Score: 0.6, Text: 'Elizabeth Johnson' },
+    { Type: 'DATE', BeginOffset: 30, EndOffset: 35, Score: 0.9, Text: 'today' },
+  ]);
+}, { category: 'Ensemble' });
+
+// ============================================
+// MASKING ROUND TRIP
+// ============================================
+
+await runner.test('mask_phi with the local detector masks offline and unmasks back', async () => {
+  const result = await mask_phi(TEXT, 0.15, { provider: 'local' });
+  assert.strictEqual(result.provider, 'local');
+  assert.ok(!result.masked_transcript.includes('John Smith'));
+  assert.ok(!result.masked_transcript.includes('123-45-6789'));
+  assert.match(result.masked_transcript, /^Patient \{\{NAME_\d+\}\}, DOB \{\{DATE_\d+\}\}/);
+  assert.strictEqual(unmask_phi(result.masked_transcript, result.tokens).unmasked_transcript, TEXT);
+}, { category: 'Masking' });
+
+await runner.test('Threshold skips low-confidence entities', async () => {
+  const result = await mask_phi('Saw Priya today, call 555-123-4567', 0.8, { provider: 'local' });
+  assert.deepStrictEqual(result.phi_entities.map((entity) => entity.Type), ['PHONE_OR_FAX']);
+  assert.deepStrictEqual(result.skipped_entities.map((entity) => entity.Text), ['Priya']);
+}, { category: 'Masking' });
+
+await runner.test('Mask request accepts a known provider only', () => {
+  assert.strictEqual(MaskPhiRequestBodySchema.parse({ text: 'Hi', provider: 'local' }).provider, 'local');
+  assert.strictEqual(MaskPhiRequestBodySchema.parse({ text: 'Hi' }).provider, undefined);
+  assert.strictEqual(MaskPhiRequestBodySchema.safeParse({ text: 'Hi', provider: 'regex' }).success, false);
+}, { category: 'Masking' });
+
+runner.exit();
@@ -0,0 +1,183 @@
+/**
+ * Unit Test: PHI Masking Policy
+ *
+ * Tests masking policies in mask_phi (masked types, per-type thresholds, allowlist, date shifting
+ * versus masking), the organization policy as a floor under user policies, stored policy rows and
+ * policy request validation, using the offline local detector.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { getUserOrganizationId, mergePhiMaskingPolicies, toPhiMaskingPolicy } from '../src/utils/phiMaskingPolicy.js';
+import { mask_phi, unmask_phi } from '../src/utils/maskPhiHelper.js';
+import { MaskPhiRequestBodySchema, phiMaskingPolicyRequestSchema } from '../src/fastify/schemas/requests.js';
+import { getPhiMaskingPolicyForUser } from '../src/fastify/controllers/maskPhiController.js';
+
+const runner = new UnitTestRunner('PHI Masking Policy Unit Tests');
+
+delete process.env.PHI_MASK_MODE;
+
+const TEXT = 'Dr. Patel saw Mr. Okafor on 03/01/2024, call 555-123-4567. Follow up 03/15/2024.';
+
+const maskWithPolicy = (policy, mode = 'token') => mask_phi(TEXT, 0.15, { provider: 'local', mode, seed: 'encounter-key', policy });
+
+// Service role client stand-in: phiMaskingPolicies rows and auth users by id
+function fakeServiceClient({ rows = [], authUsers = {} }) {
+  return {
+    from: () => ({
+      select: () => ({
+        eq: (column, value) => ({
+          maybeSingle: async () => ({ data: rows.find((row) => row[column] === value) ?? null, error: null }),
+        }),
+      }),
+    }),
+    auth: {
+      admin: {
+        getUserById: async (id) => (authUsers[id]
+          ? { data: { user: authUsers[id] }, error: null }
+          : { data: { user: null }, error: { message: 'User not found' } }),
+      },
+    },
+  };
+}
+
+// ============================================
+// POLICY IN MASKING
+// ============================================
+
+await runner.test('Without a policy every type is masked', async () => {
+  const result = await maskWithPolicy(null);
+  assert.strictEqual(result.masked_transcript, 'Dr. {{NAME_1}} saw Mr. {{NAME_2}} on {{DATE_1}}, call {{PHONE_OR_FAX_1}}. Follow up {{DATE_2}}.');
+  assert.strictEqual(result.policy, null);
+  assert.strictEqual(result.surrogates, null);
+}, { category: 'Masking' });
+
+await runner.test('Types left out of entity_types stay visible and count as skipped', async () => {
+  const result = await maskWithPolicy({ entity_types: ['NAME', 'PHONE_OR_FAX'] });
+  assert.strictEqual(result.masked_transcript, 'Dr. {{NAME_1}} saw Mr. {{NAME_2}} on 03/01/2024, call {{PHONE_OR_FAX_1}}. Follow up 03/15/2024.');
+  assert.deepStrictEqual(result.phi_summary.DATE, { masked: 0, unique: 0, skipped: 2 });
+}, { category: 'Masking' });
+
+await runner.test('Per-type thresholds override mask_threshold for their type only', async () => {
+  // Local dates and names both score 0.9
+  const result = await maskWithPolicy({ thresholds: { DATE: 0.95 } });
+  assert.ok(result.masked_transcript.includes('on 03/01/2024'));
+  assert.ok(result.masked_transcript.startsWith('Dr. {{NAME_1}}'));
+}, { category: 'Masking' });
+
+await runner.test('Allowlisted terms are never masked, ignoring case', async () => {
+  const result = await maskWithPolicy({ allowlist: ['  PATEL '] });
+  assert.ok(result.masked_transcript.startsWith('Dr. Patel saw Mr. {{NAME_1}}'));
+  assert.deepStrictEqual(result.skipped_entities.map((entity) => entity.Text), ['Patel']);
+}, { category: 'Masking' });
+
+await runner.test('Date shifting in token mode keeps intervals and unmasks back', async () => {
+  const result = await maskWithPolicy({ date_handling: 'shift' });
+  assert.strictEqual(result.mode, 'token');
+  const shifted = result.masked_transcript.match(/on (\d{2}\/\d{2}\/\d{4}),.*Follow up (\d{2}\/\d{2}\/\d{4})\./);
+  assert.ok(shifted, result.masked_transcript);
+  const days = (mmddyyyy) => Date.parse(mmddyyyy.replace(/(\d{2})\/(\d{2})\/(\d{4})/, '$3-$1-$2T00:00:00Z')) / 86400000;
+  assert.strictEqual(days(shifted[2]) - days(shifted[1]), 14);
+  assert.ok(result.masked_transcript.startsWith('Dr. {{NAME_1}} saw Mr. {{NAME_2}}'));
+  assert.deepStrictEqual(Object.keys(result.tokens), ['NAME_1', 'NAME_2', 'PHONE_OR_FAX_1']);
+
+  const { unmasked_transcript, warnings } = unmask_phi(result.masked_transcript, result.tokens, { surrogates: result.surrogates });
+  assert.strictEqual(unmasked_transcript, TEXT);
+  assert.deepStrictEqual(warnings, []);
+}, { category: 'Masking' });
+
+await runner.test('Date masking in surrogate mode keeps date tokens', async () => {
+  const result = await maskWithPolicy({ date_handling: 'mask' }, 'surrogate');
+  assert.ok(result.masked_transcript.includes(' on {{DATE_1}}, '));
+  assert.ok(!result.masked_transcript.includes('Patel'));
+  assert.deepStrictEqual(Object.keys(result.tokens), ['DATE_1', 'DATE_2']);
+  assert.strictEqual(unmask_phi(result.masked_transcript, result.tokens, { surrogates: result.surrogates }).unmasked_transcript, TEXT);
+}, { category: 'Masking' });
+
+// ============================================
+// ORGANIZATION FLOOR
+// ============================================
+
+const ORGANIZATION_POLICY = { scope: 'organization', entity_types: ['NAME', 'DATE'], thresholds: {}, allowlist: [], date_handling: 'mask' };
+
+await runner.test('A user policy cannot unmask what the organization masks', async () => {
+  const merged = mergePhiMaskingPolicies(ORGANIZATION_POLICY, {
+    scope: 'user', entity_types: ['PHONE_OR_FAX'], thresholds: { DATE: 0.95 }, allowlist: ['Patel'], date_handling: 'shift',
+  });
+  assert.strictEqual(merged.date_handling, 'mask');
+  const result = await maskWithPolicy(merged);
+  // Names and dates by the organization, the phone number by the user
+  assert.strictEqual(result.masked_transcript, 'Dr. {{NAME_1}} saw Mr. {{NAME_2}} on {{DATE_1}}, call {{PHONE_OR_FAX_1}}. Follow up {{DATE_2}}.');
+}, { category: 'Organization floor' });
+
+await runner.test('Without a user policy the organization policy applies as is', async () => {
+  assert.strictEqual(mergePhiMaskingPolicies(ORGANIZATION_POLICY, null), ORGANIZATION_POLICY);
+  assert.strictEqual(mergePhiMaskingPolicies(null, null), null);
+  const result = await maskWithPolicy(mergePhiMaskingPolicies(ORGANIZATION_POLICY, null));
+  assert.ok(result.masked_transcript.includes('call 555-123-4567'));
+}, { category: 'Organization floor' });
+
+await runner.test('A request policy of null still gets the organization policy', async () => {
+  const client = fakeServiceClient({
+    rows: [
+      { user_id: 'u1', organization_id: null, entity_types: ['PHONE_OR_FAX'], thresholds: {}, allowlist: [], date_handling: null },
+      { user_id: null, organization_id: 'clinic-1', entity_types: ['NAME'], thresholds: {}, allowlist: [], date_handling: null },
+    ],
+  });
+  const user = { id: 'u1', app_metadata: { organization_id: 'clinic-1' } };
+
+  const stored = await getPhiMaskingPolicyForUser(user, client);
+  assert.deepStrictEqual(stored.data.entity_types, ['PHONE_OR_FAX']);
+  assert.deepStrictEqual(stored.data.organization_policy.entity_types, ['NAME']);
+
+  const override = await getPhiMaskingPolicyForUser(user, client, { policyOverride: null });
+  assert.strictEqual(override.data.scope, 'organization');
+  const result = await maskWithPolicy(override.data);
+  assert.ok(result.masked_transcript.startsWith('Dr. {{NAME_1}} saw Mr. {{NAME_2}} on 03/01/2024'));
+}, { category: 'Organization floor' });
+
+// ============================================
+// STORED POLICIES
+// ============================================
+
+await runner.test('Stored rows become policies with their scope', () => {
+  assert.deepStrictEqual(toPhiMaskingPolicy({ user_id: 'u1', organization_id: null, entity_types: null, thresholds: { AGE: 0.9 }, allowlist: ['Eliquis'], date_handling: 'shift' }), {
+    scope: 'user', entity_types: null, thresholds: { AGE: 0.9 }, allowlist: ['Eliquis'], date_handling: 'shift',
+  });
+  assert.strictEqual(toPhiMaskingPolicy({ user_id: null, organization_id: 'clinic-1' }).scope, 'organization');
+  assert.strictEqual(getUserOrganizationId({ app_metadata: { organization_id: 42 } }), '42');
+  assert.strictEqual(getUserOrganizationId({ user_metadata: { organization_id: 'self-set' } }), null);
+}, { category: 'Storage' });
+
+await runner.test('Jobs that only know the user id still get the organization policy', async () => {
+  const client = fakeServiceClient({
+    rows: [{ user_id: null, organization_id: 'clinic-1', entity_types: ['NAME'], thresholds: {}, allowlist: [], date_handling: null }],
+    authUsers: { u1: { id: 'u1', app_metadata: { organization_id: 'clinic-1' } } },
+  });
+  const result = await getPhiMaskingPolicyForUser({ id: 'u1' }, client);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.data.scope, 'organization');
+  assert.deepStrictEqual(result.data.entity_types, ['NAME']);
+
+  // A failed auth lookup is an error, not "no policy"
+  const missing = await getPhiMaskingPolicyForUser({ id: 'u2' }, client);
+  assert.strictEqual(missing.success, false);
+}, { category: 'Storage' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Policy requests are validated and filled with defaults', () => {
+  assert.deepStrictEqual(phiMaskingPolicyRequestSchema.parse({ date_handling: 'shift' }), { date_handling: 'shift', thresholds: {}, allowlist: [] });
+  assert.strictEqual(phiMaskingPolicyRequestSchema.safeParse({ entity_types: [] }).success, false);
+  assert.strictEqual(phiMaskingPolicyRequestSchema.safeParse({ entity_types: ['SSN'] }).success, false);
+  assert.strictEqual(phiMaskingPolicyRequestSchema.safeParse({ thresholds: { DATE: 1.5 } }).success, false);
+  assert.strictEqual(phiMaskingPolicyRequestSchema.safeParse({ thresholds: { DRUG: 0.5 } }).success, false);
+  assert.strictEqual(MaskPhiRequestBodySchema.parse({ text: 'Hi', policy: null }).policy, null);
+  assert.deepStrictEqual(MaskPhiRequestBodySchema.parse({ text: 'Hi', policy: { entity_types: ['NAME'] } }).policy.entity_types, ['NAME']);
+}, { category: 'Validation' });
+
+runner.exit();
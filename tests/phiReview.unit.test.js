@@ -0,0 +1,71 @@
+/**
+ * Unit Test: PHI Review
+ *
+ * Tests the PHI review of generated notes (unexpected entities, leftover tokens) run after
+ * unmasking in prompt-llm jobs and by POST /api/soap-notes/phi-review, using the offline local detector.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { collectNoteText, reviewNotePhi } from '../src/utils/phiReview.js';
+import { mask_phi } from '../src/utils/maskPhiHelper.js';
+import { soapNotePhiReviewRequestSchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('PHI Review Unit Tests');
+
+delete process.env.PHI_MASK_MODE;
+
+const TRANSCRIPT = 'Clinician: Hello Mrs. Okafor, DOB 05/20/1990? Patient: Yes. My MRN: 88812345 is on the card.';
+
+// Drop the MRN from the known entities, as if the masking pass had missed it
+const maskResult = await mask_phi(TRANSCRIPT, 0.15, { provider: 'local', mode: 'token' });
+const knownEntities = maskResult.phi_entities.filter((entity) => entity.Type !== 'ID');
+const review = (note) => reviewNotePhi(note, { knownEntities, sourceText: TRANSCRIPT, provider: 'local' });
+
+// ============================================
+// REVIEW
+// ============================================
+
+await runner.test('A note with only masked PHI is clean, even when reformatted', async () => {
+  const report = await review({ soap_note: { subjective: 'Okafor, born May 20, 1990, reports headaches.' }, billing: 'ICD-10: R51.9' });
+  assert.strictEqual(report.status, 'clean');
+  assert.strictEqual(report.provider, 'local');
+  assert.deepStrictEqual(report.unexpected_entities, []);
+  assert.deepStrictEqual(report.leftover_tokens, []);
+}, { category: 'Review' });
+
+await runner.test('Made-up and missed PHI are flagged and told apart', async () => {
+  const report = await review({ soap_note: { subjective: 'Seen with Dr. Wrobel. MRN: 88812345. Mrs. Okafor agrees.' } });
+  assert.strictEqual(report.status, 'flagged');
+  assert.deepStrictEqual(report.unexpected_entities.map(({ Type, Text, in_transcript }) => ({ Type, Text, in_transcript })), [
+    { Type: 'NAME', Text: 'Wrobel', in_transcript: false },
+    { Type: 'ID', Text: '88812345', in_transcript: true },
+  ]);
+}, { category: 'Review' });
+
+await runner.test('Leftover tokens are reported once per token with a count', async () => {
+  const report = await review('Patient {{NAME_7}} and {{NAME_7}} seen on {{ DATE_2 }}.');
+  assert.strictEqual(report.status, 'flagged');
+  assert.deepStrictEqual(report.leftover_tokens, [{ token: '{{NAME_7}}', count: 2 }, { token: '{{ DATE_2 }}', count: 1 }]);
+  assert.deepStrictEqual(report.unexpected_entities, []);
+}, { category: 'Review' });
+
+await runner.test('Parsed notes are reviewed through all their string values', () => {
+  assert.deepStrictEqual(collectNoteText({ a: 'one', b: { c: ['two', 3, null, 'three'] } }), ['one', 'two', 'three']);
+}, { category: 'Review' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Batch review takes note IDs or an encounter, not both', () => {
+  assert.strictEqual(soapNotePhiReviewRequestSchema.safeParse({ soapNote_ids: [1, 2] }).success, true);
+  assert.strictEqual(soapNotePhiReviewRequestSchema.safeParse({ patientEncounter_id: 4, provider: 'local' }).success, true);
+  assert.strictEqual(soapNotePhiReviewRequestSchema.safeParse({}).success, false);
+  assert.strictEqual(soapNotePhiReviewRequestSchema.safeParse({ soapNote_ids: [1], patientEncounter_id: 4 }).success, false);
+  assert.strictEqual(soapNotePhiReviewRequestSchema.safeParse({ soapNote_ids: Array.from({ length: 51 }, (_, i) => i + 1) }).success, false);
+}, { category: 'Validation' });
+
+runner.exit();
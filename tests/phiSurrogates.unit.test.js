@@ -0,0 +1,125 @@
+/**
+ * Unit Test: PHI Surrogates
+ *
+ * Tests surrogate mode of mask_phi (consistent fake values, shifted dates) and the reverse
+ * mapping and structured warnings of unmask_phi, using the offline local detector.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { resolvePhiMaskMode } from '../src/utils/phiSurrogates.js';
+import { mask_phi, unmask_phi } from '../src/utils/maskPhiHelper.js';
+import { MaskPhiRequestBodySchema, UnmaskPhiRequestBodySchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('PHI Surrogates Unit Tests');
+
+delete process.env.PHI_MASK_MODE;
+
+const TEXT = 'Patient John Smith, DOB 05/20/1990, SSN 123-45-6789 was seen by Dr. Elizabeth Johnson on December 15th, 2024. '
+  + 'Call (555) 123-4567 or email jsmith@example.com. Lives at 42 North Oak Street, Apt 3B, Springfield, IL 62704. Mr. Smith agrees.';
+
+const maskSurrogates = (text, seed = 'encounter-key') => mask_phi(text, 0.15, { provider: 'local', mode: 'surrogate', seed });
+
+// ============================================
+// MODE RESOLUTION
+// ============================================
+
+await runner.test('Defaults to token mode, env overrides, unknown mode is a 400', () => {
+  assert.strictEqual(resolvePhiMaskMode(), 'token');
+  process.env.PHI_MASK_MODE = 'surrogate';
+  assert.strictEqual(resolvePhiMaskMode(), 'surrogate');
+  assert.strictEqual(resolvePhiMaskMode('Token'), 'token');
+  delete process.env.PHI_MASK_MODE;
+  assert.throws(() => resolvePhiMaskMode('redact'), (err) => err.status === 400 && /Unknown PHI mask mode/.test(err.message));
+}, { category: 'Resolution' });
+
+// ============================================
+// SURROGATE MASKING
+// ============================================
+
+await runner.test('Surrogate mode replaces PHI with realistic values, no tokens', async () => {
+  const result = await maskSurrogates(TEXT);
+  assert.strictEqual(result.mode, 'surrogate');
+  assert.deepStrictEqual(result.tokens, {});
+  assert.ok(!/\{\{/.test(result.masked_transcript));
+  for (const phi of ['John', 'Smith', 'Elizabeth', '05/20/1990', '123-45-6789', '(555) 123-4567', 'jsmith@example.com', 'Oak Street', 'Springfield']) {
+    assert.ok(!result.masked_transcript.includes(phi), `${phi} is masked`);
+  }
+  // Formats are kept: a slash date, an SSN-shaped number, a phone number, an email
+  assert.match(result.masked_transcript, /DOB \d{2}\/\d{2}\/\d{4}, SSN \d{3}-\d{2}-\d{4}/);
+  assert.match(result.masked_transcript, /Call \(\d{3}\) \d{3}-\d{4} or email [a-z]+\.[a-z]+@example\.com/);
+}, { category: 'Masking' });
+
+await runner.test('The same person keeps the same surrogate, and the seed makes it repeatable', async () => {
+  const result = await maskSurrogates(TEXT);
+  const [, first, last] = result.masked_transcript.match(/^Patient (\w+) (\w+),/);
+  assert.match(result.masked_transcript, new RegExp(`Mr\\. ${last} agrees`));
+  assert.strictEqual((await maskSurrogates(`Follow-up for ${'John'} today`)).masked_transcript, `Follow-up for ${first} today`);
+  assert.strictEqual((await maskSurrogates(TEXT)).masked_transcript, result.masked_transcript);
+  assert.notStrictEqual((await maskSurrogates(TEXT, 'other-key')).masked_transcript, result.masked_transcript);
+}, { category: 'Masking' });
+
+await runner.test('Dates shift by one fixed offset and keep their format', async () => {
+  const result = await maskSurrogates('Seen 03/01/2024, again 2024-03-15 and March 29th, 2024.');
+  const offset = result.surrogates.date_offset_days;
+  assert.ok(Math.abs(offset) >= 30 && Math.abs(offset) <= 365);
+  const shift = (iso) => new Date(Date.parse(`${iso}T00:00:00Z`) + offset * 86400000);
+  const [first, second] = [shift('2024-03-01'), shift('2024-03-15')];
+  const mmddyyyy = `${String(first.getUTCMonth() + 1).padStart(2, '0')}/${String(first.getUTCDate()).padStart(2, '0')}/${first.getUTCFullYear()}`;
+  assert.ok(result.masked_transcript.startsWith(`Seen ${mmddyyyy}, again ${second.toISOString().slice(0, 10)} and `));
+  assert.match(result.masked_transcript, / and [A-Z][a-z]+ \d{1,2}(st|nd|rd|th), \d{4}\.$/);
+}, { category: 'Masking' });
+
+// ============================================
+// UNMASKING
+// ============================================
+
+await runner.test('LLM output built from surrogates unmasks to the original PHI', async () => {
+  const result = await maskSurrogates(TEXT);
+  const [, first, last] = result.masked_transcript.match(/^Patient (\w+) (\w+),/);
+  const dob = result.masked_transcript.match(/DOB ([\d/]+)/)[1];
+  const output = `${last}, ${first} (DOB ${dob}) - ${result.masked_transcript}`;
+  const { unmasked_transcript, warnings } = unmask_phi(output, result.tokens, { surrogates: result.surrogates });
+  assert.strictEqual(unmasked_transcript, `Smith, John (DOB 05/20/1990) - ${TEXT}`);
+  assert.deepStrictEqual(warnings, []);
+}, { category: 'Unmasking' });
+
+await runner.test('Dates the LLM derives are shifted back, dates left visible are not', async () => {
+  const result = await mask_phi('Seen 03/01/2024. Next visit 2023-06-01.', 0.95, { provider: 'local', mode: 'surrogate', seed: 'k' });
+  // 0.95 threshold: the dates stay visible, so they are not shifted either way
+  assert.strictEqual(unmask_phi(result.masked_transcript, result.tokens, { surrogates: result.surrogates }).unmasked_transcript, 'Seen 03/01/2024. Next visit 2023-06-01.');
+
+  const shifted = await maskSurrogates('Seen 03/01/2024.', 'k');
+  const followUp = new Date(Date.parse('2024-03-15T00:00:00Z') + shifted.surrogates.date_offset_days * 86400000).toISOString().slice(0, 10);
+  const { unmasked_transcript } = unmask_phi(`Follow up on ${followUp}.`, shifted.tokens, { surrogates: shifted.surrogates });
+  assert.strictEqual(unmasked_transcript, 'Follow up on 2024-03-15.');
+}, { category: 'Unmasking' });
+
+await runner.test('Unknown tokens are reported, reformatted tokens are restored and reported', async () => {
+  const result = await mask_phi('Patient John Smith, age 45', 0.15, { provider: 'local', mode: 'token' });
+  const [key] = Object.keys(result.tokens);
+  const { unmasked_transcript, warnings } = unmask_phi(`{ ${key} } vs {${key}} vs [${key}] vs {{ ${key} }} vs {{NAME_99}} {{NAME_99}}`, result.tokens);
+  assert.strictEqual(unmasked_transcript, `{ ${key} } vs John Smith vs John Smith vs John Smith vs {{NAME_99}} {{NAME_99}}`);
+  assert.deepStrictEqual(warnings, [
+    { type: 'reformatted_token', token: `{${key}}`, key, count: 1 },
+    { type: 'reformatted_token', token: `[${key}]`, key, count: 1 },
+    { type: 'reformatted_token', token: `{{ ${key} }}`, key, count: 1 },
+    { type: 'unknown_token', token: '{{NAME_99}}', count: 2 },
+  ]);
+}, { category: 'Unmasking' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Mask and unmask requests accept surrogate options', () => {
+  assert.strictEqual(MaskPhiRequestBodySchema.parse({ text: 'Hi', mode: 'surrogate', seed: 'abc' }).mode, 'surrogate');
+  assert.strictEqual(MaskPhiRequestBodySchema.safeParse({ text: 'Hi', mode: 'redact' }).success, false);
+  const parsed = UnmaskPhiRequestBodySchema.parse({ text: 'Hi', tokens: {}, surrogates: { date_offset_days: 40 } });
+  assert.deepStrictEqual(parsed.surrogates, { date_offset_days: 40, values: {}, visible_dates: [] });
+  assert.strictEqual(UnmaskPhiRequestBodySchema.safeParse({ text: 'Hi', tokens: {}, surrogates: { values: {} } }).success, false);
+}, { category: 'Validation' });
+
+runner.exit();
@@ -0,0 +1,125 @@
+/**
+ * Unit Test: Retry Helper
+ *
+ * Tests the backoff calculation and retry loop used by the job worker
+ * to retry pipeline steps (transcription, LLM generation).
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { computeBackoffMs, isRetryableError, withRetry } from '../src/utils/retryHelper.js';
+
+const runner = new UnitTestRunner('Retry Helper Unit Tests');
+
+// Keep the retry loop fast
+const FAST = { baseDelayMs: 1, maxDelayMs: 5, jitter: 0 };
+
+function httpError(status) {
+  const e = new Error(`HTTP ${status}`);
+  e.status = status;
+  return e;
+}
+
+// ============================================
+// BACKOFF
+// ============================================
+
+runner.test('Backoff doubles per attempt without jitter', () => {
+  const opts = { baseDelayMs: 100, maxDelayMs: 10000, jitter: 0 };
+  assert.strictEqual(computeBackoffMs(1, opts), 100);
+  assert.strictEqual(computeBackoffMs(2, opts), 200);
+  assert.strictEqual(computeBackoffMs(4, opts), 800);
+}, { category: 'Backoff' });
+
+runner.test('Backoff is capped at maxDelayMs', () => {
+  assert.strictEqual(computeBackoffMs(20, { baseDelayMs: 100, maxDelayMs: 5000, jitter: 0 }), 5000);
+}, { category: 'Backoff' });
+
+runner.test('Jitter stays within the configured spread', () => {
+  for (let i = 0; i < 50; i++) {
+    const delay = computeBackoffMs(3, { baseDelayMs: 1000, maxDelayMs: 60000, jitter: 0.2 });
+    assert.ok(delay >= 3200 && delay <= 4800, `delay ${delay} outside 4000 +/- 20%`);
+  }
+}, { category: 'Backoff' });
+
+// ============================================
+// RETRYABLE ERRORS
+// ============================================
+
+runner.test('Client errors are not retryable, except 408 and 429', () => {
+  assert.strictEqual(isRetryableError(httpError(400)), false);
+  assert.strictEqual(isRetryableError(httpError(401)), false);
+  assert.strictEqual(isRetryableError(httpError(408)), true);
+  assert.strictEqual(isRetryableError(httpError(429)), true);
+}, { category: 'Retryable Errors' });
+
+runner.test('Server errors and plain errors are retryable', () => {
+  assert.strictEqual(isRetryableError(httpError(503)), true);
+  assert.strictEqual(isRetryableError(new Error('socket hang up')), true);
+}, { category: 'Retryable Errors' });
+
+runner.test('retryable=false opts an error out of retries', () => {
+  const e = new Error('bad data');
+  e.retryable = false;
+  assert.strictEqual(isRetryableError(e), false);
+}, { category: 'Retryable Errors' });
+
+// ============================================
+// RETRY LOOP
+// ============================================
+
+await runner.test('Succeeds after transient failures', async () => {
+  let calls = 0;
+  const retried = [];
+  const result = await withRetry(async (attempt) => {
+    calls++;
+    if (attempt < 3) throw httpError(503);
+    return 'ok';
+  }, { ...FAST, retries: 3, onRetry: (err, attempt) => retried.push(attempt) });
+
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(calls, 3);
+  assert.deepStrictEqual(retried, [1, 2]);
+}, { category: 'Retry Loop' });
+
+await runner.test('Throws the last error once retries are exhausted', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw new Error(`failure ${calls}`);
+    }, { ...FAST, retries: 2 }),
+    /failure 3/
+  );
+  assert.strictEqual(calls, 3);
+}, { category: 'Retry Loop' });
+
+await runner.test('Does not retry when shouldRetry returns false', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw httpError(400);
+    }, { ...FAST, retries: 5 }),
+    /HTTP 400/
+  );
+  assert.strictEqual(calls, 1);
+}, { category: 'Retry Loop' });
+
+await runner.test('Custom shouldRetry is respected', async () => {
+  let calls = 0;
+  const leaseLost = new Error('Lease lost');
+  leaseLost.leaseLost = true;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw leaseLost;
+    }, { ...FAST, retries: 5, shouldRetry: (err) => !err.leaseLost }),
+    /Lease lost/
+  );
+  assert.strictEqual(calls, 1);
+}, { category: 'Retry Loop' });
+
+runner.exit();
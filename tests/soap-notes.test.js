@@ -1,6 +1,7 @@
 /**
  * Test Suite: SOAP Notes API
- * Tests all SOAP note endpoints: CRUD operations with pagination, encryption/decryption
+ * Tests all SOAP note endpoints: CRUD operations with pagination, encryption/decryption, revision history
+ * and signing (signed notes refuse edits and deletes, addenda are appended)
  */
 import dotenv from 'dotenv';
 import path from 'path';
@@ -544,6 +545,96 @@ async function runSoapNotesTests() {
           expectedStatus: 200,
           expectedFields: ['id', 'patientEncounter_id', 'soapNote_text'],
         });
+
+        // ===== REVISION TESTS =====
+
+        // Test 15b: Create and update are recorded as revisions by the DB trigger
+        await runner.test('List SOAP note revisions after an update', {
+          method: 'GET',
+          endpoint: `/api/soap-notes/${createdSoapNoteId}/revisions`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 200,
+          customValidator: (data) => {
+            const sources = Array.isArray(data) ? data.map((revision) => `${revision.revision}:${revision.source}`) : [];
+            if (sources.join(',') !== '1:created,2:edited') {
+              return { passed: false, message: `Expected revisions 1:created,2:edited, got ${sources.join(',') || JSON.stringify(data)}` };
+            }
+            if ('encrypted_soapNote_text' in data[0] || 'soapNote_text' in data[0]) {
+              return { passed: false, message: 'Revision list should not include note text' };
+            }
+            return { passed: true, message: 'Created and edited revisions listed' };
+          },
+        });
+
+        // Test 15c: Get a single revision with its text
+        await runner.test('Get SOAP note revision by number', {
+          method: 'GET',
+          endpoint: `/api/soap-notes/${createdSoapNoteId}/revisions/1`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 200,
+          expectedFields: ['soapNote_id', 'revision', 'source', 'soapNote_text'],
+        });
+
+        // Test 15d: Diff the created and edited revisions
+        await runner.test('Diff SOAP note revisions', {
+          method: 'GET',
+          endpoint: `/api/soap-notes/${createdSoapNoteId}/revisions/diff?from=1&to=2`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 200,
+          expectedFields: ['from', 'to', 'sections', 'changed_count'],
+          customValidator: (data) => {
+            const subjective = data.sections?.find((section) => section.key === 'subjective');
+            if (subjective?.status !== 'modified') {
+              return { passed: false, message: `Expected subjective to be modified, got ${subjective?.status}` };
+            }
+            const added = subjective.changes.filter((change) => change.op === 'added').map((change) => change.text);
+            if (!added.includes('Patient reports improved condition')) {
+              return { passed: false, message: `Expected the edited subjective line as added, got ${JSON.stringify(subjective.changes)}` };
+            }
+            return { passed: true, message: `${data.changed_count} sections changed` };
+          },
+        });
+
+        // Test 15e: Restore the created revision
+        await runner.test('Restore SOAP note revision', {
+          method: 'POST',
+          endpoint: `/api/soap-notes/${createdSoapNoteId}/revisions/1/restore`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 200,
+          expectedFields: ['id', 'soapNote_text'],
+          customValidator: (data) => {
+            const text = typeof data.soapNote_text === 'string' ? JSON.parse(data.soapNote_text) : data.soapNote_text;
+            if (text?.soapNote?.subjective !== mockSoapNoteData.soapNote_text.soapNote.subjective) {
+              return { passed: false, message: `Expected the original subjective back, got ${text?.soapNote?.subjective}` };
+            }
+            return { passed: true, message: 'Original text restored' };
+          },
+        });
+
+        // Test 15f: The restore is recorded as a new revision pointing at the restored one
+        await runner.test('Restore is recorded as a new revision', {
+          method: 'GET',
+          endpoint: `/api/soap-notes/${createdSoapNoteId}/revisions`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 200,
+          customValidator: (data) => {
+            const latest = Array.isArray(data) ? data[data.length - 1] : null;
+            if (data?.length !== 3 || latest.source !== 'restored' || latest.restored_from_revision !== 1) {
+              return { passed: false, message: `Expected revision 3 restored from 1, got ${JSON.stringify(latest)}` };
+            }
+            return { passed: true, message: 'Revision 3 restored from revision 1' };
+          },
+        });
       }
 
       // Test 16: Update SOAP note with invalid ID format (should fail)
@@ -616,6 +707,134 @@ async function runSoapNotesTests() {
           expectedStatus: 404,
         });
       }
+
+      // ===== SIGNING TESTS =====
+
+      // Signed notes are locked in the database and cannot be deleted, even with their encounter,
+      // so they are created on an encounter of their own rather than the shared test data
+      let signingEncounterId = null;
+      let signedSoapNoteId = null;
+      try {
+        signingEncounterId = await createTestEncounter(realAccessToken);
+      } catch (error) {
+        console.log('  ⚠️  Could not create an encounter for signing tests - Tests 22-29 cannot run\n');
+      }
+
+      if (signingEncounterId) {
+        // Test 22: Create SOAP note to sign
+        await runner.test('Create SOAP note to sign', {
+          method: 'POST',
+          endpoint: '/api/soap-notes',
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+            'Content-Type': 'application/json',
+          },
+          body: {
+            patientEncounter_id: signingEncounterId,
+            ...mockSoapNoteData,
+          },
+          expectedStatus: 201,
+          expectedFields: ['id'],
+          onSuccess: (data) => {
+            signedSoapNoteId = data.id;
+          },
+        });
+      }
+
+      if (signedSoapNoteId) {
+        // Test 23: Addenda are only taken by signed notes (should fail)
+        await runner.test('Add addendum to unsigned SOAP note', {
+          method: 'POST',
+          endpoint: `/api/soap-notes/${signedSoapNoteId}/addendum`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+            'Content-Type': 'application/json',
+          },
+          body: { addendum_text: 'Too early for an addendum' },
+          expectedStatus: 409,
+        });
+
+        // Test 24: Sign SOAP note
+        await runner.test('Sign SOAP note', {
+          method: 'POST',
+          endpoint: `/api/soap-notes/${signedSoapNoteId}/sign`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 200,
+          expectedFields: ['signed_at', 'signed_by', 'content_hash', 'soapNote_text'],
+        });
+
+        // Test 25: Update signed SOAP note (should fail)
+        await runner.test('Update signed SOAP note', {
+          method: 'PATCH',
+          endpoint: `/api/soap-notes/${signedSoapNoteId}`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+            'Content-Type': 'application/json',
+          },
+          body: updatedSoapNoteData,
+          expectedStatus: 409,
+        });
+
+        // Test 26: Delete signed SOAP note (should fail)
+        await runner.test('Delete signed SOAP note', {
+          method: 'DELETE',
+          endpoint: `/api/soap-notes/${signedSoapNoteId}`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 409,
+        });
+
+        // Test 27: Sign an already signed SOAP note (should fail)
+        await runner.test('Sign already signed SOAP note', {
+          method: 'POST',
+          endpoint: `/api/soap-notes/${signedSoapNoteId}/sign`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 409,
+        });
+
+        // Test 28: Add addendum to signed SOAP note
+        await runner.test('Add addendum to signed SOAP note', {
+          method: 'POST',
+          endpoint: `/api/soap-notes/${signedSoapNoteId}/addendum`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+            'Content-Type': 'application/json',
+          },
+          body: { addendum_text: 'Labs reviewed after signing: CBC normal.' },
+          expectedStatus: 201,
+          expectedFields: ['id', 'soapNote_id', 'addendum_text'],
+        });
+
+        // Test 29: Signed note is unchanged, still matches its hash and lists the addendum
+        await runner.test('Get signed SOAP note with addenda', {
+          method: 'GET',
+          endpoint: `/api/soap-notes/${signedSoapNoteId}`,
+          headers: {
+            Authorization: `Bearer ${realAccessToken}`,
+          },
+          expectedStatus: 200,
+          expectedFields: ['signed_at', 'addenda'],
+          customValidator: (data) => {
+            if (data.content_hash_valid !== true) {
+              return { passed: false, message: `Expected content_hash_valid true, got ${data.content_hash_valid}` };
+            }
+            const text = typeof data.soapNote_text === 'string' ? JSON.parse(data.soapNote_text) : data.soapNote_text;
+            if (text?.soapNote?.subjective !== mockSoapNoteData.soapNote_text.soapNote.subjective) {
+              return { passed: false, message: `Signed note text changed: ${text?.soapNote?.subjective}` };
+            }
+            const addenda = data.addenda.map((addendum) => addendum.addendum_text);
+            if (addenda.length !== 1 || addenda[0] !== 'Labs reviewed after signing: CBC normal.') {
+              return { passed: false, message: `Expected the one addendum, got ${JSON.stringify(addenda)}` };
+            }
+            return { passed: true, message: 'Signed note intact with its addendum' };
+          },
+        });
+      }
     }
   }
 
@@ -0,0 +1,115 @@
+/**
+ * Unit Test: SOAP Note Diff
+ *
+ * Tests the section by section comparison of two stored note versions
+ * used by GET /api/soap-notes/:id/revisions/diff.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { diffLines, diffSoapNoteTexts } from '../src/utils/soapNoteDiff.js';
+import { soapNoteRevisionDiffQuerySchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('SOAP Note Diff Unit Tests');
+
+const GENERATED = {
+  soapNote: {
+    subjective: 'Chief complaint: Heartburn\nHPI: 2 weeks, worse after meals',
+    objective: 'Abdominal exam: Soft, non-tender',
+    assessment: 'GERD',
+    plan: '- Start omeprazole 20 mg daily\n- Follow up in 4 weeks',
+  },
+  billingSuggestion: 'ICD-10: K21.9 GERD\nCPT: 99213',
+};
+
+const EDITED = {
+  soapNote: {
+    subjective: 'Chief complaint: Heartburn\nHPI: 2 weeks, worse after meals',
+    objective: 'Abdominal exam: Soft, non-tender',
+    assessment: 'GERD',
+    plan: '- Start omeprazole 40 mg daily\n- Follow up in 4 weeks\n- Avoid late meals',
+  },
+  billingSuggestion: 'ICD-10: K21.9 GERD\nCPT: 99213',
+};
+
+// ============================================
+// LINE DIFF
+// ============================================
+
+await runner.test('Line diff keeps common lines and marks removed and added ones', () => {
+  assert.deepStrictEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+    { op: 'equal', text: 'a' },
+    { op: 'removed', text: 'b' },
+    { op: 'added', text: 'x' },
+    { op: 'equal', text: 'c' },
+    { op: 'added', text: 'd' },
+  ]);
+  assert.deepStrictEqual(diffLines([], []), []);
+}, { category: 'Line diff' });
+
+// ============================================
+// SECTION DIFF
+// ============================================
+
+await runner.test('Only edited sections are reported as modified', () => {
+  const diff = diffSoapNoteTexts(GENERATED, EDITED);
+  assert.deepStrictEqual(diff.sections.map((s) => [s.key, s.status]), [
+    ['subjective', 'unchanged'],
+    ['objective', 'unchanged'],
+    ['assessment', 'unchanged'],
+    ['plan', 'modified'],
+    ['billingSuggestion', 'unchanged'],
+  ]);
+  assert.strictEqual(diff.changed_count, 1);
+
+  const plan = diff.sections.find((s) => s.key === 'plan');
+  assert.strictEqual(plan.heading, 'Plan');
+  assert.deepStrictEqual(plan.changes, [
+    { op: 'removed', text: '- Start omeprazole 20 mg daily' },
+    { op: 'added', text: '- Start omeprazole 40 mg daily' },
+    { op: 'equal', text: '- Follow up in 4 weeks' },
+    { op: 'added', text: '- Avoid late meals' },
+  ]);
+}, { category: 'Section diff' });
+
+await runner.test('Emptied and filled sections are removed and added', () => {
+  const from = { soapNote: { subjective: 'Cough', objective: '' }, billingSuggestion: '' };
+  const to = { soapNote: { subjective: '', objective: 'Lungs clear', extra_notes: 'Seen with interpreter' }, billingSuggestion: 'CPT: 99212' };
+  const diff = diffSoapNoteTexts(from, to);
+  assert.deepStrictEqual(diff.sections.map((s) => [s.key, s.status]), [
+    ['subjective', 'removed'],
+    ['objective', 'added'],
+    ['extra_notes', 'added'],
+    ['billingSuggestion', 'added'],
+  ]);
+  assert.strictEqual(diff.changed_count, 4);
+}, { category: 'Section diff' });
+
+await runner.test('Sections follow the note type layout', () => {
+  const from = { soapNote: { hospital_course: 'Admitted for CHF', discharge_diagnoses: 'CHF' } };
+  const to = { soapNote: { hospital_course: 'Admitted for CHF, diuresed', discharge_diagnoses: 'CHF' } };
+  const diff = diffSoapNoteTexts(from, to, 'discharge_summary');
+  // Stored key order is hospital_course first, the discharge summary layout lists diagnoses first
+  assert.deepStrictEqual(diff.sections.map((s) => s.key), ['discharge_diagnoses', 'hospital_course']);
+  assert.deepStrictEqual(diff.sections.filter((s) => s.status === 'modified').map((s) => s.key), ['hospital_course']);
+}, { category: 'Section diff' });
+
+await runner.test('Whitespace-only edits are visible', () => {
+  const diff = diffSoapNoteTexts({ soapNote: { plan: 'Rest' } }, { soapNote: { plan: 'Rest ' } });
+  assert.strictEqual(diff.sections[0].status, 'modified');
+}, { category: 'Section diff' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Diff query needs a from revision and coerces numbers', () => {
+  assert.deepStrictEqual(soapNoteRevisionDiffQuerySchema.parse({ from: '1', to: '3' }), { from: 1, to: 3 });
+  assert.deepStrictEqual(soapNoteRevisionDiffQuerySchema.parse({ from: '2' }), { from: 2 });
+  assert.strictEqual(soapNoteRevisionDiffQuerySchema.safeParse({}).success, false);
+  assert.strictEqual(soapNoteRevisionDiffQuerySchema.safeParse({ from: '0' }).success, false);
+}, { category: 'Validation' });
+
+runner.exit();
@@ -0,0 +1,116 @@
+/**
+ * Unit Test: SOAP Note Export
+ *
+ * Tests the export model (section order, metadata, EHR text cleanup)
+ * and the txt / md / docx / pdf renderers.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { cleanRawText } from '../src/utils/cleanRawText.js';
+import {
+  buildNoteExport,
+  renderNoteText,
+  renderNoteMarkdown,
+  exportSoapNote,
+} from '../src/utils/soapNoteExport.js';
+import { soapNoteExportQuerySchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('SOAP Note Export Unit Tests');
+
+const STORED_NOTE = {
+  soapNote: {
+    plan: '- Ibuprofen 400 mg PRN\n- Return in 2 weeks',
+    subjective: 'Chief complaint: Knee pain — 3 days\nHPI: Worse on stairs',
+    objective: '',
+    assessment: 'Patellofemoral pain, BP ≥140/90',
+  },
+  billingSuggestion: 'ICD-10: M22.2X1 Patellofemoral disorder\nCPT: 99213',
+};
+
+const META = {
+  noteType: 'soap',
+  encounterName: 'Jane Doe',
+  encounterDate: '2026-03-04T15:30:00.000Z',
+  noteUpdatedAt: '2026-03-04T16:05:00.000Z',
+};
+
+// ============================================
+// MODEL
+// ============================================
+
+await runner.test('cleanRawText normalizes EHR-unfriendly characters', () => {
+  assert.strictEqual(cleanRawText('• Temp ≥ 38°C — x½'), '- Temp >= 38°C - x1/2');
+}, { category: 'Model' });
+
+await runner.test('Sections follow the note layout, empty ones are left out', () => {
+  const model = buildNoteExport(STORED_NOTE, META);
+  assert.deepStrictEqual(model.sections.map((section) => section.heading), ['Subjective', 'Assessment', 'Plan', 'Billing']);
+  assert.deepStrictEqual(model.sections[0].lines, ['Chief complaint: Knee pain - 3 days', 'HPI: Worse on stairs']);
+  assert.deepStrictEqual(model.sections[2].lines, ['- Ibuprofen 400 mg PRN', '- Return in 2 weeks']);
+  assert.strictEqual(model.sections[1].lines[0], 'Patellofemoral pain, BP >=140/90');
+}, { category: 'Model' });
+
+await runner.test('Metadata includes encounter and note type', () => {
+  const model = buildNoteExport(STORED_NOTE, META);
+  assert.deepStrictEqual(model.metadata, [
+    ['Patient encounter', 'Jane Doe'],
+    ['Encounter date', '2026-03-04'],
+    ['Note type', 'SOAP note'],
+    ['Last updated', '2026-03-04 16:05 UTC'],
+  ]);
+
+  const signed = buildNoteExport(STORED_NOTE, { ...META, signedAt: '2026-03-04T16:10:00Z' });
+  assert.deepStrictEqual(signed.metadata.at(-1), ['Signed', '2026-03-04 16:10 UTC']);
+}, { category: 'Model' });
+
+await runner.test('Other note types use their own headings', () => {
+  const model = buildNoteExport({
+    soapNote: { hospital_course: 'Treated with IV antibiotics', admission_diagnosis: 'Pneumonia' },
+  }, { noteType: 'discharge_summary' });
+  assert.strictEqual(model.title, 'Discharge summary');
+  assert.deepStrictEqual(model.sections.map((section) => section.heading), ['Admission diagnosis', 'Hospital course']);
+}, { category: 'Model' });
+
+// ============================================
+// RENDERERS
+// ============================================
+
+await runner.test('Plain text uses uppercase headings', () => {
+  const text = renderNoteText(buildNoteExport(STORED_NOTE, META));
+  assert.ok(text.startsWith('SOAP note\nPatient encounter: Jane Doe\n'));
+  assert.ok(text.includes('\n\nPLAN\n- Ibuprofen 400 mg PRN\n- Return in 2 weeks\n\nBILLING\nICD-10: M22.2X1'));
+}, { category: 'Renderers' });
+
+await runner.test('Markdown uses headings and bold labels', () => {
+  const markdown = renderNoteMarkdown(buildNoteExport(STORED_NOTE, META));
+  assert.ok(markdown.startsWith('# SOAP note\n\n**Patient encounter:** Jane Doe  \n'));
+  assert.ok(markdown.includes('## Assessment\n\nPatellofemoral pain'));
+}, { category: 'Renderers' });
+
+await runner.test('Binary formats produce valid files', async () => {
+  const pdf = await exportSoapNote(STORED_NOTE, META, 'pdf');
+  assert.strictEqual(pdf.contentType, 'application/pdf');
+  assert.strictEqual(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+  const docx = await exportSoapNote(STORED_NOTE, META, 'docx');
+  assert.strictEqual(docx.extension, 'docx');
+  assert.strictEqual(docx.body.subarray(0, 2).toString(), 'PK');
+}, { category: 'Renderers' });
+
+await runner.test('Long notes span multiple PDF pages', async () => {
+  const longNote = { soapNote: { plan: Array.from({ length: 120 }, (_, i) => `- Step ${i + 1}`).join('\n') } };
+  const pdf = await exportSoapNote(longNote, META, 'pdf');
+  const pageCount = (pdf.body.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+  assert.ok(pageCount > 1, `expected several pages, got ${pageCount}`);
+}, { category: 'Renderers' });
+
+await runner.test('Export query defaults to pdf and rejects unknown formats', () => {
+  assert.strictEqual(soapNoteExportQuerySchema.parse({}).format, 'pdf');
+  assert.strictEqual(soapNoteExportQuerySchema.parse({ format: 'md' }).format, 'md');
+  assert.strictEqual(soapNoteExportQuerySchema.safeParse({ format: 'rtf' }).success, false);
+}, { category: 'Renderers' });
+
+runner.exit();
@@ -0,0 +1,62 @@
+/**
+ * Unit Test: SOAP Note Format Conversion
+ *
+ * Tests conversion of the LLM job result ({ soap_note, billing }) into stored soapNote_text,
+ * as used by POST /api/jobs/prompt-llm/:jobId/save.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { formatSoapSection, formatBillingSuggestion, toStoredSoapNote } from '../src/utils/soapNoteFormat.js';
+
+const runner = new UnitTestRunner('SOAP Note Format Unit Tests');
+
+const JOB_RESULT = {
+  soap_note: {
+    subjective: { 'Chief complaint': 'Headache', HPI: '3 days, frontal', 'Social history': '' },
+    objective: 'BP 120/80',
+    assessment: 'Tension headache',
+    plan: { Medications: 'Ibuprofen 400mg PRN', 'Follow-up': '2 weeks' },
+  },
+  billing: {
+    icd10_codes: ['G44.209 Tension-type headache'],
+    billing_code: '99213',
+    additional_inquiries: '',
+  },
+};
+
+runner.test('Object sections become heading lines, skipping empty values', () => {
+  assert.strictEqual(
+    formatSoapSection(JOB_RESULT.soap_note.subjective),
+    'Chief complaint: Headache\nHPI: 3 days, frontal'
+  );
+}, { category: 'Sections' });
+
+runner.test('String and missing sections', () => {
+  assert.strictEqual(formatSoapSection('  BP 120/80 '), 'BP 120/80');
+  assert.strictEqual(formatSoapSection(undefined), '');
+}, { category: 'Sections' });
+
+runner.test('Billing block is flattened to labelled lines', () => {
+  assert.strictEqual(
+    formatBillingSuggestion(JOB_RESULT.billing),
+    'ICD-10: G44.209 Tension-type headache\nCPT: 99213'
+  );
+  assert.strictEqual(formatBillingSuggestion(null), '');
+}, { category: 'Billing' });
+
+runner.test('Job result converts to stored soapNote_text shape', () => {
+  const stored = toStoredSoapNote(JOB_RESULT);
+  assert.deepStrictEqual(Object.keys(stored.soapNote), ['subjective', 'objective', 'assessment', 'plan']);
+  assert.strictEqual(stored.soapNote.assessment, 'Tension headache');
+  assert.strictEqual(stored.soapNote.plan, 'Medications: Ibuprofen 400mg PRN\nFollow-up: 2 weeks');
+  assert.ok(stored.billingSuggestion.startsWith('ICD-10:'));
+}, { category: 'Convert' });
+
+runner.test('Result without soap_note is rejected', () => {
+  assert.throws(() => toStoredSoapNote({ billing: {} }), /missing soap_note/);
+}, { category: 'Convert' });
+
+runner.exit();
@@ -0,0 +1,136 @@
+/**
+ * Unit Test: SOAP Note Section Regeneration
+ *
+ * Tests section path resolution, writing a regenerated section back into the stored note,
+ * the masking document and the section prompt used by POST /api/soap-notes/:id/regenerate.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { joinSoapSection, splitSoapSection } from '../src/utils/soapNoteFormat.js';
+import { applySectionText, resolveSectionPath } from '../src/utils/soapNoteRegeneration.js';
+import { buildMaskingDocument, splitMaskingDocument } from '../src/utils/maskingDocument.js';
+import { getNoteTypeTemplate } from '../src/utils/noteTypes.js';
+import { getSectionRegenerationPrompt } from '../src/utils/gptRequestBodies.js';
+import { soapNoteRegenerateRequestSchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('SOAP Note Regeneration Unit Tests');
+
+const SOAP_LAYOUT = getNoteTypeTemplate('soap');
+
+const STORED = {
+  subjective: 'Chief complaint: Heartburn\nHPI: 2 weeks, worse after meals\n- No dysphagia\nAllergies: NKDA',
+  objective: 'General: Well appearing',
+  assessment: 'GERD',
+  plan: '- Start omeprazole 20 mg daily',
+};
+
+// ============================================
+// SECTION TEXT BLOCKS
+// ============================================
+
+await runner.test('Section text splits into heading blocks and joins back', () => {
+  const blocks = splitSoapSection(STORED.subjective, ['Chief complaint', 'HPI', 'Allergies']);
+  assert.deepStrictEqual(blocks, [
+    { heading: 'Chief complaint', value: 'Heartburn' },
+    { heading: 'HPI', value: '2 weeks, worse after meals\n- No dysphagia' },
+    { heading: 'Allergies', value: 'NKDA' },
+  ]);
+  assert.strictEqual(joinSoapSection(blocks), STORED.subjective);
+  assert.deepStrictEqual(splitSoapSection('', ['HPI']), []);
+}, { category: 'Section text' });
+
+// ============================================
+// SECTION PATHS
+// ============================================
+
+await runner.test('Section paths resolve whole sections and subsections', () => {
+  const plan = resolveSectionPath('plan', STORED, SOAP_LAYOUT);
+  assert.strictEqual(plan.path, 'plan');
+  assert.strictEqual(plan.subsection, null);
+  assert.strictEqual(plan.currentText, STORED.plan);
+
+  const hpi = resolveSectionPath('Subjective.hpi', STORED, SOAP_LAYOUT);
+  assert.strictEqual(hpi.path, 'subjective.HPI');
+  assert.strictEqual(hpi.field.key, 'HPI');
+  assert.strictEqual(hpi.currentText, '2 weeks, worse after meals\n- No dysphagia');
+
+  // In the layout but not yet in the stored text
+  assert.strictEqual(resolveSectionPath('subjective.ROS', STORED, SOAP_LAYOUT).currentText, '');
+}, { category: 'Section paths' });
+
+await runner.test('Unknown sections and subsections are rejected with 400', () => {
+  for (const path of ['diagnosis', 'plan.Medications', 'subjective.']) {
+    assert.throws(() => resolveSectionPath(path, STORED, SOAP_LAYOUT), (err) => err.status === 400, path);
+  }
+}, { category: 'Section paths' });
+
+// ============================================
+// APPLYING REGENERATED TEXT
+// ============================================
+
+await runner.test('Regenerated subsections replace their block and keep the rest', () => {
+  const hpi = resolveSectionPath('subjective.HPI', STORED, SOAP_LAYOUT);
+  const updated = applySectionText(STORED, hpi, '2 weeks of heartburn after meals');
+  assert.strictEqual(updated.subjective, 'Chief complaint: Heartburn\nHPI: 2 weeks of heartburn after meals\nAllergies: NKDA');
+  assert.strictEqual(updated.plan, STORED.plan);
+  assert.strictEqual(STORED.subjective.includes('No dysphagia'), true, 'stored note is not mutated');
+
+  const ros = resolveSectionPath('subjective.ROS', STORED, SOAP_LAYOUT);
+  assert.ok(applySectionText(STORED, ros, 'Negative for chest pain').subjective.endsWith('\nROS: Negative for chest pain'));
+}, { category: 'Apply' });
+
+await runner.test('Regenerated sections with subsections are flattened like a generated note', () => {
+  const objective = resolveSectionPath('objective', STORED, SOAP_LAYOUT);
+  const updated = applySectionText(STORED, objective, { General: 'Well appearing', Cardiovascular: 'RRR', HEENT: '' });
+  assert.strictEqual(updated.objective, 'General: Well appearing\nCardiovascular: RRR');
+}, { category: 'Apply' });
+
+// ============================================
+// MASKING DOCUMENT AND PROMPT
+// ============================================
+
+await runner.test('Masking document splits back into its parts', () => {
+  const names = ['transcript', 'current_text', 'instructions'];
+  const document = buildMaskingDocument({ transcript: 'Patient: it burns', current_text: 'GERD', instructions: 'more concise' });
+  assert.deepStrictEqual(splitMaskingDocument(document, names), {
+    transcript: 'Patient: it burns',
+    current_text: 'GERD',
+    instructions: 'more concise',
+  });
+  // Empty parts survive the round trip
+  assert.deepStrictEqual(splitMaskingDocument(buildMaskingDocument({ transcript: 'Cough', current_text: '', instructions: undefined }), names), {
+    transcript: 'Cough',
+    current_text: '',
+    instructions: '',
+  });
+  assert.throws(() => splitMaskingDocument('Patient: it burns', names), /separators/);
+}, { category: 'Prompt' });
+
+await runner.test('Prompt schema asks for just the regenerated part', () => {
+  const hpi = resolveSectionPath('subjective.HPI', STORED, SOAP_LAYOUT);
+  const hpiPrompt = getSectionRegenerationPrompt('Patient: it burns', { sectionPath: hpi.path, field: hpi.field, instructions: 'more concise' });
+  assert.strictEqual(hpiPrompt.schema.properties.section.type, 'string');
+  assert.ok(hpiPrompt.userPrompt.includes('"subjective.HPI"'));
+  assert.ok(hpiPrompt.userPrompt.includes('more concise'));
+
+  const objective = resolveSectionPath('objective', STORED, SOAP_LAYOUT);
+  const objectivePrompt = getSectionRegenerationPrompt('Patient: it burns', { sectionPath: objective.path, field: objective.field });
+  assert.strictEqual(objectivePrompt.schema.properties.section.type, 'object');
+  assert.ok(objectivePrompt.schema.properties.section.properties.Cardiovascular);
+}, { category: 'Prompt' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Regenerate request needs a section', () => {
+  assert.deepStrictEqual(soapNoteRegenerateRequestSchema.parse({ section: ' plan ', instructions: ' shorter ' }), { section: 'plan', instructions: 'shorter' });
+  assert.strictEqual(soapNoteRegenerateRequestSchema.safeParse({}).success, false);
+  assert.strictEqual(soapNoteRegenerateRequestSchema.safeParse({ section: '  ' }).success, false);
+  assert.strictEqual(soapNoteRegenerateRequestSchema.safeParse({ section: 'plan', llm_provider: 'unknown' }).success, false);
+}, { category: 'Validation' });
+
+runner.exit();
@@ -0,0 +1,53 @@
+/**
+ * Unit Test: SOAP Note Signature
+ *
+ * Tests the content hash recorded when a note is signed and the
+ * addendum request validation.
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import { UnitTestRunner } from './unitTestRunner.js';
+import { computeContentHash, verifyContentHash } from '../src/utils/soapNoteSignature.js';
+import { soapNoteAddendumRequestSchema } from '../src/fastify/schemas/requests.js';
+
+const runner = new UnitTestRunner('SOAP Note Signature Unit Tests');
+
+const STORED_TEXT = JSON.stringify({
+  soapNote: { subjective: 'Heartburn', objective: 'Soft abdomen', assessment: 'GERD', plan: 'PPI' },
+  billingSuggestion: 'ICD-10: K21.9 GERD\nCPT: 99213',
+});
+
+// ============================================
+// CONTENT HASH
+// ============================================
+
+await runner.test('Content hash is SHA-256 hex of the stored text', () => {
+  const hash = computeContentHash(STORED_TEXT);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(computeContentHash(JSON.parse(STORED_TEXT)), hash);
+  assert.strictEqual(computeContentHash(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+}, { category: 'Content hash' });
+
+await runner.test('Any change to the text fails verification', () => {
+  const hash = computeContentHash(STORED_TEXT);
+  assert.strictEqual(verifyContentHash(STORED_TEXT, hash), true);
+  assert.strictEqual(verifyContentHash(STORED_TEXT.replace('PPI', 'PPI '), hash), false);
+  assert.strictEqual(verifyContentHash(STORED_TEXT, null), false);
+}, { category: 'Content hash' });
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+await runner.test('Addendum text is required and trimmed', () => {
+  assert.deepStrictEqual(
+    soapNoteAddendumRequestSchema.parse({ addendum_text: '  Patient called, symptoms resolved.  ' }),
+    { addendum_text: 'Patient called, symptoms resolved.' }
+  );
+  assert.strictEqual(soapNoteAddendumRequestSchema.safeParse({ addendum_text: '   ' }).success, false);
+  assert.strictEqual(soapNoteAddendumRequestSchema.safeParse({}).success, false);
+}, { category: 'Validation' });
+
+runner.exit();
@@ -0,0 +1,124 @@
+/**
+ * Unit Test: Transcript Segments
+ *
+ * Tests speaker normalization, prompt formatting and segment encryption.
+ * Uses a throwaway AES key (no RSA needed).
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import { UnitTestRunner } from './unitTestRunner.js';
+import {
+  normalizeTranscriptSegments,
+  formatTimestamp,
+  formatSegmentsForPrompt,
+  hasSpeakerLabels,
+  encryptTranscriptSegments,
+  decryptTranscriptSegments,
+} from '../src/utils/transcriptSegments.js';
+import { getSoapNoteAndBillingPrompt } from '../src/utils/gptRequestBodies.js';
+import { expand_mask } from '../src/fastify/controllers/transcribeController.js';
+
+const runner = new UnitTestRunner('Transcript Segments Unit Tests');
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+runner.test('Anonymous speakers map by first appearance', () => {
+  const segments = normalizeTranscriptSegments([
+    { speaker: 'SPEAKER_1', start: 0, end: 2, text: 'What brings you in?' },
+    { speaker: 'SPEAKER_0', start: 2, end: 5, text: 'Chest pain since Monday.' },
+    { speaker: 'SPEAKER_2', start: 5, end: 6, text: 'He has been up all night.' },
+    { speaker: 'SPEAKER_1', start: 6, end: 7, text: 'Any fever?' },
+  ]);
+  assert.deepStrictEqual(segments.map((s) => s.speaker), ['clinician', 'patient', 'other', 'clinician']);
+}, { category: 'Normalize' });
+
+runner.test('Role names map directly, missing speaker stays unknown', () => {
+  const segments = normalizeTranscriptSegments([
+    { role: 'Doctor', start: 0, text: 'Hello' },
+    { speaker_label: 'patient', start: 1, text: 'Hi' },
+    { start: 2, text: 'Knock knock' },
+  ]);
+  assert.deepStrictEqual(segments.map((s) => s.speaker), ['clinician', 'patient', null]);
+}, { category: 'Normalize' });
+
+runner.test('Times are read from provider keys, segments sorted and blanks dropped', () => {
+  const segments = normalizeTranscriptSegments([
+    { speaker: 'patient', start_time: '4.256', end_time: 6, text: ' second ' },
+    { speaker: 'clinician', startTime: 1, endTime: 3, text: 'first' },
+    { speaker: 'clinician', start: 7, end: 8, text: '   ' },
+  ]);
+  assert.deepStrictEqual(segments, [
+    { speaker: 'clinician', start: 1, end: 3, text: 'first' },
+    { speaker: 'patient', start: 4.26, end: 6, text: 'second' },
+  ]);
+  assert.deepStrictEqual(normalizeTranscriptSegments(undefined), []);
+}, { category: 'Normalize' });
+
+// ============================================
+// PROMPT
+// ============================================
+
+runner.test('Prompt format labels speaker and time', () => {
+  assert.strictEqual(formatTimestamp(75), '1:15');
+  assert.strictEqual(formatTimestamp(3725), '1:02:05');
+  const text = formatSegmentsForPrompt([
+    { speaker: 'clinician', start: 0, end: 2, text: 'What brings you in?' },
+    { speaker: 'patient', start: null, end: null, text: 'My knee.' },
+  ]);
+  assert.strictEqual(text, '[0:00] Clinician: What brings you in?\nPatient: My knee.');
+}, { category: 'Prompt' });
+
+runner.test('Segments without a speaker are not labelled', () => {
+  const whisper = normalizeTranscriptSegments([{ start: 0, end: 2, text: 'I have chest pain.' }]);
+  assert.strictEqual(hasSpeakerLabels(whisper), false);
+  assert.strictEqual(formatSegmentsForPrompt(whisper), '[0:00] I have chest pain.');
+  assert.strictEqual(hasSpeakerLabels([...whisper, { speaker: 'patient', start: 3, end: 4, text: 'Yes.' }]), true);
+  assert.strictEqual(hasSpeakerLabels([]), false);
+}, { category: 'Prompt' });
+
+await runner.test('Undiarized (Whisper) transcripts are masked as plain text, not speaker-labelled', async () => {
+  // Dummy service role config: no dot phrases and an explicit policy, so nothing is queried
+  process.env.SUPABASE_URL ??= 'http://localhost:54321';
+  process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+  const result = await expand_mask({
+    transcript: 'I have chest pain. Since Monday.',
+    segments: [{ start: 0, end: 2, text: 'I have chest pain.' }, { start: 2, end: 3, text: 'Since Monday.' }],
+    user: { id: 'u1' },
+    enableDotPhraseExpansion: false,
+    maskOptions: { provider: 'local', mode: 'token', policy: null },
+  });
+  assert.strictEqual(result.speakerLabelled, false);
+  assert.strictEqual(result.maskResult.masked_transcript, 'I have chest pain. Since Monday.');
+  assert.deepStrictEqual(result.segments.map((s) => s.speaker), [null, null]);
+}, { category: 'Prompt' });
+
+runner.test('SOAP prompt explains speaker labels only when present', () => {
+  assert.ok(!getSoapNoteAndBillingPrompt('text').systemPrompt.includes('speaker'));
+  assert.ok(getSoapNoteAndBillingPrompt('text', { speakerLabelled: true }).systemPrompt.includes('Patient'));
+}, { category: 'Prompt' });
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+runner.test('Segments round trip through encryption', () => {
+  const aesKey = crypto.randomBytes(32).toString('base64');
+  const segments = [{ speaker: 'patient', start: 1, end: 2, text: 'My name is John Smith.' }];
+  const row = { id: 1, ...encryptTranscriptSegments(segments, aesKey) };
+  assert.ok(row.encrypted_segments && !row.encrypted_segments.includes('John'));
+
+  decryptTranscriptSegments(row, aesKey);
+  assert.deepStrictEqual(row, { id: 1, segments });
+}, { category: 'Encryption' });
+
+runner.test('Empty segments store nothing and decrypt to []', () => {
+  assert.deepStrictEqual(encryptTranscriptSegments([], null), { encrypted_segments: null, segments_iv: null });
+  assert.deepStrictEqual(decryptTranscriptSegments({ id: 2, encrypted_segments: null, segments_iv: null }, null), { id: 2, segments: [] });
+}, { category: 'Encryption' });
+
+runner.exit();
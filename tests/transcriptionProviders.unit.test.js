@@ -0,0 +1,156 @@
+/**
+ * Unit Test: Transcription Providers
+ *
+ * Tests provider resolution, per-user preference, the offline fixture provider,
+ * and the Whisper-style request (with fetch replaced in-process).
+ *
+ * No dependencies on API, database, or external services.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UnitTestRunner } from './unitTestRunner.js';
+import {
+  TRANSCRIPTION_PROVIDER_NAMES,
+  resolveTranscriptionProviderName,
+  getUserTranscriptionProvider,
+  transcribeRecording,
+} from '../src/utils/transcriptionProviders.js';
+
+const runner = new UnitTestRunner('Transcription Providers Unit Tests');
+
+delete process.env.TRANSCRIPTION_PROVIDER;
+// No ffprobe calls against the fake URLs below (chunking is covered in chunkedTranscription.unit.test.js)
+process.env.TRANSCRIPTION_CHUNKING_ENABLED = 'false';
+
+// Throwaway fixture folder
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-fixtures-'));
+fs.writeFileSync(path.join(fixtureDir, 'default.json'), JSON.stringify({ transcript: 'Default fixture transcript', duration: 3 }));
+fs.writeFileSync(path.join(fixtureDir, 'visit-12.txt'), 'Named fixture transcript\n');
+process.env.TRANSCRIPTION_FIXTURE_DIR = fixtureDir;
+
+// A second copy of the module, loaded as in production
+const testNodeEnv = process.env.NODE_ENV;
+process.env.NODE_ENV = 'production';
+const productionTranscriptionProviders = await import('../src/utils/transcriptionProviders.js?production');
+process.env.NODE_ENV = testNodeEnv;
+
+// ============================================
+// PROVIDER RESOLUTION
+// ============================================
+
+await runner.test('Defaults to cloudrun, env overrides, explicit name wins', () => {
+  assert.strictEqual(resolveTranscriptionProviderName(), 'cloudrun');
+  process.env.TRANSCRIPTION_PROVIDER = 'fixture';
+  assert.strictEqual(resolveTranscriptionProviderName(), 'fixture');
+  assert.strictEqual(resolveTranscriptionProviderName('OpenAI-Whisper'), 'openai-whisper');
+  delete process.env.TRANSCRIPTION_PROVIDER;
+}, { category: 'Resolution' });
+
+await runner.test('Unknown provider is a 400', () => {
+  assert.throws(() => resolveTranscriptionProviderName('dictaphone'), (err) => err.status === 400 && /Unknown transcription provider/.test(err.message));
+  assert.ok(TRANSCRIPTION_PROVIDER_NAMES.includes('azure-whisper'));
+}, { category: 'Resolution' });
+
+await runner.test('Fixture provider is not registered in production', () => {
+  assert.ok(!productionTranscriptionProviders.TRANSCRIPTION_PROVIDER_NAMES.includes('fixture'));
+  assert.throws(() => productionTranscriptionProviders.resolveTranscriptionProviderName('fixture'), (err) => err.status === 400);
+  assert.ok(TRANSCRIPTION_PROVIDER_NAMES.includes('fixture'), 'registered when NODE_ENV is test');
+}, { category: 'Resolution' });
+
+await runner.test('User preference comes from user_metadata', () => {
+  assert.strictEqual(getUserTranscriptionProvider({ id: 'u1', user_metadata: { transcription_provider: 'azure-whisper' } }), 'azure-whisper');
+  assert.strictEqual(getUserTranscriptionProvider({ id: 'u1', user_metadata: {} }), null);
+  assert.strictEqual(getUserTranscriptionProvider(null), null);
+}, { category: 'Resolution' });
+
+// ============================================
+// FIXTURE PROVIDER
+// ============================================
+
+await runner.test('Fixture matches the recording name', async () => {
+  const result = await transcribeRecording({
+    recording_file_signed_url: 'https://example.supabase.co/storage/v1/object/sign/audio-files/user/visit-12.mp3?token=abc',
+    provider: 'fixture',
+  });
+  assert.deepStrictEqual(result, { transcript: 'Named fixture transcript' });
+}, { category: 'Fixture' });
+
+await runner.test('Fixture falls back to default.json', async () => {
+  const result = await transcribeRecording({ recording_file_signed_url: 'https://example.com/other.mp4', provider: 'fixture' });
+  assert.strictEqual(result.transcript, 'Default fixture transcript');
+  assert.strictEqual(result.duration, 3);
+}, { category: 'Fixture' });
+
+await runner.test('Fixture names cannot escape the fixture folder', async () => {
+  const result = await transcribeRecording({ recording_file_signed_url: 'https://example.com/..%2F..%2Fetc%2Fpasswd', provider: 'fixture' });
+  assert.strictEqual(result.transcript, 'Default fixture transcript');
+}, { category: 'Fixture' });
+
+// ============================================
+// WHISPER PROVIDER
+// ============================================
+
+await runner.test('OpenAI Whisper uploads the recording and normalizes the response', async () => {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+  process.env.OPENAI_API_KEY = 'test-key';
+  globalThis.fetch = async (url, options = {}) => {
+    calls.push({ url, options });
+    if (calls.length === 1) {
+      return new Response(new Blob(['fake audio']), { status: 200 });
+    }
+    return new Response(JSON.stringify({
+      text: 'Whisper transcript',
+      duration: 12.5,
+      language: 'english',
+      segments: [{ id: 0, seek: 0, start: 0, end: 12.5, text: ' Whisper transcript', tokens: [1, 2] }],
+    }), { status: 200 });
+  };
+
+  try {
+    const result = await transcribeRecording({ recording_file_signed_url: 'https://example.com/audio/visit.mp3?token=x', provider: 'openai-whisper' });
+    assert.deepStrictEqual(result, {
+      transcript: 'Whisper transcript',
+      duration: 12.5,
+      language: 'english',
+      segments: [{ start: 0, end: 12.5, text: ' Whisper transcript' }],
+    });
+
+    const upload = calls[1];
+    assert.strictEqual(upload.url, 'https://api.openai.com/v1/audio/transcriptions');
+    assert.strictEqual(upload.options.headers.Authorization, 'Bearer test-key');
+    assert.strictEqual(upload.options.body.get('model'), 'whisper-1');
+    assert.strictEqual(upload.options.body.get('file').name, 'visit.mp3');
+  } finally {
+    globalThis.fetch = originalFetch;
+    delete process.env.OPENAI_API_KEY;
+  }
+}, { category: 'Whisper' });
+
+await runner.test('Expired signed URL is a 400 before calling Whisper', async () => {
+  const originalFetch = globalThis.fetch;
+  let callCount = 0;
+  process.env.OPENAI_API_KEY = 'test-key';
+  globalThis.fetch = async () => {
+    callCount++;
+    return new Response('expired', { status: 403 });
+  };
+
+  try {
+    await assert.rejects(
+      transcribeRecording({ recording_file_signed_url: 'https://example.com/audio/visit.mp3', provider: 'openai-whisper' }),
+      (err) => err.status === 400 && err.code === 'expired_signed_url'
+    );
+    assert.strictEqual(callCount, 1);
+  } finally {
+    globalThis.fetch = originalFetch;
+    delete process.env.OPENAI_API_KEY;
+  }
+}, { category: 'Whisper' });
+
+fs.rmSync(fixtureDir, { recursive: true, force: true });
+
+runner.exit();
@@ -1,6 +1,6 @@
 /**
  * Test Suite: Transcripts API
- * Tests all transcript CRUD operations: GET, POST, DELETE (PATCH disabled)
+ * Tests all transcript CRUD operations: GET, POST, PATCH, DELETE
  * Requires: npm run test:setup (to create test data with recordings)
  */
 import dotenv from 'dotenv';
@@ -206,6 +206,11 @@ async function runTranscriptsTests() {
         body: {
           transcript_text: 'This is a test transcript for the recording.',
           recording_id: lastRecording.id,
+          // Cleared again by the PATCH in Test 14
+          segments: [
+            { speaker: 'clinician', start: 0, end: 2.5, text: 'This is a test transcript' },
+            { speaker: 'patient', start: 2.5, end: 4, text: 'for the recording.' },
+          ],
         },
         expectedStatus: 201,
       });
@@ -353,6 +358,27 @@ async function runTranscriptsTests() {
   console.log(`${test14Result} Test 14: PATCH /api/transcripts/:id - update transcript`);
   console.log(`   ${test14Message}`);
 
+  // Test 14b: GET /transcripts/:id - PATCH cleared the segments of the old text (DEPENDENT ON TEST 14)
+  if (test14Passed) {
+    await runner.test('GET /api/transcripts/:id - segments cleared after PATCH', {
+      method: 'GET',
+      endpoint: `/api/transcripts/${createdTranscriptId}`,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+      expectedStatus: 200,
+      customValidator: (data) => {
+        if (data.transcript_text !== 'Updated transcript text with more details.') {
+          return { passed: false, message: `Expected the patched text, got: ${data.transcript_text}` };
+        }
+        if (!Array.isArray(data.segments) || data.segments.length > 0) {
+          return { passed: false, message: `Expected no segments after PATCH, got ${JSON.stringify(data.segments)}` };
+        }
+        return { passed: true, message: 'Patched text returned without stale segments' };
+      },
+    });
+  }
+
   // Test 15: PATCH /transcripts/:id - not found
   if (accessToken) {
     await runner.test('PATCH /api/transcripts/:id - not found', {
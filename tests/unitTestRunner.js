@@ -21,6 +21,10 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Offline providers (stub LLM, fixture transcription) are only registered in development and test.
+// Test files import this runner first, so this is set before the providers are loaded.
+process.env.NODE_ENV ??= 'test';
+
 export class UnitTestRunner {
   constructor(suiteName, options = {}) {
     this.suiteName = suiteName;
@@ -32,32 +36,43 @@ export class UnitTestRunner {
 
   /**
    * Add and execute a test
+   * Async test functions are supported: the returned promise must be awaited by the caller
+   * (e.g. `await runner.test('name', async () => { ... })`) so results stay in order.
    * @param {string} name - Test name
-   * @param {Function} testFn - Synchronous test function that throws on failure
+   * @param {Function} testFn - Test function that throws (or rejects) on failure
    * @param {Object} options - Optional configuration
    * @param {string} options.category - Category/group for organizing output
    * @param {Object} options.output - Optional output data to include in results (e.g., actual vs expected)
+   * @returns {Promise<void>|undefined} - Promise only when testFn is async
    */
   test(name, testFn, options = {}) {
     const { category = null, output = null } = options;
-    let error = null;
-    let passed = false;
+    const record = (passed, error = null) => {
+      this.tests.push({
+        name,
+        category,
+        passed,
+        error,
+        output: output ? this.truncateOutput(output) : null,
+        timestamp: Date.now(),
+      });
+    };
 
+    let result;
     try {
-      testFn();
-      passed = true;
+      result = testFn();
     } catch (err) {
-      error = err.message || String(err);
+      record(false, err.message || String(err));
+      return;
     }
 
-    this.tests.push({
-      name,
-      category,
-      passed,
-      error,
-      output: output ? this.truncateOutput(output) : null,
-      timestamp: Date.now(),
-    });
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        () => record(true),
+        (err) => record(false, err?.message || String(err))
+      );
+    }
+    record(true);
   }
 
   /**